@@ -1,6 +1,6 @@
 // Animation system for UI and effects
 import * as THREE from 'three';
-import { scene } from './main.js';
+import { scene } from './scene-context.js';
 
 // Easing functions
 export const Easing = {
@@ -0,0 +1,699 @@
+// Ball body - shared rolling-ball simulation used by the player ball, the ghost ball and any other ball
+// Each instance owns its own position/velocity, teleporter state and out-of-bounds state, so obstacles
+// behave identically for every ball. Anything specific to one ball (stroke penalties, HUD messages,
+// cutscenes, particles) is plugged in through the hooks passed to the constructor.
+// A prediction body (predictionOf set) plays a what-if shot for another ball, like the ghost AI's:
+// it moves exactly like a real ball but leaves plates, bumpers, teleporter networks and other balls as they are.
+import * as THREE from 'three';
+import { PHYSICS_CONSTANTS, getStepFriction, getMaxShotSpeed } from './physics.js';
+import { getHolePosition, HOLE_RADIUS } from './game.js';
+import { getTerrainHeight, getTerrainSlope, getRectangularHoles, getCourseBounds } from './course.js';
+import { isMagneticPullActive, getMagneticPullEffect } from './powerup-effects.js';
+import { checkMagneticFieldPull } from './magnetic-fields.js';
+import { checkTeleporterCollision, findTeleportTrip, takeTeleportTrip, createTeleportState } from './teleporters.js';
+import { checkFanPush } from './fans.js';
+import { applyWindForce } from './wind-zones.js';
+import { getSurfaceAt } from './surfaces.js';
+import { findWaterEntry } from './water-hazards.js';
+import { createSpin, hasSpin, applySpinToRoll, applySpinOnImpact } from './spin.js';
+import { collideBallWithCourse, getWallTopBelow, getPlatformBelow, getTierBelow } from './collisions.js';
+import { isPlatformActive, carryWithPlatform, getPlatformPointVelocity } from './platforms.js';
+import { collideWithOtherBalls } from './ball-collisions.js';
+import { updateTriggersForBall, recordBumperHit } from './triggers.js';
+
+export const DEFAULT_BALL_RADIUS = 0.5;
+
+const HAZARD_OUT_OF_BOUNDS_DEPTH = -3.0; // Falling this deep into a rectangular hole counts as out of bounds
+const GROUND_CONTACT_HEIGHT = 0.1; // Ball counts as rolling on the surface below it within this height
+const MIN_BOUNCE_SPEED = 3.0; // Slower landings just settle instead of bouncing
+const WALL_TOP_STEP = 0.05; // A ball this far below a wall top at the start of a step can still land on it
+const UP = new THREE.Vector3(0, 1, 0);
+
+const noop = () => {};
+
+export class BallBody {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Label used in logs
+     * @param {number} options.radius - Ball radius
+     * @param {THREE.Vector3} options.startPosition - Initial tee position
+     * @param {boolean} options.usePowerUps - Whether player power-ups (magnetic pull) affect this ball
+     * @param {Function} options.onOutOfBounds - (body, reason) when the ball leaves the course or falls into a hazard
+     * @param {Function} options.onTeleport - (body, teleportResult) after the ball has been moved to a teleporter exit
+     * @param {Function} options.onImpact - (body, position, normal, intensity) when the ball bounces off something
+     * @param {Function} options.onWaterHazard - (body, waterEntry) when the ball rolls into water (it waits there until dropAt())
+     * @param {Function} options.onBumperHit - (body, bumper) when the ball bounces off a bumper
+     * @param {BallBody} options.predictionOf - Real ball this body predicts a shot for (makes it a prediction body)
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'ball';
+        this.radius = options.radius ?? DEFAULT_BALL_RADIUS;
+        this.usePowerUps = options.usePowerUps ?? false;
+        this.hooks = {
+            onOutOfBounds: options.onOutOfBounds || noop,
+            onTeleport: options.onTeleport || noop,
+            onImpact: options.onImpact || noop,
+            onWaterHazard: options.onWaterHazard || noop,
+            onBumperHit: options.onBumperHit || noop
+        };
+        this.predictionOf = options.predictionOf || null;
+
+        this.startPosition = new THREE.Vector3(0, this.radius, 0);
+        if (options.startPosition) {
+            this.startPosition.copy(options.startPosition);
+        }
+        this.position = this.startPosition.clone();
+        this.velocity = new THREE.Vector3(0, 0, 0);
+        this.spin = createSpin(); // { side, top } put on the ball by the shot
+        this.mesh = null; // Optional mesh kept in sync with the simulation
+
+        // Teleporter state (cooldown and the exit we last arrived at, so we can't bounce back)
+        this.teleportState = createTeleportState();
+        this.justTeleported = false; // Skip collision detection for one pass after teleporting
+
+        // Collision state
+        this.previousPosition = null; // For swept collision detection
+        this.isOutOfBounds = false;
+        this.outOfBoundsTimer = 0;
+        this.hasTriggeredHazardOutOfBounds = false;
+        this.isInWater = false; // In a water hazard, waiting for the owner to pick a drop
+        this.lastSafePosition = this.position.clone(); // Last spot the ball was rolling in play (out-of-bounds rules)
+        this.supportPlatform = null; // Moving platform the ball is riding - its velocity is relative to it
+        this.isTouchingSurface = false; // Hit or leaned on a wall, bumper or other obstacle this step
+        this.climbSlope = null; // Slope the ball was rolling on at the start of the step
+    }
+
+    setMesh(mesh) {
+        this.mesh = mesh;
+        if (mesh) {
+            mesh.position.copy(this.position);
+        }
+    }
+
+    setStartPosition(position) {
+        this.startPosition.copy(position);
+        this.position.copy(position);
+        this.lastSafePosition.copy(position);
+        this.velocity.set(0, 0, 0);
+        this.clearSpin();
+        this.resetTeleportState();
+        this.resetCollisionState();
+        this.syncMeshPosition();
+    }
+
+    setPosition(position) {
+        this.position.copy(position);
+        this.syncMeshPosition();
+    }
+
+    setVelocity(velocity) {
+        this.velocity.copy(velocity);
+    }
+
+    /**
+     * Put spin on the ball (call after setting the shot's velocity)
+     * @param {Object} spin - { side, top }, each -1 to 1 (see spin.js)
+     */
+    setSpin(spin) {
+        this.spin = createSpin(spin?.side, spin?.top);
+    }
+
+    clearSpin() {
+        this.spin.side = 0;
+        this.spin.top = 0;
+    }
+
+    // Backspin checks the ball up off whatever it just hit
+    applyImpactSpin(velocity) {
+        if (hasSpin(this.spin)) {
+            applySpinOnImpact(velocity, this.spin);
+        }
+    }
+
+    // Put the ball back on its tee
+    reset() {
+        this.position.copy(this.startPosition);
+        this.lastSafePosition.copy(this.startPosition);
+        this.velocity.set(0, 0, 0);
+        this.clearSpin();
+        this.justTeleported = false;
+        this.hasTriggeredHazardOutOfBounds = false;
+        this.isInWater = false;
+        this.supportPlatform = null;
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+            this.mesh.rotation.set(0, 0, 0);
+        }
+    }
+
+    // Place the ball at rest on the ground at a new position (teleporter exits)
+    respawnAt(position) {
+        this.position.copy(position);
+        this.position.y = this.radius; // Ensure ball is on the ground
+        this.lastSafePosition.copy(this.position);
+        this.velocity.set(0, 0, 0); // Stop the ball completely
+        this.clearSpin();
+        this.justTeleported = true; // Skip wall collisions next pass
+        this.supportPlatform = null;
+
+        // Reset collision tracking to prevent sweep collision from old position
+        this.previousPosition = null;
+
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+            this.mesh.rotation.set(0, 0, 0);
+        }
+    }
+
+    // Play on from a drop after a water hazard (resting on the ground at the given x/z)
+    dropAt(position) {
+        this.position.set(position.x, getTerrainHeight(position.x, position.z) + this.radius, position.z);
+        this.lastSafePosition.copy(this.position);
+        this.velocity.set(0, 0, 0);
+        this.clearSpin();
+        this.previousPosition = null;
+        this.isInWater = false;
+        this.supportPlatform = null;
+
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+            this.mesh.rotation.set(0, 0, 0);
+        }
+    }
+
+    resetCollisionState() {
+        this.isOutOfBounds = false;
+        this.isInWater = false;
+        this.previousPosition = null;
+        this.outOfBoundsTimer = 0;
+        this.hasTriggeredHazardOutOfBounds = false;
+        this.supportPlatform = null;
+        this.isTouchingSurface = false;
+        this.climbSlope = null;
+    }
+
+    resetTeleportState() {
+        this.teleportState = createTeleportState();
+        this.justTeleported = false;
+    }
+
+    updateTeleportCooldown(deltaTime) {
+        if (this.teleportState.cooldown > 0) {
+            this.teleportState.cooldown = Math.max(0, this.teleportState.cooldown - deltaTime);
+        }
+    }
+
+    isAtRest(threshold = 0.1) {
+        // On a steep slope it'll roll again unless something (a wall at the bottom) is holding it
+        return this.velocity.length() < threshold && (this.isTouchingSurface || !this.isOnSteepSlope());
+    }
+
+    // On ground steep enough that a ball stopped there starts rolling again
+    isOnSteepSlope() {
+        if (!this.isOnGround()) return false;
+        const slope = getTerrainSlope(this.position.x, this.position.z, this.getLandingLimit(), this.getStepStart());
+        return Math.hypot(slope.x, slope.z) >= PHYSICS_CONSTANTS.HOLDING_SLOPE;
+    }
+
+    getDistanceToHole() {
+        const holePos = getHolePosition();
+        return Math.sqrt(
+            Math.pow(this.position.x - holePos.x, 2) +
+            Math.pow(this.position.z - holePos.z, 2)
+        );
+    }
+
+    // Stop the ball and hand off to the owner's out-of-bounds rule
+    // reason: 'bounds' (left the course) or 'hazard' (fell into a rectangular hole)
+    triggerOutOfBounds(reason) {
+        if (this.isOutOfBounds) return;
+        this.isOutOfBounds = true;
+        this.outOfBoundsTimer = 0;
+        this.velocity.set(0, 0, 0);
+        this.clearSpin();
+        this.hooks.onOutOfBounds(this, reason);
+    }
+
+    // Stop the ball in the water and hand off to the owner's drop rule
+    triggerWaterHazard(waterEntry) {
+        if (this.isInWater) return;
+        this.isInWater = true;
+        this.velocity.set(0, 0, 0);
+        this.clearSpin();
+        this.hooks.onWaterHazard(this, waterEntry);
+    }
+
+    isInsideCourseBounds() {
+        const bounds = getCourseBounds();
+        return this.position.x >= bounds.minX && this.position.x <= bounds.maxX &&
+            this.position.z >= bounds.minZ && this.position.z <= bounds.maxZ;
+    }
+
+    isOnGround() {
+        return this.position.y <= this.getGroundHeight(this.position.x, this.position.z) + this.radius + GROUND_CONTACT_HEIGHT;
+    }
+
+    // In flight from a chip (or a bounce) - holes and hazards below don't pull it down yet
+    isAirborne() {
+        return !this.isOnGround();
+    }
+
+    /**
+     * Height of whatever the ball would rest on at a point - the terrain layer (ground, tier, ramp or bridge),
+     * or the top of a wall or platform it was above at the start of the step (chips can land on walls and roll along them)
+     */
+    getGroundHeight(x, z) {
+        const maxTop = this.getLandingLimit();
+        const wallTop = getWallTopBelow(x, z, maxTop);
+        const platform = getPlatformBelow(x, z, maxTop);
+        const platformTop = platform ? platform.userData.pose.y : -Infinity;
+        return Math.max(getTerrainHeight(x, z, maxTop, this.getStepStart()), wallTop, platformTop);
+    }
+
+    // Top of a platform, tier or bridge spanning a hole or hazard under the ball, or null if it's open
+    getSurfaceOverHazard(x, z) {
+        const maxTop = this.getLandingLimit();
+        const platform = getPlatformBelow(x, z, maxTop);
+        const tier = getTierBelow(x, z, maxTop, this.getStepStart());
+        if (!platform && !tier) return null;
+        return Math.max(platform ? platform.userData.pose.y : -Infinity, tier ? tier.height : -Infinity);
+    }
+
+    // Resting on a tier, ramp or bridge (not the open ground)
+    isOnTier() {
+        const bottom = this.position.y - this.radius;
+        const tier = getTierBelow(this.position.x, this.position.z, bottom + WALL_TOP_STEP);
+        return !!tier && bottom - tier.height <= GROUND_CONTACT_HEIGHT;
+    }
+
+    // Where the ball was at the start of this step
+    getStepStart() {
+        return this.previousPosition || this.position;
+    }
+
+    // Highest top the ball can come down on this step - anything taller is beside it, not under it
+    getLandingLimit() {
+        const stepStart = this.getStepStart();
+        const limit = stepStart.y - this.radius + WALL_TOP_STEP;
+        if (!this.climbSlope) return limit;
+
+        // Rolling uphill it reaches as high as the slope climbs over the move (onto the bridge deck at the top of a ramp)
+        const climb = this.climbSlope.x * (this.position.x - stepStart.x) + this.climbSlope.z * (this.position.z - stepStart.z);
+        return limit + Math.max(climb, 0);
+    }
+
+    // Moving platform the ball is resting on, or null
+    findSupportPlatform() {
+        const bottom = this.position.y - this.radius;
+        const platform = getPlatformBelow(this.position.x, this.position.z, bottom + WALL_TOP_STEP);
+        return platform && bottom - platform.userData.pose.y <= GROUND_CONTACT_HEIGHT ? platform : null;
+    }
+
+    // Carry the ball along with the platform it's riding (the platforms have already moved this step)
+    rideSupportPlatform() {
+        const platform = this.supportPlatform;
+        if (!platform) return;
+        if (!isPlatformActive(platform)) {
+            this.supportPlatform = null;
+            return;
+        }
+
+        const { previousPose, pose } = platform.userData;
+        const carried = carryWithPlatform(this.position, previousPose, pose);
+        // Lifts raise the ball straight up - the slide and turn are swept against walls like any other move
+        this.previousPosition.y += carried.y - this.position.y;
+        this.position.copy(carried);
+        // The roll is relative to the platform, so it turns with a turntable
+        this.velocity.applyAxisAngle(UP, pose.rotation - previousPose.rotation);
+    }
+
+    // Swap between platform-relative and world velocity as the ball gets on or off a platform
+    updateSupportPlatform() {
+        const platform = this.isOutOfBounds || this.isInWater ? null : this.findSupportPlatform();
+        if (platform === this.supportPlatform) return;
+
+        // Rolling or dropping off keeps the platform's motion
+        if (this.supportPlatform && isPlatformActive(this.supportPlatform)) {
+            this.velocity.add(getPlatformPointVelocity(this.supportPlatform, this.position));
+        }
+        if (platform) {
+            const platformVelocity = getPlatformPointVelocity(platform, this.position);
+            this.velocity.x -= platformVelocity.x;
+            this.velocity.z -= platformVelocity.z;
+        }
+        this.supportPlatform = platform;
+    }
+
+    // Bumpers that count hits (trigger conditions) only count real balls
+    reportBumperHit(bumper) {
+        if (!this.predictionOf) {
+            recordBumperHit(bumper);
+        }
+        this.hooks.onBumperHit(this, bumper);
+    }
+
+    reportImpact(position, normal, speed) {
+        const impactIntensity = Math.min(speed / 50.0, 2.0); // Scale intensity by speed
+        this.hooks.onImpact(this, position.clone(), normal.clone(), impactIntensity);
+    }
+
+    /**
+     * Advance the ball by one fixed physics step: apply forces and move it, then sweep the
+     * move against the course so it can't pass through anything however fast it goes
+     */
+    step(deltaTime) {
+        // Sitting in the water until a drop is chosen
+        if (this.isInWater) return;
+
+        this.updateTeleportCooldown(deltaTime);
+
+        // Remember where the step starts - collisions sweep from here to the new position
+        this.previousPosition = this.position.clone();
+        // Slope it's rolling on (looked up against the plain step limit, before any climb allowance)
+        this.climbSlope = null;
+        this.climbSlope = this.isOnGround() ? getTerrainSlope(this.position.x, this.position.z, this.getLandingLimit()) : null;
+
+        // Ride along with a moving platform
+        this.rideSupportPlatform();
+
+        // Apply fan push forces before the physics update
+        const pushForces = checkFanPush(this.position, this.radius);
+        pushForces.forEach(({ force }) => {
+            this.velocity.add(force.clone().multiplyScalar(deltaTime));
+        });
+
+        // Apply wind zone forces
+        applyWindForce(this.position, this.velocity, deltaTime);
+
+        this.integrate(deltaTime);
+
+        // Walls, bumpers, moving walls and fan blades
+        const moveStart = this.previousPosition || this.position.clone();
+        this.isTouchingSurface = collideBallWithCourse(this, deltaTime);
+
+        // Other balls in play (player, ghost) - both bounce off each other
+        if (collideWithOtherBalls(this, moveStart)) {
+            this.isTouchingSurface = true;
+        }
+        this.updateSupportPlatform();
+
+        // Water hazards - only a ball rolling on the ground goes in, one in the air or on a platform carries over
+        if (this.isOnGround() && !this.supportPlatform) {
+            const waterEntry = findWaterEntry(moveStart, this.position);
+            if (waterEntry) {
+                this.triggerWaterHazard(waterEntry);
+            }
+        }
+
+        // Pressure plates and trigger zones
+        if (!this.predictionOf) {
+            updateTriggersForBall(this);
+        }
+
+        // Remember the last spot the ball was rolling in play (replay-from-last-position rule)
+        if (!this.isOutOfBounds && !this.isInWater && this.isInsideCourseBounds() &&
+            this.isOnGround() && !this.isOverRectangularHole()) {
+            this.lastSafePosition.copy(this.position);
+        }
+    }
+
+    /**
+     * Integrate forces, friction, teleporters and terrain for one step
+     */
+    integrate(deltaTime) {
+        const position = this.position;
+        const velocity = this.velocity;
+
+        // Chipped balls fly over the hole and hazards - they only catch a ball that's down at ground level
+        const isAirborne = this.isAirborne();
+
+        // A platform, tier or bridge over the hole or a hazard keeps the ball up
+        const isOnRaisedSurface = !!this.findSupportPlatform() || this.isOnTier();
+
+        // Check if ball is over hole (only within hole radius)
+        const isOverHole = !isAirborne && !isOnRaisedSurface && this.getDistanceToHole() < HOLE_RADIUS;
+
+        // Get current horizontal speed
+        let horizontalVel = new THREE.Vector3(velocity.x, 0, velocity.z);
+        let currentSpeed = horizontalVel.length();
+
+        const isOverRectangularHole = this.isOverRectangularHole();
+        const isFallingIntoHazard = isOverRectangularHole && !isAirborne && !isOnRaisedSurface;
+
+        // Check if ball is deep in hole (below ground)
+        const isDeepInHole = position.y < -0.5 && isOverHole;
+
+        // Apply EXTREMELY strong downward force when over hole - MUCH easier to fall in
+        if (isOverHole) {
+            // Even stronger force when going slower, but still strong when fast
+            const speedFactor = Math.min(currentSpeed / getMaxShotSpeed(), 1.0); // 0 to 1
+            const DOWNWARD_FORCE = PHYSICS_CONSTANTS.HOLE_DOWNWARD_FORCE * (1.0 - speedFactor * 0.3); // At max speed, still 70% of force
+
+            velocity.y += DOWNWARD_FORCE * deltaTime;
+
+            // Aggressively reduce horizontal velocity to pull ball into hole
+            const reductionFactor = getStepFriction(0.85 - (speedFactor * 0.1), deltaTime); // 0.85 to 0.75 per frame
+            velocity.x *= reductionFactor;
+            velocity.z *= reductionFactor;
+        }
+
+        // Apply gravity when over rectangular holes (hazards)
+        if (isFallingIntoHazard) {
+            velocity.y += PHYSICS_CONSTANTS.HAZARD_DOWNWARD_FORCE * deltaTime; // Strong gravity for hazards
+
+            // Ball has fallen deep into hazard - out of bounds immediately (no pause)
+            if (position.y < HAZARD_OUT_OF_BOUNDS_DEPTH && !this.hasTriggeredHazardOutOfBounds) {
+                this.hasTriggeredHazardOutOfBounds = true;
+                this.triggerOutOfBounds('hazard');
+            }
+        } else if (isOverRectangularHole && !isOnRaisedSurface) {
+            // Carried over the hazard in the air - ordinary gravity until it comes down to ground level
+            velocity.y += PHYSICS_CONSTANTS.GRAVITY * deltaTime;
+        } else {
+            // Reset flag when ball is no longer over rectangular hole
+            this.hasTriggeredHazardOutOfBounds = false;
+        }
+
+        // Add damping when deep in hole to slow down for win condition
+        if (isDeepInHole) {
+            velocity.multiplyScalar(getStepFriction(0.95, deltaTime)); // Reduce velocity by 5% per frame
+        }
+
+        // Apply magnetic pull force if active (power-up)
+        if (this.usePowerUps && isMagneticPullActive()) {
+            this.applyMagneticPullPowerUp(deltaTime);
+        }
+
+        // Apply static magnetic field forces
+        const magneticFieldPull = checkMagneticFieldPull(position, deltaTime);
+        if (magneticFieldPull.lengthSq() > 0) {
+            velocity.add(magneticFieldPull);
+        }
+
+        // Apply velocity to position
+        position.add(velocity.clone().multiplyScalar(deltaTime));
+
+        // Check for teleporter collision BEFORE other collision checks (allows passing through walls)
+        if (this.teleportState.cooldown <= 0) {
+            const teleporterResult = this.findTeleport();
+            if (teleporterResult.teleported) {
+                this.respawnAt(teleporterResult.destination);
+                // Pads that keep the ball's speed send it on its way (otherwise it arrives at rest)
+                if (teleporterResult.exitVelocity) {
+                    this.velocity.copy(teleporterResult.exitVelocity);
+                }
+                this.hooks.onTeleport(this, teleporterResult);
+                // Skip rest of physics update since ball has been respawned
+                return;
+            }
+        }
+
+        // Recalculate horizontal velocity after potential modifications
+        horizontalVel.set(velocity.x, 0, velocity.z);
+        currentSpeed = horizontalVel.length();
+
+        // Surface under the ball (turf, sand, ice, ...) - its rolling effects only apply on the ground
+        const surface = getSurfaceAt(position.x, position.z);
+        const isRolling = !isOverHole && (!isOverRectangularHole || isOnRaisedSurface) && this.isOnGround();
+
+        // Ground too steep to hold the ball - it keeps rolling downhill, so slow balls get no extra friction and aren't stopped
+        const startSlope = this.climbSlope;
+        const rollsDownhill = isRolling && !!startSlope && Math.hypot(startSlope.x, startSlope.z) >= PHYSICS_CONSTANTS.HOLDING_SLOPE;
+
+        if (isAirborne) {
+            // In flight - only air drag, rolling friction takes over again once it lands
+            const drag = Math.exp(-PHYSICS_CONSTANTS.AIR_DRAG * deltaTime);
+            velocity.x *= drag;
+            velocity.z *= drag;
+        } else if (currentSpeed > 0.01) {
+            // Base friction for high speeds (allows long travel)
+            let friction = 0.98;
+
+            // Increase friction as speed decreases (takes longer to stop)
+            if (rollsDownhill) {
+                friction = 0.98; // Same friction all the way down, or the slope would only manage a crawl
+            } else if (currentSpeed < 1.0) {
+                friction = 0.92;
+            } else if (currentSpeed < 3.0) {
+                const t = (currentSpeed - 1.0) / 2.0; // 0 to 1 as speed goes from 1 to 3
+                friction = 0.92 + (0.06 * t); // Interpolate from 0.92 to 0.98
+            }
+
+            // Sand and rough grass bleed speed faster than turf, ice slower (and everything slower on a slippery profile)
+            if (isRolling) {
+                friction = Math.pow(friction, surface.friction * PHYSICS_CONSTANTS.ROLLING_FRICTION);
+            }
+
+            // Scale the per-frame friction to this step so the roll doesn't depend on frame rate
+            friction = getStepFriction(friction, deltaTime, currentSpeed);
+
+            // Apply friction only to horizontal velocity
+            velocity.x *= friction;
+            velocity.z *= friction;
+        }
+
+        if (isRolling) {
+            // Rolling resistance - a constant drag that stops slow balls dead on sand and sticky pads
+            const rollingSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+            if (surface.rollingResistance > 0 && rollingSpeed > 0) {
+                const slowedFactor = Math.max(0, rollingSpeed - surface.rollingResistance * deltaTime) / rollingSpeed;
+                velocity.x *= slowedFactor;
+                velocity.z *= slowedFactor;
+            }
+
+            // Boost pads push the ball along the pad's direction
+            if (surface.boost) {
+                velocity.x += surface.boost.x * deltaTime;
+                velocity.z += surface.boost.z * deltaTime;
+            }
+
+            // Sidespin curves the roll, topspin keeps it going, backspin holds it back
+            if (hasSpin(this.spin)) {
+                applySpinToRoll(velocity, this.spin, deltaTime, surface.friction);
+            }
+        }
+
+        // Stop horizontal velocity if too small
+        if (horizontalVel.length() < PHYSICS_CONSTANTS.MIN_VELOCITY && !rollsDownhill) {
+            velocity.x = 0;
+            velocity.z = 0;
+        }
+
+        // Handle terrain collision (ground, slopes, and humps)
+        // Skip terrain collision if over the main hole OR over a rectangular hole (unless a platform or bridge spans it)
+        const surfaceOverHazard = isOverRectangularHole ? this.getSurfaceOverHazard(position.x, position.z) : null;
+        if (!isOverHole && (!isOverRectangularHole || surfaceOverHazard !== null)) {
+            // Terrain layer, or a wall top or platform the ball came down on
+            const groundY = surfaceOverHazard ?? this.getGroundHeight(position.x, position.z);
+            const targetY = groundY + this.radius;
+
+            // Apply slope-based gravity (ball rolls downhill on ramps and hills)
+            let isOnSlope = false;
+            if (this.isOnGround()) {
+                const slope = getTerrainSlope(position.x, position.z, this.getLandingLimit(), this.getStepStart());
+                const steepness = Math.hypot(slope.x, slope.z);
+                if (steepness > 0) {
+                    velocity.x -= slope.x * PHYSICS_CONSTANTS.SLOPE_GRAVITY * deltaTime;
+                    velocity.z -= slope.z * PHYSICS_CONSTANTS.SLOPE_GRAVITY * deltaTime;
+
+                    // The grip that holds a stopped ball on HOLDING_SLOPE also slows a rolling one by a constant amount,
+                    // so it comes to rest on gentler slopes instead of creeping down them at the speed friction allows
+                    const grip = PHYSICS_CONSTANTS.HOLDING_SLOPE * PHYSICS_CONSTANTS.SLOPE_GRAVITY * deltaTime;
+                    const slopeSpeed = Math.hypot(velocity.x, velocity.z);
+                    const heldFactor = slopeSpeed > grip ? (slopeSpeed - grip) / slopeSpeed : 0;
+                    velocity.x *= heldFactor;
+                    velocity.z *= heldFactor;
+                }
+                isOnSlope = steepness > 0;
+            }
+
+            // Handle vertical collision with terrain
+            if (position.y < targetY) {
+                position.y = targetY;
+                // Hard landings bounce back up by the surface's bounce, anything else stops falling
+                if (velocity.y < 0) {
+                    velocity.y = -velocity.y > MIN_BOUNCE_SPEED ? -velocity.y * surface.bounce : 0;
+                    // Add some friction when landing (not when just rolling uphill)
+                    const friction = 0.95;
+                    velocity.x *= friction;
+                    velocity.z *= friction;
+                }
+            } else if (isOnSlope && velocity.y <= 0) {
+                // Keep rolling down a ramp instead of floating off it
+                position.y = targetY;
+            } else if (position.y > targetY + 0.1) {
+                // If ball is significantly above terrain, apply gravity
+                velocity.y += PHYSICS_CONSTANTS.GRAVITY * deltaTime;
+            }
+        }
+        // If over hole or rectangular hole, allow ball to fall freely (no terrain collision)
+
+        this.syncMeshRolling(horizontalVel.length(), deltaTime);
+    }
+
+    // Teleporter the ball is on this step - a prediction goes where the network would send it now, without moving its pick on
+    findTeleport() {
+        if (!this.predictionOf) {
+            return checkTeleporterCollision(this.position, this.radius, this.teleportState, this.velocity);
+        }
+        const trip = findTeleportTrip(this.position, this.radius, this.teleportState, this.velocity);
+        if (trip.teleported) {
+            takeTeleportTrip(trip, this.teleportState);
+        }
+        return trip;
+    }
+
+    isOverRectangularHole() {
+        for (const rectHole of getRectangularHoles()) {
+            const distX = Math.abs(this.position.x - rectHole.x);
+            const distZ = Math.abs(this.position.z - rectHole.z);
+            if (distX < rectHole.width / 2 && distZ < rectHole.length / 2) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    applyMagneticPullPowerUp(deltaTime) {
+        const magneticEffect = getMagneticPullEffect();
+        if (!magneticEffect) return;
+
+        const holePos = getHolePosition();
+        const directionToHole = new THREE.Vector3(
+            holePos.x - this.position.x,
+            0, // Only horizontal pull
+            holePos.z - this.position.z
+        );
+        const distanceToHole = directionToHole.length();
+
+        // Apply pull if within range
+        if (distanceToHole > 0 && distanceToHole < magneticEffect.range) {
+            directionToHole.normalize();
+
+            // Stronger when closer
+            const normalizedDistance = distanceToHole / magneticEffect.range; // 0 to 1
+            const pullStrength = magneticEffect.strength * (1.0 - normalizedDistance * 0.5);
+
+            // Scale by deltaTime and 60 for consistent force
+            this.velocity.add(directionToHole.multiplyScalar(pullStrength * deltaTime * 60));
+        }
+    }
+
+    syncMeshPosition() {
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+        }
+    }
+
+    // Update mesh position and rotate it based on movement (rolling effect)
+    syncMeshRolling(horizontalSpeed, deltaTime) {
+        if (!this.mesh) return;
+
+        this.mesh.position.copy(this.position);
+        if (horizontalSpeed > 0.01) {
+            const rotationAxis = new THREE.Vector3(-this.velocity.z, 0, this.velocity.x).normalize();
+            const rotationAmount = horizontalSpeed * deltaTime / this.radius;
+            this.mesh.rotateOnAxis(rotationAxis, rotationAmount);
+        }
+    }
+}
@@ -0,0 +1,137 @@
+// Ball-to-ball collisions - the player ball, the ghost ball and any other ball in play knock each other around
+// Balls in play register here, and each BallBody.step() sweeps its move against the others and
+// bounces both apart. Heavier (bigger) balls push lighter ones further; equal balls swap their
+// speed along the line of impact, like pool balls. A prediction body (the ghost AI's what-if shots)
+// bounces off the balls in play as they are now, without moving them.
+import * as THREE from 'three';
+import { isPlatformActive, getPlatformPointVelocity } from './platforms.js';
+
+export const BALL_RESTITUTION = 1; // Share of the closing speed the balls bounce apart with (1 = perfectly elastic)
+
+let balls = [];
+
+export function registerBall(body) {
+    if (!balls.includes(body)) {
+        balls.push(body);
+    }
+}
+
+export function unregisterBall(body) {
+    balls = balls.filter(ball => ball !== body);
+}
+
+export function getBalls() {
+    return balls;
+}
+
+/**
+ * Registered balls that can be hit right now (not waiting in the water or out of bounds)
+ */
+export function getBallsInPlay() {
+    return balls.filter(isInPlay);
+}
+
+/**
+ * Sweep a ball's move this step against every other ball in play and bounce off the first one it runs into
+ * @param {BallBody} body - Ball that has just moved from start to body.position
+ * @param {THREE.Vector3} start - Where the ball was at the start of the step
+ * @returns {BallBody|null} The ball it hit, or null if it didn't touch one
+ */
+export function collideWithOtherBalls(body, start) {
+    const isPrediction = !!body.predictionOf;
+    if (!(isPrediction || balls.includes(body)) || !isInPlay(body)) return null;
+
+    const motion = body.position.clone().sub(start);
+    let hitBall = null;
+    let hitT = Infinity;
+    for (const other of getBallsInPlay()) {
+        if (other === body || other === body.predictionOf) continue;
+        const t = sweepBallAgainstBall(start, motion, other.position, body.radius + other.radius);
+        if (t !== null && t < hitT) {
+            hitBall = other;
+            hitT = t;
+        }
+    }
+    if (!hitBall) return null;
+
+    // Stop where they touch - the rest of the move is lost in the impact
+    body.setPosition(start.clone().addScaledVector(motion, hitT));
+    const normal = body.position.clone().sub(hitBall.position);
+    if (normal.lengthSq() < 1e-12) {
+        normal.copy(motion).negate();
+    }
+    normal.normalize();
+
+    // Bounce with world velocities - a ball riding a platform moves relative to it
+    const carry = getCarryVelocity(body);
+    const otherCarry = getCarryVelocity(hitBall);
+    const velocity = body.velocity.clone().add(carry);
+    const otherVelocity = hitBall.velocity.clone().add(otherCarry);
+    const impactSpeed = bounceBalls(velocity, getBallMass(body), otherVelocity, getBallMass(hitBall), normal);
+    body.setVelocity(velocity.sub(carry));
+    if (!isPrediction) {
+        hitBall.setVelocity(otherVelocity.sub(otherCarry));
+    }
+
+    if (impactSpeed > 0.01) {
+        const contact = hitBall.position.clone().addScaledVector(normal, hitBall.radius);
+        body.reportImpact(contact, normal, impactSpeed);
+        if (!isPrediction) {
+            hitBall.reportImpact(contact, normal.clone().negate(), impactSpeed);
+        }
+    }
+    return hitBall;
+}
+
+/**
+ * Bounce two balls apart along the line between their centers (velocities are modified)
+ * @param {THREE.Vector3} normal - Unit vector from ball B's center to ball A's
+ * @returns {number} Speed they closed at, or 0 if they were already moving apart
+ */
+export function bounceBalls(velocityA, massA, velocityB, massB, normal) {
+    const closingSpeed = -velocityA.clone().sub(velocityB).dot(normal);
+    if (closingSpeed <= 0) return 0;
+
+    const impulse = ((1 + BALL_RESTITUTION) * closingSpeed) / (1 / massA + 1 / massB);
+    velocityA.addScaledVector(normal, impulse / massA);
+    velocityB.addScaledVector(normal, -impulse / massB);
+    return closingSpeed;
+}
+
+/**
+ * Fraction (0-1) of a move at which a moving sphere first touches a still one, or null if it misses
+ * @param {number} contactDistance - Distance between centers when they touch (sum of the radii)
+ */
+export function sweepBallAgainstBall(start, motion, center, contactDistance) {
+    const dx = start.x - center.x;
+    const dy = start.y - center.y;
+    const dz = start.z - center.z;
+    const a = motion.lengthSq();
+    const b = 2 * (dx * motion.x + dy * motion.y + dz * motion.z);
+    const c = dx * dx + dy * dy + dz * dz - contactDistance * contactDistance;
+
+    // Already touching - only counts if it's pushing further in
+    if (c <= 0) return b < 0 ? 0 : null;
+    if (a < 1e-12) return null;
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+}
+
+export function getBallMass(body) {
+    return body.radius * body.radius * body.radius;
+}
+
+// Sitting in the water or out of bounds waiting to be put back, a ball can't be hit
+function isInPlay(body) {
+    return !body.isInWater && !body.isOutOfBounds;
+}
+
+// Velocity of the platform a ball is riding (its own velocity is relative to it)
+function getCarryVelocity(body) {
+    return body.supportPlatform && isPlatformActive(body.supportPlatform)
+        ? getPlatformPointVelocity(body.supportPlatform, body.position)
+        : new THREE.Vector3();
+}
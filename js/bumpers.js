@@ -1,10 +1,13 @@
 // Bumper obstacle system
+// A bumper given a `path` (see path-motion.js) travels along it, e.g. orbiting the hole
 import * as THREE from 'three';
-import { scene, isFullMode } from './main.js';
+import { scene, isFullMode } from './scene-context.js';
+import { sweepSphere, torusDistance } from './sweep.js';
+import { createPathMotion, updatePathMotion, savePathMotion, restorePathMotion } from './path-motion.js';
 
 let bumpers = [];
 
-export function createBumper(position, radius = 1.0, tubeRadius = 0.3) {
+export function createBumper(position, radius = 1.0, tubeRadius = 0.3, path = null) {
     const bumperGroup = new THREE.Group();
     bumperGroup.position.set(position.x, position.y, position.z);
     
@@ -32,6 +35,17 @@ export function createBumper(position, radius = 1.0, tubeRadius = 0.3) {
     bumperGroup.userData.radius = radius;
     bumperGroup.userData.tubeRadius = tubeRadius;
     bumperGroup.userData.position = position.clone();
+    bumperGroup.userData.velocity = new THREE.Vector3();
+    bumperGroup.userData.motion = null;
+    
+    if (path) {
+        const motion = createPathMotion(path, position);
+        if (motion) {
+            bumperGroup.userData.motion = motion;
+            bumperGroup.position.x = motion.position.x;
+            bumperGroup.position.z = motion.position.z;
+        }
+    }
     
     scene.add(bumperGroup);
     bumpers.push(bumperGroup);
@@ -39,6 +53,48 @@ export function createBumper(position, radius = 1.0, tubeRadius = 0.3) {
     return bumperGroup;
 }
 
+/**
+ * Move bumpers that follow a path (call once per physics step)
+ */
+export function updateBumpers(deltaTime) {
+    bumpers.forEach(bumper => {
+        const motion = bumper.userData.motion;
+        if (!motion) return;
+        
+        updatePathMotion(motion, deltaTime);
+        syncMovingBumper(bumper);
+    });
+}
+
+/**
+ * Where every bumper that follows a path is along it, for restoreBumpers()
+ */
+export function saveBumpers() {
+    return bumpers.map(bumper => bumper.userData.motion ? savePathMotion(bumper.userData.motion) : null);
+}
+
+/**
+ * Put the bumpers back where saveBumpers() found them
+ */
+export function restoreBumpers(saved) {
+    bumpers.forEach((bumper, index) => {
+        if (!bumper.userData.motion) return;
+        restorePathMotion(bumper.userData.motion, saved[index]);
+        syncMovingBumper(bumper);
+    });
+}
+
+function syncMovingBumper(bumper) {
+    const motion = bumper.userData.motion;
+    bumper.position.x = motion.position.x;
+    bumper.position.z = motion.position.z;
+    bumper.userData.velocity.copy(motion.velocity);
+}
+
+export function isMovingBumper(bumper) {
+    return !!bumper.userData.motion;
+}
+
 export function getBumpers() {
     return bumpers;
 }
@@ -57,56 +113,45 @@ export function removeAllBumpers() {
     bumpers = [];
 }
 
-export function checkBumperCollisions(ballPosition, ballRadius = 0.5) {
-    for (const bumper of bumpers) {
-        const bumperPos = bumper.position;
-        const bumperRadius = bumper.userData.radius;
-        const tubeRadius = bumper.userData.tubeRadius;
-        
-        // Calculate distance from ball center to bumper center (in XZ plane)
-        const horizontalDist = Math.sqrt(
-            Math.pow(ballPosition.x - bumperPos.x, 2) + 
-            Math.pow(ballPosition.z - bumperPos.z, 2)
-        );
+/**
+ * Find the first bumper the ball touches while moving from start by motion (swept sphere vs torus)
+ * Moving bumpers are swept in their own frame, like moving walls
+ * @param {Array} candidates - Bumpers to test (e.g. from the collision index), defaults to all
+ * @param {number} deltaTime - Length of the physics step
+ * @param {number} elapsed - Fraction of the step already used up (0-1) by earlier hits
+ * @returns {Object|null} { t, normal, penetration, bumper, bumperVelocity } or null if the path is clear
+ */
+export function sweepBumpers(start, motion, ballRadius = 0.5, candidates = bumpers, deltaTime = 0, elapsed = 0) {
+    let firstHit = null;
+    const remaining = 1 - elapsed;
+    
+    for (const bumper of candidates) {
+        const bumperVelocity = bumper.userData.velocity;
+        const bumperMotion = bumperVelocity.clone().multiplyScalar(deltaTime * remaining);
+        const relativeMotion = motion.clone().sub(bumperMotion);
         
-        // Check if ball is at the right height (within tube radius vertically)
-        const verticalDist = Math.abs(ballPosition.y - bumperPos.y);
+        // Bumper has already been moved to the end of the step - sweep from where it was at `elapsed`
+        const torus = {
+            x: bumper.position.x - bumperMotion.x,
+            y: bumper.position.y,
+            z: bumper.position.z - bumperMotion.z,
+            radius: bumper.userData.radius,
+            tubeRadius: bumper.userData.tubeRadius
+        };
         
-        // Collision occurs if:
-        // 1. Ball is within the donut's outer radius (bumperRadius + tubeRadius)
-        // 2. Ball is outside the donut's inner radius (bumperRadius - tubeRadius)
-        // 3. Ball is at the right height (within tubeRadius vertically)
-        const outerRadius = bumperRadius + tubeRadius + ballRadius;
-        const innerRadius = Math.max(0, bumperRadius - tubeRadius - ballRadius);
+        // Quick rejection - bumper is further away than the ball can travel this step
+        const reach = ballRadius + relativeMotion.length();
+        const outerRadius = bumper.userData.radius + bumper.userData.tubeRadius;
+        if (Math.abs(start.x - torus.x) > outerRadius + reach ||
+            Math.abs(start.z - torus.z) > outerRadius + reach) {
+            continue;
+        }
         
-        if (horizontalDist <= outerRadius && 
-            horizontalDist >= innerRadius &&
-            verticalDist <= tubeRadius + ballRadius) {
-            
-            // Calculate collision normal (pointing from bumper center to ball)
-            const normal = new THREE.Vector3(
-                (ballPosition.x - bumperPos.x) / horizontalDist,
-                0, // Donut is horizontal, so normal is horizontal
-                (ballPosition.z - bumperPos.z) / horizontalDist
-            );
-            
-            // Push ball out to the surface of the bumper
-            const pushDistance = outerRadius + 0.01; // Small margin
-            const correctedPos = new THREE.Vector3(
-                bumperPos.x + normal.x * pushDistance,
-                ballPosition.y, // Keep Y position
-                bumperPos.z + normal.z * pushDistance
-            );
-            
-            return {
-                collided: true,
-                bumper: bumper,
-                correctedPos: correctedPos,
-                normal: normal
-            };
+        const hit = sweepSphere(start, relativeMotion, ballRadius, point => torusDistance(point, torus));
+        if (hit && (!firstHit || hit.t < firstHit.t)) {
+            firstHit = { ...hit, bumper, bumperVelocity: bumperVelocity.clone() };
         }
     }
     
-    return { collided: false };
+    return firstHit;
 }
-
@@ -0,0 +1,312 @@
+// Collision index - uniform-grid spatial hash over everything a ball can hit
+// Built by createCourse() once all obstacles exist; moving walls, bumpers and platforms are re-bucketed every physics step.
+// Collision checks and ghost AI path queries ask it for nearby objects instead of looping over
+// every wall, bumper and fan on the course.
+import * as THREE from 'three';
+import { getCustomWalls, getTestWalls, getRectangularHoleWalls, getRectangularHoleEdgeWalls } from './course.js';
+import { getBumpers, isMovingBumper } from './bumpers.js';
+import { getFans } from './fans.js';
+import { getMovingWalls } from './moving-walls.js';
+import { getPlatforms } from './platforms.js';
+import { getTiers } from './tiers.js';
+
+const CELL_SIZE = 4; // World units per grid cell (a few ball diameters - most walls span a handful of cells)
+
+// Object kinds, also the keys of the groups returned by queries
+const KINDS = ['customWalls', 'testWalls', 'rectangularHoleWalls', 'rectangularHoleEdgeWalls', 'bumpers', 'fans', 'movingWalls', 'platforms', 'tiers'];
+
+let cells = new Map(); // "cx,cz" -> array of entries
+let movingEntries = []; // Entries with a getBounds(object, deltaTime) to re-bucket them by
+let indexBuilt = false;
+let queryStamp = 0; // Marks entries already returned by the current query
+
+/**
+ * (Re)build the index from the obstacles currently on the course
+ */
+export function buildCollisionIndex() {
+    clearCollisionIndex();
+
+    getCustomWalls().forEach(wall => {
+        if (wall.userData.bounds) addEntry('customWalls', wall, wall.userData.bounds);
+    });
+    getTestWalls().forEach(wall => {
+        if (wall.userData.wallBounds) addEntry('testWalls', wall, wall.userData.wallBounds);
+    });
+    getRectangularHoleWalls().forEach(wall => addEntry('rectangularHoleWalls', wall, getMeshBounds(wall)));
+    getRectangularHoleEdgeWalls().forEach(wall => addEntry('rectangularHoleEdgeWalls', wall, getMeshBounds(wall)));
+    getBumpers().forEach(bumper => {
+        if (isMovingBumper(bumper)) {
+            addMovingEntry('bumpers', bumper, getMovingBumperBounds);
+        } else {
+            addEntry('bumpers', bumper, getBumperBounds(bumper));
+        }
+    });
+    getFans().forEach(fan => addEntry('fans', fan, getFanBounds(fan)));
+    getTiers().forEach(tier => addEntry('tiers', tier, tier.userData.bounds));
+    getMovingWalls().forEach(wall => addMovingEntry('movingWalls', wall, getMovingWallBounds));
+    getPlatforms().forEach(platform => addMovingEntry('platforms', platform, getPlatformBounds));
+
+    indexBuilt = true;
+    console.log(`COLLISION INDEX: Built with ${cells.size} cells`);
+}
+
+export function clearCollisionIndex() {
+    cells = new Map();
+    movingEntries = [];
+    indexBuilt = false;
+}
+
+/**
+ * Re-bucket moving objects after they've moved (call once per physics step)
+ * @param {number} deltaTime - Step length, used to cover the distance an object moves during the step
+ */
+export function updateCollisionIndex(deltaTime) {
+    movingEntries.forEach(entry => {
+        const bounds = entry.getBounds(entry.object, deltaTime);
+        const range = getCellRange(bounds);
+        entry.bounds = bounds;
+
+        // Only touch the grid when the object has crossed into different cells
+        if (range.minCX === entry.range.minCX && range.maxCX === entry.range.maxCX &&
+            range.minCZ === entry.range.minCZ && range.maxCZ === entry.range.maxCZ) {
+            return;
+        }
+        removeFromCells(entry);
+        entry.range = range;
+        insertIntoCells(entry);
+    });
+}
+
+/**
+ * Objects whose bounds overlap an area of the course
+ * @returns {Object} Arrays of objects grouped by kind (customWalls, bumpers, fans, ...)
+ */
+export function queryCollisionIndex(minX, minZ, maxX, maxZ) {
+    if (!indexBuilt) return getAllObjects();
+
+    const groups = createGroups();
+    const stamp = ++queryStamp;
+    const range = getCellRange({ minX, maxX, minZ, maxZ });
+
+    for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+        for (let cz = range.minCZ; cz <= range.maxCZ; cz++) {
+            collectCell(cx, cz, stamp, groups, { minX, maxX, minZ, maxZ });
+        }
+    }
+    return groups;
+}
+
+/**
+ * Objects within padding of the straight path from start to end
+ * Only cells the path actually passes near are visited, so long diagonal queries stay cheap
+ * @returns {Object} Arrays of objects grouped by kind
+ */
+export function queryCollisionIndexAlongPath(start, end, padding = 0) {
+    if (!indexBuilt) return getAllObjects();
+
+    const groups = createGroups();
+    const stamp = ++queryStamp;
+    const area = {
+        minX: Math.min(start.x, end.x) - padding,
+        maxX: Math.max(start.x, end.x) + padding,
+        minZ: Math.min(start.z, end.z) - padding,
+        maxZ: Math.max(start.z, end.z) + padding
+    };
+    const range = getCellRange(area);
+
+    // A cell can hold something near the path if its center is within padding + half its diagonal
+    const cellReach = padding + CELL_SIZE * Math.SQRT1_2;
+    const segmentStart = new THREE.Vector2(start.x, start.z);
+    const segmentEnd = new THREE.Vector2(end.x, end.z);
+
+    for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+        for (let cz = range.minCZ; cz <= range.maxCZ; cz++) {
+            const center = new THREE.Vector2((cx + 0.5) * CELL_SIZE, (cz + 0.5) * CELL_SIZE);
+            if (distanceToSegment(center, segmentStart, segmentEnd) > cellReach) continue;
+            collectCell(cx, cz, stamp, groups, area);
+        }
+    }
+    return groups;
+}
+
+function addEntry(kind, object, bounds) {
+    const entry = { kind, object, bounds, range: getCellRange(bounds), stamp: 0 };
+    insertIntoCells(entry);
+    return entry;
+}
+
+// An entry re-bucketed each step by updateCollisionIndex()
+function addMovingEntry(kind, object, getBounds) {
+    const entry = addEntry(kind, object, getBounds(object, 0));
+    entry.getBounds = getBounds;
+    movingEntries.push(entry);
+    return entry;
+}
+
+function insertIntoCells(entry) {
+    const { minCX, maxCX, minCZ, maxCZ } = entry.range;
+    for (let cx = minCX; cx <= maxCX; cx++) {
+        for (let cz = minCZ; cz <= maxCZ; cz++) {
+            const key = `${cx},${cz}`;
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = [];
+                cells.set(key, cell);
+            }
+            cell.push(entry);
+        }
+    }
+}
+
+function removeFromCells(entry) {
+    const { minCX, maxCX, minCZ, maxCZ } = entry.range;
+    for (let cx = minCX; cx <= maxCX; cx++) {
+        for (let cz = minCZ; cz <= maxCZ; cz++) {
+            const key = `${cx},${cz}`;
+            const cell = cells.get(key);
+            if (!cell) continue;
+            const index = cell.indexOf(entry);
+            if (index !== -1) cell.splice(index, 1);
+            if (cell.length === 0) cells.delete(key);
+        }
+    }
+}
+
+function collectCell(cx, cz, stamp, groups, area) {
+    const cell = cells.get(`${cx},${cz}`);
+    if (!cell) return;
+
+    for (const entry of cell) {
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        if (entry.object.userData.isOpen) continue; // Gate opened by a trigger
+
+        const bounds = entry.bounds;
+        if (bounds.maxX < area.minX || bounds.minX > area.maxX ||
+            bounds.maxZ < area.minZ || bounds.minZ > area.maxZ) {
+            continue;
+        }
+        groups[entry.kind].push(entry.object);
+    }
+}
+
+function getCellRange(bounds) {
+    return {
+        minCX: Math.floor(bounds.minX / CELL_SIZE),
+        maxCX: Math.floor(bounds.maxX / CELL_SIZE),
+        minCZ: Math.floor(bounds.minZ / CELL_SIZE),
+        maxCZ: Math.floor(bounds.maxZ / CELL_SIZE)
+    };
+}
+
+function createGroups() {
+    const groups = {};
+    KINDS.forEach(kind => {
+        groups[kind] = [];
+    });
+    return groups;
+}
+
+// Everything on the course - used before the index has been built
+function getAllObjects() {
+    return {
+        customWalls: getCustomWalls().filter(wall => !wall.userData.isOpen),
+        testWalls: getTestWalls(),
+        rectangularHoleWalls: getRectangularHoleWalls(),
+        rectangularHoleEdgeWalls: getRectangularHoleEdgeWalls(),
+        bumpers: getBumpers(),
+        fans: getFans(),
+        movingWalls: getMovingWalls(),
+        platforms: getPlatforms(),
+        tiers: getTiers()
+    };
+}
+
+function getMeshBounds(mesh) {
+    const box = new THREE.Box3().setFromObject(mesh);
+    return { minX: box.min.x, maxX: box.max.x, minZ: box.min.z, maxZ: box.max.z };
+}
+
+function getBumperBounds(bumper) {
+    const outerRadius = bumper.userData.radius + bumper.userData.tubeRadius;
+    return {
+        minX: bumper.position.x - outerRadius,
+        maxX: bumper.position.x + outerRadius,
+        minZ: bumper.position.z - outerRadius,
+        maxZ: bumper.position.z + outerRadius
+    };
+}
+
+// Area the blades sweep through (covers the push area too)
+function getFanBounds(fan) {
+    const bladeReach = fan.userData.radius * 0.5 + fan.userData.bladeLength / 2 + fan.userData.bladeWidth / 2;
+    const reach = Math.max(bladeReach, fan.userData.radius);
+    return {
+        minX: fan.userData.x - reach,
+        maxX: fan.userData.x + reach,
+        minZ: fan.userData.z - reach,
+        maxZ: fan.userData.z + reach
+    };
+}
+
+// Current (rotated) box, stretched back over the distance the wall moved during the last step
+function getMovingWallBounds(wall, deltaTime) {
+    const cos = Math.abs(Math.cos(wall.rotation.y));
+    const sin = Math.abs(Math.sin(wall.rotation.y));
+    const halfWidth = wall.userData.width / 2;
+    const halfDepth = wall.userData.depth / 2;
+    // Pad by how far a corner can swing while the wall turns, too
+    const spin = Math.abs(wall.userData.angularVelocity) * deltaTime * Math.hypot(halfWidth, halfDepth);
+    const travelX = Math.abs(wall.userData.velocity.x) * deltaTime + spin;
+    const travelZ = Math.abs(wall.userData.velocity.z) * deltaTime + spin;
+    const extentX = halfWidth * cos + halfDepth * sin;
+    const extentZ = halfWidth * sin + halfDepth * cos;
+    return {
+        minX: wall.position.x - extentX - travelX,
+        maxX: wall.position.x + extentX + travelX,
+        minZ: wall.position.z - extentZ - travelZ,
+        maxZ: wall.position.z + extentZ + travelZ
+    };
+}
+
+// Platform outline where it is now and where it was a step ago
+function getPlatformBounds(platform) {
+    const data = platform.userData;
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    [data.previousPose, data.pose].forEach(pose => {
+        let extentX = data.radius;
+        let extentZ = data.radius;
+        if (data.shape !== 'disc') {
+            const cos = Math.abs(Math.cos(pose.rotation));
+            const sin = Math.abs(Math.sin(pose.rotation));
+            extentX = data.width / 2 * cos + data.depth / 2 * sin;
+            extentZ = data.width / 2 * sin + data.depth / 2 * cos;
+        }
+        bounds.minX = Math.min(bounds.minX, pose.x - extentX);
+        bounds.maxX = Math.max(bounds.maxX, pose.x + extentX);
+        bounds.minZ = Math.min(bounds.minZ, pose.z - extentZ);
+        bounds.maxZ = Math.max(bounds.maxZ, pose.z + extentZ);
+    });
+    return bounds;
+}
+
+// Same for a bumper travelling along a path
+function getMovingBumperBounds(bumper, deltaTime) {
+    const bounds = getBumperBounds(bumper);
+    const travelX = Math.abs(bumper.userData.velocity.x) * deltaTime;
+    const travelZ = Math.abs(bumper.userData.velocity.z) * deltaTime;
+    bounds.minX -= travelX;
+    bounds.maxX += travelX;
+    bounds.minZ -= travelZ;
+    bounds.maxZ += travelZ;
+    return bounds;
+}
+
+function distanceToSegment(point, segmentStart, segmentEnd) {
+    const segment = new THREE.Vector2().subVectors(segmentEnd, segmentStart);
+    const lengthSq = segment.lengthSq();
+    if (lengthSq === 0) return point.distanceTo(segmentStart);
+
+    const t = Math.max(0, Math.min(1, new THREE.Vector2().subVectors(point, segmentStart).dot(segment) / lengthSq));
+    return point.distanceTo(segmentStart.clone().addScaledVector(segment, t));
+}
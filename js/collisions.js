@@ -1,38 +1,121 @@
 // Collision detection and response
 import * as THREE from 'three';
-import { scene } from './main.js';
-import { getBallPosition, getBallVelocity, setBallVelocity, setBallPosition, resetBall } from './ball.js';
-import { getCourseBounds, getTestWalls, getRectangularHoleWalls, getRectangularHoleEdgeWalls, getRectangularHoles, getCustomWalls } from './course.js';
+import { scene } from './scene-context.js';
+import { getPlayerBall } from './ball.js';
+import { getCourseBounds, getRectangularHoles, getCustomWalls } from './course.js';
 import { PHYSICS_CONSTANTS } from './physics.js';
-import { incrementStroke } from './game.js';
-import { createImpactEffect } from './particles.js';
-import { checkBumperCollisions } from './bumpers.js';
+import { incrementStroke, getLastBallState } from './game.js';
+import { sweepBumpers } from './bumpers.js';
+import { sweepMovingWalls } from './moving-walls.js';
+import { sweepPlatforms, findPlatformBelow } from './platforms.js';
+import { sweepTiers, findTierBelow } from './tiers.js';
+import { sweepFanBlades } from './fans.js';
+import { sweepSphere, boxDistance, planeDistance, SWEEP_SKIN } from './sweep.js';
+import { queryCollisionIndex, queryCollisionIndexAlongPath } from './collision-index.js';
+import { WaterDrop, WATER_PENALTY_STROKES, getWaterDropOptions, getWaterDropPosition } from './water-hazards.js';
+import { getOutOfBoundsRule, getOutOfBoundsPosition, OutOfBoundsPlacement } from './out-of-bounds.js';
 // Removed Ghost Ball imports - no longer needed
 
-const BALL_RADIUS = 0.5;
-let isOutOfBounds = false;
-let hasTriggeredRectangularHoleOOB = false; // Prevent multiple triggers
-let outOfBoundsTimer = 0;
-const OUT_OF_BOUNDS_GRACE = 0.35; // seconds the ball must stay outside before penalty
+const OUT_OF_BOUNDS_RESET_DELAY = 2000; // ms the message shows before the ball is put back
+const MAX_SWEEP_HITS = 4; // Bounces resolved per physics step (more means the ball is wedged)
+const ZERO_VELOCITY = new THREE.Vector3();
+const RESTING_CONTACT_SPEED = 0.2; // Slower than this into a surface (e.g. held against a wall by a slope) slides instead of bouncing
 
-// Store previous position for continuous collision detection
-let previousBallPosition = null;
-
-
-export function checkWallCollisions() {
-    const ballPos = getBallPosition();
-    const ballVel = getBallVelocity();
-    const deltaTime = PHYSICS_CONSTANTS?.DELTA_TIME_OVERRIDE || 0; // optional override, else handled by substeps
+/**
+ * Collide a ball body with the course (bounds, walls, tier sides, bumpers, moving walls, platform sides, fan blades, hole barriers)
+ * The move from body.previousPosition to body.position is swept, so nothing tunnels at any speed
+ * Collision state (previous position, out-of-bounds timer) lives on the body,
+ * so the same code serves the player ball, the ghost ball and any other ball
+ * @param {BallBody} body - Ball to collide
+ * @param {number} stepDeltaTime - Length of the physics step in seconds
+ * @returns {boolean} True if a collision occurred
+ */
+export function collideBallWithCourse(body, stepDeltaTime = 0) {
+    // Skip collision check for one pass after teleporting
+    if (body.justTeleported) {
+        body.justTeleported = false;
+        body.previousPosition = null;
+        return false;
+    }
+    
+    const BALL_RADIUS = body.radius;
+    const deltaTime = stepDeltaTime || PHYSICS_CONSTANTS?.DELTA_TIME_OVERRIDE || 0; // step length, else optional override
     
-    // Store previous position for next frame
-    if (previousBallPosition === null) {
-        previousBallPosition = ballPos.clone();
+    // Sweep from where the ball was at the start of the step
+    if (body.previousPosition === null) {
+        body.previousPosition = body.position.clone();
     }
     const bounds = getCourseBounds();
     const OUT_OF_BOUNDS_MARGIN = 2.0;
     
-    // Initialize collision tracking
+    // Swept collision against walls, bumpers, moving walls and fan blades:
+    // find the earliest hit along the move, bounce there, and continue with what's left of the step
     let collisionOccurred = false;
+    let sweepStart = body.previousPosition.clone();
+    let motion = body.position.clone().sub(sweepStart);
+    let elapsed = 0; // Fraction of the step used up by earlier hits
+    let hitCount = 0;
+    
+    while (true) {
+        const hit = findFirstHit(sweepStart, motion, BALL_RADIUS, deltaTime, elapsed, bounds);
+        if (!hit) {
+            sweepStart.add(motion);
+            break;
+        }
+        
+        // Move to the contact point, nudged just outside the surface
+        const contactPos = sweepStart.clone()
+            .addScaledVector(motion, hit.t)
+            .addScaledVector(hit.normal, hit.penetration + SWEEP_SKIN);
+        
+        const ballVel = body.velocity.clone();
+        const relativeVel = ballVel.clone().sub(hit.surfaceVelocity || ZERO_VELOCITY);
+        const approachSpeed = -relativeVel.dot(hit.normal);
+        let newVel;
+        if (approachSpeed < getRestingContactSpeed(body, hit.normal)) {
+            // Just leaning on it - drop the push into the surface and keep sliding along it
+            newVel = ballVel.clone().addScaledVector(hit.normal, approachSpeed);
+            body.setVelocity(newVel);
+        } else {
+            newVel = hit.respond(ballVel);
+            body.applyImpactSpin(newVel);
+            body.setVelocity(newVel);
+            if (hit.bumper) {
+                body.reportBumperHit(hit.bumper);
+            }
+            
+            // Create impact effect at collision point (relative speed, so moving walls count)
+            const impactSpeed = relativeVel.length();
+            if (impactSpeed > 0.01) {
+                body.reportImpact(contactPos, hit.normal, impactSpeed);
+            }
+        }
+        collisionOccurred = true;
+        
+        const usedFraction = hit.t;
+        elapsed += (1 - elapsed) * usedFraction;
+        sweepStart = contactPos;
+        
+        hitCount++;
+        if (hitCount >= MAX_SWEEP_HITS) {
+            break; // Wedged between surfaces - stop at the last contact
+        }
+        
+        // Remaining motion follows the new velocity for the rest of the step
+        const remainingTime = deltaTime * (1 - elapsed);
+        motion = new THREE.Vector3(
+            newVel.x * remainingTime,
+            motion.y * (1 - usedFraction),
+            newVel.z * remainingTime
+        );
+    }
+    
+    if (collisionOccurred) {
+        body.setPosition(sweepStart);
+    }
+    
+    const ballPos = body.position.clone();
+    const ballVel = body.velocity.clone();
     
     // Check if completely out of bounds, but allow a short grace period
     const outsideBounds = (
@@ -44,346 +127,24 @@ export function checkWallCollisions() {
     if (outsideBounds) {
         // Use deltaTime if provided; otherwise assume ~60fps for safety
         const dt = deltaTime && deltaTime > 0 ? deltaTime : 1 / 60;
-        outOfBoundsTimer += dt;
-        if (outOfBoundsTimer >= OUT_OF_BOUNDS_GRACE && !isOutOfBounds) {
-            handleOutOfBounds();
+        body.outOfBoundsTimer += dt;
+        body.previousPosition = ballPos.clone();
+        if (body.outOfBoundsTimer >= getOutOfBoundsRule().gracePeriod && !body.isOutOfBounds) {
+            body.triggerOutOfBounds('bounds');
             return true;
         }
         // Still outside but within grace period; treat as collision handled to avoid further processing
         return true;
     } else {
         // Reset timer when back inside
-        outOfBoundsTimer = 0;
-    }
-    
-    // Normal wall collision (only for standard rectangular courses - custom wall courses use customWalls)
-    let collisionNormal = new THREE.Vector3();
-    const correctedPos = ballPos.clone();
-    
-    // Check if we have custom walls - if so, skip perimeter collision as custom walls handle it
-    const customWalls = getCustomWalls();
-    const hasCustomWalls = customWalls && customWalls.length > 0;
-    
-    if (!hasCustomWalls) {
-        // North wall (negative Z)
-        if (ballPos.z - BALL_RADIUS < bounds.minZ) {
-            correctedPos.z = bounds.minZ + BALL_RADIUS;
-            collisionNormal.set(0, 0, 1);
-            collisionOccurred = true;
-        }
-        
-        // South wall (positive Z)
-        if (ballPos.z + BALL_RADIUS > bounds.maxZ) {
-            correctedPos.z = bounds.maxZ - BALL_RADIUS;
-            collisionNormal.set(0, 0, -1);
-            collisionOccurred = true;
-        }
-        
-        // East wall (positive X)
-        if (ballPos.x + BALL_RADIUS > bounds.maxX) {
-            correctedPos.x = bounds.maxX - BALL_RADIUS;
-            collisionNormal.set(-1, 0, 0);
-            collisionOccurred = true;
-        }
-        
-        // West wall (negative X)
-        if (ballPos.x - BALL_RADIUS < bounds.minX) {
-            correctedPos.x = bounds.minX + BALL_RADIUS;
-            collisionNormal.set(1, 0, 0);
-            collisionOccurred = true;
-        }
-        
-        if (collisionOccurred) {
-            setBallPosition(correctedPos);
-        }
-        
-        if (collisionOccurred && ballVel.length() > 0.01) {
-            const reflectedVel = ballVel.clone();
-            reflectedVel.reflect(collisionNormal);
-            reflectedVel.multiplyScalar(PHYSICS_CONSTANTS.BOUNCE_DAMPING);
-            setBallVelocity(reflectedVel);
-            
-            // Create impact effect at collision point
-            const impactIntensity = Math.min(ballVel.length() / 50.0, 2.0); // Scale intensity by speed
-            createImpactEffect(correctedPos.clone(), collisionNormal.clone(), impactIntensity);
-        }
-    }
-    
-    // Check collisions with test walls (internal walls) - use same simple logic as perimeter walls
-    const testWalls = getTestWalls();
-    for (const testWall of testWalls) {
-        if (!testWall.userData.wallBounds) {
-            continue;
-        }
-        
-        // Quick AABB rejection
-        const bounds = testWall.userData.wallBounds;
-        if (ballPos.x + BALL_RADIUS < bounds.minX || 
-            ballPos.x - BALL_RADIUS > bounds.maxX ||
-            ballPos.z + BALL_RADIUS < bounds.minZ || 
-            ballPos.z - BALL_RADIUS > bounds.maxZ ||
-            ballPos.y >= bounds.maxY || ballPos.y <= bounds.minY) {
-            continue;
-        }
-        
-        // Transform to local space for accurate collision check
-        const wallPos = testWall.position;
-        const wallRotation = testWall.rotation.y;
-        const wallWidth = testWall.userData.wallWidth || 2.0;
-        const wallLength = testWall.userData.wallLength || 15.0;
-        const wallHeight = testWall.userData.wallHeight || 3.0;
-        
-        const cosRot = Math.cos(-wallRotation);
-        const sinRot = Math.sin(-wallRotation);
-        
-        const relativePos = ballPos.clone().sub(wallPos);
-        const localX = relativePos.x * cosRot - relativePos.z * sinRot;
-        const localZ = relativePos.x * sinRot + relativePos.z * cosRot;
-        const localY = relativePos.y;
-        
-        const halfWidth = wallWidth / 2;
-        const halfDepth = wallLength / 2;
-        const halfHeight = wallHeight / 2;
-        
-        // Check collision in local space (same as perimeter walls)
-        let correctedLocalX = localX;
-        let correctedLocalZ = localZ;
-        let wallCollision = false;
-        let collisionNormalLocal = new THREE.Vector3();
-        
-        // Check each face and clamp (same logic as perimeter walls)
-        if (localX + BALL_RADIUS > -halfWidth && localX - BALL_RADIUS < halfWidth &&
-            localZ + BALL_RADIUS > -halfDepth && localZ - BALL_RADIUS < halfDepth &&
-            localY < halfHeight && localY > -halfHeight) {
-            
-            // Ball is inside - find closest face and push out (same as perimeter walls)
-            const distToLeft = Math.abs(localX - (-halfWidth));
-            const distToRight = Math.abs(localX - halfWidth);
-            const distToFront = Math.abs(localZ - (-halfDepth));
-            const distToBack = Math.abs(localZ - halfDepth);
-            
-            const minDist = Math.min(distToLeft, distToRight, distToFront, distToBack);
-            
-            if (minDist === distToLeft) {
-                correctedLocalX = -halfWidth + BALL_RADIUS;
-                collisionNormalLocal.set(1, 0, 0);
-                wallCollision = true;
-            } else if (minDist === distToRight) {
-                correctedLocalX = halfWidth - BALL_RADIUS;
-                collisionNormalLocal.set(-1, 0, 0);
-                wallCollision = true;
-            } else if (minDist === distToFront) {
-                correctedLocalZ = -halfDepth + BALL_RADIUS;
-                collisionNormalLocal.set(0, 0, 1);
-                wallCollision = true;
-            } else if (minDist === distToBack) {
-                correctedLocalZ = halfDepth - BALL_RADIUS;
-                collisionNormalLocal.set(0, 0, -1);
-                wallCollision = true;
-            }
-            
-            if (wallCollision) {
-                // Transform back to world space
-                const correctedWorldX = correctedLocalX * cosRot - correctedLocalZ * sinRot + wallPos.x;
-                const correctedWorldZ = correctedLocalX * sinRot + correctedLocalZ * cosRot + wallPos.z;
-                const correctedWorldPos = new THREE.Vector3(correctedWorldX, ballPos.y, correctedWorldZ);
-                
-                // Transform normal to world space
-                const normalX = collisionNormalLocal.x * cosRot - collisionNormalLocal.z * sinRot;
-                const normalZ = collisionNormalLocal.x * sinRot + collisionNormalLocal.z * cosRot;
-                const wallNormal = new THREE.Vector3(normalX, 0, normalZ).normalize();
-                
-                setBallPosition(correctedWorldPos);
-                
-                if (ballVel.length() > 0.01) {
-                    const reflectedVel = ballVel.clone();
-                    reflectedVel.reflect(wallNormal);
-                    reflectedVel.multiplyScalar(PHYSICS_CONSTANTS.BOUNCE_DAMPING);
-                    setBallVelocity(reflectedVel);
-                    
-                    // Create impact effect at collision point
-                    const impactIntensity = Math.min(ballVel.length() / 50.0, 2.0);
-                    createImpactEffect(correctedWorldPos.clone(), wallNormal.clone(), impactIntensity);
-                }
-                
-                collisionOccurred = true;
-                break; // Only handle one collision per frame
-            }
-        }
-    }
-    
-    // Check collisions with custom walls using swept collision detection
-    // This prevents fast-moving balls from phasing through walls
-    if (!collisionOccurred) {
-        const customWalls = getCustomWalls();
-        const prevPos = previousBallPosition || ballPos.clone();
-        
-        for (const wall of customWalls) {
-            const bounds = wall.userData.bounds;
-            if (!bounds) continue;
-            
-            // Expand bounds by ball radius for swept sphere collision
-            const expandedBounds = {
-                minX: bounds.minX - BALL_RADIUS,
-                maxX: bounds.maxX + BALL_RADIUS,
-                minZ: bounds.minZ - BALL_RADIUS,
-                maxZ: bounds.maxZ + BALL_RADIUS
-            };
-            
-            // First check: is ball currently overlapping?
-            const currentlyOverlapping = (
-                ballPos.x > expandedBounds.minX && 
-                ballPos.x < expandedBounds.maxX &&
-                ballPos.z > expandedBounds.minZ && 
-                ballPos.z < expandedBounds.maxZ
-            );
-            
-            // Second check: did ball path cross through the wall? (swept collision)
-            let sweptCollision = false;
-            let collisionT = 1.0; // Parameter along path where collision occurs (0=start, 1=end)
-            let collisionNormal = new THREE.Vector3();
-            
-            if (!currentlyOverlapping && prevPos) {
-                // Check if line segment from prevPos to ballPos crosses any wall face
-                const dx = ballPos.x - prevPos.x;
-                const dz = ballPos.z - prevPos.z;
-                
-                // Check each face of the expanded AABB
-                // Left face (x = minX)
-                if (dx > 0 && prevPos.x <= expandedBounds.minX && ballPos.x >= expandedBounds.minX) {
-                    const t = (expandedBounds.minX - prevPos.x) / dx;
-                    const zAtT = prevPos.z + t * dz;
-                    if (t >= 0 && t <= 1 && zAtT >= expandedBounds.minZ && zAtT <= expandedBounds.maxZ) {
-                        if (t < collisionT) {
-                            collisionT = t;
-                            collisionNormal.set(-1, 0, 0);
-                            sweptCollision = true;
-                        }
-                    }
-                }
-                // Right face (x = maxX)
-                if (dx < 0 && prevPos.x >= expandedBounds.maxX && ballPos.x <= expandedBounds.maxX) {
-                    const t = (expandedBounds.maxX - prevPos.x) / dx;
-                    const zAtT = prevPos.z + t * dz;
-                    if (t >= 0 && t <= 1 && zAtT >= expandedBounds.minZ && zAtT <= expandedBounds.maxZ) {
-                        if (t < collisionT) {
-                            collisionT = t;
-                            collisionNormal.set(1, 0, 0);
-                            sweptCollision = true;
-                        }
-                    }
-                }
-                // Front face (z = minZ)
-                if (dz > 0 && prevPos.z <= expandedBounds.minZ && ballPos.z >= expandedBounds.minZ) {
-                    const t = (expandedBounds.minZ - prevPos.z) / dz;
-                    const xAtT = prevPos.x + t * dx;
-                    if (t >= 0 && t <= 1 && xAtT >= expandedBounds.minX && xAtT <= expandedBounds.maxX) {
-                        if (t < collisionT) {
-                            collisionT = t;
-                            collisionNormal.set(0, 0, -1);
-                            sweptCollision = true;
-                        }
-                    }
-                }
-                // Back face (z = maxZ)
-                if (dz < 0 && prevPos.z >= expandedBounds.maxZ && ballPos.z <= expandedBounds.maxZ) {
-                    const t = (expandedBounds.maxZ - prevPos.z) / dz;
-                    const xAtT = prevPos.x + t * dx;
-                    if (t >= 0 && t <= 1 && xAtT >= expandedBounds.minX && xAtT <= expandedBounds.maxX) {
-                        if (t < collisionT) {
-                            collisionT = t;
-                            collisionNormal.set(0, 0, 1);
-                            sweptCollision = true;
-                        }
-                    }
-                }
-            }
-            
-            if (currentlyOverlapping || sweptCollision) {
-                let correctedPos;
-                
-                if (sweptCollision && !currentlyOverlapping) {
-                    // Ball passed through - place it at the collision point
-                    correctedPos = new THREE.Vector3(
-                        prevPos.x + collisionT * (ballPos.x - prevPos.x),
-                        ballPos.y,
-                        prevPos.z + collisionT * (ballPos.z - prevPos.z)
-                    );
-                    // Push slightly outside the wall
-                    correctedPos.add(collisionNormal.clone().multiplyScalar(0.01));
-                } else {
-                    // Ball is currently overlapping - push out to nearest edge
-                    const distToLeft = ballPos.x - expandedBounds.minX;
-                    const distToRight = expandedBounds.maxX - ballPos.x;
-                    const distToFront = ballPos.z - expandedBounds.minZ;
-                    const distToBack = expandedBounds.maxZ - ballPos.z;
-                    
-                    const minDist = Math.min(distToLeft, distToRight, distToFront, distToBack);
-                    
-                    correctedPos = ballPos.clone();
-                    
-                    if (minDist === distToLeft) {
-                        correctedPos.x = expandedBounds.minX;
-                        collisionNormal.set(-1, 0, 0);
-                    } else if (minDist === distToRight) {
-                        correctedPos.x = expandedBounds.maxX;
-                        collisionNormal.set(1, 0, 0);
-                    } else if (minDist === distToFront) {
-                        correctedPos.z = expandedBounds.minZ;
-                        collisionNormal.set(0, 0, -1);
-                    } else if (minDist === distToBack) {
-                        correctedPos.z = expandedBounds.maxZ;
-                        collisionNormal.set(0, 0, 1);
-                    }
-                }
-                
-                setBallPosition(correctedPos);
-                
-                if (ballVel.length() > 0.01) {
-                    const reflectedVel = ballVel.clone();
-                    reflectedVel.reflect(collisionNormal);
-                    reflectedVel.multiplyScalar(PHYSICS_CONSTANTS.BOUNCE_DAMPING);
-                    setBallVelocity(reflectedVel);
-                    
-                    const impactIntensity = Math.min(ballVel.length() / 50.0, 2.0);
-                    createImpactEffect(correctedPos.clone(), collisionNormal.clone(), impactIntensity);
-                }
-                
-                collisionOccurred = true;
-                break;
-            }
-        }
-    }
-    
-    // Check collisions with bumpers (donut-shaped obstacles)
-    const bumperCollision = checkBumperCollisions(ballPos, BALL_RADIUS);
-    if (bumperCollision.collided) {
-        const correctedPos = bumperCollision.correctedPos;
-        const bumperNormal = bumperCollision.normal;
-        
-        setBallPosition(correctedPos);
-        
-        if (ballVel.length() > 0.01) {
-            // Reflect velocity off the bumper with 200% energy retention (adds energy!)
-            const reflectedVel = ballVel.clone();
-            reflectedVel.reflect(bumperNormal);
-            // Bumpers add energy - multiply by 2.0 (200% retention)
-            reflectedVel.multiplyScalar(2.0);
-            setBallVelocity(reflectedVel);
-            
-            // Create impact effect
-            const impactIntensity = Math.min(ballVel.length() / 50.0, 2.0);
-            createImpactEffect(correctedPos.clone(), bumperNormal.clone(), impactIntensity);
-        }
-        
-        collisionOccurred = true;
+        body.outOfBoundsTimer = 0;
     }
     
     // Edge barriers removed - no collision detection needed for them
     // These barriers are positioned slightly inward from the edges
     // They only collide when ball is already well inside the hole (falling), not when approaching from above
     if (ballPos.y < -2.0) { // Only check when ball is deep in the hole
-        const rectangularHoleEdgeWalls = getRectangularHoleEdgeWalls();
+        const rectangularHoleEdgeWalls = queryNearby(ballPos, BALL_RADIUS).rectangularHoleEdgeWalls;
         const rectangularHoles = getRectangularHoles();
         
         // Check if ball is over any rectangular hole area
@@ -470,16 +231,15 @@ export function checkWallCollisions() {
                 
                 if (isColliding) {
                     // Use regular wall collision logic - push the ball away from the wall
-                    setBallPosition(correctedPos);
+                    body.setPosition(correctedPos);
 
                     if (ballVel.length() > 0.01) {
                         const reflectedVel = ballVel.clone();
                         reflectedVel.reflect(collisionNormal);
                         reflectedVel.multiplyScalar(PHYSICS_CONSTANTS.BOUNCE_DAMPING);
-                        setBallVelocity(reflectedVel);
+                        body.setVelocity(reflectedVel);
 
-                        const impactIntensity = Math.min(ballVel.length() / 50.0, 2.0);
-                        createImpactEffect(correctedPos.clone(), collisionNormal.clone(), impactIntensity);
+                        body.reportImpact(correctedPos, collisionNormal, ballVel.length());
                     }
 
                     collisionOccurred = true;
@@ -494,7 +254,7 @@ export function checkWallCollisions() {
     // Check collisions with rectangular hole interior walls (deep inside the hole)
     // These walls are very deep and prevent the ball from escaping once it's deep in the hole
     if (ballPos.y < -5.0) {
-        const rectangularHoleWalls = getRectangularHoleWalls();
+        const rectangularHoleWalls = queryNearby(ballPos, BALL_RADIUS).rectangularHoleWalls;
         
         for (const wall of rectangularHoleWalls) {
             const rectHole = wall.userData.rectangularHole;
@@ -548,16 +308,15 @@ export function checkWallCollisions() {
             }
             
             if (isColliding) {
-                setBallPosition(correctedPos);
+                body.setPosition(correctedPos);
                 
                 if (ballVel.length() > 0.01) {
                     const reflectedVel = ballVel.clone();
                     reflectedVel.reflect(collisionNormal);
                     reflectedVel.multiplyScalar(PHYSICS_CONSTANTS.BOUNCE_DAMPING);
-                    setBallVelocity(reflectedVel);
+                    body.setVelocity(reflectedVel);
                     
-                    const impactIntensity = Math.min(ballVel.length() / 50.0, 2.0);
-                    createImpactEffect(correctedPos.clone(), collisionNormal.clone(), impactIntensity);
+                    body.reportImpact(correctedPos, collisionNormal, ballVel.length());
                 }
                 
                 collisionOccurred = true;
@@ -568,42 +327,252 @@ export function checkWallCollisions() {
 
     // Always update previous position for next frame
     // Use the current (possibly corrected) ball position
-    previousBallPosition = getBallPosition().clone();
+    body.previousPosition = body.position.clone();
 
     return collisionOccurred;
 }
 
-function handleOutOfBounds() {
-    isOutOfBounds = true;
-    outOfBoundsTimer = 0;
-    setBallVelocity(new THREE.Vector3(0, 0, 0));
+/**
+ * Earliest hit along a move against everything solid on the course
+ * Each hit carries respond(velocity) -> new velocity for its kind of surface
+ */
+function findFirstHit(start, motion, ballRadius, deltaTime, elapsed, bounds) {
+    let firstHit = null;
+    const end = start.clone().add(motion);
+    const nearby = queryCollisionIndexAlongPath(start, end, ballRadius + SWEEP_SKIN);
+
+    const consider = (hit, respond, surfaceVelocity = null) => {
+        if (hit && (!firstHit || hit.t < firstHit.t)) {
+            firstHit = { ...hit, respond, surfaceVelocity };
+        }
+    };
     
-    // +2 stroke penalty
-    incrementStroke();
-    incrementStroke();
+    // Walls lose energy on the bounce
+    const wallHit = sweepWalls(start, motion, ballRadius, bounds, nearby);
+    if (wallHit) {
+        consider(wallHit, velocity => velocity.clone().reflect(wallHit.normal).multiplyScalar(PHYSICS_CONSTANTS.BOUNCE_DAMPING));
+    }
     
-    showOutOfBoundsMessage();
+    // Tier sides and bridge decks are walls to a ball below their top
+    const tierHit = sweepTiers(start, motion, ballRadius, nearby.tiers);
+    if (tierHit) {
+        consider(tierHit, velocity => velocity.clone().reflect(tierHit.normal).multiplyScalar(PHYSICS_CONSTANTS.BOUNCE_DAMPING));
+    }
     
-    setTimeout(() => {
-        resetBall();
-        resetCollisions();
-        hideOutOfBoundsMessage();
-        isOutOfBounds = false;
-    }, 2000);
+    // Bumpers add energy - reflect with 200% energy retention (in the frame of a bumper on a path)
+    const bumperHit = sweepBumpers(start, motion, ballRadius, nearby.bumpers, deltaTime, elapsed);
+    if (bumperHit) {
+        const bumperVelocity = bumperHit.bumperVelocity;
+        consider(bumperHit, velocity => velocity.clone()
+            .sub(bumperVelocity)
+            .reflect(bumperHit.normal)
+            .multiplyScalar(2.0)
+            .add(bumperVelocity), bumperVelocity);
+    }
+    
+    // Moving walls bounce the ball in their own frame, then carry it along
+    const movingWallHit = sweepMovingWalls(start, motion, ballRadius, deltaTime, elapsed, nearby.movingWalls);
+    if (movingWallHit) {
+        const wallVelocity = movingWallHit.wallVelocity;
+        consider(movingWallHit, velocity => velocity.clone()
+            .sub(wallVelocity)
+            .reflect(movingWallHit.normal)
+            .multiplyScalar(PHYSICS_CONSTANTS.BOUNCE_DAMPING)
+            .add(wallVelocity), wallVelocity);
+    }
+    
+    // Platform sides bounce like moving walls (balls level with the top roll onto it instead)
+    const platformHit = sweepPlatforms(start, motion, ballRadius, deltaTime, elapsed, nearby.platforms);
+    if (platformHit) {
+        const platformVelocity = platformHit.platformVelocity;
+        consider(platformHit, velocity => velocity.clone()
+            .sub(platformVelocity)
+            .reflect(platformHit.normal)
+            .multiplyScalar(PHYSICS_CONSTANTS.BOUNCE_DAMPING)
+            .add(platformVelocity), platformVelocity);
+    }
+    
+    // Fan blades: reflect, add a small portion of the blade's velocity (gentle nudge, not a launch),
+    // then apply stronger bounce damping to prevent launching
+    const bladeHit = sweepFanBlades(start, motion, ballRadius, nearby.fans);
+    if (bladeHit) {
+        consider(bladeHit, velocity => velocity.clone()
+            .reflect(bladeHit.normal)
+            .add(bladeHit.bladeVelocity.clone().multiplyScalar(0.3))
+            .multiplyScalar(0.5), bladeHit.bladeVelocity);
+    }
+    
+    return firstHit;
+}
+
+/**
+ * Earliest hit against the static walls: course perimeter (standard courses),
+ * test walls and custom walls (custom wall courses)
+ * @param {Object} nearby - Objects near the path, from the collision index
+ */
+function sweepWalls(start, motion, ballRadius, bounds, nearby) {
+    let firstHit = null;
+    const sweepShape = (distanceFn) => {
+        const hit = sweepSphere(start, motion, ballRadius, distanceFn);
+        if (hit && (!firstHit || hit.t < firstHit.t)) {
+            firstHit = hit;
+        }
+    };
+    
+    // Check if we have custom walls - if so, skip perimeter collision as custom walls handle it
+    const hasCustomWalls = getCustomWalls().length > 0;
+    
+    if (!hasCustomWalls) {
+        // Perimeter walls as half-spaces facing into the course
+        const perimeter = [
+            { normal: { x: 0, z: 1 }, offset: bounds.minZ },   // North wall (negative Z)
+            { normal: { x: 0, z: -1 }, offset: -bounds.maxZ }, // South wall (positive Z)
+            { normal: { x: -1, z: 0 }, offset: -bounds.maxX }, // East wall (positive X)
+            { normal: { x: 1, z: 0 }, offset: bounds.minX }    // West wall (negative X)
+        ];
+        perimeter.forEach(plane => sweepShape(point => planeDistance(point, plane)));
+    }
+    
+    // Test walls (internal walls) - rotated boxes with a limited height
+    for (const testWall of nearby.testWalls) {
+        const wallBounds = testWall.userData.wallBounds;
+        if (!wallBounds || isAboveWallTop(start, ballRadius, wallBounds.maxY) || start.y <= wallBounds.minY) {
+            continue;
+        }
+        sweepShape(point => boxDistance(point, getTestWallBox(testWall)));
+    }
+    
+    // Custom walls - boxes, usually axis-aligned (a chipped ball flies over them once it's above the top)
+    for (const wall of nearby.customWalls) {
+        const wallBounds = wall.userData.bounds;
+        if (!wallBounds || isAboveWallTop(start, ballRadius, wallBounds.maxY)) continue;
+        sweepShape(point => boxDistance(point, getCustomWallBox(wall)));
+    }
+    
+    return firstHit;
+}
+
+// Ball's underside is level with or above a wall's top (rolling along it or flying over it)
+function isAboveWallTop(position, ballRadius, wallTop) {
+    return wallTop !== undefined && position.y - ballRadius >= wallTop - SWEEP_SKIN;
 }
 
-export function handleRectangularHoleOutOfBounds() {
-    // Prevent multiple triggers - only trigger once per fall
-    if (hasTriggeredRectangularHoleOOB) {
-        return;
+function getTestWallBox(testWall) {
+    return {
+        x: testWall.position.x,
+        z: testWall.position.z,
+        halfWidth: (testWall.userData.wallWidth || 2.0) / 2,
+        halfDepth: (testWall.userData.wallLength || 15.0) / 2,
+        rotation: testWall.rotation.y
+    };
+}
+
+function getCustomWallBox(wall) {
+    if (wall.userData.box) {
+        return wall.userData.box; // Rotated wall
+    }
+    const wallBounds = wall.userData.bounds;
+    return {
+        x: (wallBounds.minX + wallBounds.maxX) / 2,
+        z: (wallBounds.minZ + wallBounds.maxZ) / 2,
+        halfWidth: (wallBounds.maxX - wallBounds.minX) / 2,
+        halfDepth: (wallBounds.maxZ - wallBounds.minZ) / 2
+    };
+}
+
+/**
+ * Highest wall top under a point that a ball could be resting on (landing on or rolling along a wall)
+ * @param {number} maxTop - Ignore walls taller than this (the ball is beside them, not on top)
+ * @returns {number} Wall top height, or -Infinity if no wall is underneath
+ */
+export function getWallTopBelow(x, z, maxTop) {
+    const point = { x, z };
+    const nearby = queryCollisionIndex(x, z, x, z);
+    let top = -Infinity;
+
+    for (const testWall of nearby.testWalls) {
+        const wallBounds = testWall.userData.wallBounds;
+        if (wallBounds && wallBounds.maxY <= maxTop && wallBounds.maxY > top &&
+            boxDistance(point, getTestWallBox(testWall)) <= 0) {
+            top = wallBounds.maxY;
+        }
     }
-    hasTriggeredRectangularHoleOOB = true;
+    for (const wall of nearby.customWalls) {
+        const wallBounds = wall.userData.bounds;
+        if (wallBounds && wallBounds.maxY !== undefined && wallBounds.maxY <= maxTop && wallBounds.maxY > top &&
+            boxDistance(point, getCustomWallBox(wall)) <= 0) {
+            top = wallBounds.maxY;
+        }
+    }
+    return top;
+}
+
+// Slowest approach into a surface that bounces. A slope pressing the ball into the surface brings it back across
+// the SWEEP_SKIN gap after every contact (and after every small bounce), so a few times the speed it picks up
+// over the gap is still the ball leaning on it, not a hit
+function getRestingContactSpeed(body, normal) {
+    const slope = body.climbSlope;
+    const pull = slope ? (slope.x * normal.x + slope.z * normal.z) * PHYSICS_CONSTANTS.SLOPE_GRAVITY : 0;
+    return pull > 0 ? Math.max(RESTING_CONTACT_SPEED, 2 * Math.sqrt(2 * pull * SWEEP_SKIN)) : RESTING_CONTACT_SPEED;
+}
+
+/**
+ * Highest moving platform under a point that a ball could be resting on
+ * @param {number} maxTop - Ignore platforms higher than this (the ball is beside them, not on top)
+ * @returns {Object|null} The platform, or null if none is underneath
+ */
+export function getPlatformBelow(x, z, maxTop) {
+    return findPlatformBelow(x, z, maxTop, queryCollisionIndex(x, z, x, z).platforms);
+}
+
+/**
+ * Highest tier, ramp or bridge surface under a point that a ball could be resting on
+ * @param {number} maxTop - Ignore surfaces higher than this (a ball under a bridge isn't on it)
+ * @param {Object} from - {x, z} the ball moved from this step (see findTierBelow)
+ * @returns {Object|null} { tier, height, slopeX, slopeZ }, or null if none is underneath
+ */
+export function getTierBelow(x, z, maxTop, from = null) {
+    return findTierBelow(x, z, maxTop, queryCollisionIndex(x, z, x, z).tiers, from);
+}
+
+// Objects within reach of a ball at a position
+function queryNearby(position, ballRadius) {
+    const reach = ballRadius + 0.5;
+    return queryCollisionIndex(position.x - reach, position.z - reach, position.x + reach, position.z + reach);
+}
+
+/**
+ * Player out-of-bounds rule - called by the player's BallBody (already stopped)
+ * Penalty and where the ball goes back to come from the level's / game mode's rule (out-of-bounds.js)
+ */
+export function handleOutOfBounds(body) {
+    const rule = getOutOfBoundsRule();
+    for (let i = 0; i < rule.penalty; i++) {
+        incrementStroke();
+    }
+    
+    // Spots are captured now - the ball keeps no history once it's put back
+    const lastBallState = getLastBallState();
+    const returnPosition = getOutOfBoundsPosition(rule, {
+        tee: body.startPosition,
+        previousSpot: lastBallState ? lastBallState.position : null,
+        lastPosition: body.lastSafePosition
+    });
+    
+    showOutOfBoundsMessage(rule);
     
-    // Same as regular out of bounds - ball fell into rectangular hole hazard
-    handleOutOfBounds();
+    setTimeout(() => {
+        if (rule.placement === OutOfBoundsPlacement.TEE) {
+            body.reset();
+        } else {
+            body.dropAt(returnPosition);
+        }
+        body.resetCollisionState();
+        hideOutOfBoundsMessage();
+    }, OUT_OF_BOUNDS_RESET_DELAY);
 }
 
-function showOutOfBoundsMessage() {
+function showOutOfBoundsMessage(rule) {
     let oobMessage = document.getElementById('oob-message');
     if (!oobMessage) {
         oobMessage = document.createElement('div');
@@ -617,10 +586,10 @@ function showOutOfBoundsMessage() {
             font-weight: bold;
             color: #FF0000;
             text-shadow: 4px 4px 8px rgba(0, 0, 0, 0.9);
+            text-align: center;
             z-index: 500;
             animation: oobPulse 0.5s ease-out forwards;
         `;
-        oobMessage.textContent = 'OUT OF BOUNDS! +2';
         document.body.appendChild(oobMessage);
         
         const style = document.createElement('style');
@@ -633,6 +602,17 @@ function showOutOfBoundsMessage() {
         `;
         document.head.appendChild(style);
     }
+    
+    // Headline shows the penalty, the line under it says where the ball goes
+    oobMessage.textContent = rule.penalty > 0 ? `OUT OF BOUNDS! +${rule.penalty}` : 'OUT OF BOUNDS!';
+    const ruleLine = document.createElement('div');
+    ruleLine.textContent = rule.penalty > 0 ? rule.description : `${rule.description} (no penalty)`;
+    ruleLine.style.cssText = `
+        font-size: 28px;
+        color: #FFFFFF;
+        margin-top: 8px;
+    `;
+    oobMessage.appendChild(ruleLine);
     oobMessage.style.display = 'block';
 }
 
@@ -643,9 +623,103 @@ function hideOutOfBoundsMessage() {
     }
 }
 
+// Button labels for the water drop menu
+const WATER_DROP_LABELS = {
+    [WaterDrop.PREVIOUS_SPOT]: 'Replay from previous spot',
+    [WaterDrop.POINT_OF_ENTRY]: 'Drop at point of entry',
+    [WaterDrop.DROP_ZONE]: 'Use drop zone'
+};
+
+/**
+ * Player water hazard rule - called by the player's BallBody (already stopped in the water)
+ * Adds the penalty stroke, then lets the player pick where to drop
+ * @param {BallBody} body - The player's ball
+ * @param {Object} waterEntry - { hazard, entryPoint, dropPoint } from findWaterEntry()
+ * @param {Function} onDropped - Called once the ball has been dropped
+ */
+export function handleWaterHazard(body, waterEntry, onDropped = () => {}) {
+    // +1 stroke penalty
+    for (let i = 0; i < WATER_PENALTY_STROKES; i++) {
+        incrementStroke();
+    }
+    
+    // Previous spot is where the last shot was taken from (saved before every shot)
+    const lastBallState = getLastBallState();
+    const previousSpot = lastBallState ? lastBallState.position : body.startPosition;
+    
+    showWaterDropMenu(getWaterDropOptions(waterEntry.hazard), (option) => {
+        hideWaterDropMenu();
+        
+        // Ball was reset (hole restarted or course changed) while the menu was open
+        if (!body.isInWater) return;
+        
+        body.dropAt(getWaterDropPosition(option, waterEntry, previousSpot));
+        onDropped();
+    });
+}
+
+function showWaterDropMenu(options, onPick) {
+    let waterMenu = document.getElementById('water-drop-menu');
+    if (!waterMenu) {
+        waterMenu = document.createElement('div');
+        waterMenu.id = 'water-drop-menu';
+        waterMenu.style.cssText = `
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: 12px;
+            z-index: 500;
+        `;
+        document.body.appendChild(waterMenu);
+    }
+    
+    waterMenu.innerHTML = '';
+    const title = document.createElement('div');
+    title.textContent = `WATER HAZARD! +${WATER_PENALTY_STROKES}`;
+    title.style.cssText = `
+        font-size: 64px;
+        font-weight: bold;
+        color: #4FB3E8;
+        text-shadow: 4px 4px 8px rgba(0, 0, 0, 0.9);
+    `;
+    waterMenu.appendChild(title);
+    
+    options.forEach(option => {
+        const button = document.createElement('button');
+        button.textContent = WATER_DROP_LABELS[option];
+        button.style.cssText = `
+            min-width: 280px;
+            padding: 12px 24px;
+            font-size: 20px;
+            font-weight: bold;
+            color: #FFFFFF;
+            background: rgba(27, 95, 168, 0.9);
+            border: 2px solid #E8F7FF;
+            border-radius: 8px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onPick(option);
+        });
+        waterMenu.appendChild(button);
+    });
+    
+    waterMenu.style.display = 'flex';
+}
+
+function hideWaterDropMenu() {
+    const waterMenu = document.getElementById('water-drop-menu');
+    if (waterMenu) {
+        waterMenu.style.display = 'none';
+    }
+}
+
 export function resetCollisions() {
-    isOutOfBounds = false;
-    previousBallPosition = null; // Reset previous position tracking
-    hasTriggeredRectangularHoleOOB = false; // Reset flag when collisions reset
-    outOfBoundsTimer = 0;
+    getPlayerBall().resetCollisionState();
+    hideWaterDropMenu();
 }
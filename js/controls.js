@@ -1,8 +1,10 @@
 // Mouse/touch input handling for ball aiming and launching
 import * as THREE from 'three';
-import { getBallPosition, getBallMesh, setBallVelocity, getBallVelocity, setBallPosition } from './ball.js';
+import { getBallPosition, getBallMesh, setBallVelocity, setBallSpin, getBallVelocity, setBallPosition, isBallAwaitingDrop } from './ball.js';
 import { incrementStroke, saveBallState } from './game.js';
 import { getSpeedBoostMultiplier, consumeSpeedBoost, isSharpshooterActive, consumeSharpshooter } from './powerup-effects.js';
+import { createSpin, hasSpin } from './spin.js';
+import { applyShotLoft, PHYSICS_CONSTANTS } from './physics.js';
 
 // These will be set by initControls
 let camera = null;
@@ -10,22 +12,35 @@ let renderer = null;
 let controls = null; // OrbitControls reference to enable/disable
 
 const BALL_RADIUS = 0.5;
-const MAX_PULL_DISTANCE = 1.67; // Maximum pull distance in world units (reduced to 1/3 of original 5)
-const POWER_SCALE = 80; // Scale factor for velocity based on pull distance (10x from 8, originally 3)
 const WOBBLE_AMPLITUDE = Math.PI / 8; // 22.5 degrees (45 degrees total arc)
 const WOBBLE_SPEED = 3; // Oscillation speed
+const SPIN_DRAG_RANGE = 150; // Pixels of spin drag for full spin
+const LOFT_STEP = 0.25; // Loft change per wheel notch or Q/E press
 
 let isAiming = false;
 let aimStartPosition = null;
 let currentMousePosition = null;
 let wobbleTime = 0;
 let maxPullDistance = 0; // Track maximum distance pulled away from start
+let lastPointerPosition = null; // Raw mouse position (the pull is this minus pullOffset)
 let raycaster = new THREE.Raycaster();
 let mouse = new THREE.Vector2();
 
+// Spin for the shot - hold Shift and drag (or drag a second finger): sideways for sidespin,
+// up for topspin, down for backspin. The pull stays where it was while spin is dragged.
+let shotSpin = createSpin();
+let spinDragStart = null; // Pointer position when the spin drag began (null when not dragging spin)
+let spinAtDragStart = null;
+let pullOffset = new THREE.Vector2(); // How far spin drags have moved the mouse away from the pull
+
+// Loft for a chip shot (0 = putt along the ground, 1 = highest chip) - mouse wheel or Q/E while aiming
+let shotLoft = 0;
+
 // State for touch support
 let touchStartPosition = null;
 let isTouchActive = false;
+let aimTouchId = null;
+let spinTouchId = null; // Second finger dragging spin
 
 // State for WASD keyboard controls
 let keysPressed = {};
@@ -51,6 +66,7 @@ export function initControls(cameraRef, rendererRef, controlsRef) {
     canvas.addEventListener('mousemove', onMouseMove);
     canvas.addEventListener('mouseup', onMouseUp);
     canvas.addEventListener('mouseleave', onMouseLeave);
+    canvas.addEventListener('wheel', onMouseWheel, { passive: false });
     
     // Touch events
     canvas.addEventListener('touchstart', onTouchStart, { passive: false });
@@ -67,6 +83,16 @@ function onKeyDown(event) {
     const key = event.key.toLowerCase();
     keysPressed[key] = true;
 
+    // Shift while aiming with the mouse - further dragging sets spin
+    if (key === 'shift' && isAiming && !isTouchActive) {
+        beginSpinDrag(lastPointerPosition);
+    }
+
+    // E / Q raise and lower the loft while aiming
+    if (isAiming && (key === 'e' || key === 'q')) {
+        adjustLoft(key === 'e' ? LOFT_STEP : -LOFT_STEP);
+    }
+
     // Handle Y key Easter egg for arrow key ball controls
     if (key === 'y') {
         const currentTime = Date.now();
@@ -97,6 +123,10 @@ function onKeyDown(event) {
 function onKeyUp(event) {
     const key = event.key.toLowerCase();
     keysPressed[key] = false;
+
+    if (key === 'shift' && isAiming && !isTouchActive) {
+        endSpinDrag(lastPointerPosition);
+    }
 }
 
 export function updateWASDControls(deltaTime) {
@@ -168,6 +198,9 @@ async function onMouseDown(event) {
     const ballVelocity = getBallVelocity();
     if (ballVelocity.length() > 0.01) return;
     
+    // Can't shoot from the water - a drop has to be picked first
+    if (isBallAwaitingDrop()) return;
+    
     const ballPos = getBallPosition();
     const ballScreenPos = getScreenPosition(ballPos);
     
@@ -178,13 +211,27 @@ async function onMouseDown(event) {
     );
     
     if (distance < 50) { // 50 pixel threshold
+        lastPointerPosition = new THREE.Vector2(event.clientX, event.clientY);
         startAiming(event.clientX, event.clientY);
     }
 }
 
 function onMouseMove(event) {
+    lastPointerPosition = new THREE.Vector2(event.clientX, event.clientY);
     if (isAiming) {
-        currentMousePosition = new THREE.Vector2(event.clientX, event.clientY);
+        // Shift held - the drag sets spin instead of the pull
+        if (event.shiftKey && !spinDragStart) {
+            beginSpinDrag(lastPointerPosition);
+        } else if (!event.shiftKey && spinDragStart) {
+            endSpinDrag(lastPointerPosition);
+        }
+
+        if (spinDragStart) {
+            updateSpinDrag(lastPointerPosition);
+            return;
+        }
+
+        currentMousePosition = lastPointerPosition.clone().sub(pullOffset);
         updateAiming();
     }
 }
@@ -201,14 +248,37 @@ function onMouseLeave(event) {
     }
 }
 
+// Wheel up lofts the shot into a chip, wheel down brings it back towards a putt
+function onMouseWheel(event) {
+    if (!isAiming) return;
+    event.preventDefault();
+    adjustLoft(event.deltaY < 0 ? LOFT_STEP : -LOFT_STEP);
+}
+
+function adjustLoft(change) {
+    shotLoft = Math.max(0, Math.min(shotLoft + change, 1));
+}
+
 async function onTouchStart(event) {
     event.preventDefault();
+
+    // Second finger down while aiming - it drags spin
+    if (isAiming && isTouchActive && spinTouchId === null && event.touches.length > 1) {
+        const touch = event.changedTouches[0];
+        spinTouchId = touch.identifier;
+        beginSpinDrag(new THREE.Vector2(touch.clientX, touch.clientY));
+        return;
+    }
+
     if (isAiming || isTouchActive) return;
     
     // Check if ball is moving (can't aim while ball is moving)
     const ballVelocity = getBallVelocity();
     if (ballVelocity.length() > 0.01) return;
     
+    // Can't shoot from the water - a drop has to be picked first
+    if (isBallAwaitingDrop()) return;
+    
     const touch = event.touches[0];
     const ballPos = getBallPosition();
     const ballScreenPos = getScreenPosition(ballPos);
@@ -220,6 +290,7 @@ async function onTouchStart(event) {
     
     if (distance < 50) {
         isTouchActive = true;
+        aimTouchId = touch.identifier;
         startAiming(touch.clientX, touch.clientY);
     }
 }
@@ -227,8 +298,14 @@ async function onTouchStart(event) {
 function onTouchMove(event) {
     if (isAiming && isTouchActive) {
         event.preventDefault();
-        const touch = event.touches[0];
-        currentMousePosition = new THREE.Vector2(touch.clientX, touch.clientY);
+        for (const touch of event.touches) {
+            const point = new THREE.Vector2(touch.clientX, touch.clientY);
+            if (touch.identifier === spinTouchId) {
+                updateSpinDrag(point);
+            } else if (touch.identifier === aimTouchId) {
+                currentMousePosition = point;
+            }
+        }
         // updateAiming() will check if cursor returned to ball and cancel if needed
         updateAiming();
     }
@@ -237,8 +314,18 @@ function onTouchMove(event) {
 function onTouchEnd(event) {
     if (isAiming && isTouchActive) {
         event.preventDefault();
+
+        // Spin finger lifted - keep aiming with the other one
+        const liftedIds = Array.from(event.changedTouches, touch => touch.identifier);
+        if (spinTouchId !== null && liftedIds.includes(spinTouchId)) {
+            endSpinDrag(null);
+            spinTouchId = null;
+            if (!liftedIds.includes(aimTouchId)) return;
+        }
+
         finishAiming();
         isTouchActive = false;
+        aimTouchId = null;
     }
 }
 
@@ -248,6 +335,9 @@ function startAiming(clientX, clientY) {
     maxPullDistance = 0; // Reset max pull distance
     aimStartPosition = new THREE.Vector2(clientX, clientY);
     currentMousePosition = aimStartPosition.clone();
+    shotSpin = createSpin();
+    shotLoft = 0;
+    pullOffset.set(0, 0);
     
     // Disable camera controls when aiming
     if (controls) {
@@ -265,7 +355,7 @@ function updateAiming() {
     );
     
     const distanceFromStart = pullVector.length(); // Distance in pixels
-    const pullDistance = Math.min(distanceFromStart / 100, MAX_PULL_DISTANCE); // Scale pixel distance to world units
+    const pullDistance = Math.min(distanceFromStart / 100, PHYSICS_CONSTANTS.MAX_PULL_DISTANCE); // Scale pixel distance to world units
     
     // Update maximum pull distance (track how far they've moved away)
     if (distanceFromStart > maxPullDistance) {
@@ -308,7 +398,7 @@ function finishAiming() {
     );
     
     const distanceFromStart = pullVector.length();
-    const pullDistance = Math.min(distanceFromStart / 100, MAX_PULL_DISTANCE);
+    const pullDistance = Math.min(distanceFromStart / 100, PHYSICS_CONSTANTS.MAX_PULL_DISTANCE);
     
     // Only cancel if they've moved away significantly AND returned to near start
     if (maxPullDistance > 50 && distanceFromStart < 40) {
@@ -351,7 +441,7 @@ function finishAiming() {
     const forwardDirection = finalDirection.clone().multiplyScalar(-1);
     
     // Calculate velocity
-    let velocity = forwardDirection.multiplyScalar(pullDistance * POWER_SCALE);
+    let velocity = forwardDirection.multiplyScalar(pullDistance * PHYSICS_CONSTANTS.POWER_SCALE);
     
     // Apply speed boost multiplier if active
     const speedBoostMultiplier = getSpeedBoostMultiplier();
@@ -362,8 +452,18 @@ function finishAiming() {
         consumeSpeedBoost(); // Consume after use
     }
     
+    // Chip - trade some of the speed for lift (after the boost so the arc height stays capped)
+    if (shotLoft > 0) {
+        applyShotLoft(velocity, shotLoft);
+        console.log(`Chip shot: loft ${shotLoft.toFixed(2)}`);
+    }
+    
     // Apply velocity to ball
     setBallVelocity(velocity);
+    setBallSpin(shotSpin);
+    if (hasSpin(shotSpin)) {
+        console.log(`Spin: side ${shotSpin.side.toFixed(2)}, top ${shotSpin.top.toFixed(2)}`);
+    }
     
     // Increment stroke count
     incrementStroke();
@@ -378,6 +478,10 @@ function cancelAiming() {
     currentMousePosition = null;
     wobbleTime = 0;
     maxPullDistance = 0; // Reset max pull distance
+    shotSpin = createSpin();
+    spinDragStart = null;
+    spinTouchId = null;
+    pullOffset.set(0, 0);
     
     // Re-enable camera controls when not aiming
     if (controls) {
@@ -385,6 +489,30 @@ function cancelAiming() {
     }
 }
 
+function beginSpinDrag(pointer) {
+    if (!pointer || spinDragStart) return;
+    spinDragStart = pointer.clone();
+    spinAtDragStart = { ...shotSpin };
+}
+
+// Sideways drag is sidespin, up is topspin, down is backspin (relative to where the spin drag began)
+function updateSpinDrag(pointer) {
+    if (!spinDragStart) return;
+    shotSpin = createSpin(
+        spinAtDragStart.side + (pointer.x - spinDragStart.x) / SPIN_DRAG_RANGE,
+        spinAtDragStart.top - (pointer.y - spinDragStart.y) / SPIN_DRAG_RANGE
+    );
+}
+
+// pointer - where the mouse ended up, so the pull doesn't jump when it takes over again (null for touch)
+function endSpinDrag(pointer) {
+    if (!spinDragStart) return;
+    if (pointer) {
+        pullOffset.add(pointer.clone().sub(spinDragStart));
+    }
+    spinDragStart = null;
+}
+
 function getScreenPosition(worldPosition) {
     const vector = worldPosition.clone();
     vector.project(camera);
@@ -453,7 +581,7 @@ export function getAimingState() {
         currentMousePosition.y - aimStartPosition.y
     );
     
-    const pullDistance = Math.min(pullVector.length() / 100, MAX_PULL_DISTANCE);
+    const pullDistance = Math.min(pullVector.length() / 100, PHYSICS_CONSTANTS.MAX_PULL_DISTANCE);
     
     // If pull distance is too small, don't show arrow
     if (pullDistance < 0.1) {
@@ -488,7 +616,9 @@ export function getAimingState() {
         pullDistance: pullDistance,
         direction: forwardDirection, // Direction ball will travel
         wobbleOffset: wobbleOffset,
-        ballPosition: ballPos
+        ballPosition: ballPos,
+        spin: { ...shotSpin },
+        loft: shotLoft
     };
 }
 
@@ -1,6 +1,6 @@
 import * as THREE from 'three';
 import { BLOSSOM_SVG } from './blossom-svg.js';
-import { isFullMode } from './main.js';
+import { isFullMode } from './scene-context.js';
 
 const STORAGE_KEY = 'golf_selected_cosmetic';
 const STORAGE_KEY_SKIN = 'golf_selected_skin';
@@ -80,6 +80,7 @@ let ballVideoElement = null;
 let ballSvgTexture = null;
 
 function loadSelection(key, defaultValue, list) {
+    if (typeof localStorage === 'undefined') return defaultValue; // Headless (Node) - nothing stored
     try {
         const stored = localStorage.getItem(key);
         if (stored) {
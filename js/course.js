@@ -1,14 +1,23 @@
 // Course geometry and setup
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { scene, isFullMode } from './main.js';
+import { scene, isFullMode, isHeadless } from './scene-context.js';
 import { getHolePosition } from './game.js';
 import { createBumper, removeAllBumpers } from './bumpers.js';
 import { createMovingWall, removeAllMovingWalls } from './moving-walls.js';
+import { createPlatform, removeAllPlatforms } from './platforms.js';
+import { createTier, removeAllTiers, findTierBelow } from './tiers.js';
+import { createHeightmap, loadHeightmapImage, setHeightmap, clearHeightmap, getHeightmapHeight, getHeightmapSlope } from './heightmap.js';
 import { createFan, removeAllFans } from './fans.js';
 import { createMagneticField, removeAllMagneticFields } from './magnetic-fields.js';
 import { createTeleporter, removeAllTeleporters } from './teleporters.js';
 import { createCourseFloor, removeFloor, updateFloor, hideFloor, showFloor, getFloorMesh } from './floor.js';
+import { createSurfaceZone, removeAllSurfaceZones } from './surfaces.js';
+import { createWaterHazard, removeAllWaterHazards } from './water-hazards.js';
+import { setLevelOutOfBoundsRule } from './out-of-bounds.js';
+import { setLevelPhysicsProfile } from './physics.js';
+import { createTrigger, removeAllTriggers } from './triggers.js';
+import { buildCollisionIndex, clearCollisionIndex, queryCollisionIndex } from './collision-index.js';
 
 // Course dimensions - will be set per course
 let COURSE_WIDTH = 50;
@@ -95,6 +104,12 @@ export function clearCourse() {
     removeFloor();
     coursePlane = null;
     
+    // Remove surface zones (sand, ice, ...)
+    removeAllSurfaceZones();
+    
+    // Remove water hazards
+    removeAllWaterHazards();
+    
     // Remove hump
     if (courseHump) {
         scene.remove(courseHump);
@@ -145,18 +160,33 @@ export function clearCourse() {
     // Remove all moving walls
     removeAllMovingWalls();
     
+    // Remove all moving platforms
+    removeAllPlatforms();
+    
+    // Remove raised tiers, ramps and bridges
+    removeAllTiers();
+    
+    // Back to flat ground
+    clearHeightmap();
+    
     // Remove all fans
     removeAllFans();
     
     // Remove all magnetic fields
     removeAllMagneticFields();
     
+    // Remove pressure plates and other triggers
+    removeAllTriggers();
+    
     // Remove coordinate axes
     removeCoordinateAxes();
     
     // Remove all 3D models
     removeAllModels();
     
+    // Drop the collision index (rebuilt by the next createCourse)
+    clearCollisionIndex();
+    
     // Import and remove wind zones and windmills
     import('./wind-zones.js').then(module => {
         if (module.removeAllWindZones) {
@@ -181,29 +211,56 @@ export function createCourse(courseDef = null, courseIndex = -1) {
     // Store course definition
     courseDefinition = courseDef;
     
+    // Level's own out-of-bounds rule, if it has one (otherwise the game mode's applies)
+    setLevelOutOfBoundsRule(courseDef ? courseDef.outOfBounds : null);
+
+    // Level's own physics profile (moon gravity, slippery greens...), otherwise the game mode's
+    setLevelPhysicsProfile(courseDef ? courseDef.physics : null);
+    
     // Set course dimensions from definition
     if (courseDef) {
         COURSE_WIDTH = courseDef.width;
         COURSE_HEIGHT = courseDef.height;
     }
     
+    // Heightmap terrain goes in before the floor so the floor mesh can follow it
+    if (courseDef && courseDef.heightmap) {
+        loadCourseHeightmap(courseDef);
+    }
+    
     // Floor creation - only create floor for level 3 (courseIndex === 2)
-    // For other levels, create if floorPolygons or painted tiles exist
+    // For other levels, create if floorPolygons, painted tiles or a heightmap exist
     // The invisible physics plane for collision is handled separately in physics.js
     if (courseIndex === 2) {
         // Level 3: Create floor with normal grass texture
         coursePlane = createCourseFloor(scene, courseDef);
     } else if (courseDef && (
         (Array.isArray(courseDef.floorPolygons) && courseDef.floorPolygons.length > 0) ||
-        (Array.isArray(courseDef.paintedFloorTiles) && courseDef.paintedFloorTiles.length > 0)
+        (Array.isArray(courseDef.paintedFloorTiles) && courseDef.paintedFloorTiles.length > 0) ||
+        courseDef.heightmap
     )) {
-        // Other levels: Create floor from polygons or painted tiles
+        // Other levels: Create floor from polygons, painted tiles or the heightmap
         coursePlane = createCourseFloor(scene, courseDef);
     } else {
         // No floor - start with empty floor
         coursePlane = null;
     }
     
+    // Create surface zones (sand traps, ice patches, boost pads) - part of the ground, so in both modes
+    if (courseDef && Array.isArray(courseDef.surfaceZones)) {
+        courseDef.surfaceZones.forEach(surfaceDef => createSurfaceZone(surfaceDef));
+    }
+    
+    // Create water hazards - like rectangularHoles they're part of the course in both modes
+    if (courseDef && Array.isArray(courseDef.waterHazards)) {
+        courseDef.waterHazards.forEach(waterDef => createWaterHazard(waterDef));
+    }
+    
+    // Create raised tiers, ramps and bridges - course geometry, so in both modes
+    if (courseDef && Array.isArray(courseDef.tiers)) {
+        courseDef.tiers.forEach(tierDef => createTier(tierDef));
+    }
+    
     // Create hump if course has one
     if (courseDef && courseDef.hasHump) {
         createHump(courseDef);
@@ -222,11 +279,13 @@ export function createCourse(courseDef = null, courseIndex = -1) {
         // Create bumpers if defined
         if (courseDef && courseDef.bumpers && courseDef.bumpers.length > 0) {
             courseDef.bumpers.forEach(bumperDef => {
-                createBumper(
+                const bumper = createBumper(
                     bumperDef.position,
                     bumperDef.radius || 1.0,
-                    bumperDef.tubeRadius || 0.3
+                    bumperDef.tubeRadius || 0.3,
+                    bumperDef.path || null
                 );
+                bumper.userData.id = bumperDef.id || null; // Name bumperHits triggers count hits on
             });
         }
         
@@ -242,6 +301,13 @@ export function createCourse(courseDef = null, courseIndex = -1) {
             });
         }
         
+        // Create moving platforms (bridges, turntables, lifts) if defined
+        if (courseDef && courseDef.platforms && courseDef.platforms.length > 0) {
+            courseDef.platforms.forEach(platformDef => {
+                createPlatform(platformDef);
+            });
+        }
+        
         // Create fans if defined
         if (courseDef && courseDef.fans && courseDef.fans.length > 0) {
             courseDef.fans.forEach(fanDef => {
@@ -264,8 +330,13 @@ export function createCourse(courseDef = null, courseIndex = -1) {
         }
     }
 
-    // Create models if defined
-    if (courseDef && courseDef.models && courseDef.models.length > 0) {
+    // Create triggers (pressure plates, zones, bumper hit counters) - level logic, so in both modes
+    if (courseDef && Array.isArray(courseDef.triggers)) {
+        courseDef.triggers.forEach(triggerDef => createTrigger(triggerDef));
+    }
+
+    // Create models if defined (decoration only - skipped when headless, they need canvas textures)
+    if (!isHeadless && courseDef && courseDef.models && courseDef.models.length > 0) {
         console.log(`COURSE: Creating ${courseDef.models.length} megastructures for course`);
         courseDef.models.forEach((modelDef, index) => {
             console.log(`COURSE: Creating megastructure ${index + 1}:`, modelDef);
@@ -280,6 +351,9 @@ export function createCourse(courseDef = null, courseIndex = -1) {
     //     createCoordinateAxes();
     // }
 
+    // Index walls and obstacles for collision and AI path queries
+    buildCollisionIndex();
+
     return {
         plane: coursePlane,
         hump: courseHump,
@@ -683,7 +757,7 @@ export function hideAllCourseElements() {
     // Hide custom walls
     const customWalls = getCustomWalls();
     customWalls.forEach(wall => {
-        if (wall && wall.visible !== undefined) {
+        if (wall && wall.visible) { // Open gates stay hidden afterwards
             wall.visible = false;
             hiddenElements.walls.push(wall);
         }
@@ -1353,6 +1427,19 @@ export function getTestWalls() {
     return testWalls;
 }
 
+/**
+ * Open or close a custom wall used as a gate - an open one is hidden and the ball passes through it
+ */
+export function setWallOpen(wall, open) {
+    wall.userData.isOpen = open;
+    if (!wall.userData.isConnector) { // Connectors are see-through either way
+        wall.visible = !open;
+    }
+    if (wall.userData.facade) {
+        wall.userData.facade.visible = !open;
+    }
+}
+
 export function getCustomWalls() {
     return customWalls;
 }
@@ -1447,16 +1534,23 @@ function detectAndCreateWallConnectors(wallDefs, wallHeight) {
                 // Store bounds for collision detection
                 connectorMesh.userData.isCustomWall = true;
                 connectorMesh.userData.isConnector = true;
+                // A connector next to a gate opens and closes with it
+                const gate = wall1.id ? wall1 : (wall2.id ? wall2 : null);
+                connectorMesh.userData.id = gate ? gate.id : null;
                 connectorMesh.userData.bounds = {
                     minX: connectorPos.x - connectorSize.width / 2,
                     maxX: connectorPos.x + connectorSize.width / 2,
                     minZ: connectorPos.z - connectorSize.depth / 2,
-                    maxZ: connectorPos.z + connectorSize.depth / 2
+                    maxZ: connectorPos.z + connectorSize.depth / 2,
+                    maxY: wallHeight // Wall top - chipped balls can clear it or land on it
                 };
                 
                 scene.add(connectorMesh);
                 customWalls.push(connectorMesh);
                 connectors.push(connectorMesh);
+                if (gate && gate.open) {
+                    setWallOpen(connectorMesh, true);
+                }
                 
                 console.log(`Created wall connector at (${connectorPos.x.toFixed(1)}, ${connectorPos.z.toFixed(1)})`);
             }
@@ -1511,6 +1605,7 @@ function createCustomWalls(wallDefs, wallHeight) {
         const width = wallDef.width;
         const depth = wallDef.depth;
         const height = wallHeight;
+        const rotation = wallDef.rotation || 0; // About Y, e.g. diagonal walls from grid levels
         
         // All walls use the same color
         const wallColor = 0xd3685c; // #d3685c
@@ -1530,17 +1625,26 @@ function createCustomWalls(wallDefs, wallHeight) {
 
         const wallMesh = new THREE.Mesh(geometry, material);
         wallMesh.position.set(wallDef.x, height / 2, wallDef.z);
+        wallMesh.rotation.y = rotation;
         wallMesh.castShadow = true;
         wallMesh.receiveShadow = true;
 
-        // Store bounds for collision detection (simple AABB)
+        // Store bounds for collision detection (AABB, around the whole box if it's rotated)
+        const halfX = Math.abs(width / 2 * Math.cos(rotation)) + Math.abs(depth / 2 * Math.sin(rotation));
+        const halfZ = Math.abs(depth / 2 * Math.cos(rotation)) + Math.abs(width / 2 * Math.sin(rotation));
         wallMesh.userData.isCustomWall = true;
+        wallMesh.userData.id = wallDef.id || null; // Name triggers open and close it by (see triggers.js)
         wallMesh.userData.bounds = {
-            minX: wallDef.x - width / 2,
-            maxX: wallDef.x + width / 2,
-            minZ: wallDef.z - depth / 2,
-            maxZ: wallDef.z + depth / 2
+            minX: wallDef.x - halfX,
+            maxX: wallDef.x + halfX,
+            minZ: wallDef.z - halfZ,
+            maxZ: wallDef.z + halfZ,
+            maxY: height // Wall top - chipped balls can clear it or land on it
         };
+        if (rotation) {
+            // Rotated walls collide as their real box, not the bounds
+            wallMesh.userData.box = { x: wallDef.x, z: wallDef.z, halfWidth: width / 2, halfDepth: depth / 2, rotation };
+        }
 
         scene.add(wallMesh);
         customWalls.push(wallMesh);
@@ -1556,15 +1660,22 @@ function createCustomWalls(wallDefs, wallHeight) {
         const facadeMesh = new THREE.Mesh(facadeGeometry, facadeMaterial);
         // Offset facade slightly below the wall to prevent z-fighting at the y=0 boundary
         facadeMesh.position.set(wallDef.x, -facadeDepth / 2 - 0.01, wallDef.z);
+        facadeMesh.rotation.y = rotation;
         facadeMesh.castShadow = false; // Facade doesn't cast shadows
         facadeMesh.receiveShadow = false;
         facadeMesh.userData.isVisualFacade = true; // Mark as visual only
+        wallMesh.userData.facade = facadeMesh;
         
         scene.add(facadeMesh);
+        
+        // Gates can start open
+        if (wallDef.open) {
+            setWallOpen(wallMesh, true);
+        }
     });
     
-    // After all walls are created, detect adjacencies and create connectors
-    detectAndCreateWallConnectors(wallDefs, wallHeight);
+    // After all walls are created, detect adjacencies and create connectors (between axis-aligned walls)
+    detectAndCreateWallConnectors(wallDefs.filter(wallDef => !wallDef.rotation), wallHeight);
 }
 
 /**
@@ -3346,9 +3457,44 @@ function createCoordinateAxes() {
     scene.add(coordinateAxes);
 }
 
-export function getTerrainHeight(x, z) {
-    // Simple flat terrain - all ground is at y=0
-    return 0;
+/**
+ * Height of the ground at a point - the top of the highest tier, ramp or bridge there,
+ * or the ground itself (the level's heightmap, flat at y=0 without one)
+ * @param {number} maxTop - Ignore layers above this (a ball under a bridge is on the ground below it)
+ * @param {Object} from - {x, z} a ball moved from, so it keeps to a ramp it's climbing (see findTierBelow)
+ */
+export function getTerrainHeight(x, z, maxTop = Infinity, from = null) {
+    const ground = getHeightmapHeight(x, z);
+    const tier = findTierBelow(x, z, maxTop, queryCollisionIndex(x, z, x, z).tiers, from);
+    return tier ? Math.max(tier.height, ground) : ground;
+}
+
+/**
+ * Rise over run of the ground at a point, on the same layer getTerrainHeight() picks
+ * @returns {Object} { x, z } - the ball is pulled down this slope
+ */
+export function getTerrainSlope(x, z, maxTop = Infinity, from = null) {
+    const tier = findTierBelow(x, z, maxTop, queryCollisionIndex(x, z, x, z).tiers, from);
+    if (tier && tier.height >= getHeightmapHeight(x, z)) {
+        return { x: tier.slopeX, z: tier.slopeZ };
+    }
+    return getHeightmapSlope(x, z);
+}
+
+// Set up the level's heightmap - inline heights right away, an image once it has loaded
+function loadCourseHeightmap(courseDef) {
+    const def = courseDef.heightmap;
+    if (!def.image) {
+        setHeightmap(createHeightmap(def, getCourseBounds()));
+        return;
+    }
+
+    loadHeightmapImage(def, getCourseBounds()).then(heightmap => {
+        // Skip it if another course was loaded in the meantime
+        if (!heightmap || courseDefinition !== courseDef) return;
+        setHeightmap(heightmap);
+        coursePlane = createCourseFloor(scene, courseDef);
+    });
 }
 
 export function getCourseHump() {
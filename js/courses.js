@@ -1,6 +1,6 @@
 // Course management and multiple courses
 import * as THREE from 'three';
-import { scene } from './main.js';
+import { scene, setCourseIndex } from './scene-context.js';
 import { createCourse as createCourseGeometry, getCourseBounds, getRectangularHoleWalls, getRectangularHoleEdgeWalls, removeAllRectangularHoleWalls, removeAllCustomWalls, removeCoordinateAxes } from './course.js';
 import { createHole, setHolePosition } from './game.js';
 import { createPowerUp, removeAllPowerUps, POWERUP_TYPES } from './powerups.js';
@@ -8,11 +8,14 @@ import { removeAllBumpers } from './bumpers.js';
 import { removeAllMovingWalls } from './moving-walls.js';
 import { removeAllFans } from './fans.js';
 import { removeAllMagneticFields } from './magnetic-fields.js';
-import { removeAllTeleporters, resetTeleporterState } from './teleporters.js';
+import { removeAllTeleporters } from './teleporters.js';
 import { removeAllModels } from './course.js';
 import { removeFloor } from './floor.js';
+import { removeAllSurfaceZones } from './surfaces.js';
+import { removeAllWaterHazards } from './water-hazards.js';
 import { createWindZone, removeAllWindZones } from './wind-zones.js';
 import { updateLightingForCourse } from './main.js';
+import { createRandom, deriveSeed, getGameSeed, randomChoice } from './random.js';
 
 // Import all level definitions
 import { level1 } from './levels/level1.js';
@@ -114,7 +117,6 @@ export async function loadCourse(courseIndex) {
     
     // Remove all teleporters from previous course
     removeAllTeleporters();
-    resetTeleporterState(); // Reset teleporter state for new level
 
     // Remove all models from previous course
     removeAllModels();
@@ -125,6 +127,12 @@ export async function loadCourse(courseIndex) {
     // Remove floor from previous course
     removeFloor(scene);
     
+    // Remove surface zones from previous course
+    removeAllSurfaceZones();
+    
+    // Remove water hazards from previous course
+    removeAllWaterHazards();
+    
     // Remove wind zones from previous course
     removeAllWindZones();
     
@@ -148,6 +156,7 @@ export async function loadCourse(courseIndex) {
     
     
     currentCourseIndex = courseIndex;
+    setCourseIndex(courseIndex);
     
     if (courseIndex >= COURSE_DEFINITIONS.length) {
         console.error('Course index out of range');
@@ -182,21 +191,13 @@ export async function loadCourse(courseIndex) {
             POWERUP_TYPES.REWIND
         ];
         
+        // Seeded per game and course so the same seed always deals the same power-ups
+        const powerUpRandom = createRandom(deriveSeed(getGameSeed(), 'power-ups', courseIndex));
+        
         courseDef.powerUpPositions.forEach((pos, index) => {
-            // Use crypto.getRandomValues for better randomization if available, otherwise fall back to Math.random
-            let randomIndex;
-            if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
-                const randomArray = new Uint32Array(1);
-                crypto.getRandomValues(randomArray);
-                randomIndex = randomArray[0] % availablePowerUps.length;
-            } else {
-                // Fallback to Math.random with better precision
-                randomIndex = Math.floor(Math.random() * availablePowerUps.length);
-            }
-            
-            const powerUpType = availablePowerUps[randomIndex];
+            const powerUpType = randomChoice(powerUpRandom, availablePowerUps);
             
-            console.log(`Creating power-up ${index} at position:`, pos, 'type:', powerUpType, 'randomIndex:', randomIndex);
+            console.log(`Creating power-up ${index} at position:`, pos, 'type:', powerUpType);
             const powerUp = createPowerUp(pos, powerUpType);
             powerUps.push(powerUp);
         });
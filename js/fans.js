@@ -1,6 +1,8 @@
 // Rotating fan obstacle system
 import * as THREE from 'three';
-import { scene, isFullMode } from './main.js';
+import { scene, isFullMode } from './scene-context.js';
+import { sweepSphere, orientedBoxDistance } from './sweep.js';
+import { createSchedule, advanceSchedule, saveSchedule, restoreSchedule, getScheduleLevel } from './schedules.js';
 
 let fans = [];
 
@@ -14,7 +16,10 @@ export function createFan(config) {
         rotationSpeed = 2.0,   // Rotation speed (radians per second)
         pushStrength = 5.0,   // How strong the fan pushes the ball
         bladeLengthMultiplier = 2.0, // Blade length relative to radius
-        color = 0x888888      // Fan color (gray by default)
+        color = 0x888888,     // Fan color (gray by default)
+        id = null,            // Name triggers switch it on and off by (see triggers.js)
+        enabled = true,       // A switched-off fan stands still and doesn't push
+        schedule = null       // Timed on/off cycle or pulse (see schedules.js)
     } = config;
 
     const fanGroup = new THREE.Group();
@@ -96,6 +101,9 @@ export function createFan(config) {
     fanGroup.userData.bladeHeight = bladeHeight;
     fanGroup.userData.bladeLength = bladeLength;
     fanGroup.userData.bladeWidth = bladeWidth;
+    fanGroup.userData.id = id;
+    fanGroup.userData.enabled = enabled;
+    fanGroup.userData.schedule = createSchedule(schedule);
 
     scene.add(fanGroup);
     fans.push(fanGroup);
@@ -105,15 +113,49 @@ export function createFan(config) {
 
 export function updateFans(deltaTime) {
     fans.forEach(fan => {
-        fan.userData.rotation += deltaTime * fan.userData.rotationSpeed;
+        // Blades spin down and back up with the schedule
+        advanceSchedule(fan.userData.schedule, deltaTime);
+        fan.userData.rotation += deltaTime * getFanSpinSpeed(fan);
         fan.userData.bladeGroup.rotation.y = fan.userData.rotation;
     });
 }
 
+/**
+ * Where every fan's blades and schedule are, for restoreFans()
+ */
+export function saveFans() {
+    return fans.map(fan => ({ rotation: fan.userData.rotation, schedule: saveSchedule(fan.userData.schedule) }));
+}
+
+/**
+ * Put the fans back where saveFans() found them
+ */
+export function restoreFans(saved) {
+    fans.forEach((fan, index) => {
+        fan.userData.rotation = saved[index].rotation;
+        fan.userData.bladeGroup.rotation.y = fan.userData.rotation;
+        restoreSchedule(fan.userData.schedule, saved[index].schedule);
+    });
+}
+
 export function getFans() {
     return fans;
 }
 
+/**
+ * How hard a fan is running right now, 0 (off or stopped by its schedule) to 1
+ */
+export function getFanPower(fan) {
+    return fan.userData.enabled ? getScheduleLevel(fan.userData.schedule) : 0;
+}
+
+/**
+ * Switch a fan on or off (a stopped fan's blades are still in the way)
+ */
+export function setFanEnabled(fan, enabled) {
+    fan.userData.enabled = enabled;
+}
+
 export function removeAllFans() {
     fans.forEach(fan => {
         scene.remove(fan);
@@ -125,12 +167,31 @@ export function removeAllFans() {
     fans = [];
 }
 
-export function checkFanBladeCollisions(ballPos, ballRadius) {
-    const collisions = [];
+/**
+ * Find the first fan blade the ball touches while moving from start by motion (swept sphere vs blade box)
+ * Blades turn a tiny angle per physics step, so each is swept at its current pose
+ * @param {Array} candidates - Fans to test (e.g. from the collision index), defaults to all
+ * @returns {Object|null} { t, normal, penetration, blade, bladeVelocity } or null if the path is clear
+ */
+export function sweepFanBlades(start, motion, ballRadius, candidates = fans) {
+    let firstHit = null;
 
-    for (const fan of fans) {
+    for (const fan of candidates) {
         const fanPos = new THREE.Vector3(fan.userData.x, 0, fan.userData.z);
-        const rotationSpeed = fan.userData.rotationSpeed;
+        const rotationSpeed = getFanSpinSpeed(fan);
+
+        // Skip fans the ball can't reach this step
+        const bladeReach = fan.userData.radius * 0.5 + fan.userData.bladeLength / 2 + fan.userData.bladeWidth / 2;
+        const reach = bladeReach + ballRadius + motion.length();
+        if (Math.abs(start.x - fanPos.x) > reach || Math.abs(start.z - fanPos.z) > reach) {
+            continue;
+        }
+
+        const halfSize = new THREE.Vector3(
+            fan.userData.bladeLength / 2,
+            fan.userData.bladeHeight / 2,
+            fan.userData.bladeWidth / 2
+        );
 
         for (const blade of fan.userData.bladeMeshes) {
             const bladeCenter = new THREE.Vector3();
@@ -138,54 +199,22 @@ export function checkFanBladeCollisions(ballPos, ballRadius) {
 
             const bladeQuat = new THREE.Quaternion();
             blade.getWorldQuaternion(bladeQuat);
-            const invBladeQuat = bladeQuat.clone().invert();
 
-            const localBallPos = new THREE.Vector3().subVectors(ballPos, bladeCenter).applyQuaternion(invBladeQuat);
-
-            const halfLength = fan.userData.bladeLength / 2;
-            const halfHeight = fan.userData.bladeHeight / 2;
-            const halfWidth = fan.userData.bladeWidth / 2;
-
-            if (Math.abs(localBallPos.x) > halfLength + ballRadius ||
-                Math.abs(localBallPos.y) > halfHeight + ballRadius ||
-                Math.abs(localBallPos.z) > halfWidth + ballRadius) {
-                continue;
-            }
-
-            const closestLocal = new THREE.Vector3(
-                Math.max(-halfLength, Math.min(localBallPos.x, halfLength)),
-                Math.max(-halfHeight, Math.min(localBallPos.y, halfHeight)),
-                Math.max(-halfWidth, Math.min(localBallPos.z, halfWidth))
-            );
-
-            const closestWorldPoint = bladeCenter.clone().add(closestLocal.clone().applyQuaternion(bladeQuat));
-            const distance = ballPos.distanceTo(closestWorldPoint);
-
-            if (distance >= ballRadius + 0.01) {
+            const box = { center: bladeCenter, inverseQuaternion: bladeQuat.clone().invert(), halfSize };
+            const hit = sweepSphere(start, motion, ballRadius, point => orientedBoxDistance(point, box));
+            if (!hit || (firstHit && hit.t >= firstHit.t)) {
                 continue;
             }
 
-            let normal = new THREE.Vector3().subVectors(ballPos, closestWorldPoint);
-            const normalLength = normal.length();
-            if (normalLength < 0.001) {
-                normal = new THREE.Vector3(
-                    ballPos.x - fanPos.x,
-                    0,
-                    ballPos.z - fanPos.z
-                );
-                if (normal.length() < 0.001) {
-                    normal = new THREE.Vector3(1, 0, 0).applyQuaternion(bladeQuat);
-                }
-            }
-            normal.normalize();
-
+            // Blade surface velocity at the contact point (tangential to the fan's rotation)
+            const contact = start.clone().addScaledVector(motion, hit.t).addScaledVector(hit.normal, -ballRadius);
             const distFromCenter = Math.sqrt(
-                Math.pow(closestWorldPoint.x - fanPos.x, 2) + 
-                Math.pow(closestWorldPoint.z - fanPos.z, 2)
+                Math.pow(contact.x - fanPos.x, 2) + 
+                Math.pow(contact.z - fanPos.z, 2)
             );
             const tangentialSpeed = rotationSpeed * distFromCenter;
 
-            const angleToCollision = Math.atan2(closestWorldPoint.z - fanPos.z, closestWorldPoint.x - fanPos.x);
+            const angleToCollision = Math.atan2(contact.z - fanPos.z, contact.x - fanPos.x);
             const tangentialAngle = angleToCollision + Math.PI / 2;
             const bladeVelocity = new THREE.Vector3(
                 Math.cos(tangentialAngle) * tangentialSpeed,
@@ -193,28 +222,19 @@ export function checkFanBladeCollisions(ballPos, ballRadius) {
                 Math.sin(tangentialAngle) * tangentialSpeed
             );
 
-            const penetrationDepth = Math.max(0, ballRadius - distance);
-            const correctedPos = ballPos.clone().add(
-                normal.clone().multiplyScalar(penetrationDepth + 0.01)
-            );
-
-            collisions.push({
-                collided: true,
-                correctedPos,
-                normal,
-                blade,
-                bladeVelocity
-            });
+            firstHit = { ...hit, blade, bladeVelocity };
         }
     }
 
-    return collisions.length > 0 ? collisions[0] : { collided: false };
+    return firstHit;
 }
 
 export function checkFanPush(ballPos, ballRadius) {
     const pushForces = [];
     
     for (const fan of fans) {
+        const power = getFanPower(fan);
+        if (power === 0) continue;
         const fanPos = new THREE.Vector3(fan.userData.x, 0, fan.userData.z);
         const distance = Math.sqrt(
             Math.pow(ballPos.x - fanPos.x, 2) + 
@@ -238,7 +258,7 @@ export function checkFanPush(ballPos, ballRadius) {
             // Push strength decreases with distance
             const maxDistance = fan.userData.radius + ballRadius;
             const distanceFactor = Math.max(0, 1.0 - (distance / maxDistance));
-            const pushMagnitude = fan.userData.pushStrength * distanceFactor;
+            const pushMagnitude = fan.userData.pushStrength * distanceFactor * power;
             
             pushForces.push({
                 force: pushDirection.clone().multiplyScalar(pushMagnitude),
@@ -250,3 +270,7 @@ export function checkFanPush(ballPos, ballRadius) {
     return pushForces;
 }
 
+// Current blade rotation speed (radians per second)
+function getFanSpinSpeed(fan) {
+    return fan.userData.rotationSpeed * getFanPower(fan);
+}
@@ -1,6 +1,7 @@
 // Floor texture system - procedural coordinate-based ground plane
 import * as THREE from 'three';
-import { isFullMode } from './main.js';
+import { isFullMode } from './scene-context.js';
+import { getHeightmap, sampleHeightmap } from './heightmap.js';
 
 let floorMesh = null;
 let floorMaterial = null;
@@ -188,6 +189,75 @@ const floorFragmentShader = `
     }
 `;
 
+// Surface zone looks (see surfaces.js) - pattern index picks the branch in the surface shader
+const SURFACE_LOOKS = {
+    sand: { pattern: 0, base: 0xe8cf8f, detail: 0xc9a95e },
+    ice: { pattern: 1, base: 0xbfe9ff, detail: 0xffffff },
+    rough: { pattern: 2, base: 0x9c6fa0, detail: 0x6e4a72 },
+    sticky: { pattern: 3, base: 0x7a3fb8, detail: 0xb98be6 },
+    boost: { pattern: 4, base: 0xff8c1a, detail: 0xfff066 }
+};
+const SURFACE_HEIGHT = 0.02; // Just above the floor so the patch doesn't z-fight with it
+
+// Heightmap floors are a grid this fine (world units between vertices), capped for very large courses
+const HEIGHTMAP_FLOOR_SPACING = 0.5;
+const MAX_HEIGHTMAP_SEGMENTS = 256;
+
+// Fragment shader for surface zones - one branch per surface type
+const surfaceFragmentShader = `
+    uniform float uTime;
+    uniform float uPattern;
+    uniform vec3 uBaseColor;
+    uniform vec3 uDetailColor;
+    uniform vec2 uDirection;
+    
+    varying vec3 vWorldPosition;
+    
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453123);
+    }
+    
+    // Smooth value noise
+    float valueNoise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+                   mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+    }
+    
+    void main() {
+        vec2 p = vWorldPosition.xz;
+        float detail = 0.0;
+        
+        if (uPattern < 0.5) {
+            // Sand: fine grains over wind ripples
+            float grain = hash(floor(p * 24.0));
+            float ripple = sin(p.x * 1.7 + p.y * 0.4 + valueNoise(p * 0.5) * 4.0) * 0.5 + 0.5;
+            detail = grain * 0.35 + ripple * 0.3;
+        } else if (uPattern < 1.5) {
+            // Ice: thin cracks and a glint sliding across the sheet
+            float crack = smoothstep(0.96, 1.0, abs(sin(p.x * 2.3 + p.y * 1.1 + valueNoise(p) * 3.0)));
+            float glint = pow(max(0.0, sin((p.x + p.y) * 0.4 - uTime * 1.5)), 12.0);
+            detail = crack * 0.6 + glint * 0.5;
+        } else if (uPattern < 2.5) {
+            // Rough: clumpy long grass
+            detail = valueNoise(p * 3.0) * 0.6 + valueNoise(p * 9.0) * 0.4;
+        } else if (uPattern < 3.5) {
+            // Sticky: slowly oozing glossy blobs
+            detail = smoothstep(0.55, 0.7, valueNoise(p * 1.5 + vec2(0.0, uTime * 0.05)));
+        } else {
+            // Boost: chevrons scrolling in the push direction
+            vec2 dir = normalize(uDirection);
+            vec2 side = vec2(-dir.y, dir.x);
+            float chevron = fract((dot(p, dir) - abs(fract(dot(p, side) * 0.25) - 0.5) * 2.0) * 0.5 - uTime * 1.5);
+            detail = step(0.6, chevron);
+        }
+        
+        gl_FragColor = vec4(mix(uBaseColor, uDetailColor, clamp(detail, 0.0, 1.0)), 1.0);
+    }
+`;
+
 /**
  * Creates the floor plane with procedural grass texture
  * @param {THREE.Scene} scene - The Three.js scene to add the floor to
@@ -255,8 +325,14 @@ export function createCourseFloor(scene, courseDef) {
     
     let geometry = null;
     
+    // A heightmap replaces the flat shapes with a grid that follows the hills
+    const heightmap = getHeightmap();
+    if (heightmap) {
+        geometry = createHeightmapGeometry(courseDef, heightmap);
+    }
+    
     // If we have floor polygons, use them (highest priority)
-    if (Array.isArray(courseDef.floorPolygons) && courseDef.floorPolygons.length > 0) {
+    if (!geometry && Array.isArray(courseDef.floorPolygons) && courseDef.floorPolygons.length > 0) {
         console.log('Creating floor from polygons:', courseDef.floorPolygons);
         geometry = createGeometryFromPolygons(courseDef.floorPolygons);
         console.log('Polygon geometry created:', geometry ? 'success' : 'failed');
@@ -368,7 +444,8 @@ export function createCourseFloor(scene, courseDef) {
  */
 export function updateFloor(deltaTime) {
     // Only update shader uniforms in full mode (basic material doesn't have uniforms)
-    if (isFullMode && floorMaterial && floorUniforms) {
+    // (surface zones share uTime, so keep it running even without a floor mesh)
+    if (isFullMode && floorUniforms) {
         floorUniforms.uTime.value += deltaTime;
     }
 }
@@ -462,6 +539,66 @@ export function showFloor() {
     }
 }
 
+/**
+ * Creates the patch of ground shown for a surface zone
+ * @param {Object} zone - Surface zone from surfaces.js (type, polygon, boost direction)
+ * @returns {THREE.Mesh} The patch mesh (not yet added to the scene)
+ */
+export function createSurfaceMesh(zone) {
+    const look = SURFACE_LOOKS[zone.type];
+    if (!look) return null;
+    
+    // Shape space Y becomes world -Z once the mesh is laid flat, so flip Z going in
+    const shape = new THREE.Shape();
+    shape.moveTo(zone.polygon[0].x, -zone.polygon[0].z);
+    for (let i = 1; i < zone.polygon.length; i++) {
+        shape.lineTo(zone.polygon[i].x, -zone.polygon[i].z);
+    }
+    shape.closePath();
+    const geometry = new THREE.ShapeGeometry(shape);
+    
+    let material;
+    if (isFullMode) {
+        const boost = zone.surface.boost;
+        material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: floorUniforms.uTime, // Shared so every patch animates with the floor
+                uPattern: { value: look.pattern },
+                uBaseColor: { value: new THREE.Color(look.base) },
+                uDetailColor: { value: new THREE.Color(look.detail) },
+                uDirection: { value: new THREE.Vector2(boost ? boost.x : 0, boost ? boost.z : 1) }
+            },
+            vertexShader: floorVertexShader,
+            fragmentShader: surfaceFragmentShader,
+            side: THREE.DoubleSide
+        });
+    } else {
+        // Prototype mode: flat color per surface type
+        material = new THREE.MeshBasicMaterial({
+            color: look.base,
+            side: THREE.DoubleSide
+        });
+    }
+    
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.y = SURFACE_HEIGHT;
+    mesh.receiveShadow = true;
+    mesh.userData.isSurfaceZone = true;
+    mesh.userData.surfaceType = zone.type;
+    
+    return mesh;
+}
+
+/**
+ * Disposes a surface zone patch (caller removes it from the scene)
+ * @param {THREE.Mesh} mesh - Mesh from createSurfaceMesh()
+ */
+export function removeSurfaceMesh(mesh) {
+    mesh.geometry?.dispose();
+    mesh.material?.dispose();
+}
+
 // Export uniforms for external access if needed
 export { floorUniforms };
 
@@ -500,6 +637,74 @@ function createRectangularCourseGeometry(courseDef = null) {
     return new THREE.ShapeGeometry(shape, 64);
 }
 
+/**
+ * Floor grid over a heightmap's area, raised to its heights (same sampling as the ball physics)
+ * Cells over rectangular holes are left out
+ */
+function createHeightmapGeometry(courseDef, heightmap) {
+    const width = heightmap.maxX - heightmap.minX;
+    const depth = heightmap.maxZ - heightmap.minZ;
+    const segmentsX = Math.min(Math.ceil(width / HEIGHTMAP_FLOOR_SPACING), MAX_HEIGHTMAP_SEGMENTS);
+    const segmentsZ = Math.min(Math.ceil(depth / HEIGHTMAP_FLOOR_SPACING), MAX_HEIGHTMAP_SEGMENTS);
+    
+    // Plane Y becomes world -Z once the mesh is laid flat, and plane Z becomes world Y
+    const geometry = new THREE.PlaneGeometry(width, depth, segmentsX, segmentsZ);
+    geometry.translate((heightmap.minX + heightmap.maxX) / 2, -(heightmap.minZ + heightmap.maxZ) / 2, 0);
+    const positions = geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        positions.setZ(i, sampleHeightmap(heightmap, positions.getX(i), -positions.getY(i)));
+    }
+    
+    const rectangularHoles = courseDef?.rectangularHoles || [];
+    if (rectangularHoles.length > 0) {
+        const index = geometry.index.array;
+        const kept = [];
+        for (let i = 0; i < index.length; i += 3) {
+            const x = (positions.getX(index[i]) + positions.getX(index[i + 1]) + positions.getX(index[i + 2])) / 3;
+            const z = -(positions.getY(index[i]) + positions.getY(index[i + 1]) + positions.getY(index[i + 2])) / 3;
+            const inHole = rectangularHoles.some(rectHole =>
+                Math.abs(x - rectHole.x) < rectHole.width / 2 && Math.abs(z - rectHole.z) < rectHole.length / 2);
+            if (!inHole) {
+                kept.push(index[i], index[i + 1], index[i + 2]);
+            }
+        }
+        geometry.setIndex(kept);
+    }
+    
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Axis-aligned rectangles covering a wall - a rotated wall becomes a staircase of overlapping squares along it
+function getWallFootprints(wall) {
+    const rotation = wall.rotation || 0;
+    if (!rotation) {
+        return [{
+            minX: wall.x - wall.width / 2,
+            maxX: wall.x + wall.width / 2,
+            minZ: wall.z - wall.depth / 2,
+            maxZ: wall.z + wall.depth / 2
+        }];
+    }
+    
+    // Local X runs along (cos, -sin) in world space
+    const alongX = wall.width >= wall.depth;
+    const length = alongX ? wall.width : wall.depth;
+    const thickness = alongX ? wall.depth : wall.width;
+    const axis = alongX
+        ? { x: Math.cos(rotation), z: -Math.sin(rotation) }
+        : { x: Math.sin(rotation), z: Math.cos(rotation) };
+    const steps = Math.max(1, Math.ceil((length - thickness) / (thickness / 2)));
+    const footprints = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = -(length - thickness) / 2 + (length - thickness) * i / steps;
+        const x = wall.x + axis.x * t;
+        const z = wall.z + axis.z * t;
+        footprints.push({ minX: x - thickness / 2, maxX: x + thickness / 2, minZ: z - thickness / 2, maxZ: z + thickness / 2 });
+    }
+    return footprints;
+}
+
 function createGridFloorGeometryFromWalls(courseDef) {
     if (!courseDef?.customWalls?.length || !courseDef?.ballStartPosition) {
         return null;
@@ -511,16 +716,11 @@ function createGridFloorGeometryFromWalls(courseDef) {
     const zs = [];
     
     walls.forEach((wall) => {
-        const halfWidth = wall.width / 2;
-        const halfDepth = wall.depth / 2;
-        const minX = wall.x - halfWidth;
-        const maxX = wall.x + halfWidth;
-        const minZ = wall.z - halfDepth;
-        const maxZ = wall.z + halfDepth;
-        
-        rects.push({ minX, maxX, minZ, maxZ });
-        xs.push(minX, maxX);
-        zs.push(minZ, maxZ);
+        getWallFootprints(wall).forEach(rect => {
+            rects.push(rect);
+            xs.push(rect.minX, rect.maxX);
+            zs.push(rect.minZ, rect.maxZ);
+        });
     });
     
     if (Array.isArray(courseDef.rectangularHoles)) {
@@ -1,8 +1,10 @@
 // Game // Game state, win conditions, and scoring
 import * as THREE from 'three';
-import { scene, isFullMode } from './main.js';
+import { scene, isFullMode } from './scene-context.js';
 import { getBallPosition, getBallVelocity, resetBall } from './ball.js';
 import { resetCollisions } from './collisions.js';
+import { resetTriggers } from './triggers.js';
+import { resetTeleporters } from './teleporters.js';
 
 const BALL_RADIUS = 0.5;
 export const HOLE_RADIUS = 2.0; // Doubled from 1.0 (exported for use in hole-indicator.js)
@@ -111,11 +113,11 @@ export async function createHole() {
     return { holeMesh, chamfer: null, indicatorRing: null };
 }
 
-export function checkWinCondition() {
-    if (isHoleComplete) return false;
-    
-    const ballPos = getBallPosition();
-    const ballVel = getBallVelocity();
+/**
+ * Whether a ball at this position/velocity has dropped into the hole
+ * (shared by checkWinCondition and the headless simulation)
+ */
+export function isBallInHole(ballPos, ballVel) {
     const holePos = getHolePosition();
     
     // Check if ball is near hole (horizontal distance)
@@ -129,9 +131,25 @@ export function checkWinCondition() {
     // 2. Below ground level (fallen into hole) - deep enough
     // 3. Either moving slowly OR deep enough in hole (velocity check relaxed)
     const isDeepEnough = ballPos.y < -0.5; // Ball has fallen deep into hole
-    const isInHole = horizontalDistance < HOLE_RADIUS && // Exact hole size
+    return horizontalDistance < HOLE_RADIUS && // Exact hole size
         isDeepEnough && // Ball has fallen below ground level
         (ballVel.length() < 5.0 || ballPos.y < -1.0); // Relaxed velocity check OR very deep
+}
+
+export function checkWinCondition() {
+    if (isHoleComplete) return false;
+    
+    const ballPos = getBallPosition();
+    const ballVel = getBallVelocity();
+    const holePos = getHolePosition();
+    
+    // Check if ball is near hole (horizontal distance)
+    const horizontalDistance = Math.sqrt(
+        Math.pow(ballPos.x - holePos.x, 2) +
+        Math.pow(ballPos.z - holePos.z, 2)
+    );
+    
+    const isInHole = isBallInHole(ballPos, ballVel);
     
     // Debug logging
     if (horizontalDistance < HOLE_RADIUS * 1.5) {
@@ -211,8 +229,16 @@ export function calculateRating() {
 export function resetHole() {
     strokeCount = 0;
     isHoleComplete = false;
+    restartFromTee();
+}
+
+// Ball back on the tee, with gates, plates and teleporter networks the way the level starts them
+// (the R key restart keeps the stroke count, a new hole clears it)
+export function restartFromTee() {
     resetBall();
     resetCollisions();
+    resetTriggers();
+    resetTeleporters();
 }
 
 export function getTotalScore() {
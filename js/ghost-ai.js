@@ -6,28 +6,31 @@ import {
     isGhostBallAtRest,
     isGhostBallActive,
     getGhostBallPosition,
-    updateGhostBallPhysics,
+    stepGhostBall,
     checkGhostBallWinCondition,
     initializeGhostBallForHole,
     createGhostBall,
     hideGhostBall,
     showGhostBall,
-    updateGhostTeleportCooldown,
-    setGhostBallVelocity,
-    setGhostBallPosition
+    getGhostBallBody
 } from './ghost-ball.js';
-import {
-    checkGhostWallCollisions,
-    resetGhostCollisions,
-    processGhostTeleportation
-} from './ghost-collisions.js';
-import { getHolePosition, HOLE_RADIUS } from './game.js';
-import { getCourseBounds, getCustomWalls, getTestWalls, getRectangularHoles } from './course.js';
-import { checkFanPush, checkFanBladeCollisions, getFans } from './fans.js';
-import { applyWindForce } from './wind-zones.js';
+import { getHolePosition, isBallInHole } from './game.js';
+import { BallBody } from './ball-body.js';
+import { getFans } from './fans.js';
 import { getMagneticFields } from './magnetic-fields.js';
-import { getBumpers } from './bumpers.js';
-import { getCurrentCourseIndex } from './courses.js';
+import { queryCollisionIndexAlongPath } from './collision-index.js';
+import { boxDistance } from './sweep.js';
+import { courseIndex } from './scene-context.js';
+import {
+    FIXED_TIME_STEP,
+    createFixedStepAccumulator,
+    consumeFixedSteps,
+    getMaxShotSpeed,
+    updateCourseObjects,
+    saveCourseObjects,
+    restoreCourseObjects
+} from './physics.js';
+import { createRandom, deriveSeed, getGameSeed } from './random.js';
 
 // AI Difficulty levels
 export const Difficulty = {
@@ -109,10 +112,15 @@ let npcState = {
 
 // Physics constants
 const BALL_RADIUS = 0.5;
-const SIMULATION_TIME_STEP = 1/60;
 const MAX_SIMULATION_TIME = 8;
-const MAX_PULL_DISTANCE = 1.67;
-const POWER_SCALE = 80;
+const REST_SPEED = 0.1; // Predicted shot is over once the ball is this slow
+const WALL_HIT_IMMEDIATE_TIME = 0.2; // A wall hit this early in a predicted shot means it was aimed straight into it
+
+// Fixed-step accumulator for the ghost ball's physics
+const ghostPhysicsAccumulator = createFixedStepAccumulator();
+
+// Seeded random source for fallback shots, re-seeded per hole so replays match
+let aiRandom = createRandom(deriveSeed(getGameSeed(), 'ghost-ai'));
 
 /**
  * Initialize ghost AI for a new hole
@@ -124,7 +132,6 @@ export function initializeGhostAI(startPosition, config = {}) {
     npcState.hasStarted = false;
 
     // Set up waypoints for current course
-    const courseIndex = getCurrentCourseIndex();
     if (COURSE_WAYPOINTS[courseIndex]) {
         npcState.courseWaypoints = COURSE_WAYPOINTS[courseIndex];
         console.log(`Ghost AI: Using ${npcState.courseWaypoints.length} waypoints for course ${courseIndex + 1}`);
@@ -158,10 +165,12 @@ export function initializeGhostAI(startPosition, config = {}) {
     npcState.magnetFieldCenter = null;
     npcState.escapeAttempts = 0;
 
+    ghostPhysicsAccumulator.time = 0;
+    aiRandom = createRandom(deriveSeed(getGameSeed(), 'ghost-ai', courseIndex));
+
     createGhostBall();
     const offset = new THREE.Vector3(1.5, 0, 0);
     initializeGhostBallForHole(startPosition, offset);
-    resetGhostCollisions();
 
     console.log(`Ghost AI initialized for course ${courseIndex + 1} at (${startPosition.x.toFixed(1)}, ${startPosition.z.toFixed(1)})`);
     return npcState;
@@ -180,14 +189,8 @@ export function updateGhostAI(deltaTime, currentTimeMs) {
         return npcState;
     }
     
-    updateGhostTeleportCooldown(deltaTime);
-    
-    if (processGhostTeleportation()) {
-        return npcState;
-    }
-    
-    // Update physics
-    updateGhostPhysicsWithCollisions(deltaTime);
+    // Update physics in fixed steps, same as the player ball
+    consumeFixedSteps(ghostPhysicsAccumulator, deltaTime, stepGhostBall);
     
     if (checkGhostBallWinCondition()) {
         npcState.status = NpcStatus.FINISHED;
@@ -213,16 +216,9 @@ export function updateGhostAI(deltaTime, currentTimeMs) {
         return npcState;
     }
     
-    // Check for magnetic field situation
-    checkMagneticFieldSituation(ballState.position);
-    
-    // Check for stagnation
-    updateProgressTracking(ballState.position);
-    
     // Decide and take shot
-    const shot = decideShot(ballState.position);
+    const shot = planGhostAIShot(ballState.position);
     if (shot) {
-        recordShotAttempt(shot);
         applyGhostBallShot(shot.direction, shot.power);
         npcState.lastShotTimeMs = currentTimeMs;
         npcState.status = NpcStatus.SHOOTING;
@@ -232,59 +228,22 @@ export function updateGhostAI(deltaTime, currentTimeMs) {
 }
 
 /**
- * Update physics with windmill collision
+ * Pick the next shot for a ball resting at ballPos (also updates magnet, stagnation and shot history tracking)
+ * Used by updateGhostAI() in the game and by headless-sim.js simulateGhostAIHole()
+ * @returns {Object|null} { direction, power }
  */
-function updateGhostPhysicsWithCollisions(deltaTime) {
-    const MAX_STEP_DISTANCE = BALL_RADIUS * 0.25;
-    const MAX_SUB_STEPS = 40;
-    
-    const { velocity } = getGhostBallState();
-    const speed = velocity.length();
-    const expectedDistance = speed * deltaTime;
+export function planGhostAIShot(ballPos) {
+    // Check for magnetic field situation
+    checkMagneticFieldSituation(ballPos);
     
-    let numSubSteps = Math.max(1, Math.min(Math.ceil(expectedDistance / MAX_STEP_DISTANCE), MAX_SUB_STEPS));
-    const subDeltaTime = deltaTime / numSubSteps;
+    // Check for stagnation
+    updateProgressTracking(ballPos);
     
-    for (let step = 0; step < numSubSteps; step++) {
-        const ballPos = getGhostBallPosition();
-        
-        // Apply fan push forces
-        const pushForces = checkFanPush(ballPos, BALL_RADIUS);
-        if (pushForces.length > 0) {
-            const currentVel = getGhostBallState().velocity.clone();
-            pushForces.forEach(({ force }) => {
-                currentVel.add(force.clone().multiplyScalar(subDeltaTime));
-            });
-            setGhostBallVelocity(currentVel);
-        }
-        
-        // Apply wind forces
-        const windVel = getGhostBallState().velocity.clone();
-        applyWindForce(ballPos, windVel, subDeltaTime);
-        setGhostBallVelocity(windVel);
-        
-        // Update physics
-        updateGhostBallPhysics(subDeltaTime);
-        
-        // Check windmill blade collisions
-        const fanCollision = checkFanBladeCollisions(getGhostBallPosition(), BALL_RADIUS);
-        if (fanCollision.collided) {
-            setGhostBallPosition(fanCollision.correctedPos);
-            
-            const currentVel = getGhostBallState().velocity;
-            const dot = currentVel.dot(fanCollision.normal);
-            const reflectedVel = currentVel.clone().sub(
-                fanCollision.normal.clone().multiplyScalar(2 * dot)
-            );
-            reflectedVel.add(fanCollision.bladeVelocity.clone().multiplyScalar(0.3));
-            reflectedVel.multiplyScalar(0.5);
-            setGhostBallVelocity(reflectedVel);
-        }
-        
-        checkGhostWallCollisions();
-        
-        if (getGhostBallState().velocity.lengthSq() < 0.0001) break;
+    const shot = decideShot(ballPos);
+    if (shot) {
+        recordShotAttempt(shot);
     }
+    return shot;
 }
 
 /**
@@ -338,7 +297,6 @@ function updateProgressTracking(currentPosition) {
         // Only enter exploration mode if we don't have waypoints to follow
         // or if we've been stuck for a really long time
         // For stage 3, be conservative about exploration mode since we have waypoints
-        const courseIndex = getCurrentCourseIndex();
         const explorationThreshold = courseIndex === 2 ? 6 : npcState.config.stagnationThreshold * 3;
 
         if (npcState.shotsWithoutProgress >= explorationThreshold) {
@@ -400,7 +358,6 @@ function getCurrentTarget() {
  */
 function decideShot(ballPos) {
     const target = getCurrentTarget();
-    const courseIndex = getCurrentCourseIndex();
 
     console.log(`Ghost AI: Current target is waypoint ${npcState.currentWaypointIndex + 1}/${npcState.courseWaypoints.length} at (${target.x.toFixed(1)}, ${target.z.toFixed(1)})`);
     console.log(`Ghost AI: Ball at (${ballPos.x.toFixed(1)}, ${ballPos.z.toFixed(1)}), exploration: ${npcState.explorationMode}, magnetic: ${npcState.inMagneticField}`);
@@ -527,10 +484,9 @@ function decideMagnetEscapeShot(ballPos) {
  * Check if path to target is clear of walls, bumpers, and obstacles
  */
 function isPathClearToTarget(start, end) {
-    const customWalls = getCustomWalls();
-    const testWalls = getTestWalls();
+    // Only walls and bumpers near the path can block it
+    const { customWalls, testWalls, bumpers } = queryCollisionIndexAlongPath(start, end, BALL_RADIUS + 0.5);
     const fans = getAllFans();
-    const bumpers = getBumpers();
 
     const numSamples = 10;
     for (let t = 0; t <= 1; t += 1 / numSamples) {
@@ -543,6 +499,11 @@ function isPathClearToTarget(start, end) {
             if (!bounds) continue;
 
             const margin = BALL_RADIUS + 0.5;
+            if (wall.userData.box) {
+                // Rotated wall - its bounds are much bigger than it is
+                if (boxDistance(point, wall.userData.box) < margin) return false;
+                continue;
+            }
             if (point.x > bounds.minX - margin &&
                 point.x < bounds.maxX + margin &&
                 point.z > bounds.minZ - margin &&
@@ -626,7 +587,7 @@ function calculateShotToTarget(ballPos, target) {
     direction.normalize();
     
     // Estimate power based on distance
-    const maxShotDistance = MAX_PULL_DISTANCE * POWER_SCALE * 0.4;
+    const maxShotDistance = getMaxShotSpeed() * 0.4;
     let power = Math.min(distance / maxShotDistance, 1.0);
     power = Math.max(power, 0.2);
     
@@ -641,11 +602,10 @@ function calculateShotToTarget(ballPos, target) {
  * Check if shot will hit wall immediately
  */
 function willHitObstacleImmediately(ballPos, direction, power) {
-    const checkDistance = Math.min(power * MAX_PULL_DISTANCE * POWER_SCALE * 0.05, 3.0);
+    const checkDistance = Math.min(power * getMaxShotSpeed() * 0.05, 3.0);
 
-    const customWalls = getCustomWalls();
-    const testWalls = getTestWalls();
-    const bumpers = getBumpers();
+    const end = ballPos.clone().add(direction.clone().multiplyScalar(checkDistance));
+    const { customWalls, testWalls, bumpers } = queryCollisionIndexAlongPath(ballPos, end, BALL_RADIUS);
 
     // Check multiple points along initial trajectory
     for (let dist = 0.5; dist <= checkDistance; dist += 0.5) {
@@ -656,6 +616,10 @@ function willHitObstacleImmediately(ballPos, direction, power) {
             const bounds = wall.userData.bounds;
             if (!bounds) continue;
 
+            if (wall.userData.box) {
+                if (boxDistance(point, wall.userData.box) < BALL_RADIUS) return true;
+                continue;
+            }
             if (point.x > bounds.minX - BALL_RADIUS &&
                 point.x < bounds.maxX + BALL_RADIUS &&
                 point.z > bounds.minZ - BALL_RADIUS &&
@@ -768,174 +732,87 @@ function isShotInFailedList(shot) {
 }
 
 /**
- * Simulate a shot
+ * Simulate a shot - a prediction BallBody plays it with the same fixed-step physics as the ghost ball
+ * (moving obstacles and schedules run ahead with it and are put back afterwards; other balls stay where
+ * they are now, plates and teleporter networks aren't touched)
  */
 function simulateShot(startPos, direction, power) {
-    let pos = startPos.clone();
-    let vel = direction.clone().multiplyScalar(power * MAX_PULL_DISTANCE * POWER_SCALE);
-    
-    const bounds = getCourseBounds();
-    const holePos = getHolePosition();
-    const rectangularHoles = getRectangularHoles();
-    const customWalls = getCustomWalls();
-    const testWalls = getTestWalls();
-    const fans = getAllFans();
-    const bumpers = getBumpers();
+    const ghostBody = getGhostBallBody();
+    const target = getCurrentTarget();
 
     let time = 0;
-    let inHole = false;
     let outOfBounds = false;
     let inHazard = false;
     let hitWallImmediately = false;
-    let wallHits = 0;
-    let hitBumper = false;
+    let impacts = 0;
+    let bumperHits = 0;
+    let teleports = 0;
     let minDistToTarget = Infinity;
     let totalDistance = 0;
-    let lastPos = pos.clone();
-    
-    const target = getCurrentTarget();
-    
-    while (time < MAX_SIMULATION_TIME && !inHole && !outOfBounds && !inHazard) {
-        const step = vel.clone().multiplyScalar(SIMULATION_TIME_STEP);
-        pos.add(step);
-        totalDistance += step.length();
-        
-        vel.x *= 0.97;
-        vel.z *= 0.97;
-        
-        if (vel.length() < 0.1) break;
-        
-        // Check bounds
-        if (pos.x < bounds.minX - 1 || pos.x > bounds.maxX + 1 ||
-            pos.z < bounds.minZ - 1 || pos.z > bounds.maxZ + 1) {
-            outOfBounds = true;
-            break;
+    const lastPos = startPos.clone();
+
+    const ball = new BallBody({
+        name: 'ghost-prediction',
+        radius: ghostBody.radius,
+        predictionOf: ghostBody,
+        onOutOfBounds: (body, reason) => {
+            if (reason === 'hazard') inHazard = true;
+            else outOfBounds = true;
+        },
+        onWaterHazard: () => {
+            inHazard = true;
+        },
+        onTeleport: (body) => {
+            teleports++;
+            lastPos.copy(body.position); // The jump isn't distance rolled
+        },
+        onImpact: () => {
+            impacts++;
+        },
+        onBumperHit: () => {
+            bumperHits++;
         }
-        
-        // Check hazards
-        for (const rectHole of rectangularHoles) {
-            const halfWidth = rectHole.width / 2;
-            const halfLength = rectHole.length / 2;
-            if (Math.abs(pos.x - rectHole.x) < halfWidth &&
-                Math.abs(pos.z - rectHole.z) < halfLength) {
-                inHazard = true;
-                break;
-            }
-        }
-        if (inHazard) break;
-        
-        // Check wall collisions
-        let hitWall = false;
-        for (const wall of customWalls) {
-            const wallBounds = wall.userData.bounds;
-            if (!wallBounds) continue;
-            
-            if (pos.x > wallBounds.minX - BALL_RADIUS && 
-                pos.x < wallBounds.maxX + BALL_RADIUS &&
-                pos.z > wallBounds.minZ - BALL_RADIUS && 
-                pos.z < wallBounds.maxZ + BALL_RADIUS) {
-                hitWall = true;
-                wallHits++;
-                if (time < 0.2) hitWallImmediately = true;
-                
-                // Bounce
-                const distLeft = Math.abs(pos.x - wallBounds.minX);
-                const distRight = Math.abs(pos.x - wallBounds.maxX);
-                const distFront = Math.abs(pos.z - wallBounds.minZ);
-                const distBack = Math.abs(pos.z - wallBounds.maxZ);
-                const minDist = Math.min(distLeft, distRight, distFront, distBack);
-                
-                if (minDist === distLeft || minDist === distRight) {
-                    vel.x *= -0.5;
-                    pos.x = minDist === distLeft ? wallBounds.minX - BALL_RADIUS : wallBounds.maxX + BALL_RADIUS;
-                } else {
-                    vel.z *= -0.5;
-                    pos.z = minDist === distFront ? wallBounds.minZ - BALL_RADIUS : wallBounds.maxZ + BALL_RADIUS;
-                }
-                break;
-            }
-        }
-        
-        if (!hitWall) {
-            for (const wall of testWalls) {
-                const wallBounds = wall.userData.wallBounds;
-                if (!wallBounds) continue;
-                
-                if (pos.x > wallBounds.minX - BALL_RADIUS && 
-                    pos.x < wallBounds.maxX + BALL_RADIUS &&
-                    pos.z > wallBounds.minZ - BALL_RADIUS && 
-                    pos.z < wallBounds.maxZ + BALL_RADIUS) {
-                    hitWall = true;
-                    wallHits++;
-                    if (time < 0.2) hitWallImmediately = true;
-                    vel.multiplyScalar(-0.5);
-                    break;
-                }
-            }
-        }
-        
-        // Check bumpers
-        for (const bumper of bumpers) {
-            const bumperPos = bumper.position;
-            const bumperRadius = bumper.userData.radius;
-            const tubeRadius = bumper.userData.tubeRadius;
-
-            const horizontalDist = Math.sqrt(
-                Math.pow(pos.x - bumperPos.x, 2) +
-                Math.pow(pos.z - bumperPos.z, 2)
-            );
+    });
+    ball.setStartPosition(startPos);
+    ball.teleportState = { ...ghostBody.teleportState }; // Pad it's sitting on can't send it back
+    ball.supportPlatform = ghostBody.supportPlatform;
+    ball.setVelocity(direction.clone().multiplyScalar(power * getMaxShotSpeed()));
 
-            // Check if ball is within bumper's collision area
-            const outerRadius = bumperRadius + tubeRadius + BALL_RADIUS;
-            const innerRadius = Math.max(0, bumperRadius - tubeRadius - BALL_RADIUS);
+    let inHole = false;
+    const courseObjects = saveCourseObjects();
 
-            if (horizontalDist <= outerRadius && horizontalDist >= innerRadius) {
-                // Ball hit a bumper - bounce away with energy boost
-                hitBumper = true;
-                const awayDir = new THREE.Vector3(pos.x - bumperPos.x, 0, pos.z - bumperPos.z).normalize();
-                vel.copy(awayDir.multiplyScalar(vel.length() * 2.0)); // Bumper energy boost
-                break; // Only handle one bumper collision per step
-            }
-        }
+    while (time < MAX_SIMULATION_TIME) {
+        updateCourseObjects(FIXED_TIME_STEP);
+        ball.step(FIXED_TIME_STEP);
+        time += FIXED_TIME_STEP;
 
-        // Check windmills
-        for (const fan of fans) {
-            const fanX = fan.userData?.x ?? fan.position?.x ?? 0;
-            const fanZ = fan.userData?.z ?? fan.position?.z ?? 0;
-            const fanRadius = fan.userData?.radius ?? 3.0;
+        totalDistance += ball.position.distanceTo(lastPos);
+        lastPos.copy(ball.position);
+        minDistToTarget = Math.min(minDistToTarget, ball.position.distanceTo(target));
 
-            const distToFan = Math.sqrt(
-                Math.pow(pos.x - fanX, 2) +
-                Math.pow(pos.z - fanZ, 2)
-            );
-
-            if (distToFan < fanRadius * 1.2) {
-                const awayDir = new THREE.Vector3(pos.x - fanX, 0, pos.z - fanZ).normalize();
-                vel.copy(awayDir.multiplyScalar(vel.length() * 0.4));
-            }
+        // Bumpers count as bumper hits, everything else it bounced off as a wall
+        if (time < WALL_HIT_IMMEDIATE_TIME && impacts > bumperHits) {
+            hitWallImmediately = true;
         }
-        
-        // Track distances
-        const distToTarget = pos.distanceTo(target);
-        minDistToTarget = Math.min(minDistToTarget, distToTarget);
-        
-        const distToHole = pos.distanceTo(holePos);
-        if (distToHole < HOLE_RADIUS && vel.length() < 5) {
+
+        if (isBallInHole(ball.position, ball.velocity)) {
             inHole = true;
+            break;
         }
-        
-        lastPos = pos.clone();
-        time += SIMULATION_TIME_STEP;
+        if (outOfBounds || inHazard) break;
+        if (ball.isAtRest(REST_SPEED) && !ball.isOverRectangularHole()) break;
     }
-    
+    restoreCourseObjects(courseObjects);
+
     return {
-        finalPosition: pos,
+        finalPosition: ball.position.clone(),
         inHole,
         outOfBounds,
         inHazard,
         hitWallImmediately,
-        wallHits,
-        hitBumper,
+        wallHits: Math.max(0, impacts - bumperHits),
+        hitBumper: bumperHits > 0,
+        teleports,
         minDistToTarget,
         totalDistance,
         timeElapsed: time
@@ -1013,7 +890,7 @@ function findSimpleAlternativeShot(ballPos, target) {
 function findAnyOpenShot(ballPos) {
     for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 12) {
         const direction = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
-        const power = 0.4 + Math.random() * 0.3;
+        const power = 0.4 + aiRandom() * 0.3;
 
         if (!willHitObstacleImmediately(ballPos, direction, power)) {
             return { direction, power };
@@ -1022,7 +899,7 @@ function findAnyOpenShot(ballPos) {
 
     // Absolute fallback
     return {
-        direction: new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5).normalize(),
+        direction: new THREE.Vector3(aiRandom() - 0.5, 0, aiRandom() - 0.5).normalize(),
         power: 0.5
     };
 }
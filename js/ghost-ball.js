@@ -1,24 +1,35 @@
 // Ghost Ball - NPC ball that plays alongside the player in real-time
 import * as THREE from 'three';
-import { scene, isFullMode } from './main.js';
-import { getTerrainHeight, getRectangularHoles } from './course.js';
-import { PHYSICS_CONSTANTS } from './physics.js';
+import { scene, isFullMode } from './scene-context.js';
 import { getHolePosition, HOLE_RADIUS } from './game.js';
+import { BallBody } from './ball-body.js';
+import { getMaxShotSpeed } from './physics.js';
+import { registerBall, unregisterBall } from './ball-collisions.js';
+import { WaterDrop, WATER_PENALTY_STROKES, getWaterDropPosition } from './water-hazards.js';
+import { createSplashEffect } from './particles.js';
+import { getOutOfBoundsRule, getOutOfBoundsPosition, OutOfBoundsPlacement } from './out-of-bounds.js';
 
 // Ghost ball constants
 const BALL_RADIUS = 0.5;
 const GHOST_COLOR = 0x88CCFF; // Light blue for ghost
 const GHOST_OPACITY = 0.6;
 
-// Ghost ball state
+// Ghost ball state - physics, teleporter and out-of-bounds state live on the body
+const ghostBall = new BallBody({
+    name: 'ghost',
+    radius: BALL_RADIUS,
+    onOutOfBounds: handleGhostBallOutOfBounds,
+    onTeleport: (body, teleportResult) => onGhostTeleported(teleportResult),
+    onWaterHazard: handleGhostBallWaterHazard
+});
+const GHOST_OUT_OF_BOUNDS_RESET_DELAY = 500; // Shorter delay than the player's, no message for the AI
+
 let ghostBallMesh = null;
-let ghostBallPosition = new THREE.Vector3(0, BALL_RADIUS, 0);
-let ghostBallVelocity = new THREE.Vector3(0, 0, 0);
-let ghostBallStartPosition = new THREE.Vector3(0, BALL_RADIUS, 0);
 let ghostBallStrokes = 0;
 let ghostBallActive = false;
 let ghostBallFinished = false;
 let ghostBallInHole = false;
+let ghostShotStartPosition = null; // Where the last shot was taken from (water hazard replays)
 
 // Trail effect for ghost ball
 let ghostTrailPoints = [];
@@ -28,14 +39,6 @@ let ghostTrailLine = null;
 // Marker over ghost ball
 let ghostMarker = null;
 
-// Teleporter cooldown for ghost ball (independent from player)
-let ghostTeleportCooldown = 0;
-let ghostLastTeleportedDestinationId = null;
-let ghostJustTeleported = false;
-
-// Track if ghost ball triggered rectangular hole OOB
-let ghostHasTriggeredRectangularHoleOOB = false;
-
 /**
  * Create the ghost ball mesh
  */
@@ -63,7 +66,7 @@ export function createGhostBall() {
         });
     
     ghostBallMesh = new THREE.Mesh(ballGeometry, ballMaterial);
-    ghostBallMesh.position.copy(ghostBallPosition);
+    ghostBall.setMesh(ghostBallMesh);
     ghostBallMesh.castShadow = false;
     ghostBallMesh.receiveShadow = false;
     ghostBallMesh.userData.isGhostBall = true;
@@ -152,7 +155,7 @@ function createGhostMarker() {
 
     ghostMarker = new THREE.Mesh(markerGeometry, markerMaterial);
     ghostMarker.rotation.x = -Math.PI / 2; // Lay flat
-    ghostMarker.position.copy(ghostBallPosition);
+    ghostMarker.position.copy(ghostBall.position);
     ghostMarker.position.y += 2.0; // Float above the ball
 
     scene.add(ghostMarker);
@@ -164,11 +167,11 @@ function createGhostMarker() {
 function updateGhostTrail() {
     if (!ghostTrailLine || !ghostBallActive) return;
 
-    const speed = ghostBallVelocity.length();
+    const speed = ghostBall.velocity.length();
 
     // Only add trail points when moving and position is valid
-    if (speed > 0.5 && isValidPosition(ghostBallPosition)) {
-        ghostTrailPoints.push(ghostBallPosition.clone());
+    if (speed > 0.5 && isValidPosition(ghostBall.position)) {
+        ghostTrailPoints.push(ghostBall.position.clone());
         if (ghostTrailPoints.length > MAX_TRAIL_POINTS) {
             ghostTrailPoints.shift();
         }
@@ -223,191 +226,50 @@ function isValidPosition(position) {
  * @param {THREE.Vector3} offset - Optional offset from player (default: slight X offset)
  */
 export function initializeGhostBallForHole(startPosition, offset = new THREE.Vector3(1.5, 0, 0)) {
-    // Set start position with optional offset
-    ghostBallStartPosition.copy(startPosition).add(offset);
-    ghostBallStartPosition.y = BALL_RADIUS;
+    // Set start position with optional offset (also resets teleporter and collision state)
+    const ghostStartPosition = startPosition.clone().add(offset);
+    ghostStartPosition.y = BALL_RADIUS;
+    ghostBall.setStartPosition(ghostStartPosition);
     
     // Reset state
-    ghostBallPosition.copy(ghostBallStartPosition);
-    ghostBallVelocity.set(0, 0, 0);
     ghostBallStrokes = 0;
     ghostBallActive = true;
     ghostBallFinished = false;
     ghostBallInHole = false;
+    ghostShotStartPosition = ghostBall.position.clone();
     ghostTrailPoints = [];
-    
-    // Reset teleporter state
-    ghostTeleportCooldown = 0;
-    ghostLastTeleportedDestinationId = null;
-    ghostJustTeleported = false;
-    ghostHasTriggeredRectangularHoleOOB = false;
+    registerBall(ghostBall); // The player's ball can knock it around (and vice versa)
     
     // Update mesh position
     if (ghostBallMesh) {
-        ghostBallMesh.position.copy(ghostBallPosition);
+        ghostBallMesh.position.copy(ghostBall.position);
         ghostBallMesh.visible = true;
     } else {
         createGhostBall();
     }
     
-    console.log(`Ghost ball initialized at (${ghostBallPosition.x.toFixed(2)}, ${ghostBallPosition.y.toFixed(2)}, ${ghostBallPosition.z.toFixed(2)})`);
+    console.log(`Ghost ball initialized at (${ghostBall.position.x.toFixed(2)}, ${ghostBall.position.y.toFixed(2)}, ${ghostBall.position.z.toFixed(2)})`);
     
     return {
-        position: ghostBallPosition.clone(),
+        position: ghostBall.position.clone(),
         strokes: ghostBallStrokes,
         active: ghostBallActive
     };
 }
 
 /**
- * Update ghost ball physics (same physics as player ball but independent)
- * @param {number} deltaTime - Time since last frame
+ * Advance the ghost ball by one fixed physics step (same BallBody simulation as the player ball)
+ * @param {number} deltaTime - Fixed step length
  */
-export function updateGhostBallPhysics(deltaTime) {
+export function stepGhostBall(deltaTime) {
     if (!ghostBallActive || ghostBallFinished) return;
     
-    // Check if ghost ball is over hole
-    const holePos = getHolePosition();
-    const distanceToHole = Math.sqrt(
-        Math.pow(ghostBallPosition.x - holePos.x, 2) +
-        Math.pow(ghostBallPosition.z - holePos.z, 2)
-    );
-    const isOverHole = distanceToHole < HOLE_RADIUS;
-    
-    // Cap maximum velocity
-    const MAX_SPEED = 200.0;
-    let horizontalVel = new THREE.Vector3(ghostBallVelocity.x, 0, ghostBallVelocity.z);
-    let currentSpeed = horizontalVel.length();
-    
-    if (currentSpeed > MAX_SPEED) {
-        const scaleFactor = MAX_SPEED / currentSpeed;
-        ghostBallVelocity.x *= scaleFactor;
-        ghostBallVelocity.z *= scaleFactor;
-        horizontalVel.multiplyScalar(scaleFactor);
-        currentSpeed = MAX_SPEED;
-    }
-    
-    // Check if over rectangular holes
-    const rectangularHoles = getRectangularHoles();
-    let isOverRectangularHole = false;
-    for (const rectHole of rectangularHoles) {
-        const halfWidth = rectHole.width / 2;
-        const halfLength = rectHole.length / 2;
-        const distX = Math.abs(ghostBallPosition.x - rectHole.x);
-        const distZ = Math.abs(ghostBallPosition.z - rectHole.z);
-        if (distX < halfWidth && distZ < halfLength) {
-            isOverRectangularHole = true;
-            break;
-        }
-    }
-    
-    // Check if deep in hole
-    const isDeepInHole = ghostBallPosition.y < -0.5 && isOverHole;
-    
-    // Apply downward force when over hole
-    if (isOverHole) {
-        const BASE_DOWNWARD_FORCE = -200.0;
-        const MAX_PULL_DISTANCE = 1.67;
-        const POWER_SCALE = 80;
-        const MAX_SHOT_SPEED = MAX_PULL_DISTANCE * POWER_SCALE;
-        const speedFactor = Math.min(currentSpeed / MAX_SHOT_SPEED, 1.0);
-        const DOWNWARD_FORCE = BASE_DOWNWARD_FORCE * (1.0 - speedFactor * 0.3);
-        
-        ghostBallVelocity.y += DOWNWARD_FORCE * deltaTime;
-        
-        const reductionFactor = 0.85 - (speedFactor * 0.1);
-        ghostBallVelocity.x *= reductionFactor;
-        ghostBallVelocity.z *= reductionFactor;
-    }
-    
-    // Apply gravity when over rectangular holes
-    if (isOverRectangularHole) {
-        const DOWNWARD_FORCE = -150.0;
-        ghostBallVelocity.y += DOWNWARD_FORCE * deltaTime;
-        
-        // Check if fallen deep into hazard - reset ghost ball position
-        if (ghostBallPosition.y < -3.0 && !ghostHasTriggeredRectangularHoleOOB) {
-            ghostHasTriggeredRectangularHoleOOB = true;
-            handleGhostBallOutOfBounds();
-        }
-    } else {
-        ghostHasTriggeredRectangularHoleOOB = false;
-    }
-    
-    // Damping when deep in hole
-    if (isDeepInHole) {
-        ghostBallVelocity.multiplyScalar(0.95);
-    }
-    
-    // Apply velocity to position
-    const movement = ghostBallVelocity.clone().multiplyScalar(deltaTime);
-    ghostBallPosition.add(movement);
-    
-    // Recalculate horizontal velocity
-    horizontalVel.set(ghostBallVelocity.x, 0, ghostBallVelocity.z);
-    currentSpeed = horizontalVel.length();
-    
-    // Apply friction
-    if (currentSpeed > 0.01) {
-        let friction = 0.98;
-        if (currentSpeed < 1.0) {
-            friction = 0.92;
-        } else if (currentSpeed < 3.0) {
-            const t = (currentSpeed - 1.0) / 2.0;
-            friction = 0.92 + (0.06 * t);
-        }
-        ghostBallVelocity.x *= friction;
-        ghostBallVelocity.z *= friction;
-    }
-    
-    // Stop if too slow
-    if (horizontalVel.length() < PHYSICS_CONSTANTS.MIN_VELOCITY) {
-        ghostBallVelocity.x = 0;
-        ghostBallVelocity.z = 0;
-    }
-    
-    // Terrain collision (same as player ball)
-    if (!isOverHole && !isOverRectangularHole) {
-        const terrainY = getTerrainHeight(ghostBallPosition.x, ghostBallPosition.z);
-        const targetY = terrainY + BALL_RADIUS;
-        
-        // Calculate slope gradient
-        const slopeGradientX = calculateSlopeGradient(ghostBallPosition.x, ghostBallPosition.z, 'x');
-        const slopeGradientZ = calculateSlopeGradient(ghostBallPosition.x, ghostBallPosition.z, 'z');
-        
-        const slopeGravityStrength = 15.0;
-        ghostBallVelocity.x += slopeGradientX * slopeGravityStrength * deltaTime;
-        ghostBallVelocity.z += slopeGradientZ * slopeGravityStrength * deltaTime;
-        
-        if (ghostBallPosition.y < targetY) {
-            ghostBallPosition.y = targetY;
-            if (ghostBallVelocity.y < 0) {
-                ghostBallVelocity.y = 0;
-            }
-            const friction = 0.95;
-            ghostBallVelocity.x *= friction;
-            ghostBallVelocity.z *= friction;
-        } else if (ghostBallPosition.y > targetY + 0.1) {
-            ghostBallVelocity.y += PHYSICS_CONSTANTS.GRAVITY * deltaTime;
-        }
-    }
+    ghostBall.step(deltaTime);
     
-    // Update mesh position
-    if (ghostBallMesh) {
-        ghostBallMesh.position.copy(ghostBallPosition);
-
-        // Rotate ball based on movement
-        if (horizontalVel.length() > 0.01) {
-            const rotationAxis = new THREE.Vector3(-ghostBallVelocity.z, 0, ghostBallVelocity.x).normalize();
-            const rotationAmount = horizontalVel.length() * deltaTime / BALL_RADIUS;
-            ghostBallMesh.rotateOnAxis(rotationAxis, rotationAmount);
-        }
-    }
-
     // Update marker position
-    if (ghostMarker && ghostBallActive && isValidPosition(ghostBallPosition)) {
-        ghostMarker.position.copy(ghostBallPosition);
-        ghostMarker.position.y = ghostBallPosition.y + 2.0;
+    if (ghostMarker && ghostBallActive && isValidPosition(ghostBall.position)) {
+        ghostMarker.position.copy(ghostBall.position);
+        ghostMarker.position.y = ghostBall.position.y + 2.0;
     }
 
     // Update trail
@@ -415,46 +277,50 @@ export function updateGhostBallPhysics(deltaTime) {
 }
 
 /**
- * Calculate terrain slope gradient
+ * Handle ghost ball out of bounds or hazard (same rule as the player: penalty, then back to the rule's spot)
  */
-function calculateSlopeGradient(x, z, direction) {
-    const sampleDistance = 0.5;
-    const currentHeight = getTerrainHeight(x, z);
-    
-    let adjacentHeight;
-    if (direction === 'x') {
-        adjacentHeight = getTerrainHeight(x + sampleDistance, z);
-    } else if (direction === 'z') {
-        adjacentHeight = getTerrainHeight(x, z + sampleDistance);
-    } else {
-        return 0;
-    }
+function handleGhostBallOutOfBounds(body, reason) {
+    const rule = getOutOfBoundsRule();
+    console.log(`Ghost ball out of bounds (${reason}) - ${rule.rule} with +${rule.penalty} stroke penalty`);
+    ghostBallStrokes += rule.penalty; // Penalty strokes
+    
+    const returnPosition = getOutOfBoundsPosition(rule, {
+        tee: body.startPosition,
+        previousSpot: ghostShotStartPosition,
+        lastPosition: body.lastSafePosition
+    });
     
-    return (adjacentHeight - currentHeight) / sampleDistance;
+    setTimeout(() => {
+        if (!body.isOutOfBounds) return; // Already reset for a new hole
+        if (rule.placement === OutOfBoundsPlacement.TEE) {
+            resetGhostBall();
+        } else {
+            body.dropAt(returnPosition);
+        }
+        body.resetCollisionState();
+    }, GHOST_OUT_OF_BOUNDS_RESET_DELAY);
 }
 
 /**
- * Handle ghost ball out of bounds (reset to start position with penalty)
+ * Handle ghost ball rolling into water (+1 stroke, replay from where the shot was taken)
  */
-function handleGhostBallOutOfBounds() {
-    console.log('Ghost ball out of bounds - resetting with +2 stroke penalty');
-    ghostBallStrokes += 2; // Penalty strokes
-    resetGhostBall();
+function handleGhostBallWaterHazard(body, waterEntry) {
+    console.log(`Ghost ball in water - replaying from previous spot with +${WATER_PENALTY_STROKES} stroke penalty`);
+    ghostBallStrokes += WATER_PENALTY_STROKES;
+    createSplashEffect(waterEntry.entryPoint);
+    
+    const previousSpot = ghostShotStartPosition || body.startPosition;
+    setTimeout(() => {
+        if (!body.isInWater) return; // Already reset for a new hole
+        body.dropAt(getWaterDropPosition(WaterDrop.PREVIOUS_SPOT, waterEntry, previousSpot));
+    }, GHOST_OUT_OF_BOUNDS_RESET_DELAY);
 }
 
 /**
  * Reset ghost ball to start position
  */
 export function resetGhostBall() {
-    ghostBallPosition.copy(ghostBallStartPosition);
-    ghostBallVelocity.set(0, 0, 0);
-    ghostJustTeleported = false;
-    ghostHasTriggeredRectangularHoleOOB = false;
-    
-    if (ghostBallMesh) {
-        ghostBallMesh.position.copy(ghostBallPosition);
-        ghostBallMesh.rotation.set(0, 0, 0);
-    }
+    ghostBall.reset();
 }
 
 /**
@@ -466,19 +332,20 @@ export function checkGhostBallWinCondition() {
     
     const holePos = getHolePosition();
     const horizontalDistance = Math.sqrt(
-        Math.pow(ghostBallPosition.x - holePos.x, 2) +
-        Math.pow(ghostBallPosition.z - holePos.z, 2)
+        Math.pow(ghostBall.position.x - holePos.x, 2) +
+        Math.pow(ghostBall.position.z - holePos.z, 2)
     );
     
-    const isDeepEnough = ghostBallPosition.y < -0.5;
+    const isDeepEnough = ghostBall.position.y < -0.5;
     const isInHole = horizontalDistance < HOLE_RADIUS &&
         isDeepEnough &&
-        (ghostBallVelocity.length() < 5.0 || ghostBallPosition.y < -1.0);
+        (ghostBall.velocity.length() < 5.0 || ghostBall.position.y < -1.0);
     
     if (isInHole && !ghostBallInHole) {
         ghostBallInHole = true;
         ghostBallFinished = true;
         ghostBallActive = false;
+        unregisterBall(ghostBall);
         
         // Hide ghost ball
         if (ghostBallMesh) {
@@ -500,11 +367,10 @@ export function checkGhostBallWinCondition() {
 export function applyGhostBallShot(direction, power) {
     if (!ghostBallActive || ghostBallFinished) return;
     
-    const MAX_PULL_DISTANCE = 1.67;
-    const POWER_SCALE = 80;
-    const velocity = direction.clone().multiplyScalar(power * MAX_PULL_DISTANCE * POWER_SCALE);
+    const velocity = direction.clone().multiplyScalar(power * getMaxShotSpeed());
     
-    ghostBallVelocity.copy(velocity);
+    ghostShotStartPosition = ghostBall.position.clone();
+    ghostBall.velocity.copy(velocity);
     ghostBallStrokes++;
     
     console.log(`Ghost ball shot ${ghostBallStrokes}: power=${power.toFixed(2)}, velocity=(${velocity.x.toFixed(2)}, ${velocity.z.toFixed(2)})`);
@@ -515,7 +381,8 @@ export function applyGhostBallShot(direction, power) {
  * @returns {boolean} True if ball is at rest
  */
 export function isGhostBallAtRest() {
-    return ghostBallVelocity.length() < 0.1;
+    // Not ready to play while waiting in the water for its drop
+    return ghostBall.isAtRest() && !ghostBall.isInWater;
 }
 
 /**
@@ -531,8 +398,8 @@ export function isGhostBallActive() {
  */
 export function getGhostBallState() {
     return {
-        position: ghostBallPosition.clone(),
-        velocity: ghostBallVelocity.clone(),
+        position: ghostBall.position.clone(),
+        velocity: ghostBall.velocity.clone(),
         strokes: ghostBallStrokes,
         active: ghostBallActive,
         finished: ghostBallFinished,
@@ -545,103 +412,53 @@ export function getGhostBallState() {
  * Get ghost ball position
  */
 export function getGhostBallPosition() {
-    return ghostBallPosition.clone();
+    return ghostBall.position.clone();
 }
 
 /**
  * Get ghost ball velocity
  */
 export function getGhostBallVelocity() {
-    return ghostBallVelocity.clone();
+    return ghostBall.velocity.clone();
 }
 
 /**
  * Set ghost ball position (for teleportation)
  */
 export function setGhostBallPosition(position) {
-    ghostBallPosition.copy(position);
-    if (ghostBallMesh) {
-        ghostBallMesh.position.copy(ghostBallPosition);
-    }
+    ghostBall.setPosition(position);
 }
 
 /**
  * Set ghost ball velocity
  */
 export function setGhostBallVelocity(velocity) {
-    ghostBallVelocity.copy(velocity);
+    ghostBall.setVelocity(velocity);
 }
 
 /**
- * Handle ghost ball teleportation
+ * Ghost-only teleport side effects (the body has already been moved)
  */
-export function respawnGhostBallAtPosition(position, isYellowPortal = false) {
-    ghostBallPosition.copy(position);
-    ghostBallPosition.y = BALL_RADIUS;
-    ghostBallVelocity.set(0, 0, 0);
-    ghostJustTeleported = true;
-    
-    if (ghostBallMesh) {
-        ghostBallMesh.position.copy(ghostBallPosition);
-        ghostBallMesh.rotation.set(0, 0, 0);
-    }
-
+function onGhostTeleported(teleportResult) {
     // Update marker position
-    if (ghostMarker && isValidPosition(ghostBallPosition)) {
-        ghostMarker.position.copy(ghostBallPosition);
-        ghostMarker.position.y = ghostBallPosition.y + 2.0;
+    if (ghostMarker && isValidPosition(ghostBall.position)) {
+        ghostMarker.position.copy(ghostBall.position);
+        ghostMarker.position.y = ghostBall.position.y + 2.0;
     }
 
     // NOTE: Ghost ball does NOT trigger yellow portal cutscene
     // It just teleports silently
-    if (isYellowPortal) {
+    if (teleportResult.isYellowPortal) {
         console.log('Ghost ball used yellow portal (no cutscene triggered)');
     }
+    console.log('Ghost ball teleported to:', teleportResult.destination);
 }
 
 /**
- * Update ghost teleporter cooldown
- */
-export function updateGhostTeleportCooldown(deltaTime) {
-    if (ghostTeleportCooldown > 0) {
-        ghostTeleportCooldown -= deltaTime;
-        if (ghostTeleportCooldown <= 0) {
-            ghostTeleportCooldown = 0;
-        }
-    }
-}
-
-/**
- * Clear the just teleported flag
- */
-export function clearGhostJustTeleported() {
-    ghostJustTeleported = false;
-}
-
-/**
- * Check if ghost just teleported
- */
-export function getGhostJustTeleported() {
-    return ghostJustTeleported;
-}
-
-/**
- * Get/set ghost teleporter state
+ * Get the ghost ball's physics body
  */
-export function getGhostTeleportCooldown() {
-    return ghostTeleportCooldown;
-}
-
-export function setGhostTeleportCooldown(cooldown) {
-    ghostTeleportCooldown = cooldown;
-}
-
-export function getGhostLastTeleportedDestination() {
-    return ghostLastTeleportedDestinationId;
-}
-
-export function setGhostLastTeleportedDestination(teleporter) {
-    ghostLastTeleportedDestinationId = teleporter;
+export function getGhostBallBody() {
+    return ghostBall;
 }
 
 /**
@@ -665,6 +482,7 @@ export function hideGhostBall() {
         ghostMarker.visible = false;
     }
     ghostBallActive = false;
+    unregisterBall(ghostBall);
 }
 
 /**
@@ -678,6 +496,9 @@ export function showGhostBall() {
         ghostMarker.visible = true;
     }
     ghostBallActive = true;
+    if (!ghostBallFinished) {
+        registerBall(ghostBall);
+    }
 }
 
 /**
@@ -707,6 +528,7 @@ export function removeGhostBall() {
 
     ghostTrailPoints = [];
     ghostBallActive = false;
+    unregisterBall(ghostBall);
 }
 
 export { BALL_RADIUS as GHOST_BALL_RADIUS };
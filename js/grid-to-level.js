@@ -9,12 +9,15 @@ import { parseGridLevel } from './level-grid-parser.js';
  * @param {string} gridString - The grid as a string
  * @param {Object} options - Additional options
  * @param {string} levelName - Name of the level (e.g., 'level5')
- * @returns {string} JavaScript code for the level
+ * @returns {string} JavaScript code for the level (anything the grid parser skipped is noted in comments at the top)
  */
 export function generateLevelCode(gridString, options = {}, levelName = 'level') {
-    const levelDef = parseGridLevel(gridString, options);
+    const { level: levelDef, warnings } = parseGridLevel(gridString, options);
     
     let code = `// ${levelName.charAt(0).toUpperCase() + levelName.slice(1)}: Generated from grid format\n`;
+    warnings.forEach(warning => {
+        code += `// Warning: ${warning.replace(/\n/g, " ")}\n`;
+    });
     code += `import * as THREE from 'three';\n\n`;
     code += `export const ${levelName} = {\n`;
     
@@ -122,11 +125,49 @@ export function generateLevelCode(gridString, options = {}, levelName = 'level')
         code += `    ],\n`;
     }
     
+    // Everything else the grid can set (name, par, teleporters, wind zones, tiers, header fields...)
+    Object.entries(levelDef)
+        .filter(([key, value]) => !WRITTEN_FIELDS.includes(key) && value !== undefined && value !== null)
+        .forEach(([key, value]) => {
+            code += `    ${key}: ${toCode(value, '    ')},\n`;
+        });
+    
     code += `};\n`;
     
     return code;
 }
 
+// Fields generateLevelCode() writes out by hand above
+const WRITTEN_FIELDS = [
+    'width', 'height', 'holePosition', 'ballStartPosition', 'hasHump', 'humpPosition', 'humpHeight', 'humpWidth',
+    'humpRadius', 'powerUpPositions', 'bumpers', 'fans', 'magneticFields', 'customWalls', 'rectangularHoles'
+];
+
+// JavaScript source for a level value, with THREE vectors and rotations as constructor calls
+function toCode(value, indent) {
+    if (value && value.isVector3) {
+        return `new THREE.Vector3(${value.x}, ${value.y}, ${value.z})`;
+    }
+    if (value && value.isEuler) {
+        return `new THREE.Euler(${value.x}, ${value.y}, ${value.z})`;
+    }
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        const itemIndent = `${indent}    `;
+        return `[\n${value.map(item => `${itemIndent}${toCode(item, itemIndent)}`).join(',\n')}\n${indent}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.entries(value)
+            .filter(([, fieldValue]) => fieldValue !== undefined)
+            .map(([key, fieldValue]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${toCode(fieldValue, indent)}`);
+        return `{ ${fields.join(', ')} }`;
+    }
+    if (typeof value === 'string') {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+    return JSON.stringify(value);
+}
+
 /**
  * Browser-friendly function to convert grid to level code
  * Can be called from browser console
@@ -0,0 +1,353 @@
+// Headless course simulation - load a level definition and play shots without a renderer
+// Runs in plain Node (no DOM, no WebGL): obstacles are built into a bare THREE.Scene that is never drawn
+// Node needs three@0.160 installed where it can be resolved, and to treat js/ as ES modules
+//
+//   import { loadSimulationLevel, simulateShot } from './js/headless-sim.js';
+//   import { level1 } from './js/levels/level1.js';
+//   loadSimulationLevel(level1);
+//   const result = simulateShot({ direction: { x: 0, z: 1 }, power: 0.8 });
+//   console.log(result.holedOut, result.restPosition, result.hazards);
+//
+// The ghost AI can play the loaded level the same way (pass courseIndex for the built-in courses' waypoints):
+//
+//   loadSimulationLevel(level3, { courseIndex: 2, seed: 42 });
+//   const round = simulateGhostAIHole({ maxShots: 15 });
+//   console.log(round.holedOut, round.strokes, round.shots.map(s => s.result.endReason));
+import * as THREE from 'three';
+import { setScene, setFullMode, setCourseIndex } from './scene-context.js';
+import { createCourse, removeAllCustomWalls, removeAllRectangularHoleWalls, removeAllModels, removeCoordinateAxes } from './course.js';
+import { setHolePosition, isBallInHole } from './game.js';
+import { BallBody, DEFAULT_BALL_RADIUS } from './ball-body.js';
+import { initializeGhostAI, planGhostAIShot } from './ghost-ai.js';
+import { getGhostBallPosition, getGhostBallBody, removeGhostBall } from './ghost-ball.js';
+import { FIXED_TIME_STEP, updateCourseObjects, saveCourseObjects, restoreCourseObjects, applyShotLoft, getMaxShotSpeed, setGameModePhysicsProfile } from './physics.js';
+import { removeAllFans } from './fans.js';
+import { clearCollisionIndex } from './collision-index.js';
+import { removeAllBumpers } from './bumpers.js';
+import { removeAllMovingWalls } from './moving-walls.js';
+import { removeAllPlatforms } from './platforms.js';
+import { removeAllTiers } from './tiers.js';
+import { clearHeightmap } from './heightmap.js';
+import { removeAllMagneticFields } from './magnetic-fields.js';
+import { removeAllTeleporters, resetTeleporters } from './teleporters.js';
+import { removeAllTriggers, resetTriggers } from './triggers.js';
+import { removeFloor } from './floor.js';
+import { removeAllSurfaceZones } from './surfaces.js';
+import { removeAllWaterHazards, getWaterDropPosition, WaterDrop, WATER_PENALTY_STROKES } from './water-hazards.js';
+import { createWindZone, removeAllWindZones } from './wind-zones.js';
+import { setGameSeed } from './random.js';
+import { setGameModeOutOfBoundsRule, getOutOfBoundsRule, getOutOfBoundsPosition } from './out-of-bounds.js';
+
+const DEFAULT_MAX_TIME = 30; // Seconds before a shot is cut off
+const DEFAULT_SAMPLE_INTERVAL = 1 / 30; // Seconds between trajectory samples
+const REST_SPEED = 0.1; // Same threshold the ghost AI uses for "ball has stopped"
+const DEFAULT_MAX_GHOST_SHOTS = 20; // Shots the ghost AI gets before simulateGhostAIHole() gives up
+
+let simulationScene = null;
+let simulationLevel = null;
+let levelStartObjects = null; // saveCourseObjects() right after the level was built
+
+/**
+ * Build a level's physics objects into an offscreen scene, replacing any previously loaded level
+ * @param {Object} levelDef - Level definition (same shape as js/levels/*.js)
+ * @param {Object} options - { courseIndex, fullMode, seed, gameMode } (gameMode picks the out-of-bounds rule and physics profile for levels without their own)
+ */
+export function loadSimulationLevel(levelDef, options = {}) {
+    const {
+        courseIndex = -1,
+        fullMode = true, // Prototype mode has no obstacles, same as in the game
+        seed = null,
+        gameMode = null
+    } = options;
+
+    if (!levelDef) {
+        throw new Error('loadSimulationLevel: level definition is required');
+    }
+
+    if (seed !== null) {
+        setGameSeed(seed);
+    }
+    if (gameMode !== null) {
+        setGameModeOutOfBoundsRule(gameMode);
+        setGameModePhysicsProfile(gameMode);
+    }
+
+    clearSimulationLevel();
+
+    simulationScene = new THREE.Scene();
+    setScene(simulationScene, { headless: true });
+    setFullMode(fullMode);
+    setCourseIndex(courseIndex);
+
+    // Same order as courses.js loadCourse: hole first so course geometry sees it
+    setHolePosition(levelDef.holePosition);
+    createCourse(levelDef, courseIndex);
+
+    if (levelDef.windZones && levelDef.windZones.length > 0) {
+        levelDef.windZones.forEach(windZoneDef => createWindZone(windZoneDef));
+    }
+
+    simulationLevel = levelDef;
+    levelStartObjects = saveCourseObjects();
+    return simulationScene;
+}
+
+/**
+ * Remove everything the last loadSimulationLevel() created
+ */
+export function clearSimulationLevel() {
+    if (!simulationScene) return;
+
+    // Synchronous version of clearCourse() - its async wind zone cleanup would
+    // otherwise land after the next level has been built
+    removeAllBumpers();
+    removeAllMagneticFields();
+    removeAllRectangularHoleWalls();
+    removeAllCustomWalls();
+    removeAllMovingWalls();
+    removeAllPlatforms();
+    removeAllTiers();
+    clearHeightmap();
+    removeAllFans();
+    removeAllTeleporters();
+    removeAllTriggers();
+    removeAllModels();
+    removeCoordinateAxes();
+    removeFloor(simulationScene);
+    removeAllSurfaceZones();
+    removeAllWaterHazards();
+    removeAllWindZones();
+    removeGhostBall(); // Also takes it off the ball registry, or it would still be hit on the next level
+    clearCollisionIndex();
+
+    simulationScene = null;
+    simulationLevel = null;
+    levelStartObjects = null;
+}
+
+/**
+ * Play one shot on the loaded level until the ball holes out, goes out of bounds, stops or times out
+ * @param {Object} shot - { start, direction, power } (power 0-1, like the aim arrow) or { start, velocity }
+ *                        start defaults to the level's ballStartPosition; add spin { side, top } (each -1 to 1, see spin.js)
+ *                        and loft (0-1) for a chip, and the teleportState an earlier result ended with
+ *                        (a ball resting on the pad it arrived at isn't sent straight back)
+ * @param {Object} options - { maxTime, sampleInterval, waterDrop } (waterDrop: a WaterDrop option, default previous spot)
+ * @returns {Object} { trajectory, restPosition, hazards, holedOut, outOfBounds, inWater, penaltyStrokes, wallHits, timeElapsed, endReason, teleportState }
+ */
+export function simulateShot(shot, options = {}) {
+    if (!simulationLevel) {
+        throw new Error('simulateShot: call loadSimulationLevel() first');
+    }
+
+    const {
+        maxTime = DEFAULT_MAX_TIME,
+        sampleInterval = DEFAULT_SAMPLE_INTERVAL,
+        waterDrop = WaterDrop.PREVIOUS_SPOT
+    } = options;
+
+    const hazards = [];
+    let time = 0;
+    let outOfBoundsReason = null;
+    let waterEntry = null;
+    let wallHits = 0;
+
+    const ball = new BallBody({
+        name: 'simulation',
+        onOutOfBounds: (body, reason) => {
+            outOfBoundsReason = reason;
+            hazards.push({
+                type: reason === 'hazard' ? 'rectangularHole' : 'outOfBounds',
+                time,
+                position: body.position.clone()
+            });
+        },
+        onTeleport: (body, teleportResult) => {
+            hazards.push({
+                type: 'teleporter',
+                time,
+                position: teleportResult.destination.clone(),
+                exitVelocity: teleportResult.exitVelocity ? teleportResult.exitVelocity.clone() : null,
+                isYellowPortal: !!teleportResult.isYellowPortal
+            });
+        },
+        onImpact: () => {
+            wallHits++;
+        },
+        onWaterHazard: (body, entry) => {
+            waterEntry = entry;
+            hazards.push({
+                type: 'water',
+                time,
+                position: entry.entryPoint.clone()
+            });
+        }
+    });
+
+    // Every shot starts with gates, fans and plates the way the level defines them,
+    // moving obstacles where their paths begin, schedules at their start and teleporter networks on their first pick
+    resetTriggers();
+    resetTeleporters();
+    restoreCourseObjects(levelStartObjects);
+
+    const startPosition = toVector3(shot.start || simulationLevel.ballStartPosition, ball.radius);
+    ball.setStartPosition(startPosition);
+    ball.reset();
+    if (shot.teleportState) {
+        ball.teleportState = { ...shot.teleportState };
+    }
+    ball.setVelocity(getShotVelocity(shot));
+    ball.setSpin(shot.spin);
+
+    const trajectory = [samplePoint(ball, 0)];
+    let nextSampleTime = sampleInterval;
+    let holedOut = false;
+    let endReason = 'timeout';
+
+    while (time < maxTime) {
+        updateCourseObjects(FIXED_TIME_STEP);
+        ball.step(FIXED_TIME_STEP);
+        time += FIXED_TIME_STEP;
+
+        if (time >= nextSampleTime) {
+            trajectory.push(samplePoint(ball, time));
+            nextSampleTime += sampleInterval;
+        }
+
+        if (isBallInHole(ball.position, ball.velocity)) {
+            holedOut = true;
+            endReason = 'holed';
+            break;
+        }
+        if (outOfBoundsReason) {
+            endReason = outOfBoundsReason === 'hazard' ? 'hazard' : 'outOfBounds';
+            break;
+        }
+        if (waterEntry) {
+            endReason = 'water';
+            break;
+        }
+        if (ball.isAtRest(REST_SPEED) && !ball.isOverRectangularHole()) {
+            endReason = 'rest';
+            break;
+        }
+    }
+
+    // Always record where the ball actually ended up
+    if (trajectory[trajectory.length - 1].time !== time) {
+        trajectory.push(samplePoint(ball, time));
+    }
+
+    // Out of bounds puts the ball back where the level's rule says (collisions.js handleOutOfBounds),
+    // water drops it where the waterDrop option says (collisions.js handleWaterHazard)
+    let restPosition = ball.position.clone();
+    let penaltyStrokes = 0;
+    if (outOfBoundsReason) {
+        const rule = getOutOfBoundsRule();
+        restPosition = getOutOfBoundsPosition(rule, {
+            tee: toVector3(simulationLevel.ballStartPosition, ball.radius),
+            previousSpot: startPosition,
+            lastPosition: ball.lastSafePosition
+        });
+        penaltyStrokes = rule.penalty;
+    } else if (waterEntry) {
+        ball.dropAt(getWaterDropPosition(waterDrop, waterEntry, startPosition));
+        restPosition = ball.position.clone();
+        penaltyStrokes = WATER_PENALTY_STROKES;
+    }
+
+    return {
+        trajectory,
+        restPosition,
+        hazards,
+        holedOut,
+        outOfBounds: outOfBoundsReason !== null,
+        inWater: waterEntry !== null,
+        penaltyStrokes,
+        wallHits,
+        timeElapsed: time,
+        endReason,
+        teleportState: { ...ball.teleportState }
+    };
+}
+
+/**
+ * Let the ghost AI play the loaded level: it picks each shot the way it does in the game
+ * (same waypoints, predictions and seeded fallbacks) and simulateShot() plays it, until it holes out
+ * @param {Object} options - { maxShots, config } plus simulateShot() options (config: ghost AI settings, see DEFAULT_CONFIG in ghost-ai.js)
+ * @returns {Object} { shots, strokes, holedOut, restPosition } (shots: { direction, power, result } each, strokes include penalties)
+ */
+export function simulateGhostAIHole(options = {}) {
+    if (!simulationLevel) {
+        throw new Error('simulateGhostAIHole: call loadSimulationLevel() first');
+    }
+
+    const { maxShots = DEFAULT_MAX_GHOST_SHOTS, config = {} } = options;
+
+    // Ghost ball on the tee beside the player's, as in the game
+    initializeGhostAI(toVector3(simulationLevel.ballStartPosition, DEFAULT_BALL_RADIUS), config);
+    const ghostBody = getGhostBallBody();
+    let position = getGhostBallPosition();
+
+    const shots = [];
+    let strokes = 0;
+    let holedOut = false;
+    while (!holedOut && shots.length < maxShots) {
+        const shot = planGhostAIShot(position);
+        if (!shot) break;
+
+        const result = simulateShot({
+            start: position,
+            direction: shot.direction,
+            power: shot.power,
+            teleportState: ghostBody.teleportState
+        }, options);
+        shots.push({ direction: shot.direction.clone(), power: shot.power, result });
+        strokes += 1 + result.penaltyStrokes;
+        holedOut = result.holedOut;
+        position = result.restPosition.clone();
+        // The AI tracks its waypoints from where the ghost ball is, and predicts teleports from its state
+        ghostBody.setPosition(position);
+        ghostBody.teleportState = result.teleportState;
+    }
+
+    return { shots, strokes, holedOut, restPosition: position };
+}
+
+/**
+ * Load a level and play a single shot on it
+ */
+export function simulateLevelShot(levelDef, shot, options = {}) {
+    loadSimulationLevel(levelDef, options);
+    return simulateShot(shot, options);
+}
+
+function getShotVelocity(shot) {
+    if (shot.velocity) {
+        return toVector3(shot.velocity, 0);
+    }
+    if (!shot.direction) {
+        throw new Error('simulateShot: shot needs a velocity or a direction and power');
+    }
+
+    const direction = new THREE.Vector3(shot.direction.x || 0, 0, shot.direction.z || 0);
+    if (direction.lengthSq() === 0) {
+        throw new Error('simulateShot: shot direction must not be zero');
+    }
+    const power = Math.max(0, Math.min(shot.power ?? 1, 1));
+    const velocity = direction.normalize().multiplyScalar(power * getMaxShotSpeed());
+    return applyShotLoft(velocity, shot.loft);
+}
+
+// Accept THREE.Vector3 or plain { x, y, z } objects (y defaults to defaultY)
+function toVector3(value, defaultY) {
+    return new THREE.Vector3(value.x || 0, value.y ?? defaultY, value.z || 0);
+}
+
+function samplePoint(ball, time) {
+    return {
+        time,
+        x: ball.position.x,
+        y: ball.position.y,
+        z: ball.position.z
+    };
+}
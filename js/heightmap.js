@@ -0,0 +1,169 @@
+// Heightmap terrain - rolling greens and side-hill putts from a grid of ground heights
+// A level declares one `heightmap`, inline or as a grayscale image:
+//   { heights: [[0, 0.2, 0.4], [0, 0.3, 0.6], ...] }       - One row per step along +Z, one column per step along +X
+//   { image: 'assets/heightmaps/green.png', scale: 1.5 }  - Black is 0 and white is `scale` high, top row at minZ
+// Both take minX/maxX/minZ/maxZ (area the grid is stretched over, defaults to the course bounds)
+// and offset (added to every height). Past the edges the border heights carry on flat.
+// Heights are sampled bilinearly between grid points, and getTerrainHeight() (course.js),
+// the floor mesh (floor.js) and the ghost AI's shot simulation all read them from here.
+import * as THREE from 'three';
+
+const DEFAULT_IMAGE_SCALE = 1.0; // Height of a white pixel
+
+let activeHeightmap = null;
+
+/**
+ * Build a heightmap from an inline definition
+ * @param {Object} def - Level heightmap definition (see top of file) with `heights` rows
+ * @param {Object} bounds - {minX, maxX, minZ, maxZ} used for any edge the definition leaves out
+ * @returns {Object|null} Heightmap for sampleHeightmap(), or null if the heights are invalid
+ */
+export function createHeightmap(def, bounds) {
+    const rows = def.heights;
+    const columns = Array.isArray(rows) && Array.isArray(rows[0]) ? rows[0].length : 0;
+    if (!Array.isArray(rows) || rows.length < 2 || columns < 2 ||
+        !rows.every(row => Array.isArray(row) && row.length === columns && row.every(Number.isFinite))) {
+        console.warn('Heightmap needs at least 2 rows of 2 or more numbers, all the same length - using flat ground');
+        return null;
+    }
+
+    const area = {
+        minX: def.minX ?? bounds.minX,
+        maxX: def.maxX ?? bounds.maxX,
+        minZ: def.minZ ?? bounds.minZ,
+        maxZ: def.maxZ ?? bounds.maxZ
+    };
+    if (!(area.maxX > area.minX) || !(area.maxZ > area.minZ)) {
+        console.warn('Heightmap area is empty, using flat ground', area);
+        return null;
+    }
+
+    const offset = def.offset || 0;
+    const heights = new Float32Array(rows.length * columns);
+    rows.forEach((row, rowIndex) => {
+        row.forEach((height, column) => {
+            heights[rowIndex * columns + column] = height + offset;
+        });
+    });
+
+    return {
+        ...area,
+        columns,
+        rows: rows.length,
+        heights,
+        cellWidth: (area.maxX - area.minX) / (columns - 1),
+        cellDepth: (area.maxZ - area.minZ) / (rows.length - 1)
+    };
+}
+
+/**
+ * Load a heightmap drawn as a grayscale image (browser only - there's no image decoding in Node)
+ * @param {Object} def - Level heightmap definition with `image` and optionally `scale`
+ * @param {Object} bounds - {minX, maxX, minZ, maxZ} used for any edge the definition leaves out
+ * @returns {Promise<Object|null>} The heightmap, or null if the image couldn't be read
+ */
+export function loadHeightmapImage(def, bounds) {
+    return new Promise(resolve => {
+        if (typeof document === 'undefined') {
+            console.warn(`Heightmap image "${def.image}" needs a browser to load, using flat ground`);
+            resolve(null);
+            return;
+        }
+
+        new THREE.ImageLoader().load(def.image, image => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0);
+            const pixels = context.getImageData(0, 0, image.width, image.height).data;
+
+            // Red channel of a grayscale image, 0-255 -> 0-scale
+            const scale = def.scale ?? DEFAULT_IMAGE_SCALE;
+            const heights = [];
+            for (let row = 0; row < image.height; row++) {
+                const values = [];
+                for (let column = 0; column < image.width; column++) {
+                    values.push((pixels[(row * image.width + column) * 4] / 255) * scale);
+                }
+                heights.push(values);
+            }
+            resolve(createHeightmap({ ...def, heights }, bounds));
+        }, undefined, () => {
+            console.warn(`Couldn't load heightmap image "${def.image}", using flat ground`);
+            resolve(null);
+        });
+    });
+}
+
+export function setHeightmap(heightmap) {
+    activeHeightmap = heightmap;
+}
+
+export function getHeightmap() {
+    return activeHeightmap;
+}
+
+export function clearHeightmap() {
+    activeHeightmap = null;
+}
+
+/**
+ * Ground height at a point, bilinearly interpolated between the four grid points around it
+ */
+export function sampleHeightmap(heightmap, x, z) {
+    const cell = locateCell(heightmap, x, z);
+    const { h00, h10, h01, h11, fx, fz } = cell;
+    const near = h00 + (h10 - h00) * fx;
+    const far = h01 + (h11 - h01) * fx;
+    return near + (far - near) * fz;
+}
+
+/**
+ * Rise over run of the ground at a point (the gradient of the bilinear surface)
+ * @returns {Object} { x, z } - zero along an axis past the heightmap's edge, where it's flat
+ */
+export function sampleHeightmapSlope(heightmap, x, z) {
+    const { h00, h10, h01, h11, fx, fz, insideX, insideZ } = locateCell(heightmap, x, z);
+    return {
+        x: insideX ? ((h10 - h00) * (1 - fz) + (h11 - h01) * fz) / heightmap.cellWidth : 0,
+        z: insideZ ? ((h01 - h00) * (1 - fx) + (h11 - h10) * fx) / heightmap.cellDepth : 0
+    };
+}
+
+/**
+ * Height of the loaded level's heightmap at a point (0 without one)
+ */
+export function getHeightmapHeight(x, z) {
+    return activeHeightmap ? sampleHeightmap(activeHeightmap, x, z) : 0;
+}
+
+/**
+ * Slope of the loaded level's heightmap at a point ({x: 0, z: 0} without one)
+ */
+export function getHeightmapSlope(x, z) {
+    return activeHeightmap ? sampleHeightmapSlope(activeHeightmap, x, z) : { x: 0, z: 0 };
+}
+
+// Grid cell under a point - its corner heights and the point's 0-1 position across it
+function locateCell(heightmap, x, z) {
+    const gridX = (x - heightmap.minX) / heightmap.cellWidth;
+    const gridZ = (z - heightmap.minZ) / heightmap.cellDepth;
+    const clampedX = Math.max(0, Math.min(heightmap.columns - 1, gridX));
+    const clampedZ = Math.max(0, Math.min(heightmap.rows - 1, gridZ));
+    const column = Math.min(Math.floor(clampedX), heightmap.columns - 2);
+    const row = Math.min(Math.floor(clampedZ), heightmap.rows - 2);
+
+    const index = row * heightmap.columns + column;
+    const heights = heightmap.heights;
+    return {
+        h00: heights[index],
+        h10: heights[index + 1],
+        h01: heights[index + heightmap.columns],
+        h11: heights[index + heightmap.columns + 1],
+        fx: clampedX - column,
+        fz: clampedZ - row,
+        insideX: gridX === clampedX,
+        insideZ: gridZ === clampedZ
+    };
+}
@@ -1,9 +1,10 @@
 // Hole indicator with shader-based color-changing circle
 import * as THREE from 'three';
-import { scene, isFullMode } from './main.js';
+import { scene, isFullMode } from './scene-context.js';
 import { getHolePosition } from './game.js';
 import { isMagneticPullActive, getMagneticPullEffect } from './powerup-effects.js';
 import { getBallPosition } from './ball.js';
+import { MagneticFieldType, getMagneticFieldsAt, getMagneticFieldMode, getMagneticFieldPolarity, getMagneticFieldPower } from './magnetic-fields.js';
 
 let blackCircle = null;
 let colorChangingCircle = null;
@@ -11,6 +12,15 @@ let flag = null;
 let flagPole = null;
 let poleBall = null; // Golden ball on top of pole
 let magneticFieldIndicators = []; // Array of circles showing magnetic pull range
+let magneticFieldIndicatorKey = null; // Mode, range and spin the indicators were built for
+
+// Pastel colors for what's acting on the ball around the hole
+const HOLE_FIELD_COLORS = {
+    attract: 0xADD8E6, // Pastel blue
+    repel: 0xF4A6A6,   // Pastel red
+    vortex: 0xCBB2F0   // Pastel purple
+};
+const HOLE_FIELD_INDICATOR_RANGE = 4.0; // Radius shown for a course field over the hole (the power-up shows its own range)
 
 // Shader for color-changing circle
 const colorChangingShader = {
@@ -252,14 +262,16 @@ export function updateHoleIndicator() {
 }
 
 function updateMagneticFieldIndicator() {
-    const isActive = isMagneticPullActive();
-    const magneticEffect = getMagneticPullEffect();
-    
-    if (isActive && magneticEffect) {
-        // Create indicators if they don't exist
-        if (magneticFieldIndicators.length === 0) {
-            console.log('Creating magnetic field indicators with range:', magneticEffect.range);
-            createMagneticFieldIndicators(magneticEffect.range);
+    const holeField = getHoleMagneticField();
+    
+    if (holeField) {
+        // Create indicators if they don't exist, or rebuild them when the field changes (an alternating field flipping)
+        const key = `${holeField.mode}:${holeField.range}:${holeField.spin}`;
+        if (key !== magneticFieldIndicatorKey) {
+            cleanupMagneticFieldIndicator();
+            console.log('Creating magnetic field indicators with range:', holeField.range, 'mode:', holeField.mode);
+            createMagneticFieldIndicators(holeField.range, holeField.mode, holeField.spin);
+            magneticFieldIndicatorKey = key;
             console.log('Created', magneticFieldIndicators.length, 'magnetic field circles');
         }
         
@@ -275,9 +287,13 @@ function updateMagneticFieldIndicator() {
                 if (indicator.material) {
                     indicator.material.opacity = pulse * 0.9;
                 }
+                // A vortex's arrows circle the hole the way it spins
+                if (holeField.mode === MagneticFieldType.VORTEX) {
+                    indicator.rotation.y = holeField.spin * time;
+                }
             } else {
-                // Animate circle shrinking
-                updateCircleAnimation(indicator, time, index, magneticEffect.range);
+                // Animate circle shrinking (growing for a repulsor)
+                updateCircleAnimation(indicator, time, index, holeField.range, holeField.mode);
             }
         });
     } else {
@@ -288,15 +304,35 @@ function updateMagneticFieldIndicator() {
     }
 }
 
-function createMagneticFieldIndicators(range) {
+// What's acting on the ball around the hole - the magnetic pull power-up draws it in,
+// otherwise a course field covering the hole shows whether it attracts, repels or spins
+function getHoleMagneticField() {
+    const magneticEffect = getMagneticPullEffect();
+    if (isMagneticPullActive() && magneticEffect) {
+        return { mode: MagneticFieldType.ATTRACT, range: magneticEffect.range, spin: 1 };
+    }
+
+    const courseField = getMagneticFieldsAt(getHolePosition()).find(field => getMagneticFieldPower(field) > 0);
+    if (courseField) {
+        return {
+            mode: getMagneticFieldMode(courseField),
+            range: HOLE_FIELD_INDICATOR_RANGE,
+            spin: getMagneticFieldPolarity(courseField)
+        };
+    }
+    return null;
+}
+
+function createMagneticFieldIndicators(range, mode = MagneticFieldType.ATTRACT, spin = 1) {
     const holePos = getHolePosition();
     const NUM_CIRCLES = 8; // Increased from 5 to 8 for more visibility
+    const color = HOLE_FIELD_COLORS[mode];
     
     // Create a large base circle showing the full range
     const baseRingThickness = range * 0.15; // Thick base ring
     const baseRingGeometry = new THREE.RingGeometry(range - baseRingThickness, range, 128);
     const baseRingMaterial = new THREE.MeshBasicMaterial({
-        color: 0xADD8E6, // Pastel blue
+        color,
         transparent: true,
         opacity: 0.9, // Very visible
         side: THREE.DoubleSide
@@ -316,9 +352,9 @@ function createMagneticFieldIndicators(range) {
         const outerRadius = range;
         const ringGeometry = new THREE.RingGeometry(innerRadius, outerRadius, 128);
         
-        // Create a bright, glowing pastel blue material
+        // Create a bright, glowing pastel material
         const ringMaterial = new THREE.MeshBasicMaterial({
-            color: 0xADD8E6, // Pastel blue
+            color,
             transparent: true,
             opacity: 1.0, // Fully opaque
             side: THREE.DoubleSide
@@ -338,7 +374,7 @@ function createMagneticFieldIndicators(range) {
     // Create inner glow circle for extra visibility
     const innerGlowGeometry = new THREE.CircleGeometry(range * 0.3, 64);
     const innerGlowMaterial = new THREE.MeshBasicMaterial({
-        color: 0xADD8E6, // Pastel blue
+        color,
         transparent: true,
         opacity: 0.6,
         side: THREE.DoubleSide
@@ -350,29 +386,32 @@ function createMagneticFieldIndicators(range) {
     scene.add(innerGlow);
     magneticFieldIndicators.push(innerGlow);
     
-    // Create directional arrows/lines pointing toward the hole for extra visibility
+    // Create directional arrows/lines for extra visibility - toward the hole for a pull, away for a push,
+    // around it for a vortex
     const numArrows = 16; // Number of arrows around the circle
     for (let i = 0; i < numArrows; i++) {
         const angle = (i / numArrows) * Math.PI * 2;
         const arrowDistance = range * 0.7; // Position arrows at 70% of range
-        
-        // Create arrow line pointing toward center
         const arrowLength = range * 0.2;
-        const arrowGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(
-                Math.cos(angle) * arrowDistance,
-                0.15,
-                Math.sin(angle) * arrowDistance
-            ),
-            new THREE.Vector3(
-                Math.cos(angle) * (arrowDistance - arrowLength),
-                0.15,
-                Math.sin(angle) * (arrowDistance - arrowLength)
-            )
-        ]);
+        const outer = new THREE.Vector3(Math.cos(angle) * arrowDistance, 0.15, Math.sin(angle) * arrowDistance);
+        const inner = new THREE.Vector3(
+            Math.cos(angle) * (arrowDistance - arrowLength),
+            0.15,
+            Math.sin(angle) * (arrowDistance - arrowLength)
+        );
+        
+        let points;
+        if (mode === MagneticFieldType.VORTEX) {
+            // Along the circle, counter-clockwise seen from above for positive spin
+            const tangent = new THREE.Vector3(Math.sin(angle), 0, -Math.cos(angle)).multiplyScalar(spin * arrowLength);
+            points = [outer, outer.clone().add(tangent)];
+        } else {
+            points = mode === MagneticFieldType.REPEL ? [inner, outer] : [outer, inner];
+        }
+        const arrowGeometry = new THREE.BufferGeometry().setFromPoints(points);
         
         const arrowMaterial = new THREE.LineBasicMaterial({
-            color: 0xADD8E6, // Pastel blue
+            color,
             transparent: true,
             opacity: 0.9,
             linewidth: 3
@@ -387,7 +426,7 @@ function createMagneticFieldIndicators(range) {
     }
 }
 
-function updateCircleAnimation(circle, time, index, maxRadius) {
+function updateCircleAnimation(circle, time, index, maxRadius, mode = MagneticFieldType.ATTRACT) {
     // Handle base ring - pulsing effect
     if (circle.userData.isBaseRing) {
         const pulse = Math.sin(time * 2.0) * 0.2 + 0.8; // Pulse between 0.6 and 1.0
@@ -417,11 +456,12 @@ function updateCircleAnimation(circle, time, index, maxRadius) {
     const cycleTime = elapsed % cycleDuration;
     const progress = cycleTime / cycleDuration; // 0 to 1
     
-    // Scale from max radius down to center (scale from 1.0 to 0.0)
-    const scale = 1.0 - progress;
+    // Scale from max radius down to center (scale from 1.0 to 0.0) - a repulsor's grow out from the center instead
+    const isRepulsor = mode === MagneticFieldType.REPEL;
+    const scale = isRepulsor ? progress : 1.0 - progress;
     
-    // Fade out as it shrinks, but keep it more visible
-    const fade = scale;
+    // Fade out as it shrinks (or grows), but keep it more visible
+    const fade = 1.0 - progress;
     
     // Update scale
     circle.scale.set(scale, scale, 1.0);
@@ -439,6 +479,7 @@ export function cleanupMagneticFieldIndicator() {
         indicator.material?.dispose();
     });
     magneticFieldIndicators = [];
+    magneticFieldIndicatorKey = null;
 }
 
 // Remove all hole indicator objects (for mode switching)
@@ -1,10 +1,9 @@
 // HUD elements (stroke counter, score display)
 import * as THREE from 'three';
-import { getStrokeCount, getPar, calculateRating, isComplete, getTotalScore, getHoleScores, getHolePosition, incrementStroke } from './game.js';
+import { getStrokeCount, getPar, calculateRating, isComplete, getTotalScore, getHoleScores, getHolePosition, incrementStroke, restartFromTee } from './game.js';
 import { animateElement, Easing, triggerScreenShake, updateScreenShake } from './animations.js';
 import { createFireworks, createGoldBurst, createSparkles, createParticleBurst, updateParticles } from './particles.js';
-import { resetBall, setBallVelocity } from './ball.js';
-import { resetCollisions } from './collisions.js';
+import { setBallVelocity } from './ball.js';
 import { restoreStartingCameraAngle, isFreeCamActive } from './main.js';
 import { getGhostBallStrokes, isGhostBallActive } from './ghost-ball.js';
 import { isGhostAIEnabled, getGhostAIState } from './ghost-ai.js';
@@ -227,6 +226,14 @@ export function initHUD() {
         <div style="margin-bottom: 8px; margin-left: 8px; font-size: 11px; color: #ccc; line-height: 1.5;">
             Click ball, drag back,<br>release to shoot
         </div>
+        <div style="margin-bottom: 6px;">
+            <span style="color: #66DDFF; font-weight: 600;">[SHIFT]+DRAG:</span>
+            <span style="color: #ccc;"> Spin while aiming</span>
+        </div>
+        <div style="margin-bottom: 6px;">
+            <span style="color: #66DDFF; font-weight: 600;">[Q]/[E] or WHEEL:</span>
+            <span style="color: #ccc;"> Loft a chip while aiming</span>
+        </div>
         <div style="margin-bottom: 6px;">
             <span style="color: #ff0000; font-weight: 600;">[R]:</span>
             <span style="color: #ccc;"> Reset level (+1)</span>
@@ -409,6 +416,14 @@ export function updateHUD() {
             <div style="margin-bottom: 8px; margin-left: 8px; font-size: 11px; color: #ccc; line-height: 1.5;">
                 Click ball, drag back,<br>release to shoot
             </div>
+            <div style="margin-bottom: 6px;">
+                <span style="color: #66DDFF; font-weight: 600;">[SHIFT]+DRAG:</span>
+                <span style="color: #ccc;"> Spin while aiming</span>
+            </div>
+            <div style="margin-bottom: 6px;">
+                <span style="color: #66DDFF; font-weight: 600;">[Q]/[E] or WHEEL:</span>
+                <span style="color: #ccc;"> Loft a chip while aiming</span>
+            </div>
             <div style="margin-bottom: 6px;">
                 <span style="color: #ff0000; font-weight: 600;">[R]:</span>
                 <span style="color: #ccc;"> Reset level (+1)</span>
@@ -892,15 +907,12 @@ export function resetLevel() {
         return;
     }
     
-    // Reset ball to start position
-    resetBall();
+    // Reset ball to start position, and triggers and teleporters to how the level starts
+    restartFromTee();
     
     // Reset ball velocity
     setBallVelocity(new THREE.Vector3(0, 0, 0));
     
-    // Reset collisions
-    resetCollisions();
-    
     // Restore camera to starting angle
     restoreStartingCameraAngle();
     
@@ -0,0 +1,499 @@
+// JSON level format - save, load and share levels without writing a js/levels/*.js module
+// A JSON level has the same fields as a level definition, with plain values in place of THREE objects:
+//   vectors are { "x": 16, "y": 0, "z": -11 } (y can be left out for 0), rotations are { "x", "y", "z", "order" }
+//   and colors are "#ff8800" strings (or plain numbers). Schedules, outOfBounds and physics settings
+//   are stored exactly as written; everything else is checked field by field.
+//
+//   {
+//     "version": 1,
+//     "width": 50, "height": 50,
+//     "holePosition": { "x": 0, "z": 20 },
+//     "ballStartPosition": { "x": 0, "y": 0.5, "z": -20 },
+//     "customWalls": [{ "x": 0, "z": 0, "width": 10, "depth": 2 }],
+//     "teleporters": [{ "position": { "x": 16, "z": -11 }, "pairId": 0, "color": "#0000ff" }]
+//   }
+//
+// deserializeLevel() checks a level against LEVEL_SCHEMA and throws one error listing every bad field by its path
+// (e.g. "teleporters[2].position.x must be a number"); serializeLevel() turns any level definition back into JSON.
+// null is only accepted where the schema marks a field nullable (ids and teleporter links, where it means "none")
+// and inside free-form JSON settings.
+import * as THREE from 'three';
+import { SURFACE_TYPES } from './surfaces.js';
+import { TierType } from './tiers.js';
+import { PathType, Easing } from './path-motion.js';
+import { TriggerType, ACTION_NAMES } from './triggers.js';
+
+export const LEVEL_FORMAT_VERSION = 1;
+
+const number = { type: 'number' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const vector3 = { type: 'vector3' };
+const euler = { type: 'euler' };
+const color = { type: 'color' };
+const json = { type: 'json' }; // Any plain JSON value, kept as is
+
+function required(field) {
+    return { ...field, required: true };
+}
+
+// null allowed, meaning the same as leaving the field out
+function nullable(field) {
+    return { ...field, nullable: true };
+}
+
+function arrayOf(items) {
+    return { type: 'array', items };
+}
+
+// Known fields are checked and converted, any others are kept as plain JSON
+function object(fields) {
+    return { type: 'object', fields };
+}
+
+function oneOf(...options) {
+    return { type: 'oneOf', options };
+}
+
+// A string from a fixed list, e.g. a surface type
+function enumOf(values) {
+    return { type: 'enum', values };
+}
+
+// Object that needs every field of at least one of these groups, e.g. a polygon or a min/max rectangle
+function eitherOf(schema, ...groups) {
+    return { ...schema, either: groups };
+}
+
+const point = object({ x: required(number), z: required(number) });
+const area = object({ minX: required(number), maxX: required(number), minZ: required(number), maxZ: required(number), flipZ: boolean });
+
+// Shape of a water hazard or surface zone - a polygon, or a rectangle like floorZones
+const regionFields = { polygon: arrayOf(point), minX: number, maxX: number, minZ: number, maxZ: number };
+const REGION_GROUPS = [['polygon'], ['minX', 'maxX', 'minZ', 'maxZ']];
+
+// Obstacle path (see path-motion.js)
+const path = object({
+    type: required(enumOf(Object.values(PathType))),
+    points: arrayOf(point), speed: number, loop: boolean, easing: enumOf(Object.keys(Easing)), pause: number,
+    center: point, radius: number, angularSpeed: number, startAngle: number, arc: number, offset: point,
+    rotation: number, rotationSpeed: number, alignToPath: boolean, phase: number
+});
+
+const triggerAction = object({ target: required(string), do: required(enumOf([...ACTION_NAMES])) });
+
+// Everything createCourse() and loadCourse() read from a level definition
+export const LEVEL_SCHEMA = object({
+    // Name and scoring (theme is a free-form label for menus and tools)
+    name: string,
+    par: number,
+    theme: string,
+
+    // Course shape, tee and hole
+    width: number,
+    height: number,
+    isLShaped: boolean,
+    wallHeight: number,
+    holePosition: required(vector3),
+    ballStartPosition: required(vector3),
+    cameraStartBehind: boolean,
+    hasHump: boolean,
+    humpPosition: vector3,
+    humpHeight: number,
+    humpWidth: number,
+    humpRadius: number,
+    outOfBounds: json,
+    physics: json,
+
+    // Walls, hazards and ground
+    customWalls: arrayOf(object({
+        x: required(number), z: required(number), width: required(number), depth: required(number),
+        rotation: number, id: nullable(string), open: boolean
+    })),
+    testWalls: arrayOf(object({
+        position: required(vector3), width: required(number), height: required(number), length: required(number),
+        rotation: number
+    })),
+    rectangularHoles: arrayOf(object({ x: required(number), z: required(number), width: required(number), length: required(number) })),
+    waterHazards: arrayOf(eitherOf(object({ ...regionFields, dropZone: point }), ...REGION_GROUPS)),
+    surfaceZones: arrayOf(eitherOf(object({
+        ...regionFields, type: required(enumOf(Object.keys(SURFACE_TYPES))), direction: point,
+        friction: number, rollingResistance: number, bounce: number, boostStrength: number
+    }), ...REGION_GROUPS)),
+    tiers: arrayOf(object({
+        type: enumOf(Object.values(TierType)), x: required(number), z: required(number), width: required(number),
+        depth: required(number), rotation: number, height: number, from: number, to: number, thickness: number, color
+    })),
+    heightmap: eitherOf(object({
+        heights: arrayOf(arrayOf(number)), image: string, scale: number, offset: number,
+        minX: number, maxX: number, minZ: number, maxZ: number
+    }), ['heights'], ['image']),
+
+    // Floor
+    floorPolygons: arrayOf(arrayOf(point)),
+    floorZones: arrayOf(area),
+    floorExclusions: arrayOf(area),
+    floorSeedPoints: arrayOf(point),
+    paintedFloorTiles: arrayOf(string),
+    usePinkFloor: boolean,
+
+    // Obstacles
+    bumpers: arrayOf(object({ position: required(vector3), radius: number, tubeRadius: number, path, id: nullable(string) })),
+    movingWalls: arrayOf(eitherOf(object({
+        x: number, zCenter: number, zRange: number, speed: number, width: number, height: number, depth: number,
+        color, path
+    }), ['path'], ['x', 'zCenter', 'zRange'])),
+    platforms: arrayOf(eitherOf(object({
+        shape: enumOf(['box', 'disc']), width: number, depth: number, radius: number, height: number, thickness: number,
+        color, position: point, path, rotation: number, rotationSpeed: number,
+        lift: object({ height: required(number), speed: number, pause: number, easing: enumOf(Object.keys(Easing)), phase: number })
+    }), ['position'], ['path'])),
+    fans: arrayOf(object({
+        x: required(number), z: required(number), radius: number, height: number, numBlades: number,
+        rotationSpeed: number, pushStrength: number, bladeLengthMultiplier: number, color,
+        id: nullable(string), enabled: boolean, schedule: json
+    })),
+    magneticFields: arrayOf(object({
+        position: required(vector3), strength: number, range: number, type: string, period: number, pull: number,
+        schedule: json
+    })),
+    teleporters: arrayOf(object({
+        position: required(vector3), pairId: number, size: number, color: nullable(color), id: nullable(string), enabled: boolean,
+        network: nullable(string), pick: string, sendTo: nullable(string), exitOnly: boolean, exitDirection: nullable(point),
+        speedScale: number, keepSpeed: boolean
+    })),
+    windZones: arrayOf(object({
+        position: required(vector3), size: vector3, direction: vector3, strength: number, color,
+        id: nullable(string), enabled: boolean, schedule: json
+    })),
+    triggers: arrayOf(object({
+        type: required(enumOf(Object.values(TriggerType))), x: number, z: number, width: number, depth: number,
+        actions: arrayOf(triggerAction), releaseActions: arrayOf(triggerAction), bumper: string, count: number, repeat: boolean
+    })),
+
+    // Decoration, power-ups and the ghost AI's route
+    models: arrayOf(object({
+        url: string, format: string, type: string, geometry: string,
+        position: vector3, rotation: euler, scale: oneOf(number, vector3), size: oneOf(number, vector3),
+        rotationAxis: vector3, color, castShadow: boolean, receiveShadow: boolean
+    })),
+    powerUpPositions: arrayOf(vector3),
+    aiWaypoints: arrayOf(vector3)
+});
+
+/**
+ * Turn a level definition into plain JSON data
+ * @param {Object} levelDef - Level definition (same shape as js/levels/*.js)
+ * @returns {Object} JSON-ready level, starting with its format version
+ */
+export function serializeLevel(levelDef) {
+    const errors = [];
+    const data = writeValue(LEVEL_SCHEMA, levelDef, '', errors);
+    if (errors.length > 0) {
+        throw createLevelError("Can't save level", errors);
+    }
+    return { version: LEVEL_FORMAT_VERSION, ...data };
+}
+
+/**
+ * Level definition as JSON text
+ */
+export function levelToJSON(levelDef, indent = 2) {
+    return JSON.stringify(serializeLevel(levelDef), null, indent);
+}
+
+/**
+ * Check JSON level data without loading it
+ * @returns {Array<string>} One message per bad field (empty if the level is valid)
+ */
+export function validateLevelData(data) {
+    const errors = [];
+    readLevel(data, errors);
+    return errors;
+}
+
+/**
+ * Turn JSON level data back into a level definition createCourse() can build
+ * @param {Object} data - Parsed JSON level
+ * @param {Array<string>} warnings - Collects notes on unknown fields instead of logging them (optional)
+ * @returns {Object} Level definition with THREE.Vector3 positions, THREE.Euler rotations and numeric colors
+ */
+export function deserializeLevel(data, warnings = null) {
+    const errors = [];
+    const levelDef = readLevel(data, errors, warnings);
+    if (errors.length > 0) {
+        throw createLevelError('Invalid level', errors);
+    }
+    return levelDef;
+}
+
+/**
+ * Parse JSON level text into a level definition
+ */
+export function parseLevelJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Level is not valid JSON: ${error.message}`);
+    }
+    return deserializeLevel(data);
+}
+
+/**
+ * Load a level from a JSON file
+ * @param {string} filePath - Path to the .json level
+ * @returns {Promise<Object>} Level definition object
+ */
+export async function loadLevelJSON(filePath) {
+    try {
+        const response = await fetch(filePath);
+        return parseLevelJSON(await response.text());
+    } catch (error) {
+        console.error('Error loading JSON level:', error);
+        throw error;
+    }
+}
+
+function readLevel(data, errors, warnings = null) {
+    if (!isPlainObject(data)) {
+        errors.push('level must be a JSON object');
+        return null;
+    }
+
+    const { version = LEVEL_FORMAT_VERSION, ...fields } = data;
+    if (version !== LEVEL_FORMAT_VERSION) {
+        errors.push(`version ${describe(version)} is not supported (expected ${LEVEL_FORMAT_VERSION})`);
+    }
+    Object.keys(fields)
+        .filter(key => !(key in LEVEL_SCHEMA.fields))
+        .forEach(key => {
+            const message = `Unknown level field "${key}", keeping it as is`;
+            if (warnings) {
+                warnings.push(message);
+            } else {
+                console.warn(message);
+            }
+        });
+
+    return readValue(LEVEL_SCHEMA, fields, '', errors);
+}
+
+// JSON value -> level definition value
+function readValue(field, value, path, errors) {
+    if (value === null && field.nullable) return null;
+
+    switch (field.type) {
+        case 'number':
+        case 'string':
+        case 'boolean':
+            return checkPrimitive(field.type, value, path, errors) ? value : undefined;
+        case 'enum':
+            return checkEnum(field, value, path, errors) ? value : undefined;
+        case 'vector3': {
+            const v = readXYZ(value, path, errors, ['x', 'z']);
+            return v && new THREE.Vector3(v.x, v.y, v.z);
+        }
+        case 'euler': {
+            const v = readXYZ(value, path, errors, []);
+            if (!v) return undefined;
+            if (value.order !== undefined && typeof value.order !== 'string') {
+                errors.push(`${join(path, 'order')} must be a rotation order like "XYZ"`);
+                return undefined;
+            }
+            return new THREE.Euler(v.x, v.y, v.z, value.order || 'XYZ');
+        }
+        case 'color':
+            return readColor(value, path, errors);
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path} must be a list (got ${describe(value)})`);
+                return undefined;
+            }
+            return value.map((item, index) => readValue(field.items, item, `${path}[${index}]`, errors));
+        case 'object':
+            return walkObject(field, value, path, errors, readValue);
+        case 'oneOf':
+            return pickOption(field, value, path, errors, readValue);
+        default:
+            return copyJSON(value, path, errors);
+    }
+}
+
+// Level definition value -> JSON value
+function writeValue(field, value, path, errors) {
+    if (value === null && field.nullable) return null;
+
+    switch (field.type) {
+        case 'number':
+        case 'string':
+        case 'boolean':
+            return checkPrimitive(field.type, value, path, errors) ? value : undefined;
+        case 'enum':
+            return checkEnum(field, value, path, errors) ? value : undefined;
+        case 'vector3':
+            return readXYZ(value, path, errors, ['x', 'z']) || undefined;
+        case 'euler': {
+            const v = readXYZ(value, path, errors, []);
+            if (!v) return undefined;
+            const order = value.order || 'XYZ';
+            return order === 'XYZ' ? v : { ...v, order };
+        }
+        case 'color': {
+            const hex = readColor(value, path, errors);
+            return hex === undefined ? undefined : `#${hex.toString(16).padStart(6, '0')}`;
+        }
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path} must be a list (got ${describe(value)})`);
+                return undefined;
+            }
+            return value.map((item, index) => writeValue(field.items, item, `${path}[${index}]`, errors));
+        case 'object':
+            return walkObject(field, value, path, errors, writeValue);
+        case 'oneOf':
+            return pickOption(field, value, path, errors, writeValue);
+        default:
+            return copyJSON(value, path, errors);
+    }
+}
+
+function walkObject(field, value, path, errors, convert) {
+    if (!isPlainObject(value)) {
+        errors.push(`${path} must be an object (got ${describe(value)})`);
+        return undefined;
+    }
+
+    const result = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+        if (fieldValue === undefined) continue;
+        const fieldSchema = field.fields[key] || json;
+        result[key] = convert(fieldSchema, fieldValue, join(path, key), errors);
+    }
+    for (const [key, fieldSchema] of Object.entries(field.fields)) {
+        if (fieldSchema.required && value[key] === undefined) { // A null one has already been reported as the wrong type
+            errors.push(`${join(path, key)} is required`);
+        }
+    }
+    if (field.either && !field.either.some(group => group.every(key => value[key] !== undefined))) {
+        errors.push(`${path} needs ${field.either.map(group => group.join(', ')).join(' or ')}`);
+    }
+    return result;
+}
+
+// First option the value fits, e.g. a model's scale as one number or an {x, y, z}
+function pickOption(field, value, path, errors, convert) {
+    for (const option of field.options) {
+        const optionErrors = [];
+        const result = convert(option, value, path, optionErrors);
+        if (optionErrors.length === 0) return result;
+    }
+    errors.push(`${path} must be ${field.options.map(option => DESCRIPTIONS[option.type]).join(' or ')}`);
+    return undefined;
+}
+
+const DESCRIPTIONS = {
+    number: 'a number',
+    string: 'a string',
+    boolean: 'true or false',
+    vector3: 'an {x, y, z} object'
+};
+
+function checkPrimitive(type, value, path, errors) {
+    const ok = type === 'number' ? Number.isFinite(value) : typeof value === type;
+    if (!ok) {
+        errors.push(`${path} must be ${DESCRIPTIONS[type]} (got ${describe(value)})`);
+    }
+    return ok;
+}
+
+function checkEnum(field, value, path, errors) {
+    const ok = field.values.includes(value);
+    if (!ok) {
+        errors.push(`${path} must be one of ${field.values.join(', ')} (got ${describe(value)})`);
+    }
+    return ok;
+}
+
+// {x, y, z} from a plain object, THREE.Vector3 or THREE.Euler - missing components are 0 unless listed as needed
+function readXYZ(value, path, errors, needed) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an {x, y, z} object (got ${describe(value)})`);
+        return null;
+    }
+
+    const result = {};
+    let ok = true;
+    for (const axis of ['x', 'y', 'z']) {
+        const component = value[axis];
+        if (component === undefined && !needed.includes(axis)) {
+            result[axis] = 0;
+        } else if (Number.isFinite(component)) {
+            result[axis] = component;
+        } else {
+            errors.push(`${join(path, axis)} must be a number (got ${describe(component)})`);
+            ok = false;
+        }
+    }
+    return ok ? result : null;
+}
+
+function readColor(value, path, errors) {
+    if (Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+        return value;
+    }
+    if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+        return parseInt(value.slice(1), 16);
+    }
+    errors.push(`${path} must be a color like "#ff8800" (got ${describe(value)})`);
+    return undefined;
+}
+
+// Deep copy of a plain JSON value (THREE vectors in it become {x, y, z})
+function copyJSON(value, path, errors) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'number') {
+        return checkPrimitive('number', value, path, errors) ? value : undefined;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => copyJSON(item, `${path}[${index}]`, errors));
+    }
+    if (value && (value.isVector3 || value.isEuler)) {
+        return readXYZ(value, path, errors, []) || undefined;
+    }
+    if (isPlainObject(value)) {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (item !== undefined) {
+                result[key] = copyJSON(item, join(path, key), errors);
+            }
+        }
+        return result;
+    }
+    errors.push(`${path} can't be stored in JSON (got ${describe(value)})`);
+    return undefined;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+function describe(value) {
+    if (value === undefined) return 'nothing';
+    if (typeof value === 'function') return 'a function';
+    if (typeof value === 'number') return String(value); // NaN and Infinity too
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+}
+
+function createLevelError(summary, errors) {
+    const error = new Error(`${summary}:\n  ${errors.join('\n  ')}`);
+    error.errors = errors;
+    return error;
+}
@@ -1,9 +1,30 @@
 // Grid-based level format parser
 // Allows creating levels using ASCII art grid format
-import * as THREE from 'three';
+import { deserializeLevel, serializeLevel } from './level-format.js';
 
 /**
- * Grid format symbols:
+ * Grid file layout - everything but the grid is optional, so a file that's only rows still works:
+ *
+ *   // Lines starting with // are comments
+ *   name: Windy Gap            <- Header: name, par, cellSize, theme, or any other level field as level JSON
+ *   par: 3                        (see level-format.js); indented lines carry on the value above
+ *
+ *   legend:
+ *   G = wall {"id": "gate"}    <- Symbol = entity type, with optional JSON settings
+ *
+ *   grid:
+ *   WWWWWWWWW
+ *   W.S...T1W                  <- Digits right after a point symbol tag it (the digit cells are empty floor)
+ *   W>>>>>..W
+ *   W.H...T1W
+ *   WWWWGWWWW
+ *
+ *   params:
+ *   T1: {"color": "#ff0000"}   <- Settings for every T tagged 1
+ *
+ * A null header value or setting leaves that field out (width: null for a course with no set size).
+ *
+ * Default symbols:
  * . = Empty space
  * S = Start position (ball start)
  * H = Hole
@@ -11,319 +32,498 @@ import * as THREE from 'three';
  * F = Fan
  * M = Magnetic Field
  * P = Power-up
+ * T = Teleporter (its tag is the pairId, so two T1s are a pair)
+ * X = Moving wall (slides along Z unless its settings give a path)
+ * O = Model (a grey box unless its settings say otherwise)
  * W = Wall (custom wall)
  * R = Rectangular hole (hazard)
- * 
+ * ~ = Water hazard
+ * > < ^ v = Wind zone blowing right (+X), left (-X), up the grid (-Z) or down it (+Z)
+ * # = Raised tier
+ * / \ = Ramp rising to the right (+X) or to the left (-X)
+ *
+ * Point symbols make one entity per cell; area symbols (walls, hazards, wind, tiers, ramps) merge with
+ * neighbouring cells of the same symbol into as few boxes as possible, and a diagonal line of wall
+ * cells becomes a single rotated wall.
+ *
  * Grid coordinates:
  * - Each line is a row (Z coordinate, negative to positive from top to bottom)
  * - Each character is a column (X coordinate, negative to positive from left to right)
  * - Grid center (0,0) is at the center of the grid
  */
 
+export const GridEntity = {
+    EMPTY: 'empty',
+    START: 'start',
+    HOLE: 'hole',
+    BUMPER: 'bumper',
+    FAN: 'fan',
+    MAGNET: 'magnet',
+    POWER_UP: 'powerUp',
+    TELEPORTER: 'teleporter',
+    MOVING_WALL: 'movingWall',
+    MODEL: 'model',
+    WALL: 'wall',
+    PIT: 'pit',
+    WATER: 'water',
+    WIND: 'wind',
+    TIER: 'tier',
+    RAMP: 'ramp'
+};
+
+const DEFAULT_LEGEND = {
+    '.': { type: GridEntity.EMPTY },
+    'S': { type: GridEntity.START },
+    'H': { type: GridEntity.HOLE },
+    'B': { type: GridEntity.BUMPER },
+    'F': { type: GridEntity.FAN },
+    'M': { type: GridEntity.MAGNET },
+    'P': { type: GridEntity.POWER_UP },
+    'T': { type: GridEntity.TELEPORTER },
+    'X': { type: GridEntity.MOVING_WALL },
+    'O': { type: GridEntity.MODEL },
+    'W': { type: GridEntity.WALL },
+    'R': { type: GridEntity.PIT },
+    '~': { type: GridEntity.WATER },
+    '>': { type: GridEntity.WIND, settings: { direction: { x: 1, y: 0, z: 0 } } },
+    '<': { type: GridEntity.WIND, settings: { direction: { x: -1, y: 0, z: 0 } } },
+    '^': { type: GridEntity.WIND, settings: { direction: { x: 0, y: 0, z: -1 } } },
+    'v': { type: GridEntity.WIND, settings: { direction: { x: 0, y: 0, z: 1 } } },
+    '#': { type: GridEntity.TIER },
+    '/': { type: GridEntity.RAMP, settings: { rotation: Math.PI / 2 } },
+    '\\': { type: GridEntity.RAMP, settings: { rotation: -Math.PI / 2 } }
+};
+
+const SECTIONS = ['legend', 'grid', 'params'];
+
+// One entity per cell: (level, x, z, tag, settings, { cellSize, options }), positions as level JSON
+const POINT_ENTITIES = {
+    [GridEntity.START]: (level, x, z, tag, settings) => {
+        level.ballStartPosition = withoutNulls({ x, y: 0.5, z, ...settings });
+    },
+    [GridEntity.HOLE]: (level, x, z, tag, settings) => {
+        level.holePosition = withoutNulls({ x, y: 0, z, ...settings });
+    },
+    [GridEntity.BUMPER]: (level, x, z, tag, settings, { options }) => addTo(level, 'bumpers', {
+        position: { x, y: 0.5, z },
+        radius: options.bumperRadius || 1.5,
+        tubeRadius: options.bumperTubeRadius || 0.3,
+        ...settings
+    }),
+    [GridEntity.FAN]: (level, x, z, tag, settings, { options }) => addTo(level, 'fans', {
+        x,
+        z,
+        radius: options.fanRadius || 3.0,
+        height: options.fanHeight || 0.1,
+        numBlades: options.fanBlades || 4,
+        rotationSpeed: options.fanSpeed || 2.0,
+        pushStrength: options.fanStrength || 8.0,
+        bladeLengthMultiplier: options.fanBladeLength || 1.6,
+        color: options.fanColor || 0x888888,
+        ...settings
+    }),
+    [GridEntity.MAGNET]: (level, x, z, tag, settings, { options }) => addTo(level, 'magneticFields', {
+        position: { x, y: 0.5, z },
+        strength: options.magneticStrength || 0.5,
+        range: options.magneticRange || 8.0,
+        ...settings
+    }),
+    [GridEntity.POWER_UP]: (level, x, z, tag, settings) => addTo(level, 'powerUpPositions', { x, y: 1.0, z, ...settings }),
+    [GridEntity.TELEPORTER]: (level, x, z, tag, settings) => addTo(level, 'teleporters', {
+        position: { x, y: 0, z },
+        pairId: tag ?? 0,
+        ...settings
+    }),
+    [GridEntity.MOVING_WALL]: (level, x, z, tag, settings, { cellSize }) => addTo(level, 'movingWalls', {
+        x,
+        zCenter: z,
+        zRange: cellSize * 2,
+        width: cellSize,
+        depth: 0.5,
+        ...settings
+    }),
+    [GridEntity.MODEL]: (level, x, z, tag, settings, { cellSize }) => addTo(level, 'models', {
+        geometry: 'box',
+        size: { x: cellSize, y: cellSize, z: cellSize },
+        color: 0x888888,
+        position: { x, y: cellSize / 2, z },
+        ...settings
+    })
+};
+
+// Merged cells: (level, { x, z, width, depth }, settings) with the rectangle's center and size in world units
+const AREA_ENTITIES = {
+    [GridEntity.WALL]: (level, rect, settings) => addTo(level, 'customWalls', { ...rect, ...settings }),
+    [GridEntity.PIT]: (level, rect, settings) => addTo(level, 'rectangularHoles', {
+        x: rect.x,
+        z: rect.z,
+        width: rect.width,
+        length: rect.depth,
+        ...settings
+    }),
+    [GridEntity.WATER]: (level, rect, settings) => addTo(level, 'waterHazards', {
+        minX: rect.x - rect.width / 2,
+        maxX: rect.x + rect.width / 2,
+        minZ: rect.z - rect.depth / 2,
+        maxZ: rect.z + rect.depth / 2,
+        ...settings
+    }),
+    [GridEntity.WIND]: (level, rect, settings) => addTo(level, 'windZones', {
+        position: { x: rect.x, y: 2.5, z: rect.z },
+        size: { x: rect.width, y: 5, z: rect.depth },
+        strength: 10.0,
+        ...settings
+    }),
+    [GridEntity.TIER]: (level, rect, settings) => addTo(level, 'tiers', { type: 'tier', ...rect, height: 1, ...settings }),
+    [GridEntity.RAMP]: (level, rect, settings) => {
+        // A ramp's width runs across its slope and its depth along it, so a quarter turn swaps them
+        const isQuarterTurn = Math.round(Math.abs(Math.sin(settings.rotation || 0))) === 1;
+        addTo(level, 'tiers', {
+            type: 'ramp',
+            x: rect.x,
+            z: rect.z,
+            width: isQuarterTurn ? rect.depth : rect.width,
+            depth: isQuarterTurn ? rect.width : rect.depth,
+            from: 0,
+            to: 1,
+            ...settings
+        });
+    }
+};
+
 /**
  * Parse a grid string and convert it to a level definition
- * @param {string} gridString - The grid as a string (newline-separated rows)
- * @param {Object} options - Additional options for the level
- * @returns {Object} Level definition object
+ * @param {string} gridString - The grid as a string (newline-separated rows), optionally with header, legend and params
+ * @param {Object} options - Additional options for the level (cellSize, obstacle defaults, or level fields to override)
+ * @returns {Object} { level, warnings } - level definition, and one message per line, symbol or setting that was
+ *                   skipped or filled in (nothing is printed to the console)
  */
 export function parseGridLevel(gridString, options = {}) {
-    const lines = gridString.trim().split('\n').map(line => line.trim());
+    const warnings = [];
+    const { header, legend: legendEntries, grid: lines, params: paramEntries } = readGridSections(gridString);
+    const headerFields = readHeader(header, warnings);
+    const legend = { ...DEFAULT_LEGEND, ...readLegend(legendEntries, warnings) };
+    const params = readParams(paramEntries, warnings);
+    const lookup = char => legend[char] || legend[char.toUpperCase()];
+
     const gridHeight = lines.length;
-    const gridWidth = Math.max(...lines.map(line => line.length));
-    
+    const gridWidth = Math.max(0, ...lines.map(line => line.length));
+
     // Calculate course dimensions based on grid size
     // Each grid cell = 2 units in world space (adjustable)
-    const cellSize = options.cellSize || 2.0;
-    const courseWidth = gridWidth * cellSize;
+    const { cellSize: headerCellSize, ...levelFields } = headerFields;
+    const cellSize = options.cellSize || headerCellSize || 2.0;
     const courseHeight = gridHeight * cellSize;
-    
+
     // Calculate offset to center the grid at origin
     const offsetX = -(gridWidth - 1) * cellSize / 2;
     const offsetZ = -(gridHeight - 1) * cellSize / 2;
-    
-    const levelDef = {
-        width: courseWidth,
-        height: courseHeight,
-        holePosition: null,
-        ballStartPosition: null,
-        hasHump: options.hasHump || false,
-        powerUpPositions: [],
-        bumpers: [],
-        fans: [],
-        magneticFields: [],
-        customWalls: [],
-        rectangularHoles: [],
-        movingWalls: [],
-        ...options // Allow overriding defaults
-    };
-    
-    // First pass: collect wall and hole positions and parse other objects
-    const wallGrid = Array(gridHeight).fill(null).map(() => Array(gridWidth).fill(false));
-    const holeGrid = Array(gridHeight).fill(null).map(() => Array(gridWidth).fill(false));
-    
+
+    // Built as level JSON, so bad settings are reported field by field when it's read back
+    const level = { ...createGridLevel(gridWidth, gridHeight, cellSize), ...levelFields };
+    const context = { cellSize, options };
+
+    // First pass: place point entities and collect the cells of each area symbol
+    const areaCells = new Map();
+    const unknownSymbols = new Set();
+    const usedParams = new Set();
+
     for (let row = 0; row < gridHeight; row++) {
         const line = lines[row];
         for (let col = 0; col < line.length; col++) {
-            const char = line[col].toUpperCase();
-            if (char === '.') continue; // Empty space
-            
+            const char = line[col];
+            const entry = lookup(char);
+            if (!entry) {
+                if (/\d/.test(char)) {
+                    warnings.push(`Grid row ${row + 1}, column ${col + 1}: digit "${char}" doesn't follow a point symbol, ignoring it`);
+                } else if (!unknownSymbols.has(char)) {
+                    unknownSymbols.add(char);
+                    warnings.push(`Unknown grid symbol "${char}", treating it as empty space`);
+                }
+                continue;
+            }
+            if (entry.type === GridEntity.EMPTY) continue;
+
+            if (AREA_ENTITIES[entry.type]) {
+                if (!areaCells.has(char)) {
+                    areaCells.set(char, Array(gridHeight).fill(null).map(() => Array(gridWidth).fill(false)));
+                }
+                areaCells.get(char)[row][col] = true;
+                continue;
+            }
+
+            // Digits straight after the symbol are its tag
+            let tagEnd = col + 1;
+            while (tagEnd < line.length && /\d/.test(line[tagEnd])) tagEnd++;
+            const tag = tagEnd > col + 1 ? Number(line.slice(col + 1, tagEnd)) : null;
+            const paramKey = `${char}${tag}`;
+            if (tag !== null && params[paramKey]) usedParams.add(paramKey);
+
             // Calculate world position
             const x = offsetX + col * cellSize;
             const z = offsetZ + row * cellSize;
-            
-            switch (char) {
-                case 'S':
-                    // Start position
-                    levelDef.ballStartPosition = new THREE.Vector3(x, 0.5, z);
-                    break;
-                    
-                case 'H':
-                    // Hole
-                    levelDef.holePosition = new THREE.Vector3(x, 0, z);
-                    break;
-                    
-                case 'B':
-                    // Bumper
-                    levelDef.bumpers.push({
-                        position: new THREE.Vector3(x, 0.5, z),
-                        radius: options.bumperRadius || 1.5,
-                        tubeRadius: options.bumperTubeRadius || 0.3
-                    });
-                    break;
-                    
-                case 'F':
-                    // Fan
-                    levelDef.fans.push({
-                        x: x,
-                        z: z,
-                        radius: options.fanRadius || 3.0,
-                        height: options.fanHeight || 0.1,
-                        numBlades: options.fanBlades || 4,
-                        rotationSpeed: options.fanSpeed || 2.0,
-                        pushStrength: options.fanStrength || 8.0,
-                        bladeLengthMultiplier: options.fanBladeLength || 1.6,
-                        color: options.fanColor || 0x888888
-                    });
-                    break;
-                    
-                case 'M':
-                    // Magnetic Field
-                    levelDef.magneticFields.push({
-                        position: new THREE.Vector3(x, 0.5, z),
-                        strength: options.magneticStrength || 0.5,
-                        range: options.magneticRange || 8.0
-                    });
-                    break;
-                    
-                case 'P':
-                    // Power-up
-                    levelDef.powerUpPositions.push(new THREE.Vector3(x, 1.0, z));
-                    break;
-                    
-                case 'W':
-                    // Mark wall position for later processing
-                    wallGrid[row][col] = true;
-                    break;
-                    
-                case 'R':
-                    // Mark rectangular hole position for later processing
-                    holeGrid[row][col] = true;
-                    break;
-            }
+            POINT_ENTITIES[entry.type](level, x, z, tag, { ...entry.settings, ...params[paramKey] }, context);
+            col = tagEnd - 1;
         }
     }
-    
-    // Second pass: fuse adjacent walls into segments
-    const usedWalls = Array(gridHeight).fill(null).map(() => Array(gridWidth).fill(false));
-    
-    // Find horizontal wall runs (rows)
-    for (let row = 0; row < gridHeight; row++) {
-        let runStart = -1;
-        for (let col = 0; col <= gridWidth; col++) {
-            const isWall = col < gridWidth && wallGrid[row][col];
-            
-            if (isWall && runStart === -1) {
-                // Start of a run
-                runStart = col;
-            } else if (!isWall && runStart !== -1) {
-                // End of a run - create merged wall segment
-                const runLength = col - runStart;
-                if (runLength > 0) {
-                    // Calculate center position of the run
-                    const centerCol = runStart + (runLength - 1) / 2;
-                    const x = offsetX + centerCol * cellSize;
-                    const z = offsetZ + row * cellSize;
-                    
-                    // Create horizontal wall segment
-                    levelDef.customWalls.push({
-                        x: x,
-                        z: z,
-                        width: runLength * cellSize,
-                        depth: cellSize
-                    });
-                    
-                    // Mark these walls as used
-                    for (let c = runStart; c < col; c++) {
-                        usedWalls[row][c] = true;
-                    }
-                }
-                runStart = -1;
-            }
+
+    Object.keys(params)
+        .filter(key => !usedParams.has(key))
+        .forEach(key => warnings.push(`Grid params "${key}" don't match any tagged symbol in the grid`));
+
+    // Second pass: fuse adjacent cells of each area symbol into as few boxes as possible
+    for (const [char, cells] of areaCells) {
+        const entry = lookup(char);
+
+        // Diagonal lines of wall cells become one rotated wall each
+        if (entry.type === GridEntity.WALL) {
+            findDiagonalRuns(cells).forEach(run => {
+                AREA_ENTITIES[entry.type](level, {
+                    x: offsetX + (run.col + run.step * (run.length - 1) / 2) * cellSize,
+                    z: offsetZ + (run.row + (run.length - 1) / 2) * cellSize,
+                    width: run.length * cellSize * Math.SQRT2,
+                    depth: cellSize,
+                    rotation: -run.step * Math.PI / 4
+                }, { ...entry.settings });
+            });
         }
+
+        findCellRectangles(cells).forEach(rect => {
+            AREA_ENTITIES[entry.type](level, {
+                x: offsetX + (rect.col + (rect.columns - 1) / 2) * cellSize,
+                z: offsetZ + (rect.row + (rect.rows - 1) / 2) * cellSize,
+                width: rect.columns * cellSize,
+                depth: rect.rows * cellSize
+            }, { ...entry.settings });
+        });
     }
-    
-    // Find vertical wall runs (columns) - only for walls not already used in horizontal runs
-    for (let col = 0; col < gridWidth; col++) {
-        let runStart = -1;
-        for (let row = 0; row <= gridHeight; row++) {
-            const isWall = row < gridHeight && wallGrid[row][col] && !usedWalls[row][col];
-            
-            if (isWall && runStart === -1) {
-                // Start of a run
-                runStart = row;
-            } else if ((!isWall || usedWalls[row][col]) && runStart !== -1) {
-                // End of a run - create merged wall segment
-                const runLength = row - runStart;
-                if (runLength > 0) {
-                    // Calculate center position of the run
-                    const centerRow = runStart + (runLength - 1) / 2;
-                    const x = offsetX + col * cellSize;
-                    const z = offsetZ + centerRow * cellSize;
-                    
-                    // Create vertical wall segment
-                    levelDef.customWalls.push({
-                        x: x,
-                        z: z,
-                        width: cellSize,
-                        depth: runLength * cellSize
-                    });
-                    
-                    // Mark these walls as used
-                    for (let r = runStart; r < row; r++) {
-                        usedWalls[r][col] = true;
-                    }
-                }
-                runStart = -1;
-            }
-        }
+
+    // Validate required positions
+    if (!level.holePosition) {
+        warnings.push('No hole position (H) found in grid');
+        level.holePosition = { x: 0, y: 0, z: courseHeight / 2 - cellSize };
     }
-    
-    // Handle any remaining single walls (not part of horizontal or vertical runs)
-    for (let row = 0; row < gridHeight; row++) {
-        for (let col = 0; col < gridWidth; col++) {
-            if (wallGrid[row][col] && !usedWalls[row][col]) {
-                const x = offsetX + col * cellSize;
-                const z = offsetZ + row * cellSize;
-                levelDef.customWalls.push({
-                    x: x,
-                    z: z,
-                    width: cellSize,
-                    depth: cellSize
-                });
-            }
-        }
+
+    if (!level.ballStartPosition) {
+        warnings.push('No start position (S) found in grid');
+        level.ballStartPosition = { x: 0, y: 0.5, z: -courseHeight / 2 + cellSize };
     }
-    
-    // Fuse adjacent rectangular holes into segments
-    const usedHoles = Array(gridHeight).fill(null).map(() => Array(gridWidth).fill(false));
-    
-    // Find horizontal hole runs (rows)
-    for (let row = 0; row < gridHeight; row++) {
-        let runStart = -1;
-        for (let col = 0; col <= gridWidth; col++) {
-            const isHole = col < gridWidth && holeGrid[row][col];
-            
-            if (isHole && runStart === -1) {
-                runStart = col;
-            } else if (!isHole && runStart !== -1) {
-                const runLength = col - runStart;
-                if (runLength > 0) {
-                    const centerCol = runStart + (runLength - 1) / 2;
-                    const x = offsetX + centerCol * cellSize;
-                    const z = offsetZ + row * cellSize;
-                    
-                    levelDef.rectangularHoles.push({
-                        x: x,
-                        z: z,
-                        width: runLength * cellSize,
-                        length: cellSize
-                    });
-                    
-                    for (let c = runStart; c < col; c++) {
-                        usedHoles[row][c] = true;
-                    }
-                }
-                runStart = -1;
-            }
+
+    // A null header field leaves it out (width: null for a course with no set size)
+    Object.keys(level)
+        .filter(key => level[key] === null)
+        .forEach(key => delete level[key]);
+
+    // Allow overriding anything the grid produced
+    const { cellSize: _cellSize, ...levelOptions } = options;
+    return { level: { ...deserializeLevel(level, warnings), ...levelOptions }, warnings };
+}
+
+// Splits the text into header, legend, grid and params; without a "grid:" line every line is a grid row
+function readGridSections(gridString) {
+    const sections = { header: [], legend: [], grid: [], params: [] };
+    const lines = gridString.split('\n');
+    const hasSections = lines.some(line => line.trim().toLowerCase() === 'grid:');
+    let section = hasSections ? 'header' : 'grid';
+
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('//')) return;
+
+        const sectionName = line.toLowerCase().slice(0, -1);
+        if (hasSections && line.endsWith(':') && SECTIONS.includes(sectionName)) {
+            section = sectionName;
+            return;
         }
-    }
-    
-    // Find vertical hole runs (columns) - only for holes not already used
-    for (let col = 0; col < gridWidth; col++) {
-        let runStart = -1;
-        for (let row = 0; row <= gridHeight; row++) {
-            const isHole = row < gridHeight && holeGrid[row][col] && !usedHoles[row][col];
-            
-            if (isHole && runStart === -1) {
-                runStart = row;
-            } else if ((!isHole || usedHoles[row][col]) && runStart !== -1) {
-                const runLength = row - runStart;
-                if (runLength > 0) {
-                    const centerRow = runStart + (runLength - 1) / 2;
-                    const x = offsetX + col * cellSize;
-                    const z = offsetZ + centerRow * cellSize;
-                    
-                    levelDef.rectangularHoles.push({
-                        x: x,
-                        z: z,
-                        width: cellSize,
-                        length: runLength * cellSize
-                    });
-                    
-                    for (let r = runStart; r < row; r++) {
-                        usedHoles[r][col] = true;
-                    }
-                }
-                runStart = -1;
-            }
+        if (section === 'grid') {
+            sections.grid.push(line);
+            return;
         }
-    }
-    
-    // Handle any remaining single holes
-    for (let row = 0; row < gridHeight; row++) {
-        for (let col = 0; col < gridWidth; col++) {
-            if (holeGrid[row][col] && !usedHoles[row][col]) {
-                const x = offsetX + col * cellSize;
-                const z = offsetZ + row * cellSize;
-                levelDef.rectangularHoles.push({
-                    x: x,
-                    z: z,
-                    width: cellSize,
-                    length: cellSize
-                });
-            }
+
+        // Indented lines carry on the entry above (long JSON values)
+        const entries = sections[section];
+        if (/^\s/.test(rawLine) && entries.length > 0) {
+            entries[entries.length - 1].text += `\n${line}`;
+        } else {
+            entries.push({ text: line, lineNumber: index + 1 });
         }
+    });
+    return sections;
+}
+
+// "key: value" lines - values are JSON, or plain text if they don't parse (name: Windy Gap)
+function readHeader(entries, warnings) {
+    const fields = {};
+    entries.forEach(({ text, lineNumber }) => {
+        const match = text.match(/^([A-Za-z_]\w*)\s*:\s*([\s\S]*)$/);
+        if (!match) {
+            warnings.push(`Grid line ${lineNumber}: expected "name: value", skipping "${text}"`);
+            return;
+        }
+        const value = parseValue(match[2]);
+        fields[match[1]] = value === undefined ? match[2] : value;
+    });
+    return fields;
+}
+
+// "G = wall {settings}" lines
+function readLegend(entries, warnings) {
+    const legend = {};
+    entries.forEach(({ text, lineNumber }) => {
+        const match = text.match(/^(\S)\s*=\s*(\w+)\s*([\s\S]*)$/);
+        if (!match) {
+            warnings.push(`Grid line ${lineNumber}: expected "symbol = type {settings}", skipping "${text}"`);
+            return;
+        }
+        const [, char, type, settingsText] = match;
+        if (!Object.values(GridEntity).includes(type)) {
+            warnings.push(`Grid line ${lineNumber}: unknown entity type "${type}" (expected one of ${Object.values(GridEntity).join(', ')})`);
+            return;
+        }
+        if (/\d/.test(char)) {
+            warnings.push(`Grid line ${lineNumber}: digits are tags and can't be symbols, skipping "${char}"`);
+            return;
+        }
+        const settings = settingsText ? parseSettings(settingsText, lineNumber, warnings) : {};
+        if (settings) {
+            legend[char] = { type, settings };
+        }
+    });
+    return legend;
+}
+
+// "T1: {settings}" lines
+function readParams(entries, warnings) {
+    const params = {};
+    entries.forEach(({ text, lineNumber }) => {
+        const match = text.match(/^(\D)(\d+)\s*:\s*([\s\S]*)$/);
+        if (!match) {
+            warnings.push(`Grid line ${lineNumber}: expected "symbol+number: {settings}", skipping "${text}"`);
+            return;
+        }
+        const settings = parseSettings(match[3], lineNumber, warnings);
+        if (settings) {
+            params[`${match[1]}${Number(match[2])}`] = settings;
+        }
+    });
+    return params;
+}
+
+function parseSettings(text, lineNumber, warnings) {
+    const settings = parseValue(text);
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        warnings.push(`Grid line ${lineNumber}: settings must be a JSON object like {"radius": 2}, skipping "${text}"`);
+        return null;
     }
-    
-    // Validate required positions
-    if (!levelDef.holePosition) {
-        console.warn('Warning: No hole position (H) found in grid');
-        levelDef.holePosition = new THREE.Vector3(0, 0, courseHeight / 2 - cellSize);
+    return settings;
+}
+
+function parseValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
     }
-    
-    if (!levelDef.ballStartPosition) {
-        console.warn('Warning: No start position (S) found in grid');
-        levelDef.ballStartPosition = new THREE.Vector3(0, 0.5, -courseHeight / 2 + cellSize);
+}
+
+// What every grid level starts from before its header and symbols fill it in
+function createGridLevel(gridWidth, gridHeight, cellSize) {
+    return {
+        width: gridWidth * cellSize,
+        height: gridHeight * cellSize,
+        holePosition: null,
+        ballStartPosition: null,
+        hasHump: false,
+        powerUpPositions: [],
+        bumpers: [],
+        fans: [],
+        magneticFields: [],
+        customWalls: [],
+        rectangularHoles: [],
+        movingWalls: []
+    };
+}
+
+function addTo(level, field, item) {
+    level[field] = [...(level[field] || []), withoutNulls(item)];
+}
+
+// A null setting leaves the field out instead of taking the symbol's default ("pairId": null)
+function withoutNulls(item) {
+    return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== null));
+}
+
+// Greedy meshing (like floor.js groupTilesIntoRectangles): from each unused cell in reading order,
+// grow right as far as the row allows, then down while every cell across stays marked
+// Returns { col, row, columns, rows } rectangles covering every marked cell once
+function findCellRectangles(cells) {
+    const used = cells.map(rowCells => rowCells.map(() => false));
+    const isFree = (row, col) => row < cells.length && cells[row][col] === true && !used[row][col];
+    const rectangles = [];
+
+    cells.forEach((rowCells, row) => {
+        rowCells.forEach((marked, col) => {
+            if (!isFree(row, col)) return;
+
+            let columns = 1;
+            while (isFree(row, col + columns)) columns++;
+
+            let rows = 1;
+            while (Array.from({ length: columns }, (_, i) => col + i).every(c => isFree(row + rows, c))) rows++;
+
+            for (let r = row; r < row + rows; r++) {
+                for (let c = col; c < col + columns; c++) {
+                    used[r][c] = true;
+                }
+            }
+            rectangles.push({ col, row, columns, rows });
+        });
+    });
+    return rectangles;
+}
+
+// Diagonal lines (two or more cells touching only at corners) going down-right (step 1) or down-left (step -1)
+// Returns { row, col, length, step } from the top cell, and clears those cells so they aren't boxed again
+function findDiagonalRuns(cells) {
+    const isMarked = (row, col) => cells[row]?.[col] === true;
+    // Cells with a neighbour above, below or beside them belong to a straight wall
+    const isLoose = (row, col) => isMarked(row, col) &&
+        !isMarked(row - 1, col) && !isMarked(row + 1, col) && !isMarked(row, col - 1) && !isMarked(row, col + 1);
+    const used = new Set();
+    const isFree = (row, col) => isLoose(row, col) && !used.has(`${row},${col}`);
+    const runs = [];
+
+    for (const step of [1, -1]) {
+        cells.forEach((rowCells, row) => {
+            rowCells.forEach((marked, col) => {
+                // Start at the top end of each line
+                if (!isFree(row, col) || isFree(row - 1, col - step)) return;
+
+                let length = 1;
+                while (isFree(row + length, col + length * step)) length++;
+                if (length < 2) return;
+
+                for (let i = 0; i < length; i++) {
+                    used.add(`${row + i},${col + i * step}`);
+                }
+                runs.push({ row, col, length, step });
+            });
+        });
     }
-    
-    return levelDef;
+
+    runs.forEach(run => {
+        for (let i = 0; i < run.length; i++) {
+            cells[run.row + i][run.col + i * run.step] = false;
+        }
+    });
+    return runs;
 }
 
 /**
  * Load a level from a grid file
  * @param {string} filePath - Path to the grid file
  * @param {Object} options - Additional options
- * @returns {Promise<Object>} Level definition object
+ * @returns {Promise<Object>} { level, warnings } as from parseGridLevel()
  */
 export async function loadGridLevel(filePath, options = {}) {
     try {
@@ -336,77 +536,496 @@ export async function loadGridLevel(filePath, options = {}) {
     }
 }
 
+// Cell sizes levelToGrid tries, largest first
+const EXPORT_CELL_SIZES = [4, 2, 1, 0.5, 0.25];
+
+// Symbols levelToGrid can give legend entries (walls with settings, or a second wall symbol so touching walls stay apart)
+const SPARE_SYMBOLS = 'ACDEGIJKLNQUYZabcdefghijklmnopqrstuvwxyz';
+
+// What levelToGrid can draw, in drawing order (the first field to claim a cell keeps it)
+// Point fields give each entry's spot as { x, z }, area fields its box as { x, z, width, depth, rotation }
+const EXPORT_FIELDS = [
+    { field: 'ballStartPosition', single: true, type: () => GridEntity.START, at: start => start },
+    { field: 'holePosition', single: true, type: () => GridEntity.HOLE, at: hole => hole },
+    { field: 'customWalls', type: () => GridEntity.WALL, box: wall => wall },
+    {
+        field: 'rectangularHoles',
+        type: () => GridEntity.PIT,
+        box: pit => ({ x: pit.x, z: pit.z, width: pit.width, depth: pit.length })
+    },
+    {
+        field: 'waterHazards',
+        type: () => GridEntity.WATER,
+        box: water => ({
+            x: (water.minX + water.maxX) / 2,
+            z: (water.minZ + water.maxZ) / 2,
+            width: water.maxX - water.minX,
+            depth: water.maxZ - water.minZ
+        })
+    },
+    {
+        field: 'windZones',
+        type: () => GridEntity.WIND,
+        box: wind => wind.size && { x: wind.position.x, z: wind.position.z, width: wind.size.x, depth: wind.size.z }
+    },
+    {
+        field: 'tiers',
+        type: tier => tier.type === 'ramp' ? GridEntity.RAMP : GridEntity.TIER,
+        box: tier => {
+            const isQuarterTurn = tier.type === 'ramp' && Math.round(Math.abs(Math.sin(tier.rotation || 0))) === 1;
+            return { x: tier.x, z: tier.z, width: isQuarterTurn ? tier.depth : tier.width, depth: isQuarterTurn ? tier.width : tier.depth };
+        }
+    },
+    {
+        field: 'teleporters',
+        type: () => GridEntity.TELEPORTER,
+        at: pad => pad.position,
+        tag: pad => Number.isInteger(pad.pairId) && pad.pairId >= 0 ? pad.pairId : null
+    },
+    { field: 'bumpers', type: () => GridEntity.BUMPER, at: bumper => bumper.position },
+    { field: 'fans', type: () => GridEntity.FAN, at: fan => fan },
+    { field: 'magneticFields', type: () => GridEntity.MAGNET, at: field => field.position },
+    { field: 'powerUpPositions', type: () => GridEntity.POWER_UP, at: powerUp => powerUp },
+    { field: 'movingWalls', type: () => GridEntity.MOVING_WALL, at: wall => ({ x: wall.x, z: wall.zCenter }) },
+    { field: 'models', type: () => GridEntity.MODEL, at: model => model.position }
+];
+
 /**
  * Convert an existing level definition to grid format (for editing)
+ * Entries are drawn on the grid when parseGridLevel() gives them back exactly (apart from list order, which
+ * follows the grid); any other entry - a wall off the cell grid, a pad sharing a cell - goes in the header as JSON,
+ * along with fields that have no symbol (floor shape, AI waypoints).
  * @param {Object} levelDef - Level definition object
- * @param {number} gridWidth - Width of grid in cells
- * @param {number} gridHeight - Height of grid in cells
- * @returns {string} Grid string representation
+ * @param {Object} options - cellSize (picked from the level's positions if left out) and maxCells (largest grid side, 200)
+ * @returns {Object} { text, warnings } - grid text with header, legend, grid and params sections, and one message
+ *                   per field with entries written to the header instead of drawn (or that won't read back the same)
  */
-export function levelToGrid(levelDef, gridWidth = 200, gridHeight = 200) {
-    const cellSize = Math.max(levelDef.width / gridWidth, levelDef.height / gridHeight);
-    const grid = Array(gridHeight).fill(null).map(() => Array(gridWidth).fill('.'));
-    
-    // Helper to convert world position to grid coordinates
-    const worldToGrid = (worldX, worldZ) => {
-        const gridX = Math.round((worldX + levelDef.width / 2) / cellSize);
-        const gridZ = Math.round((worldZ + levelDef.height / 2) / cellSize);
-        return { x: Math.max(0, Math.min(gridWidth - 1, gridX)), z: Math.max(0, Math.min(gridHeight - 1, gridZ)) };
-    };
-    
-    // Place start position
-    if (levelDef.ballStartPosition) {
-        const pos = worldToGrid(levelDef.ballStartPosition.x, levelDef.ballStartPosition.z);
-        grid[pos.z][pos.x] = 'S';
-    }
-    
-    // Place hole
-    if (levelDef.holePosition) {
-        const pos = worldToGrid(levelDef.holePosition.x, levelDef.holePosition.z);
-        grid[pos.z][pos.x] = 'H';
-    }
-    
-    // Place bumpers
-    if (levelDef.bumpers) {
-        levelDef.bumpers.forEach(bumper => {
-            const pos = worldToGrid(bumper.position.x, bumper.position.z);
-            if (grid[pos.z][pos.x] === '.') {
-                grid[pos.z][pos.x] = 'B';
+export function levelToGrid(levelDef, options = {}) {
+    const { version, ...fields } = serializeLevel(levelDef);
+    const frame = pickGridFrame(fields, options);
+
+    // An entry that doesn't come back the same is drawn again with its field's boxes kept apart, then left off
+    const leftOut = new Map(EXPORT_FIELDS.map(spec => [spec.field, new Set()]));
+    const keptApart = new Set();
+    let drawing, text, parsed;
+    for (;;) {
+        drawing = drawGrid(fields, leftOut, keptApart, frame);
+        text = writeGridText(exportHeader(fields, drawing.leftOut, frame), drawing);
+        parsed = serializeLevel(parseGridLevel(text).level);
+
+        let changed = false;
+        EXPORT_FIELDS.forEach(spec => {
+            if (sameFieldValue(fields[spec.field], parsed[spec.field])) return;
+            if (spec.box && !keptApart.has(spec.field)) {
+                keptApart.add(spec.field);
+                changed = true;
+                return;
             }
+            // Entries that were drawn but didn't come back (or the whole field, if that can't be told)
+            const entries = exportEntries(fields, spec);
+            const undrawn = drawing.leftOut.get(spec.field);
+            const missing = findMissingEntries(entries, exportEntries(parsed, spec)).filter(index => !undrawn.has(index));
+            const fieldLeftOut = leftOut.get(spec.field);
+            const before = fieldLeftOut.size;
+            (missing.length > 0 ? missing : entries.map((entry, index) => index)).forEach(index => fieldLeftOut.add(index));
+            changed = changed || fieldLeftOut.size > before;
         });
+        if (!changed) break;
     }
-    
-    // Place fans
-    if (levelDef.fans) {
-        levelDef.fans.forEach(fan => {
-            const pos = worldToGrid(fan.x, fan.z);
-            if (grid[pos.z][pos.x] === '.') {
-                grid[pos.z][pos.x] = 'F';
+
+    const warnings = [];
+    EXPORT_FIELDS.forEach(spec => {
+        const undrawn = [...drawing.leftOut.get(spec.field)].sort((a, b) => a - b);
+        if (undrawn.length === 0) return;
+        const which = spec.single ? spec.field : `${spec.field} ${undrawn.length === 1 ? 'entry' : 'entries'} ${undrawn.join(', ')}`;
+        warnings.push(`${which} can't be drawn on a ${frame.cellSize}-unit grid without changing, written in the header instead`);
+    });
+    new Set([...Object.keys(fields), ...Object.keys(parsed)]).forEach(key => {
+        if (key !== 'version' && !sameFieldValue(fields[key], parsed[key])) {
+            warnings.push(`${key} won't read back the same from the grid`);
+        }
+    });
+    return { text, warnings };
+}
+
+// Largest cell size that puts the most positions on cell centers and box sides on cell edges
+function pickGridFrame(fields, { cellSize, maxCells = 200 }) {
+    if (cellSize) return fitGridFrame(fields, cellSize);
+
+    let best = null;
+    EXPORT_CELL_SIZES.forEach(size => {
+        const frame = fitGridFrame(fields, size);
+        if (frame.columns > maxCells || frame.rows > maxCells) return;
+        if (!best || frame.aligned > best.aligned) best = frame;
+    });
+    return best || fitGridFrame(fields, EXPORT_CELL_SIZES[0]);
+}
+
+// Grid laid out the way parseGridLevel() centers it, big enough for the course and everything drawn
+function fitGridFrame(fields, cellSize) {
+    const xs = { centers: [], edges: [], extents: [] };
+    const zs = { centers: [], edges: [], extents: [] };
+    EXPORT_FIELDS.forEach(spec => exportEntries(fields, spec).forEach(entry => {
+        if (spec.at) {
+            const at = spec.at(entry);
+            if (!isSpot(at)) return;
+            xs.centers.push(at.x);
+            zs.centers.push(at.z);
+        } else {
+            const box = spec.box(entry);
+            if (!isBox(box)) return;
+            if (isDiagonal(box)) {
+                // Drawn as a line of cells, width / sqrt(2) across each way
+                const half = box.width / (2 * Math.SQRT2);
+                xs.extents.push(Math.abs(box.x) + half);
+                zs.extents.push(Math.abs(box.z) + half);
+                return;
+            }
+            xs.edges.push(box.x - box.width / 2, box.x + box.width / 2);
+            zs.edges.push(box.z - box.depth / 2, box.z + box.depth / 2);
+        }
+    }));
+
+    const x = fitGridAxis(xs, fields.width, cellSize);
+    const z = fitGridAxis(zs, fields.height, cellSize);
+    return {
+        cellSize,
+        columns: x.count,
+        rows: z.count,
+        offsetX: x.offset,
+        offsetZ: z.offset,
+        aligned: x.aligned + z.aligned
+    };
+}
+
+// An odd cell count puts cell centers on whole multiples of the cell size, an even count puts cell edges there
+function fitGridAxis({ centers, edges, extents }, size, cellSize) {
+    const onGrid = (value, phase) => {
+        const steps = value / cellSize - phase;
+        return Math.abs(steps - Math.round(steps)) < 1e-9;
+    };
+    const countAligned = phase => centers.filter(value => onGrid(value, phase)).length +
+        edges.filter(value => onGrid(value, phase + 0.5)).length;
+    const phase = countAligned(0) >= countAligned(0.5) ? 0 : 0.5;
+
+    const extent = Math.max(Number.isFinite(size) ? size / 2 : 0,
+        ...centers.map(value => Math.abs(value) + cellSize / 2), ...edges.map(Math.abs), ...extents);
+    let count = Math.max(1, Math.ceil(2 * extent / cellSize - 1e-9));
+    if ((count % 2 === 1) !== (phase === 0)) count++;
+    return { count, offset: -(count - 1) * cellSize / 2, aligned: countAligned(phase) };
+}
+
+// Draws each entry in turn, skipping the ones in leftOut (field -> entry indices); an entry that can't be drawn
+// (cells already taken, out of symbols) is left off too, and drawing.leftOut lists every entry left off
+// Fields in keptApart never let two of their boxes touch, so the parser can't merge them
+function drawGrid(fields, leftOut, keptApart, frame) {
+    const pairIds = exportEntries(fields, EXPORT_FIELDS.find(spec => spec.field === 'teleporters'))
+        .map(pad => pad.pairId)
+        .filter(Number.isInteger);
+    let drawing = {
+        frame,
+        keptApart,
+        leftOut: new Map(),
+        cells: Array(frame.rows).fill(null).map(() => Array(frame.columns).fill(null)),
+        legend: new Map(),
+        groups: new Map(),
+        params: {},
+        tagged: {},
+        // Teleporter tags are pair ids, so tags for pads with settings start past them
+        nextTag: { T: Math.max(0, ...pairIds) + 1 }
+    };
+
+    EXPORT_FIELDS.forEach(spec => {
+        const drawEntry = spec.at ? drawPoint : drawArea;
+        const undrawn = new Set(leftOut.get(spec.field));
+        exportEntries(fields, spec).forEach((entry, index) => {
+            if (undrawn.has(index)) return;
+            const attempt = copyDrawing(drawing);
+            if (drawEntry(attempt, spec, entry)) {
+                drawing = attempt;
+            } else {
+                undrawn.add(index);
             }
         });
+        drawing.leftOut.set(spec.field, undrawn);
+    });
+    return drawing;
+}
+
+function copyDrawing(drawing) {
+    return {
+        ...drawing,
+        cells: drawing.cells.map(row => [...row]),
+        legend: new Map(drawing.legend),
+        groups: new Map([...drawing.groups].map(([key, symbols]) => [key, [...symbols]])),
+        params: { ...drawing.params },
+        tagged: { ...drawing.tagged },
+        nextTag: { ...drawing.nextTag }
+    };
+}
+
+// One symbol (and tag, if the entry needs params) at the entry's nearest cell
+function drawPoint(drawing, spec, entry) {
+    const { cellSize, offsetX, offsetZ } = drawing.frame;
+    const at = spec.at(entry);
+    if (!isSpot(at)) return false;
+
+    const type = spec.type(entry);
+    const symbol = defaultSymbol(type);
+    const col = Math.round((at.x - offsetX) / cellSize);
+    const row = Math.round((at.z - offsetZ) / cellSize);
+    const x = offsetX + col * cellSize;
+    const z = offsetZ + row * cellSize;
+    const build = tag => buildExportEntry(spec, level => POINT_ENTITIES[type](level, x, z, tag, {}, { cellSize, options: {} }));
+
+    let tag = spec.tag ? spec.tag(entry) : null;
+    const settings = settingsFor(entry, build(tag));
+    const fitsTag = tag === null ? Object.keys(settings).length === 0 : claimTag(drawing, `${symbol}${tag}`, settings);
+    if (!fitsTag) {
+        // A tag of its own, shared by every entry that needs the same settings
+        const ownTag = drawing.nextTag[symbol] || 1;
+        const ownSettings = settingsFor(entry, build(ownTag));
+        const shared = Object.keys(drawing.tagged)
+            .find(key => key[0] === symbol && drawing.tagged[key] === canonicalJSON(ownSettings));
+        tag = shared ? Number(shared.slice(1)) : ownTag;
+        if (!shared) {
+            drawing.nextTag[symbol] = ownTag + 1;
+            claimTag(drawing, `${symbol}${tag}`, ownSettings);
+        }
     }
-    
-    // Place magnetic fields
-    if (levelDef.magneticFields) {
-        levelDef.magneticFields.forEach(field => {
-            const pos = worldToGrid(field.position.x, field.position.z);
-            if (grid[pos.z][pos.x] === '.') {
-                grid[pos.z][pos.x] = 'M';
-            }
+
+    const text = `${symbol}${tag ?? ''}`;
+    const cells = Array.from(text, (char, i) => [row, col + i]);
+    if (!cells.every(([r, c]) => isFreeCell(drawing, r, c))) return false;
+    cells.forEach(([r, c], i) => { drawing.cells[r][c] = text[i]; });
+    return true;
+}
+
+// The entry's box as cells, under a symbol no touching cell uses so parseGridLevel() boxes it on its own
+function drawArea(drawing, spec, entry) {
+    const box = spec.box(entry);
+    if (!isBox(box)) return false;
+
+    const type = spec.type(entry);
+    const { cells, rect } = boxCells(drawing.frame, type, box);
+    if (!cells.every(([row, col]) => isFreeCell(drawing, row, col))) return false;
+
+    // Settings on top of the closest default symbol (a wind arrow's direction, a ramp's slope)
+    const options = Object.entries(DEFAULT_LEGEND)
+        .filter(([, legendEntry]) => legendEntry.type === type)
+        .map(([symbol, legendEntry]) => {
+            const built = buildExportEntry(spec, level => AREA_ENTITIES[type](level, rect, { ...legendEntry.settings }));
+            const extra = settingsFor(entry, built);
+            return { symbol, extra, settings: { ...legendEntry.settings, ...extra } };
         });
+    const best = options.reduce((a, b) => Object.keys(b.extra).length < Object.keys(a.extra).length ? b : a);
+
+    const groupKey = `${type} ${JSON.stringify(best.settings)}`;
+    if (!drawing.groups.has(groupKey)) {
+        drawing.groups.set(groupKey, Object.keys(best.extra).length === 0 ? [best.symbol] : []);
+    }
+    const symbols = drawing.groups.get(groupKey);
+    let symbol = drawing.keptApart.has(spec.field)
+        ? symbols.find(candidate => !touchesSymbol(drawing, cells, candidate))
+        : symbols[0];
+    if (!symbol) {
+        symbol = [...SPARE_SYMBOLS].find(spare => !drawing.legend.has(spare));
+        if (!symbol) return false;
+        drawing.legend.set(symbol, { type, settings: best.settings });
+        symbols.push(symbol);
     }
-    
-    // Place power-ups
-    if (levelDef.powerUpPositions) {
-        levelDef.powerUpPositions.forEach(powerUp => {
-            const pos = worldToGrid(powerUp.x, powerUp.z);
-            if (grid[pos.z][pos.x] === '.') {
-                grid[pos.z][pos.x] = 'P';
+    cells.forEach(([row, col]) => { drawing.cells[row][col] = symbol; });
+    return true;
+}
+
+// Cells covering a box, and the box parseGridLevel() makes from them - a wall turned 45 degrees is a diagonal line
+function boxCells({ cellSize, offsetX, offsetZ }, type, box) {
+    const length = Math.round(box.width / (cellSize * Math.SQRT2));
+    if (type === GridEntity.WALL && isDiagonal(box) && length >= 2) {
+        const step = box.rotation < 0 ? 1 : -1;
+        const row = Math.round((box.z - offsetZ) / cellSize - (length - 1) / 2);
+        const col = Math.round((box.x - offsetX) / cellSize - step * (length - 1) / 2);
+        return {
+            cells: Array.from({ length }, (_, i) => [row + i, col + i * step]),
+            rect: {
+                x: offsetX + (col + step * (length - 1) / 2) * cellSize,
+                z: offsetZ + (row + (length - 1) / 2) * cellSize,
+                width: length * cellSize * Math.SQRT2,
+                depth: cellSize,
+                rotation: -step * Math.PI / 4
             }
+        };
+    }
+
+    // Cell n spans offset + (n - 1/2) to offset + (n + 1/2) cells
+    const firstCell = (edge, offset) => Math.round((edge - offset) / cellSize + 0.5);
+    const col = firstCell(box.x - box.width / 2, offsetX);
+    const row = firstCell(box.z - box.depth / 2, offsetZ);
+    const columns = Math.max(1, firstCell(box.x + box.width / 2, offsetX) - col);
+    const rows = Math.max(1, firstCell(box.z + box.depth / 2, offsetZ) - row);
+    const cells = [];
+    for (let r = row; r < row + rows; r++) {
+        for (let c = col; c < col + columns; c++) {
+            cells.push([r, c]);
+        }
+    }
+    return {
+        cells,
+        rect: {
+            x: offsetX + (col + (columns - 1) / 2) * cellSize,
+            z: offsetZ + (row + (rows - 1) / 2) * cellSize,
+            width: columns * cellSize,
+            depth: rows * cellSize
+        }
+    };
+}
+
+// Params go with a symbol and tag, so entries can only share a tag if they need the same settings
+function claimTag(drawing, key, settings) {
+    if (drawing.tagged[key] === undefined) {
+        drawing.tagged[key] = canonicalJSON(settings);
+        if (Object.keys(settings).length > 0) drawing.params[key] = settings;
+    }
+    return drawing.tagged[key] === canonicalJSON(settings);
+}
+
+function isFreeCell(drawing, row, col) {
+    return row >= 0 && row < drawing.frame.rows && col >= 0 && col < drawing.frame.columns && drawing.cells[row][col] === null;
+}
+
+// Whether any cell next to (or diagonally next to) the given cells already uses the symbol
+function touchesSymbol(drawing, cells, symbol) {
+    return cells.some(([row, col]) => [-1, 0, 1].some(dr => [-1, 0, 1].some(dc => drawing.cells[row + dr]?.[col + dc] === symbol)));
+}
+
+function defaultSymbol(type) {
+    return Object.keys(DEFAULT_LEGEND).find(symbol => DEFAULT_LEGEND[symbol].type === type && !DEFAULT_LEGEND[symbol].settings);
+}
+
+// What one symbol's builder makes, as level JSON
+function buildExportEntry(spec, build) {
+    const scratch = { holePosition: { x: 0, y: 0, z: 0 }, ballStartPosition: { x: 0, y: 0, z: 0 } };
+    build(scratch);
+    const value = serializeLevel(scratch)[spec.field];
+    return spec.single ? value : value[0];
+}
+
+// Settings that turn what a symbol builds into the original entry (null for fields the entry doesn't have)
+function settingsFor(entry, built) {
+    const settings = {};
+    new Set([...Object.keys(entry), ...Object.keys(built)]).forEach(key => {
+        if (canonicalJSON(entry[key]) !== canonicalJSON(built[key])) {
+            settings[key] = entry[key] ?? null;
+        }
+    });
+    return settings;
+}
+
+// Header lines for whatever the grid doesn't say: entries it couldn't draw (the parser adds the drawn ones after them),
+// fields with no symbol, and null for grid defaults the level doesn't have (an L-shaped course has no width or height)
+function exportHeader(fields, leftOut, frame) {
+    const base = createGridLevel(frame.columns, frame.rows, frame.cellSize);
+    const header = { cellSize: frame.cellSize };
+    new Set([...Object.keys(fields), ...Object.keys(base)]).forEach(key => {
+        const spec = EXPORT_FIELDS.find(exportField => exportField.field === key);
+        if (spec && !isEmptyValue(fields[key])) {
+            const undrawn = exportEntries(fields, spec).filter((entry, index) => leftOut.get(key).has(index));
+            if (undrawn.length > 0) {
+                header[key] = spec.single ? undrawn[0] : undrawn;
+            }
+            return;
+        }
+        if (sameFieldValue(fields[key], base[key])) return;
+        header[key] = fields[key] ?? null;
+    });
+    return header;
+}
+
+function writeGridText(header, { cells, legend, params }) {
+    const lines = Object.entries(header).map(([key, value]) => `${key}: ${formatHeaderValue(value)}`);
+
+    if (legend.size > 0) {
+        lines.push('', 'legend:');
+        legend.forEach(({ type, settings }, symbol) => {
+            lines.push(`${symbol} = ${type}${Object.keys(settings).length > 0 ? ` ${JSON.stringify(settings)}` : ''}`);
         });
     }
-    
-    // Convert grid to string
-    return grid.map(row => row.join('')).join('\n');
+
+    lines.push('', 'grid:', ...cells.map(row => row.map(symbol => symbol ?? '.').join('')));
+
+    if (Object.keys(params).length > 0) {
+        lines.push('', 'params:');
+        Object.entries(params).forEach(([key, settings]) => lines.push(`${key}: ${JSON.stringify(settings)}`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Lists of objects get one item per indented line
+function formatHeaderValue(value) {
+    if (!Array.isArray(value) || value.length < 2 || !value.every(item => item && typeof item === 'object')) {
+        return JSON.stringify(value);
+    }
+    return `[\n${value.map(item => `    ${JSON.stringify(item)}`).join(',\n')}\n    ]`;
+}
+
+function exportEntries(fields, spec) {
+    const value = fields[spec.field];
+    if (isEmptyValue(value)) return [];
+    return spec.single ? [value] : value;
+}
+
+// Indices of entries with nothing left in the read-back list to match them (each read-back entry matches one)
+function findMissingEntries(entries, readBack) {
+    const unmatched = new Map();
+    readBack.forEach(entry => {
+        const key = canonicalJSON(entry);
+        unmatched.set(key, (unmatched.get(key) || 0) + 1);
+    });
+    const missing = [];
+    entries.forEach((entry, index) => {
+        const key = canonicalJSON(entry);
+        if (unmatched.get(key) > 0) {
+            unmatched.set(key, unmatched.get(key) - 1);
+        } else {
+            missing.push(index);
+        }
+    });
+    return missing;
+}
+
+function isSpot(at) {
+    return Boolean(at) && Number.isFinite(at.x) && Number.isFinite(at.z);
+}
+
+function isBox(box) {
+    return Boolean(box) && [box.x, box.z, box.width, box.depth].every(Number.isFinite) && box.width > 0 && box.depth > 0;
+}
+
+function isDiagonal(box) {
+    return Math.abs(Math.abs(box.rotation || 0) - Math.PI / 4) < 1e-9;
+}
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+}
+
+// Level JSON values compared as the game sees them: a missing field is the same as an empty list,
+// and a list's entries can come back in any order
+function sameFieldValue(a, b) {
+    if (isEmptyValue(a) || isEmptyValue(b)) return isEmptyValue(a) && isEmptyValue(b);
+    if (Array.isArray(a) && Array.isArray(b)) {
+        const sorted = list => list.map(canonicalJSON).sort().join('\n');
+        return sorted(a) === sorted(b);
+    }
+    return canonicalJSON(a) === canonicalJSON(b);
 }
 
+// JSON text with object keys sorted, so key order doesn't matter
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
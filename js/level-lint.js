@@ -0,0 +1,436 @@
+// Level linter - catch broken course definitions before they're played
+// Works on a level definition (js/levels/*.js) or the plain data of a JSON level (level-format.js),
+// with no scene or renderer, so it runs the same in the browser console and in Node:
+//
+//   const { lintLevel, formatLintReport } = await import('./js/level-lint.js');
+//   const { level5 } = await import('./js/levels/level5.js');
+//   console.log(formatLintReport(lintLevel(level5), 'level5'));
+//
+// Errors break the hole (tee inside a wall, hole over a hazard or with no way to reach it);
+// warnings are probably mistakes (AI waypoints through walls, power-ups nobody can reach).
+// Floor polygons are drawn with their z flipped (see floor.js), so a polygon point (x, z) is the world point (x, -z).
+import { HOLE_RADIUS } from './game.js';
+import { DEFAULT_BALL_RADIUS } from './ball-body.js';
+import { boxDistance } from './sweep.js';
+import { getRegionPolygon, getPolygonBounds, isPointInPolygon } from './polygon.js';
+import { serializeLevel } from './level-format.js';
+
+export const LintSeverity = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+const BALL_RADIUS = DEFAULT_BALL_RADIUS;
+const DEFAULT_CELL_SIZE = 0.5; // Reachability grid resolution in world units
+const MAX_GRID_CELLS = 1000000; // Coarser grid past this, so huge courses still lint quickly
+const DEFAULT_TELEPORTER_SIZE = 4.0;
+
+/**
+ * Check a level for overlaps, broken teleporters, missing floor, unreachable areas and AI waypoints through walls
+ * @param {Object} levelDef - Level definition or JSON level data
+ * @param {Object} options - { cellSize } (reachability grid resolution)
+ * @returns {Array<Object>} Issues, each { severity, check, path, message }
+ */
+export function lintLevel(levelDef, options = {}) {
+    const { cellSize = DEFAULT_CELL_SIZE } = options;
+    const issues = [];
+    const report = (severity, check, path, message) => issues.push({ severity, check, path, message });
+
+    // Anything the JSON schema rejects would break the checks below, so stop there
+    try {
+        serializeLevel(levelDef);
+    } catch (error) {
+        (error.errors || [error.message]).forEach(message => report(LintSeverity.ERROR, 'schema', null, message));
+        return issues;
+    }
+
+    const course = describeCourse(levelDef);
+    checkPlacements(course, report);
+    checkTeleporters(course, report);
+    checkReachability(course, cellSize, report);
+    checkWaypoints(course, report);
+    return issues;
+}
+
+/**
+ * Issues as readable text, one per line
+ */
+export function formatLintReport(issues, levelName = 'level') {
+    if (issues.length === 0) {
+        return `${levelName}: no problems found`;
+    }
+    const errorCount = issues.filter(issue => issue.severity === LintSeverity.ERROR).length;
+    const ordered = [...issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === LintSeverity.ERROR ? -1 : 1));
+    const lines = ordered.map(issue =>
+        `  ${issue.severity.toUpperCase()} [${issue.check}]${issue.path ? ` ${issue.path}:` : ''} ${issue.message}`);
+    return `${levelName}: ${errorCount} error(s), ${issues.length - errorCount} warning(s)\n${lines.join('\n')}`;
+}
+
+// Everything the checks need, flattened out of the level definition
+function describeCourse(levelDef) {
+    const walls = [];
+    (levelDef.customWalls || []).forEach((wall, index) => walls.push({
+        path: `customWalls[${index}]`,
+        x: wall.x,
+        z: wall.z,
+        halfWidth: wall.width / 2,
+        halfDepth: wall.depth / 2,
+        rotation: wall.rotation || 0,
+        isGate: !!wall.id // Triggers can open it
+    }));
+    (levelDef.testWalls || []).forEach((wall, index) => walls.push({
+        path: `testWalls[${index}]`,
+        x: wall.position.x,
+        z: wall.position.z,
+        halfWidth: wall.width / 2,
+        halfDepth: wall.length / 2,
+        rotation: wall.rotation || 0,
+        isGate: false
+    }));
+
+    const hazards = [];
+    (levelDef.rectangularHoles || []).forEach((hole, index) => hazards.push({
+        path: `rectangularHoles[${index}]`,
+        polygon: getRegionPolygon({
+            minX: hole.x - hole.width / 2, maxX: hole.x + hole.width / 2,
+            minZ: hole.z - hole.length / 2, maxZ: hole.z + hole.length / 2
+        })
+    }));
+    (levelDef.waterHazards || []).forEach((water, index) => {
+        const polygon = getRegionPolygon(water);
+        if (polygon) hazards.push({ path: `waterHazards[${index}]`, polygon });
+    });
+
+    const round = [];
+    (levelDef.bumpers || []).forEach((bumper, index) => round.push({
+        path: `bumpers[${index}]`,
+        x: bumper.position.x,
+        z: bumper.position.z,
+        radius: (bumper.radius || 1.0) + (bumper.tubeRadius || 0.3)
+    }));
+    (levelDef.fans || []).forEach((fan, index) => {
+        const radius = fan.radius || 2.0;
+        round.push({
+            path: `fans[${index}]`,
+            x: fan.x,
+            z: fan.z,
+            radius: radius * 0.5 + radius * (fan.bladeLengthMultiplier || 2.0) / 2 // Blade tips
+        });
+    });
+
+    // World-space floor outlines (see the z flip note at the top)
+    const floors = (levelDef.floorPolygons || []).map(polygon => polygon.map(point => ({ x: point.x, z: -point.z })));
+
+    return {
+        def: levelDef,
+        start: levelDef.ballStartPosition,
+        hole: levelDef.holePosition,
+        walls,
+        hazards,
+        round,
+        floors,
+        teleporters: levelDef.teleporters || []
+    };
+}
+
+// Tee, hole, power-ups and teleporter pads sitting inside walls, hazards, bumpers or off the floor
+function checkPlacements(course, report) {
+    const { start, hole, floors } = course;
+
+    const startWall = findWallAt(course, start.x, start.z, BALL_RADIUS);
+    if (startWall) {
+        report(LintSeverity.ERROR, 'overlap', 'ballStartPosition', `ball starts inside ${startWall.path}`);
+    }
+    const startHazard = findHazardAt(course, start.x, start.z);
+    if (startHazard) {
+        report(LintSeverity.ERROR, 'overlap', 'ballStartPosition', `ball starts in ${startHazard.path}`);
+    }
+    if (floors.length > 0 && !isOnFloor(course, start.x, start.z)) {
+        report(LintSeverity.ERROR, 'floor', 'ballStartPosition', 'ball starts outside every floorPolygon');
+    }
+
+    const holeWall = findWallAt(course, hole.x, hole.z, HOLE_RADIUS);
+    if (holeWall) {
+        report(LintSeverity.ERROR, 'overlap', 'holePosition', `hole overlaps ${holeWall.path}`);
+    }
+    const holeHazard = findHazardAt(course, hole.x, hole.z);
+    if (holeHazard) {
+        report(LintSeverity.ERROR, 'floor', 'holePosition', `hole is over ${holeHazard.path} - there's no floor under it`);
+    } else if (floors.length > 0 && !isOnFloor(course, hole.x, hole.z)) {
+        report(LintSeverity.ERROR, 'floor', 'holePosition', 'hole is outside every floorPolygon - there\'s no floor under it');
+    }
+
+    (course.def.powerUpPositions || []).forEach((powerUp, index) => {
+        const path = `powerUpPositions[${index}]`;
+        const blocker = findWallAt(course, powerUp.x, powerUp.z, BALL_RADIUS) || findRoundAt(course, powerUp.x, powerUp.z, BALL_RADIUS);
+        if (blocker) {
+            report(LintSeverity.ERROR, 'overlap', path, `power-up spawns inside ${blocker.path}`);
+        }
+        const hazard = findHazardAt(course, powerUp.x, powerUp.z);
+        if (hazard) {
+            report(LintSeverity.WARNING, 'overlap', path, `power-up is over ${hazard.path}`);
+        }
+    });
+
+    course.teleporters.forEach((teleporter, index) => {
+        const halfSize = (teleporter.size || DEFAULT_TELEPORTER_SIZE) / 2;
+        const wall = course.walls.find(candidate => !candidate.isGate &&
+            boxDistance(teleporter.position, candidate) < -Math.min(candidate.halfWidth, candidate.halfDepth, halfSize) / 2);
+        if (wall) {
+            report(LintSeverity.WARNING, 'overlap', `teleporters[${index}]`, `teleporter pad is inside ${wall.path}`);
+        }
+        // The ball lands on both, so it's down to list order which one fires
+        const otherIndex = course.teleporters.findIndex((other, i) => i > index &&
+            Math.abs(other.position.x - teleporter.position.x) < halfSize + (other.size || DEFAULT_TELEPORTER_SIZE) / 2 &&
+            Math.abs(other.position.z - teleporter.position.z) < halfSize + (other.size || DEFAULT_TELEPORTER_SIZE) / 2);
+        if (otherIndex !== -1) {
+            report(LintSeverity.WARNING, 'overlap', `teleporters[${index}]`, `teleporter pad overlaps teleporters[${otherIndex}]`);
+        }
+    });
+}
+
+// Pairs with only one end, and links or networks that lead nowhere
+function checkTeleporters(course, report) {
+    const teleporters = course.teleporters;
+    const isPaired = teleporter => !teleporter.network && !teleporter.sendTo && !teleporter.exitOnly;
+
+    const pairs = new Map();
+    teleporters.forEach((teleporter, index) => {
+        if (!isPaired(teleporter)) return;
+        const pairId = teleporter.pairId || 0;
+        if (!pairs.has(pairId)) pairs.set(pairId, []);
+        pairs.get(pairId).push(index);
+    });
+    for (const [pairId, indices] of pairs) {
+        if (indices.length === 1) {
+            report(LintSeverity.ERROR, 'teleporter', `teleporters[${indices[0]}]`, `pairId ${pairId} has no other end`);
+        } else if (indices.length > 2) {
+            report(LintSeverity.WARNING, 'teleporter', `teleporters[${indices.join(', ')}]`,
+                `pairId ${pairId} has ${indices.length} pads - only the first match is ever used (use a network instead)`);
+        }
+    }
+
+    teleporters.forEach((teleporter, index) => {
+        const path = `teleporters[${index}]`;
+        if (teleporter.sendTo && !teleporters.some(other => other !== teleporter && other.id === teleporter.sendTo)) {
+            report(LintSeverity.ERROR, 'teleporter', path, `sendTo "${teleporter.sendTo}" doesn't match any teleporter id`);
+        } else if (!teleporter.sendTo && teleporter.network &&
+            !teleporters.some(other => other !== teleporter && other.network === teleporter.network)) {
+            report(LintSeverity.ERROR, 'teleporter', path, `network "${teleporter.network}" has no other pads`);
+        }
+    });
+}
+
+// Flood fill from the tee (through teleporters) to find the hole, power-ups and floor nobody can get to
+function checkReachability(course, cellSize, report) {
+    const grid = createReachabilityGrid(course, cellSize);
+    floodFill(course, grid);
+
+    if (!isReachableNear(grid, course.hole.x, course.hole.z, HOLE_RADIUS)) {
+        report(LintSeverity.ERROR, 'reachability', 'holePosition', "the hole can't be reached from the tee");
+    }
+    (course.def.powerUpPositions || []).forEach((powerUp, index) => {
+        if (!isReachableNear(grid, powerUp.x, powerUp.z, BALL_RADIUS * 2)) {
+            report(LintSeverity.WARNING, 'reachability', `powerUpPositions[${index}]`, "power-up can't be reached from the tee");
+        }
+    });
+    course.floors.forEach((polygon, index) => {
+        const bounds = getPolygonBounds(polygon);
+        let hasFloorCell = false;
+        let reached = false;
+        forEachCellIn(grid, bounds, (cell, x, z) => {
+            if (!isPointInPolygon(x, z, polygon) || grid.blocked[cell]) return;
+            hasFloorCell = true;
+            reached = reached || grid.reached[cell] === 1;
+        });
+        if (hasFloorCell && !reached) {
+            report(LintSeverity.WARNING, 'reachability', `floorPolygons[${index}]`, 'no part of this floor can be reached from the tee');
+        }
+    });
+}
+
+// Straight legs of the ghost AI's route (tee -> waypoints -> hole) that run through a wall
+function checkWaypoints(course, report) {
+    const waypoints = course.def.aiWaypoints || [];
+    if (waypoints.length === 0) return;
+
+    const route = [
+        { point: course.start, path: 'ballStartPosition' },
+        ...waypoints.map((point, index) => ({ point, path: `aiWaypoints[${index}]` })),
+        { point: course.hole, path: 'holePosition' }
+    ];
+    for (let i = 0; i < route.length - 1; i++) {
+        const from = route[i];
+        const to = route[i + 1];
+        // The ghost takes a teleporter from here rather than rolling
+        if (course.teleporters.some(teleporter => isOnPad(teleporter, from.point.x, from.point.z))) continue;
+
+        const wall = course.walls.find(candidate => !candidate.isGate && segmentHitsWall(from.point, to.point, candidate));
+        if (wall) {
+            report(LintSeverity.WARNING, 'waypoint', to.path, `the way from ${from.path} to here goes through ${wall.path}`);
+        }
+    }
+}
+
+function createReachabilityGrid(course, requestedCellSize) {
+    const { def, walls, floors } = course;
+
+    // Everything that could be part of the course, with a cell of margin
+    const xs = [course.start.x, course.hole.x];
+    const zs = [course.start.z, course.hole.z];
+    if (Number.isFinite(def.width) && Number.isFinite(def.height)) {
+        xs.push(-def.width / 2, def.width / 2);
+        zs.push(-def.height / 2, def.height / 2);
+    }
+    floors.flat().forEach(point => { xs.push(point.x); zs.push(point.z); });
+    walls.forEach(wall => {
+        const reach = Math.hypot(wall.halfWidth, wall.halfDepth);
+        xs.push(wall.x - reach, wall.x + reach);
+        zs.push(wall.z - reach, wall.z + reach);
+    });
+
+    const minX = Math.min(...xs) - requestedCellSize;
+    const minZ = Math.min(...zs) - requestedCellSize;
+    const spanX = Math.max(...xs) + requestedCellSize - minX;
+    const spanZ = Math.max(...zs) + requestedCellSize - minZ;
+    const cellSize = Math.max(requestedCellSize, Math.sqrt(spanX * spanZ / MAX_GRID_CELLS));
+    const columns = Math.ceil(spanX / cellSize);
+    const rows = Math.ceil(spanZ / cellSize);
+
+    // Perimeter walls go round width x height unless the level builds its own
+    const hasPerimeter = !def.customWalls && !def.isLShaped && Number.isFinite(def.width) && Number.isFinite(def.height);
+
+    const grid = { minX, minZ, cellSize, columns, rows, blocked: new Uint8Array(columns * rows), reached: new Uint8Array(columns * rows) };
+    forEachCellIn(grid, { minX, maxX: minX + spanX, minZ, maxZ: minZ + spanZ }, (cell, x, z) => {
+        const offCourse = floors.length > 0
+            ? !isOnFloor(course, x, z)
+            : hasPerimeter && (Math.abs(x) > def.width / 2 - BALL_RADIUS || Math.abs(z) > def.height / 2 - BALL_RADIUS);
+        grid.blocked[cell] = offCourse || walls.some(wall => !wall.isGate && boxDistance({ x, z }, wall) < BALL_RADIUS) ? 1 : 0;
+    });
+    return grid;
+}
+
+function floodFill(course, grid) {
+    const queue = [];
+    const visit = (x, z) => {
+        const cell = getCellAt(grid, x, z);
+        if (cell === -1 || grid.blocked[cell] || grid.reached[cell]) return;
+        grid.reached[cell] = 1;
+        queue.push(cell);
+    };
+
+    visit(course.start.x, course.start.z);
+    const usedPads = new Set();
+    while (queue.length > 0) {
+        const cell = queue.pop();
+        const column = cell % grid.columns;
+        const row = Math.floor(cell / grid.columns);
+        const x = grid.minX + (column + 0.5) * grid.cellSize;
+        const z = grid.minZ + (row + 0.5) * grid.cellSize;
+
+        visit(x - grid.cellSize, z);
+        visit(x + grid.cellSize, z);
+        visit(x, z - grid.cellSize);
+        visit(x, z + grid.cellSize);
+
+        // Rolling onto a pad carries on from wherever it can send the ball
+        course.teleporters.forEach(teleporter => {
+            if (usedPads.has(teleporter) || !isOnPad(teleporter, x, z)) return;
+            usedPads.add(teleporter);
+            getTeleporterDestinations(course.teleporters, teleporter).forEach(destination => {
+                visit(destination.position.x, destination.position.z);
+            });
+        });
+    }
+}
+
+// Same rules as teleporters.js, over level definitions instead of built pads
+function getTeleporterDestinations(teleporters, teleporter) {
+    if (teleporter.exitOnly || teleporter.enabled === false) return [];
+    return teleporters.filter(other => {
+        if (other === teleporter) return false;
+        if (teleporter.sendTo) return other.id === teleporter.sendTo;
+        if (teleporter.network) return other.network === teleporter.network;
+        return !other.network && !other.sendTo && !other.exitOnly && (other.pairId || 0) === (teleporter.pairId || 0);
+    });
+}
+
+function isReachableNear(grid, x, z, radius) {
+    let reached = false;
+    forEachCellIn(grid, { minX: x - radius, maxX: x + radius, minZ: z - radius, maxZ: z + radius }, cell => {
+        reached = reached || grid.reached[cell] === 1;
+    });
+    return reached;
+}
+
+// Calls fn(cell, x, z) with the center of every grid cell inside the bounds
+function forEachCellIn(grid, bounds, fn) {
+    const firstColumn = Math.max(0, Math.floor((bounds.minX - grid.minX) / grid.cellSize));
+    const lastColumn = Math.min(grid.columns - 1, Math.floor((bounds.maxX - grid.minX) / grid.cellSize));
+    const firstRow = Math.max(0, Math.floor((bounds.minZ - grid.minZ) / grid.cellSize));
+    const lastRow = Math.min(grid.rows - 1, Math.floor((bounds.maxZ - grid.minZ) / grid.cellSize));
+    for (let row = firstRow; row <= lastRow; row++) {
+        for (let column = firstColumn; column <= lastColumn; column++) {
+            fn(row * grid.columns + column, grid.minX + (column + 0.5) * grid.cellSize, grid.minZ + (row + 0.5) * grid.cellSize);
+        }
+    }
+}
+
+function getCellAt(grid, x, z) {
+    const column = Math.floor((x - grid.minX) / grid.cellSize);
+    const row = Math.floor((z - grid.minZ) / grid.cellSize);
+    if (column < 0 || column >= grid.columns || row < 0 || row >= grid.rows) return -1;
+    return row * grid.columns + column;
+}
+
+function isOnFloor(course, x, z) {
+    return course.floors.some(polygon => isPointInPolygon(x, z, polygon));
+}
+
+function isOnPad(teleporter, x, z) {
+    const halfSize = (teleporter.size || DEFAULT_TELEPORTER_SIZE) / 2 + BALL_RADIUS;
+    return Math.abs(x - teleporter.position.x) < halfSize && Math.abs(z - teleporter.position.z) < halfSize;
+}
+
+function findWallAt(course, x, z, radius) {
+    return course.walls.find(wall => !wall.isGate && boxDistance({ x, z }, wall) < radius);
+}
+
+function findRoundAt(course, x, z, radius) {
+    return course.round.find(obstacle => Math.hypot(x - obstacle.x, z - obstacle.z) < obstacle.radius + radius);
+}
+
+function findHazardAt(course, x, z) {
+    return course.hazards.find(hazard => isPointInPolygon(x, z, hazard.polygon));
+}
+
+// Does a ball rolling from a to b touch the wall? (wall box grown by the ball radius, in the wall's own frame)
+function segmentHitsWall(a, b, wall) {
+    const cosRot = Math.cos(wall.rotation);
+    const sinRot = Math.sin(wall.rotation);
+    const toLocal = point => ({
+        x: (point.x - wall.x) * cosRot - (point.z - wall.z) * sinRot,
+        z: (point.x - wall.x) * sinRot + (point.z - wall.z) * cosRot
+    });
+    const start = toLocal(a);
+    const end = toLocal(b);
+    const halfSizes = { x: wall.halfWidth + BALL_RADIUS, z: wall.halfDepth + BALL_RADIUS };
+
+    // Slab test against the grown box
+    let tMin = 0;
+    let tMax = 1;
+    for (const axis of ['x', 'z']) {
+        const delta = end[axis] - start[axis];
+        if (Math.abs(delta) < 1e-9) {
+            if (Math.abs(start[axis]) >= halfSizes[axis]) return false;
+            continue;
+        }
+        let t1 = (-halfSizes[axis] - start[axis]) / delta;
+        let t2 = (halfSizes[axis] - start[axis]) / delta;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin >= tMax) return false;
+    }
+    return true;
+}
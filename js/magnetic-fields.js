@@ -1,17 +1,64 @@
 // Static magnetic field system
+// A level's magneticFields act on the ball within `range` of a point, outside a small safe zone it can rest in:
+//   { position, strength: 0.5, range: 8 }                    - Attractor, pulls the ball in
+//   { position, strength: -0.5, range: 8 }                   - Repulsor (negative strength), pushes it away
+//   { type: 'alternating', position, strength, period: 3 }   - Swaps between pulling and pushing every period seconds
+//   { type: 'vortex', position, strength, pull: 0.2 }        - Spins the ball around the center, counter-clockwise seen from above
+//                                                              (negative strength spins clockwise), drawing it in by `pull` of the strength
+// Any of them can also take a schedule (see schedules.js).
 import * as THREE from 'three';
-import { scene, isFullMode } from './main.js';
+import { scene, isFullMode } from './scene-context.js';
+import { createSchedule, advanceSchedule, saveSchedule, restoreSchedule, getScheduleLevel } from './schedules.js';
+
+export const MagneticFieldType = {
+    ATTRACT: 'attract',
+    REPEL: 'repel',
+    ALTERNATING: 'alternating',
+    VORTEX: 'vortex'
+};
+
+// Default colors by what a field is doing - an alternating field switches between the first two
+export const MAGNETIC_FIELD_COLORS = {
+    attract: 0x00ffff,
+    repel: 0xff5533,
+    vortex: 0xaa66ff
+};
+
+const SAFE_ZONE_RADIUS = 1.5; // Safe zone in center where the field doesn't act (allows ball to rest and launch)
+const DEFAULT_POLARITY_PERIOD = 3.0; // Seconds an alternating field spends pulling before it pushes, and back
+const DEFAULT_VORTEX_PULL = 0.2; // Share of a vortex's strength that draws the ball in as it spins it
+const PULSE_RING_MIN_SCALE = 0.15; // Pulse rings travel between the field's edge and this share of its range
+const VORTEX_ARC = Math.PI * 1.25; // Vortex pulse rings are open arcs, so their spin shows
 
 let magneticFields = [];
 
+const OFF_BRIGHTNESS = 0.2; // Share of its glow a field keeps while its schedule has it off, so players can still see it
+
 export function createMagneticField(config) {
     const {
         position,              // THREE.Vector3 position
-        strength = 0.5,        // Pull force strength
+        strength = 0.5,        // Pull force strength (negative pushes away)
         range = 8.0,           // Range in units where pull is active
-        color = 0x00ffff       // Field color (cyan by default)
+        period = DEFAULT_POLARITY_PERIOD, // Alternating fields - seconds between polarity switches
+        pull = DEFAULT_VORTEX_PULL,       // Vortexes - inward pull as a share of the strength (negative pushes out)
+        schedule = null        // Timed on/off cycle or pulsing strength (see schedules.js)
     } = config;
 
+    let type = config.type || (strength < 0 ? MagneticFieldType.REPEL : MagneticFieldType.ATTRACT);
+    if (!Object.values(MagneticFieldType).includes(type)) {
+        console.warn(`Unknown magnetic field type "${type}", using attract`);
+        type = MagneticFieldType.ATTRACT;
+    }
+
+    // Which way it starts out acting: +1 pulls in (or spins counter-clockwise), -1 pushes out (or spins clockwise)
+    const isRepulsor = type === MagneticFieldType.REPEL;
+    const polarity = isRepulsor || strength < 0 ? -1 : 1;
+    const startMode = type === MagneticFieldType.VORTEX ? MagneticFieldType.VORTEX
+        : (polarity > 0 ? MagneticFieldType.ATTRACT : MagneticFieldType.REPEL);
+    // Field color (cyan for an attractor) - an alternating field is built in its attracting color
+    const builtMode = type === MagneticFieldType.ALTERNATING ? MagneticFieldType.ATTRACT : startMode;
+    const color = config.color ?? MAGNETIC_FIELD_COLORS[builtMode];
+
     const fieldGroup = new THREE.Group();
     fieldGroup.position.set(position.x, 0.01, position.z); // Slightly above ground
     
@@ -59,7 +106,6 @@ export function createMagneticField(config) {
     fieldGroup.add(innerRing);
     
     // Create safe zone indicator (where ball can rest and launch)
-    const SAFE_ZONE_RADIUS = 1.5;
     const safeZoneGeometry = new THREE.CircleGeometry(SAFE_ZONE_RADIUS, 32);
     const safeZoneMaterial = isFullMode
         ? new THREE.MeshStandardMaterial({
@@ -100,13 +146,21 @@ export function createMagneticField(config) {
     // Store field data and animation references
     fieldGroup.userData.isMagneticField = true;
     fieldGroup.userData.position = position.clone();
-    fieldGroup.userData.strength = strength;
+    fieldGroup.userData.type = type;
+    fieldGroup.userData.strength = Math.abs(strength);
+    fieldGroup.userData.polarity = polarity;
+    fieldGroup.userData.period = Math.max(period, 0.1);
+    fieldGroup.userData.pull = pull;
+    fieldGroup.userData.time = 0; // Physics time, for switching polarity
+    fieldGroup.userData.mode = builtMode; // Mode its colors show
+    fieldGroup.userData.repelColor = config.repelColor ?? MAGNETIC_FIELD_COLORS.repel; // Alternating fields while they push
     fieldGroup.userData.range = range;
     fieldGroup.userData.color = color;
     fieldGroup.userData.ring = ring;
     fieldGroup.userData.innerRing = innerRing;
     fieldGroup.userData.center = center;
     fieldGroup.userData.startTime = Date.now() / 1000; // Animation start time
+    fieldGroup.userData.schedule = createSchedule(schedule);
     
     scene.add(fieldGroup);
     magneticFields.push(fieldGroup);
@@ -118,6 +172,67 @@ export function getMagneticFields() {
     return magneticFields;
 }
 
+/**
+ * Advance magnetic field schedules by one fixed physics step
+ */
+export function stepMagneticFields(deltaTime) {
+    magneticFields.forEach(field => {
+        advanceSchedule(field.userData.schedule, deltaTime);
+        field.userData.time += deltaTime;
+    });
+}
+
+/**
+ * Where every magnetic field's schedule and polarity clock are, for restoreMagneticFields()
+ */
+export function saveMagneticFields() {
+    return magneticFields.map(field => ({ time: field.userData.time, schedule: saveSchedule(field.userData.schedule) }));
+}
+
+/**
+ * Put the magnetic fields back where saveMagneticFields() found them
+ */
+export function restoreMagneticFields(saved) {
+    magneticFields.forEach((field, index) => {
+        field.userData.time = saved[index].time;
+        restoreSchedule(field.userData.schedule, saved[index].schedule);
+    });
+}
+
+/**
+ * How hard a magnetic field is pulling right now, 0 (switched off by its schedule) to 1
+ */
+export function getMagneticFieldPower(field) {
+    return getScheduleLevel(field.userData.schedule);
+}
+
+/**
+ * Which way a field pulls right now: +1 toward its center (or counter-clockwise for a vortex), -1 away (or clockwise)
+ */
+export function getMagneticFieldPolarity(field) {
+    const data = field.userData;
+    if (data.type !== MagneticFieldType.ALTERNATING) return data.polarity;
+    return Math.floor(data.time / data.period) % 2 === 0 ? data.polarity : -data.polarity;
+}
+
+/**
+ * What a field is doing right now - MagneticFieldType.ATTRACT, REPEL or VORTEX (an alternating field is one of the first two)
+ */
+export function getMagneticFieldMode(field) {
+    if (field.userData.type === MagneticFieldType.VORTEX) return MagneticFieldType.VORTEX;
+    return getMagneticFieldPolarity(field) > 0 ? MagneticFieldType.ATTRACT : MagneticFieldType.REPEL;
+}
+
+/**
+ * Fields whose range covers a point
+ */
+export function getMagneticFieldsAt(position) {
+    return magneticFields.filter(field => {
+        const fieldPos = field.userData.position;
+        return Math.hypot(position.x - fieldPos.x, position.z - fieldPos.z) < field.userData.range;
+    });
+}
+
 export function removeAllMagneticFields() {
     magneticFields.forEach(field => {
         // Clean up pulse rings
@@ -146,11 +261,12 @@ export function removeAllMagneticFields() {
 }
 
 export function checkMagneticFieldPull(ballPosition, deltaTime) {
-    // Returns the total pull force from all magnetic fields
+    // Returns the total pull force from all magnetic fields (pushes and spins included)
     const totalPullForce = new THREE.Vector3(0, 0, 0);
-    const SAFE_ZONE_RADIUS = 1.5; // Safe zone in center where pull doesn't apply (allows ball to rest and launch)
     
     for (const field of magneticFields) {
+        const power = getMagneticFieldPower(field);
+        if (power === 0) continue;
         const fieldPos = field.userData.position;
         const directionToField = new THREE.Vector3(
             fieldPos.x - ballPosition.x,
@@ -174,11 +290,19 @@ export function checkMagneticFieldPull(ballPosition, deltaTime) {
             const effectiveDistance = distanceToField - SAFE_ZONE_RADIUS;
             const effectiveRange = field.userData.range - SAFE_ZONE_RADIUS;
             const normalizedDistance = Math.max(0, effectiveDistance / effectiveRange); // 0 to 1
-            const pullStrength = field.userData.strength * (1.0 - normalizedDistance * 0.5); // Stronger when closer
+            const pullStrength = field.userData.strength * power * (1.0 - normalizedDistance * 0.5); // Stronger when closer
+            const force = pullStrength * deltaTime * 60; // Scale by deltaTime and 60 for consistent force
+            const polarity = getMagneticFieldPolarity(field);
             
-            // Calculate pull force
-            const pullForce = directionToField.multiplyScalar(pullStrength * deltaTime * 60); // Scale by deltaTime and 60 for consistent force
-            totalPullForce.add(pullForce);
+            if (field.userData.type === MagneticFieldType.VORTEX) {
+                // Push along the circle around the center, plus a little pull toward it
+                const tangent = new THREE.Vector3(-directionToField.z, 0, directionToField.x).multiplyScalar(polarity);
+                totalPullForce.addScaledVector(tangent, force);
+                totalPullForce.addScaledVector(directionToField, force * field.userData.pull);
+            } else {
+                // Toward the center, or away from it for a repulsor
+                totalPullForce.addScaledVector(directionToField, force * polarity);
+            }
         }
     }
     
@@ -197,6 +321,17 @@ export function updateMagneticFields(deltaTime) {
         const startTime = field.userData.startTime;
         
         if (!ring || !innerRing || !center) continue;
+
+        // Dim with the schedule - a field that's off keeps a faint glow
+        const power = getMagneticFieldPower(field);
+        const brightness = OFF_BRIGHTNESS + (1 - OFF_BRIGHTNESS) * power;
+
+        // An alternating field recolors itself each time it flips
+        const mode = getMagneticFieldMode(field);
+        if (mode !== field.userData.mode) {
+            field.userData.mode = mode;
+            setFieldColor(field, getFieldModeColor(field, mode));
+        }
         
         // Create pulsing rings that expand outward (similar to magnetic pull indicator)
         const cycleDuration = 2.5; // 2.5 seconds per pulse cycle
@@ -210,9 +345,9 @@ export function updateMagneticFields(deltaTime) {
         
         ring.scale.set(pulseScale, pulseScale, 1.0);
         if (ring.material) {
-            ring.material.opacity = pulseOpacity;
+            ring.material.opacity = pulseOpacity * brightness;
             if (ring.material.emissiveIntensity !== undefined) {
-                ring.material.emissiveIntensity = 0.4 + 0.3 * (0.5 + 0.5 * Math.sin(progress * Math.PI * 2));
+                ring.material.emissiveIntensity = (0.4 + 0.3 * (0.5 + 0.5 * Math.sin(progress * Math.PI * 2))) * brightness;
             }
         }
         
@@ -223,9 +358,9 @@ export function updateMagneticFields(deltaTime) {
         
         innerRing.scale.set(innerPulseScale, innerPulseScale, 1.0);
         if (innerRing.material) {
-            innerRing.material.opacity = innerPulseOpacity;
+            innerRing.material.opacity = innerPulseOpacity * brightness;
             if (innerRing.material.emissiveIntensity !== undefined) {
-                innerRing.material.emissiveIntensity = 0.3 + 0.2 * (0.5 + 0.5 * Math.sin(innerProgress * Math.PI * 2));
+                innerRing.material.emissiveIntensity = (0.3 + 0.2 * (0.5 + 0.5 * Math.sin(innerProgress * Math.PI * 2))) * brightness;
             }
         }
         
@@ -236,14 +371,16 @@ export function updateMagneticFields(deltaTime) {
         
         center.scale.set(centerPulseScale, centerPulseScale, 1.0);
         if (center.material && center.material.emissiveIntensity !== undefined) {
-            center.material.emissiveIntensity = centerPulseIntensity;
+            center.material.emissiveIntensity = centerPulseIntensity * brightness;
         }
         
         // Add expanding pulse rings (like the magnetic pull indicator)
-        // Create temporary expanding rings that fade out
+        // Create temporary expanding rings that fade out (none while the field is off)
         if (Math.floor(cycleTime * 2) !== field.userData.lastPulseRing) {
             field.userData.lastPulseRing = Math.floor(cycleTime * 2);
-            createExpandingPulseRing(field, range);
+            if (power > 0) {
+                createExpandingPulseRing(field, range);
+            }
         }
         
         // Update existing pulse rings
@@ -259,8 +396,19 @@ export function updateMagneticFields(deltaTime) {
                     return false;
                 }
                 
-                const scale = age / lifetime; // Scale from 0 to 1
-                const opacity = 1.0 - scale; // Fade out
+                const progress = age / lifetime; // 0 to 1
+                const opacity = 1.0 - progress; // Fade out
+                
+                // Rings close in on an attractor, burst out of a repulsor and swirl into a vortex
+                let scale;
+                if (pulseRing.mode === MagneticFieldType.REPEL) {
+                    scale = PULSE_RING_MIN_SCALE + (1 - PULSE_RING_MIN_SCALE) * progress;
+                } else {
+                    scale = 1 - (1 - PULSE_RING_MIN_SCALE) * progress;
+                }
+                if (pulseRing.mode === MagneticFieldType.VORTEX) {
+                    pulseRing.mesh.rotation.z = pulseRing.spin * progress * Math.PI * 2;
+                }
                 
                 pulseRing.mesh.scale.set(scale, scale, 1.0);
                 if (pulseRing.mesh.material) {
@@ -274,11 +422,15 @@ export function updateMagneticFields(deltaTime) {
 }
 
 function createExpandingPulseRing(field, range) {
-    // Create a new expanding ring that pulses outward
+    // Create a new ring that pulses across the field - in for an attractor, out for a repulsor,
+    // and a spinning open arc for a vortex so the direction of spin shows
+    const mode = getMagneticFieldMode(field);
     const ringThickness = range * 0.15;
-    const pulseRingGeometry = new THREE.RingGeometry(range * 0.1, range * 0.1 + ringThickness, 64);
+    const pulseRingGeometry = mode === MagneticFieldType.VORTEX
+        ? new THREE.RingGeometry(range - ringThickness, range, 64, 1, 0, VORTEX_ARC)
+        : new THREE.RingGeometry(range - ringThickness, range, 64);
     const pulseRingMaterial = new THREE.MeshBasicMaterial({
-        color: field.userData.color,
+        color: getFieldModeColor(field, mode),
         transparent: true,
         opacity: 0.6,
         side: THREE.DoubleSide
@@ -297,7 +449,26 @@ function createExpandingPulseRing(field, range) {
     
     field.userData.pulseRings.push({
         mesh: pulseRing,
+        mode,
+        spin: getMagneticFieldPolarity(field),
         startTime: Date.now() / 1000
     });
 }
 
+// Color a field shows while it's attracting, repelling or spinning
+function getFieldModeColor(field, mode) {
+    if (field.userData.type === MagneticFieldType.ALTERNATING && mode === MagneticFieldType.REPEL) {
+        return field.userData.repelColor;
+    }
+    return field.userData.color;
+}
+
+function setFieldColor(field, color) {
+    [field.userData.ring, field.userData.innerRing, field.userData.center].forEach(mesh => {
+        mesh.material.color.setHex(color);
+        if (mesh.material.emissive) {
+            mesh.material.emissive.setHex(color);
+        }
+    });
+}
+
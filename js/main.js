@@ -1,7 +1,7 @@
 // Main game initialization and render loop
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { initPhysics, updatePhysics } from './physics.js';
+import { initPhysics, updatePhysics, resetPhysicsAccumulator, setGameModePhysicsProfile } from './physics.js';
 import { createCourse, updateAnimatedMaterials } from './course.js';
 import { createBall, getBallPosition, getBallVelocity, resetBall, setBallPosition, setBallVelocity, setBallStartPosition, hideBall, showBall, getBallMesh } from './ball.js';
 import { resetCollisions } from './collisions.js';
@@ -17,18 +17,20 @@ import { updateParticles, updateBallTrail, createBallTrail, createEnvironmentalP
 import { initMenu, hideMenu, showMenu } from './menu.js';
 import { createPowerUp, updatePowerUps, checkPowerUpCollection, removeAllPowerUps } from './powerups.js';
 import { initInventory, addToInventory, clearInventory } from './inventory.js';
-import { updateMovingWalls } from './moving-walls.js';
 import { updateMagneticFields } from './magnetic-fields.js';
-import { updateTeleporterCooldown, updateTeleporterAnimations } from './teleporters.js';
+import { updateTeleporterAnimations } from './teleporters.js';
 import { activateSpeedBoost, activateSharpshooter, activateMagneticPull, activateRewind, clearAllPowerUps as clearAllPowerUpEffects, clearMagneticPull, getSpeedBoostMultiplier, consumeSpeedBoost } from './powerup-effects.js';
 import { updateModelAnimations } from './course.js';
 import { updateFloor } from './floor.js';
 import { enterPaintingMode, exitPaintingMode, isInPaintingMode } from './floor-painter.js';
 import { updateWindZones } from './wind-zones.js';
+import { updateWaterHazards } from './water-hazards.js';
+import { setGameModeOutOfBoundsRule } from './out-of-bounds.js';
 import { createNightSkybox, updateSkybox } from './skybox.js';
 import { updateCosmetics } from './cosmetics.js';
 import { initializeGhostAI, updateGhostAI, setGhostAIEnabled, isGhostAIEnabled, getGhostAIState, setGhostAIDifficulty, Difficulty } from './ghost-ai.js';
 import { hideGhostBall, showGhostBall, getGhostBallStrokes, removeGhostBall } from './ghost-ball.js';
+import { setScene, setFullMode, isFullMode } from './scene-context.js';
 
 // Get canvas element
 const canvas = document.getElementById('game-canvas');
@@ -47,6 +49,7 @@ if (!modeToggleButton) {
 // Scene setup
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0xdbe4e6); // Light gray sky/background (will be replaced by night skybox)
+setScene(scene); // Share the scene with course/obstacle modules
 
 // Create night skybox with stars
 createNightSkybox();
@@ -237,8 +240,7 @@ function initCameraControls() {
     controls.update();
 }
 
-// Game mode (true = Full mode, false = Prototype mode)
-let isFullMode = true; // Start in full mode
+// Game mode (true = Full mode, false = Prototype mode) lives in scene-context.js - starts in full mode
 
 // Mode toggle functionality
 if (modeToggleButton) {
@@ -246,7 +248,7 @@ if (modeToggleButton) {
     modeToggleButton.textContent = 'Full Mode';
     
     modeToggleButton.addEventListener('click', () => {
-        isFullMode = !isFullMode;
+        setFullMode(!isFullMode);
         modeToggleButton.textContent = isFullMode ? 'Full Mode' : 'Prototype Mode';
         console.log('Mode switched to:', isFullMode ? 'Full' : 'Prototype');
         
@@ -367,15 +369,9 @@ function animate(currentTime) {
     // Update power-ups (bob animation, rotation, shader)
     updatePowerUps(camera);
     
-    // Update moving walls
-    updateMovingWalls(deltaTime);
-    
     // Update magnetic fields animation
     updateMagneticFields(deltaTime);
     
-    // Update teleporter cooldown
-    updateTeleporterCooldown(deltaTime);
-
     // Update teleporter animations
     updateTeleporterAnimations(deltaTime);
 
@@ -388,6 +384,9 @@ function animate(currentTime) {
     // Update wind zone animations (particle effects)
     updateWindZones(deltaTime);
     
+    // Update water hazard ripples
+    updateWaterHazards(deltaTime);
+    
     // Update skybox animation (twinkling stars)
     updateSkybox(deltaTime);
 
@@ -905,6 +904,10 @@ window.addEventListener('startGame', (event) => {
         resetTotalScore();
     }
     
+    // Out-of-bounds rule and physics profile for levels that don't set their own
+    setGameModeOutOfBoundsRule(mode);
+    setGameModePhysicsProfile(mode);
+    
     // Clear inventory and power-ups when starting a new game
     clearInventory();
     clearAllPowerUpEffects();
@@ -1059,6 +1062,7 @@ async function loadAndStartHole(holeIndex, mode) {
             
             showBall();
             resetCollisions();
+            resetPhysicsAccumulator();
             
             // Reset camera to follow ball at the start position
             cameraFollowingBall = true;
@@ -1082,9 +1086,11 @@ async function loadAndStartHole(holeIndex, mode) {
             // Create hole
             await createHole();
             
-            // Set par for this level (2, 3, 4, 5, 5)
+            // Set par for this level - its own par if it has one, otherwise (3, 3, 4, 5, 5)
             const pars = [3, 3, 4, 5, 5];
-            if (holeIndex < pars.length) {
+            if (Number.isFinite(levelDef.par)) {
+                setPar(levelDef.par);
+            } else if (holeIndex < pars.length) {
                 setPar(pars[holeIndex]);
             }
             
@@ -1,21 +1,44 @@
-// Moving walls obstacle system
+// Moving walls obstacle system - boxes (walls, gates, blockers) that follow a path from path-motion.js
+// Give a wall a `path` ({ type: 'linear' | 'spline' | 'orbit' | 'oscillate', ... }), or the classic
+// x / zCenter / zRange / speed to slide it back and forth along Z
 import * as THREE from 'three';
-import { scene, isFullMode } from './main.js';
+import { scene, isFullMode } from './scene-context.js';
+import { sweepSphere, boxDistance } from './sweep.js';
+import { createPathMotion, updatePathMotion, savePathMotion, restorePathMotion, getPathPointVelocity, PathType } from './path-motion.js';
 
 let movingWalls = [];
 
 export function createMovingWall(config) {
     const {
-        x,                    // X position (fixed)
+        x,                    // X position (fixed) - classic back-and-forth wall
         zCenter,              // Center Z position for oscillation
         zRange,               // Range of oscillation (half the total distance)
         width = 1.0,          // Wall width (thinner than regular walls)
         height = 1.0,         // Wall height (taller than regular walls)
         depth = 0.5,          // Wall depth (along z-axis)
         speed = 2.0,          // Oscillation speed
-        color = 0xd3685c      // Wall color (#d3685c)
+        color = 0xd3685c,     // Wall color (#d3685c)
+        path = null           // Path to follow instead (see path-motion.js)
     } = config;
 
+    const hasClassicConfig = [x, zCenter, zRange].every(Number.isFinite);
+    if (!path && !hasClassicConfig) {
+        console.warn('Moving wall needs a path or x/zCenter/zRange, skipping');
+        return null;
+    }
+
+    const pathConfig = path || {
+        type: PathType.OSCILLATE,
+        center: { x, z: zCenter },
+        offset: { x: 0, z: zRange },
+        speed
+    };
+    const motion = createPathMotion(pathConfig, { x: x ?? 0, z: zCenter ?? 0 });
+    if (!motion) {
+        console.warn('Moving wall path is invalid, skipping');
+        return null;
+    }
+
     const wallGeometry = new THREE.BoxGeometry(width, height, depth);
     const wallMaterial = isFullMode
         ? new THREE.MeshStandardMaterial({
@@ -26,20 +49,18 @@ export function createMovingWall(config) {
         : new THREE.MeshBasicMaterial({ color: color });
 
     const wallMesh = new THREE.Mesh(wallGeometry, wallMaterial);
-    wallMesh.position.set(x, height / 2, zCenter);
+    wallMesh.position.set(motion.position.x, height / 2, motion.position.z);
+    wallMesh.rotation.y = motion.rotation;
     wallMesh.castShadow = true;
     wallMesh.receiveShadow = true;
 
     wallMesh.userData.isMovingWall = true;
-    wallMesh.userData.x = x;
-    wallMesh.userData.zCenter = zCenter;
-    wallMesh.userData.zRange = zRange;
     wallMesh.userData.width = width;
     wallMesh.userData.height = height;
     wallMesh.userData.depth = depth;
-    wallMesh.userData.speed = speed;
-    wallMesh.userData.time = 0;
-    wallMesh.userData.direction = 1; // 1 for positive z, -1 for negative z
+    wallMesh.userData.motion = motion;
+    wallMesh.userData.velocity = new THREE.Vector3();
+    wallMesh.userData.angularVelocity = 0;
 
     scene.add(wallMesh);
     movingWalls.push(wallMesh);
@@ -49,18 +70,39 @@ export function createMovingWall(config) {
 
 export function updateMovingWalls(deltaTime) {
     movingWalls.forEach(wall => {
-        wall.userData.time += deltaTime * wall.userData.speed;
-        
-        const oscillation = Math.sin(wall.userData.time) * wall.userData.zRange;
-        const newZ = wall.userData.zCenter + oscillation;
-        
-        wall.position.z = newZ;
-        
-        const velocityZ = Math.cos(wall.userData.time) * wall.userData.zRange * wall.userData.speed;
-        wall.userData.velocity = new THREE.Vector3(0, 0, velocityZ);
+        const motion = wall.userData.motion;
+        updatePathMotion(motion, deltaTime);
+        syncMovingWall(wall);
     });
 }
 
+/**
+ * Where every moving wall is along its path, for restoreMovingWalls()
+ */
+export function saveMovingWalls() {
+    return movingWalls.map(wall => savePathMotion(wall.userData.motion));
+}
+
+/**
+ * Put the moving walls back where saveMovingWalls() found them
+ */
+export function restoreMovingWalls(saved) {
+    movingWalls.forEach((wall, index) => {
+        restorePathMotion(wall.userData.motion, saved[index]);
+        syncMovingWall(wall);
+    });
+}
+
+function syncMovingWall(wall) {
+    const motion = wall.userData.motion;
+    wall.position.x = motion.position.x;
+    wall.position.z = motion.position.z;
+    wall.rotation.y = motion.rotation;
+
+    wall.userData.velocity.copy(motion.velocity);
+    wall.userData.angularVelocity = motion.angularVelocity;
+}
+
 export function getMovingWalls() {
     return movingWalls;
 }
@@ -74,59 +116,49 @@ export function removeAllMovingWalls() {
     movingWalls = [];
 }
 
-export function checkMovingWallCollisions(ballPos, ballRadius) {
-    for (const wall of movingWalls) {
-        const wallBounds = {
-            minX: wall.userData.x - wall.userData.width / 2,
-            maxX: wall.userData.x + wall.userData.width / 2,
-            minY: 0,
-            maxY: wall.userData.height,
-            minZ: wall.position.z - wall.userData.depth / 2,
-            maxZ: wall.position.z + wall.userData.depth / 2
+/**
+ * Find the first moving wall the ball touches during a physics step (swept sphere vs moving box)
+ * The sweep runs in each wall's frame, so a wall sliding into a resting ball is caught too
+ * @param {THREE.Vector3} start - Ball position at the start of the sweep
+ * @param {THREE.Vector3} motion - Ball displacement over the rest of the step
+ * @param {number} ballRadius
+ * @param {number} deltaTime - Length of the physics step
+ * @param {number} elapsed - Fraction of the step already used up (0-1) by earlier hits
+ * @param {Array} candidates - Walls to test (e.g. from the collision index), defaults to all
+ * @returns {Object|null} { t, normal, penetration, wall, wallVelocity } or null if the path is clear
+ *          (wallVelocity is the velocity of the wall's surface where the ball touched it, spin included)
+ */
+export function sweepMovingWalls(start, motion, ballRadius, deltaTime, elapsed = 0, candidates = movingWalls) {
+    let firstHit = null;
+    const remaining = 1 - elapsed;
+    
+    for (const wall of candidates) {
+        // Ball is above the wall
+        if (start.y - ballRadius > wall.userData.height) continue;
+        
+        const stepTime = deltaTime * remaining;
+        
+        // Wall has already been moved to the end of the step - sweep from where it was at `elapsed`
+        const box = {
+            x: wall.position.x - wall.userData.velocity.x * stepTime,
+            z: wall.position.z - wall.userData.velocity.z * stepTime,
+            halfWidth: wall.userData.width / 2,
+            halfDepth: wall.userData.depth / 2,
+            rotation: wall.rotation.y - wall.userData.angularVelocity * stepTime
         };
-
-        // Check if ball overlaps wall bounds (same as custom walls)
-        if (ballPos.x + ballRadius > wallBounds.minX && 
-            ballPos.x - ballRadius < wallBounds.maxX &&
-            ballPos.z + ballRadius > wallBounds.minZ && 
-            ballPos.z - ballRadius < wallBounds.maxZ &&
-            ballPos.y < wallBounds.maxY && ballPos.y > wallBounds.minY) {
-            
-            // Calculate distances to each side of the wall
-            const distToLeft = ballPos.x - wallBounds.minX;
-            const distToRight = wallBounds.maxX - ballPos.x;
-            const distToFront = ballPos.z - wallBounds.minZ;
-            const distToBack = wallBounds.maxZ - ballPos.z;
-            
-            // Find minimum distance to push out (same logic as custom walls)
-            const minDist = Math.min(distToLeft, distToRight, distToFront, distToBack);
-            
-            let correctedPos = ballPos.clone();
-            let collisionNormal = new THREE.Vector3();
-            
-            // Push ball out based on closest side
-            if (minDist === distToLeft && distToLeft < ballRadius) {
-                correctedPos.x = wallBounds.minX - ballRadius;
-                collisionNormal.set(-1, 0, 0);
-            } else if (minDist === distToRight && distToRight < ballRadius) {
-                correctedPos.x = wallBounds.maxX + ballRadius;
-                collisionNormal.set(1, 0, 0);
-            } else if (minDist === distToFront && distToFront < ballRadius) {
-                correctedPos.z = wallBounds.minZ - ballRadius;
-                collisionNormal.set(0, 0, -1);
-            } else if (minDist === distToBack && distToBack < ballRadius) {
-                correctedPos.z = wallBounds.maxZ + ballRadius;
-                collisionNormal.set(0, 0, 1);
-            }
-            
-            return {
-                collided: true,
-                correctedPos: correctedPos,
-                normal: collisionNormal,
-                wall: wall
-            };
+        const center = new THREE.Vector3(box.x, 0, box.z);
+        
+        // Sweep in the frame of the wall surface next to the ball - a spinning wall's far end
+        // sweeps into a resting ball even when its center stays put
+        const surfaceVelocity = getPathPointVelocity(wall.userData.motion, start, center);
+        const relativeMotion = motion.clone().addScaledVector(surfaceVelocity, -stepTime);
+        
+        const hit = sweepSphere(start, relativeMotion, ballRadius, point => boxDistance(point, box));
+        if (hit && (!firstHit || hit.t < firstHit.t)) {
+            const contact = start.clone().addScaledVector(relativeMotion, hit.t);
+            firstHit = { ...hit, wall, wallVelocity: getPathPointVelocity(wall.userData.motion, contact, center) };
         }
     }
-
-    return { collided: false };
+    
+    return firstHit;
 }
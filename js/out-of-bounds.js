@@ -0,0 +1,114 @@
+// Out-of-bounds rules - what happens when a ball leaves the course or falls into a rectangular hole
+// A level can set its own rule with outOfBounds: 'strokeAndDistance' or
+// outOfBounds: { rule: 'strokeAndDistance', penalty: 2, gracePeriod: 0.5 }; otherwise the game mode's rule applies
+import * as THREE from 'three';
+
+export const OutOfBoundsRule = {
+    STROKE_AND_DISTANCE: 'strokeAndDistance',          // +1, replay from where the shot was taken
+    REPLAY_FROM_LAST_POSITION: 'replayFromLastPosition', // +1, play on from the last spot the ball was in play
+    RETURN_TO_TEE: 'returnToTee',                      // +2, start the hole over from the tee
+    NO_PENALTY: 'noPenalty'                            // Casual play - replay from where the shot was taken, free
+};
+
+// Where the ball goes back to
+export const OutOfBoundsPlacement = {
+    PREVIOUS_SPOT: 'previousSpot',
+    LAST_POSITION: 'lastPosition',
+    TEE: 'tee'
+};
+
+const DEFAULT_GRACE_PERIOD = 0.35; // Seconds the ball must stay outside before the rule applies
+
+const RULE_PRESETS = {
+    [OutOfBoundsRule.STROKE_AND_DISTANCE]: {
+        placement: OutOfBoundsPlacement.PREVIOUS_SPOT,
+        penalty: 1,
+        description: 'Stroke and distance - replay the shot'
+    },
+    [OutOfBoundsRule.REPLAY_FROM_LAST_POSITION]: {
+        placement: OutOfBoundsPlacement.LAST_POSITION,
+        penalty: 1,
+        description: 'Play on from where it went out'
+    },
+    [OutOfBoundsRule.RETURN_TO_TEE]: {
+        placement: OutOfBoundsPlacement.TEE,
+        penalty: 2,
+        description: 'Back to the tee'
+    },
+    [OutOfBoundsRule.NO_PENALTY]: {
+        placement: OutOfBoundsPlacement.PREVIOUS_SPOT,
+        penalty: 0,
+        description: 'Casual play - replay the shot'
+    }
+};
+
+// Rule each game mode uses for levels that don't set their own
+export const GAME_MODE_OUT_OF_BOUNDS_RULES = {
+    single: OutOfBoundsRule.RETURN_TO_TEE,
+    '5holes': OutOfBoundsRule.RETURN_TO_TEE
+};
+
+let gameModeRule = OutOfBoundsRule.RETURN_TO_TEE;
+let levelRule = null;
+
+/**
+ * Use a game mode's out-of-bounds rule (from GAME_MODE_OUT_OF_BOUNDS_RULES)
+ * @param {string} mode - 'single' or '5holes'
+ */
+export function setGameModeOutOfBoundsRule(mode) {
+    gameModeRule = GAME_MODE_OUT_OF_BOUNDS_RULES[mode] || OutOfBoundsRule.RETURN_TO_TEE;
+}
+
+/**
+ * Use the level's own rule (null to fall back to the game mode's)
+ * @param {string|Object} ruleConfig - Rule name or { rule, penalty, gracePeriod }
+ */
+export function setLevelOutOfBoundsRule(ruleConfig) {
+    levelRule = ruleConfig || null;
+}
+
+/**
+ * The rule in effect for the current level and game mode
+ * @returns {Object} { rule, placement, penalty, gracePeriod, description }
+ */
+export function getOutOfBoundsRule() {
+    return resolveOutOfBoundsRule(levelRule || gameModeRule);
+}
+
+/**
+ * Expand a rule name or config into the full rule
+ * @param {string|Object} ruleConfig - Rule name or { rule, penalty, gracePeriod }
+ */
+export function resolveOutOfBoundsRule(ruleConfig) {
+    const config = typeof ruleConfig === 'string' ? { rule: ruleConfig } : (ruleConfig || {});
+    let rule = config.rule || OutOfBoundsRule.RETURN_TO_TEE;
+    if (!RULE_PRESETS[rule]) {
+        console.warn(`Unknown out-of-bounds rule "${rule}", using ${OutOfBoundsRule.RETURN_TO_TEE}`);
+        rule = OutOfBoundsRule.RETURN_TO_TEE;
+    }
+
+    const preset = RULE_PRESETS[rule];
+    return {
+        rule,
+        placement: preset.placement,
+        penalty: config.penalty ?? preset.penalty, // Custom penalty count
+        gracePeriod: config.gracePeriod ?? DEFAULT_GRACE_PERIOD,
+        description: preset.description
+    };
+}
+
+/**
+ * Where a ball goes back to under a rule
+ * @param {Object} rule - Resolved rule
+ * @param {Object} spots - { tee, previousSpot, lastPosition } (any missing spot falls back to the tee)
+ * @returns {THREE.Vector3}
+ */
+export function getOutOfBoundsPosition(rule, spots) {
+    let position = spots.tee;
+    if (rule.placement === OutOfBoundsPlacement.PREVIOUS_SPOT && spots.previousSpot) {
+        position = spots.previousSpot;
+    } else if (rule.placement === OutOfBoundsPlacement.LAST_POSITION && spots.lastPosition) {
+        position = spots.lastPosition;
+    }
+    return new THREE.Vector3(position.x, position.y, position.z);
+}
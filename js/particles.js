@@ -1,6 +1,6 @@
 // Particle system for visual effects
 import * as THREE from 'three';
-import { scene } from './main.js';
+import { scene } from './scene-context.js';
 
 let particleSystems = [];
 
@@ -278,6 +278,66 @@ export function createImpactEffect(position, normal, intensity = 1.0) {
     return particles;
 }
 
+// Splash when the ball drops into a water hazard
+export function createSplashEffect(position, intensity = 1.0) {
+    const dropletCount = Math.floor(40 * intensity);
+    
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(dropletCount * 3);
+    const velocities = new Float32Array(dropletCount * 3);
+    const colors = new Float32Array(dropletCount * 3);
+    const lifetimes = new Float32Array(dropletCount);
+    
+    const waterColor = new THREE.Color(0x7fd0ff);
+    const foamColor = new THREE.Color(0xffffff);
+    
+    for (let i = 0; i < dropletCount; i++) {
+        const i3 = i * 3;
+        
+        // Mostly upward crown of droplets
+        const angle = Math.random() * Math.PI * 2;
+        const outward = (Math.random() * 1.5 + 0.5) * intensity;
+        const upward = (Math.random() * 4.0 + 3.0) * intensity;
+        
+        velocities[i3] = Math.cos(angle) * outward;
+        velocities[i3 + 1] = upward;
+        velocities[i3 + 2] = Math.sin(angle) * outward;
+        
+        positions[i3] = position.x;
+        positions[i3 + 1] = position.y;
+        positions[i3 + 2] = position.z;
+        
+        // Mix of water blue and white foam
+        const color = waterColor.clone().lerp(foamColor, Math.random());
+        colors[i3] = color.r;
+        colors[i3 + 1] = color.g;
+        colors[i3 + 2] = color.b;
+        
+        lifetimes[i] = Math.random() * 0.4 + 0.5;
+    }
+    
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    
+    const material = new THREE.PointsMaterial({
+        size: 0.25,
+        vertexColors: true,
+        transparent: true,
+        opacity: 1.0,
+        sizeAttenuation: true
+    });
+    
+    const particles = new THREE.Points(geometry, material);
+    particles.userData.velocities = velocities;
+    particles.userData.lifetimes = lifetimes;
+    particles.userData.startTime = Date.now();
+    
+    scene.add(particles);
+    particleSystems.push(particles);
+    
+    return particles;
+}
+
 export function updateParticles() {
     const currentTime = Date.now();
     
@@ -0,0 +1,281 @@
+// Path motion - moves an obstacle along a path from the level definition: straight segments,
+// a Catmull-Rom spline or a circular orbit, with easing, pauses at each stop and rotation while it moves.
+// Moving walls, bumpers and platforms take one as their `path`:
+//   { type: 'linear', points: [{x, z}, ...], speed: 4 }       - Straight legs from point to point
+//   { type: 'spline', points: [{x, z}, ...], speed: 4 }       - Smooth curve through the points
+//   { type: 'orbit', center: {x, z}, radius: 3, angularSpeed: 1, startAngle: 0, arc: Math.PI / 2 }
+//                                                             - Circle around the center (arc: swing back and forth instead)
+//   { type: 'oscillate', center: {x, z}, offset: {x, z}, speed: 2 } - Sine back-and-forth (the classic moving wall)
+// Linear and spline paths go back and forth unless loop: true, and take easing ('linear', 'easeIn',
+// 'easeOut', 'easeInOut', 'sine') per leg and pause (seconds to wait at each stop).
+// Every path also takes rotation (starting angle), rotationSpeed (radians/sec spin), alignToPath
+// (turn to face the direction of travel) and phase (seconds into the cycle to start at).
+import * as THREE from 'three';
+
+export const PathType = {
+    LINEAR: 'linear',
+    SPLINE: 'spline',
+    ORBIT: 'orbit',
+    OSCILLATE: 'oscillate'
+};
+
+// Easing curves, 0-1 progress along a leg -> 0-1 distance along it
+export const Easing = {
+    linear: u => u,
+    easeIn: u => u * u,
+    easeOut: u => 1 - (1 - u) * (1 - u),
+    easeInOut: u => (u < 0.5 ? 2 * u * u : 1 - 2 * (1 - u) * (1 - u)),
+    sine: u => (1 - Math.cos(Math.PI * u)) / 2
+};
+
+const DEFAULT_SPEED = 2.0; // Units/sec along linear and spline paths
+const DEFAULT_ANGULAR_SPEED = 1.0; // Radians/sec around an orbit
+const MIN_LEG_DURATION = 0.001;
+const HEADING_LOOKAHEAD = 0.001; // Seconds ahead sampled for the starting heading of alignToPath
+
+/**
+ * Create the motion state for a path
+ * @param {Object} config - Path definition (see top of file)
+ * @param {Object} defaultCenter - {x, z} used when an orbit or oscillation doesn't give a center (the obstacle's own position)
+ * @returns {Object|null} Motion state for updatePathMotion(), or null if the path is invalid
+ */
+export function createPathMotion(config, defaultCenter = { x: 0, z: 0 }) {
+    const legs = buildLegs(config, defaultCenter);
+    if (!legs) return null;
+
+    // Oscillation is already a smooth sine, so it takes no easing or pauses
+    const isOscillation = config.type === PathType.OSCILLATE;
+    let easing = isOscillation ? Easing.linear : Easing[config.easing || 'linear'];
+    if (!easing) {
+        console.warn(`Unknown path easing "${config.easing}", using linear`);
+        easing = Easing.linear;
+    }
+
+    const pause = isOscillation ? 0 : Math.max(0, config.pause || 0);
+    const motion = {
+        type: config.type,
+        legs,
+        easing,
+        pause,
+        cycleDuration: legs.reduce((sum, leg) => sum + leg.duration + pause, 0),
+        baseRotation: config.rotation || 0,
+        rotationSpeed: config.rotationSpeed || 0,
+        alignToPath: !!config.alignToPath,
+        heading: 0,
+        time: config.phase || 0,
+        position: new THREE.Vector3(),
+        rotation: 0,
+        velocity: new THREE.Vector3(),
+        angularVelocity: 0
+    };
+
+    // Start facing the way the path heads off
+    const start = getPathPosition(motion, motion.time);
+    const ahead = getPathPosition(motion, motion.time + HEADING_LOOKAHEAD);
+    if (ahead.x !== start.x || ahead.z !== start.z) {
+        motion.heading = Math.atan2(-(ahead.z - start.z), ahead.x - start.x);
+    }
+    motion.position.set(start.x, 0, start.z);
+    motion.rotation = getPathRotation(motion, motion.time, motion.heading);
+
+    return motion;
+}
+
+/**
+ * Advance a path motion by one step, updating position, rotation and the velocities collisions push with
+ */
+export function updatePathMotion(motion, deltaTime) {
+    if (deltaTime <= 0) return;
+
+    const previousX = motion.position.x;
+    const previousZ = motion.position.z;
+    const previousRotation = motion.rotation;
+
+    motion.time += deltaTime;
+    const point = getPathPosition(motion, motion.time);
+    const dx = point.x - previousX;
+    const dz = point.z - previousZ;
+
+    // Face the direction of travel (keep the last heading while paused)
+    if (motion.alignToPath && dx * dx + dz * dz > 1e-12) {
+        motion.heading = Math.atan2(-dz, dx);
+    }
+
+    motion.position.set(point.x, 0, point.z);
+    motion.rotation = getPathRotation(motion, motion.time, motion.heading);
+    motion.velocity.set(dx / deltaTime, 0, dz / deltaTime);
+    motion.angularVelocity = wrapAngle(motion.rotation - previousRotation) / deltaTime;
+}
+
+/**
+ * Copy of where a path motion is in its cycle, for restorePathMotion()
+ */
+export function savePathMotion(motion) {
+    return {
+        time: motion.time,
+        heading: motion.heading,
+        position: motion.position.clone(),
+        rotation: motion.rotation,
+        velocity: motion.velocity.clone(),
+        angularVelocity: motion.angularVelocity
+    };
+}
+
+/**
+ * Put a path motion back where savePathMotion() found it
+ */
+export function restorePathMotion(motion, saved) {
+    motion.time = saved.time;
+    motion.heading = saved.heading;
+    motion.position.copy(saved.position);
+    motion.rotation = saved.rotation;
+    motion.velocity.copy(saved.velocity);
+    motion.angularVelocity = saved.angularVelocity;
+}
+
+/**
+ * Velocity of a point on an obstacle moving along a path (its travel plus its spin)
+ * @param {Object} motion - Path motion
+ * @param {THREE.Vector3} point - World point on the obstacle
+ * @param {THREE.Vector3} center - Obstacle's center (the point it spins about)
+ */
+export function getPathPointVelocity(motion, point, center) {
+    const omega = motion.angularVelocity;
+    return new THREE.Vector3(
+        motion.velocity.x + omega * (point.z - center.z),
+        0,
+        motion.velocity.z - omega * (point.x - center.x)
+    );
+}
+
+// Position on the path at a time, as {x, z}
+function getPathPosition(motion, time) {
+    if (motion.cycleDuration <= 0) {
+        return motion.legs[0].at(0);
+    }
+
+    let t = ((time % motion.cycleDuration) + motion.cycleDuration) % motion.cycleDuration;
+    for (const leg of motion.legs) {
+        if (t < leg.duration) {
+            return leg.at(motion.easing(t / leg.duration));
+        }
+        t -= leg.duration;
+        if (t < motion.pause) {
+            return leg.at(1);
+        }
+        t -= motion.pause;
+    }
+    return motion.legs[motion.legs.length - 1].at(1);
+}
+
+function getPathRotation(motion, time, heading) {
+    const spin = motion.baseRotation + motion.rotationSpeed * time;
+    return motion.alignToPath ? spin + heading : spin;
+}
+
+// Each leg is { duration, at(u) -> {x, z} } for 0-1 progress along it
+function buildLegs(config, defaultCenter) {
+    switch (config.type) {
+        case PathType.LINEAR:
+        case PathType.SPLINE:
+            return buildPointLegs(config);
+        case PathType.ORBIT:
+            return buildOrbitLegs(config, defaultCenter);
+        case PathType.OSCILLATE:
+            return buildOscillateLegs(config, defaultCenter);
+        default:
+            console.warn(`Unknown path type "${config.type}", obstacle won't move`);
+            return null;
+    }
+}
+
+function buildPointLegs(config) {
+    const points = (config.points || []).filter(point => Number.isFinite(point.x) && Number.isFinite(point.z));
+    if (points.length < 2) {
+        console.warn(`${config.type} path needs at least 2 points {x, z}, obstacle won't move`);
+        return null;
+    }
+
+    const speed = Math.abs(config.speed || DEFAULT_SPEED);
+    const legs = [];
+
+    if (config.type === PathType.SPLINE) {
+        const curve = new THREE.CatmullRomCurve3(points.map(point => new THREE.Vector3(point.x, 0, point.z)), !!config.loop, 'centripetal');
+        const duration = Math.max(curve.getLength() / speed, MIN_LEG_DURATION);
+        legs.push({ duration, at: u => toPoint(curve.getPointAt(u)) });
+    } else {
+        const stops = config.loop ? [...points, points[0]] : points;
+        for (let i = 0; i < stops.length - 1; i++) {
+            const from = stops[i];
+            const to = stops[i + 1];
+            const length = Math.hypot(to.x - from.x, to.z - from.z);
+            legs.push({
+                duration: Math.max(length / speed, MIN_LEG_DURATION),
+                at: u => ({ x: from.x + (to.x - from.x) * u, z: from.z + (to.z - from.z) * u })
+            });
+        }
+    }
+
+    // Back and forth - retrace the legs in reverse
+    if (!config.loop) {
+        const outbound = [...legs];
+        for (let i = outbound.length - 1; i >= 0; i--) {
+            const leg = outbound[i];
+            legs.push({ duration: leg.duration, at: u => leg.at(1 - u) });
+        }
+    }
+    return legs;
+}
+
+function buildOrbitLegs(config, defaultCenter) {
+    const center = config.center || defaultCenter;
+    const radius = config.radius || 0;
+    const angularSpeed = config.angularSpeed ?? DEFAULT_ANGULAR_SPEED;
+    const startAngle = config.startAngle || 0;
+    const at = angle => ({ x: center.x + Math.cos(angle) * radius, z: center.z + Math.sin(angle) * radius });
+
+    if (angularSpeed === 0) {
+        return [{ duration: 0, at: () => at(startAngle) }];
+    }
+
+    // Swing back and forth through the arc
+    if (config.arc) {
+        const duration = Math.max(Math.abs(config.arc / angularSpeed), MIN_LEG_DURATION);
+        return [
+            { duration, at: u => at(startAngle + config.arc * u) },
+            { duration, at: u => at(startAngle + config.arc * (1 - u)) }
+        ];
+    }
+
+    // Full circles in the direction of angularSpeed
+    const turn = Math.sign(angularSpeed) * Math.PI * 2;
+    return [{ duration: Math.abs(turn / angularSpeed), at: u => at(startAngle + turn * u) }];
+}
+
+function buildOscillateLegs(config, defaultCenter) {
+    const center = config.center || defaultCenter;
+    const offset = config.offset || { x: 0, z: 0 };
+    const speed = config.speed ?? DEFAULT_SPEED;
+    if (speed === 0) {
+        return [{ duration: 0, at: () => ({ x: center.x, z: center.z }) }];
+    }
+
+    // One full sine period per leg
+    const period = (Math.PI * 2) / Math.abs(speed);
+    const sign = Math.sign(speed);
+    return [{
+        duration: period,
+        at: u => {
+            const s = Math.sin(sign * u * Math.PI * 2);
+            return { x: center.x + offset.x * s, z: center.z + offset.z * s };
+        }
+    }];
+}
+
+function toPoint(vector) {
+    return { x: vector.x, z: vector.z };
+}
+
+function wrapAngle(angle) {
+    return angle - Math.PI * 2 * Math.round(angle / (Math.PI * 2));
+}
@@ -1,100 +1,259 @@
 // Custom physics system initialization and update
-import { updateBallPhysics, getBallPosition, getBallVelocity, setBallVelocity, setBallPosition } from './ball.js';
-import { checkWallCollisions } from './collisions.js';
-import { updateFans, checkFanPush, checkFanBladeCollisions } from './fans.js';
-import { applyWindForce } from './wind-zones.js';
+import { getPlayerBall } from './ball.js';
+import { updateFans, saveFans, restoreFans } from './fans.js';
+import { stepWindZones, saveWindZones, restoreWindZones } from './wind-zones.js';
+import { stepMagneticFields, saveMagneticFields, restoreMagneticFields } from './magnetic-fields.js';
+import { updateMovingWalls, saveMovingWalls, restoreMovingWalls } from './moving-walls.js';
+import { updateBumpers, saveBumpers, restoreBumpers } from './bumpers.js';
+import { updatePlatforms, savePlatforms, restorePlatforms } from './platforms.js';
+import { updateCollisionIndex } from './collision-index.js';
 
 export function initPhysics() {
     console.log('Physics system initialized');
 }
 
-// Physics constants
-export const PHYSICS_CONSTANTS = {
+// Physics profiles - the constants the ball, collisions, shot controls, ghost AI and headless simulation all read.
+// A level can pick a profile with physics: 'moon', or adjust one with
+// physics: { profile: 'slippery', GRAVITY: -10 }; otherwise the game mode's profile applies
+const DEFAULT_PHYSICS = {
     FRICTION: 0.97,           // Per frame friction coefficient
     BOUNCE_DAMPING: 0.75,      // Energy loss on collision
     MIN_VELOCITY: 0.01,        // Stop threshold
-    GRAVITY: -15.0             // Gravity (increased for more noticeable falling)
+    GRAVITY: -15.0,            // Gravity (increased for more noticeable falling)
+    AIR_DRAG: 1.5,             // Horizontal slowdown per second in flight (rolling friction only applies on the ground)
+    SLOPE_GRAVITY: 15.0,       // How strongly ramps and slopes pull the ball downhill
+    HOLDING_SLOPE: 0.2,        // A ball slows to a stop and stays put on slopes gentler than this (rise over run)
+    ROLLING_FRICTION: 1.0,     // Scales rolling friction on every surface (below 1 is slippery)
+    HOLE_DOWNWARD_FORCE: -200.0,  // Pull down into the cup (eased off a little for fast balls)
+    HAZARD_DOWNWARD_FORCE: -150.0, // Pull down into rectangular holes
+    MAX_PULL_DISTANCE: 1.67,   // Longest shot pull in world units
+    POWER_SCALE: 80            // Shot speed per unit of pull
 };
 
-// Sub-stepping constants for collision prevention
-const BALL_RADIUS = 0.5;
-const MAX_STEP_DISTANCE = BALL_RADIUS * 0.25; // Ball should never move more than quarter its radius per step
-const MAX_SUB_STEPS = 40; // Maximum sub-steps per frame to prevent infinite loops
+export const PHYSICS_PROFILES = {
+    standard: {},
+    moon: {
+        GRAVITY: -2.5,
+        SLOPE_GRAVITY: 2.5,
+        AIR_DRAG: 0.2,
+        HOLE_DOWNWARD_FORCE: -60.0,
+        HAZARD_DOWNWARD_FORCE: -25.0
+    },
+    slippery: {
+        ROLLING_FRICTION: 0.35,
+        BOUNCE_DAMPING: 0.85,
+        HOLDING_SLOPE: 0.01
+    }
+};
 
-// Main physics update function with sub-stepping for fast-moving balls
-export function updatePhysics(deltaTime) {
-    // Update fans (rotation) - this happens once per frame regardless of sub-steps
-    updateFans(deltaTime);
-    
-    // Calculate how fast the ball is moving
-    const ballVel = getBallVelocity();
-    const speed = ballVel.length();
-    const expectedDistance = speed * deltaTime;
-    
-    // Determine number of sub-steps needed
-    // If the ball would move more than MAX_STEP_DISTANCE, break into smaller steps
-    let numSubSteps = 1;
-    if (expectedDistance > MAX_STEP_DISTANCE && speed > 0.01) {
-        numSubSteps = Math.min(Math.ceil(expectedDistance / MAX_STEP_DISTANCE), MAX_SUB_STEPS);
+// Profile each game mode uses for levels that don't set their own
+export const GAME_MODE_PHYSICS_PROFILES = {
+    single: 'standard',
+    '5holes': 'standard'
+};
+
+// The profile in effect - updated in place when the level or game mode changes, so every import sees it
+export const PHYSICS_CONSTANTS = { ...DEFAULT_PHYSICS };
+
+let gameModeProfile = 'standard';
+let levelProfile = null;
+
+/**
+ * Use a game mode's physics profile (from GAME_MODE_PHYSICS_PROFILES)
+ * @param {string} mode - 'single' or '5holes'
+ */
+export function setGameModePhysicsProfile(mode) {
+    gameModeProfile = GAME_MODE_PHYSICS_PROFILES[mode] || 'standard';
+    applyPhysicsProfile();
+}
+
+/**
+ * Use the level's own physics (null to fall back to the game mode's)
+ * @param {string|Object} profileConfig - Profile name or { profile, ...constants to override }
+ */
+export function setLevelPhysicsProfile(profileConfig) {
+    levelProfile = profileConfig || null;
+    applyPhysicsProfile();
+}
+
+/**
+ * Expand a profile name or config into a full set of physics constants
+ * @param {string|Object} profileConfig - Profile name or { profile, ...constants to override }
+ * @returns {Object} Every constant in PHYSICS_CONSTANTS
+ */
+export function resolvePhysicsProfile(profileConfig) {
+    const { profile: name = 'standard', ...overrides } = typeof profileConfig === 'string'
+        ? { profile: profileConfig }
+        : (profileConfig || {});
+
+    let preset = PHYSICS_PROFILES[name];
+    if (!preset) {
+        console.warn(`Unknown physics profile "${name}", using standard`);
+        preset = PHYSICS_PROFILES.standard;
     }
-    
-    const subDeltaTime = deltaTime / numSubSteps;
-    
-    // Perform sub-stepped physics updates
-    for (let step = 0; step < numSubSteps; step++) {
-        // Apply fan push forces to ball before physics update
-        const ballPos = getBallPosition();
-        const pushForces = checkFanPush(ballPos, BALL_RADIUS);
-        if (pushForces.length > 0) {
-            const currentVel = getBallVelocity();
-            pushForces.forEach(({ force }) => {
-                currentVel.add(force.clone().multiplyScalar(subDeltaTime));
-            });
-            setBallVelocity(currentVel);
-        }
-        
-        // Apply wind zone forces to ball
-        const windBallVel = getBallVelocity();
-        const inWindZone = applyWindForce(ballPos, windBallVel, subDeltaTime);
-        if (inWindZone) {
-            setBallVelocity(windBallVel);
-        }
-        
-        // Update ball physics for this sub-step
-        updateBallPhysics(subDeltaTime);
-
-        // Check for fan blade collisions (windmill blades)
-        const fanCollision = checkFanBladeCollisions(getBallPosition(), BALL_RADIUS);
-        if (fanCollision.collided) {
-            // Move ball out of blade
-            setBallPosition(fanCollision.correctedPos);
-            
-            // Get current velocity
-            const currentVel = getBallVelocity();
-            
-            // Reflect velocity off the blade surface
-            const dot = currentVel.dot(fanCollision.normal);
-            const reflectedVel = currentVel.clone().sub(
-                fanCollision.normal.clone().multiplyScalar(2 * dot)
-            );
-            
-            // Add a small portion of blade's velocity (gentle nudge, not a launch)
-            reflectedVel.add(fanCollision.bladeVelocity.clone().multiplyScalar(0.3));
-            
-            // Apply stronger bounce damping to prevent launching
-            reflectedVel.multiplyScalar(0.5);
-            
-            setBallVelocity(reflectedVel);
-        }
 
-        // Check for wall collisions after each sub-step
-        // This is the key to preventing phasing - check collisions frequently
-        const collisionOccurred = checkWallCollisions();
-        
-        // If ball has essentially stopped, no need to continue sub-stepping
-        const newVel = getBallVelocity();
-        if (newVel.lengthSq() < 0.0001) {
-            break;
+    const resolved = { ...DEFAULT_PHYSICS, ...preset };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (!(key in DEFAULT_PHYSICS) || !Number.isFinite(value)) {
+            console.warn(`Ignoring physics setting ${key}: ${value}`);
+            continue;
         }
+        resolved[key] = value;
+    }
+    return resolved;
+}
+
+/**
+ * Speed of a full-power shot under the current profile
+ */
+export function getMaxShotSpeed() {
+    return PHYSICS_CONSTANTS.MAX_PULL_DISTANCE * PHYSICS_CONSTANTS.POWER_SCALE;
+}
+
+function applyPhysicsProfile() {
+    Object.assign(PHYSICS_CONSTANTS, resolvePhysicsProfile(levelProfile || gameModeProfile));
+}
+
+// Chip shots - loft (0-1) tips the shot up by up to MAX_LOFT_ANGLE so it flies over low walls and hazards
+export const MAX_LOFT_ANGLE = Math.PI / 4;
+const MAX_CHIP_LIFT_SPEED = 10.0; // Caps the arc of hard chips (~3.3 units high at -15 gravity)
+const CHIP_SPEED_FACTOR = 0.3; // Horizontal speed kept at full loft - air drag is far gentler than rolling friction
+
+// Fixed-timestep constants - the simulation always advances in FIXED_TIME_STEP slices
+// so a shot plays out identically at 30, 60 or 144 Hz
+export const FIXED_TIME_STEP = 1 / 120;
+const MAX_FIXED_STEPS_PER_FRAME = 12; // Matches the 0.1s frame cap in main.js
+const FRICTION_REFERENCE_RATE = 60; // Friction multipliers were tuned per 60 Hz frame
+
+// Friction was originally tuned with a collision sub-step per quarter ball radius travelled;
+// getStepFriction() keeps that per-distance rate now that collisions are swept instead
+const BALL_RADIUS = 0.5;
+const MAX_STEP_DISTANCE = BALL_RADIUS * 0.25;
+
+// Leftover render time not yet consumed by a fixed step
+const physicsAccumulator = createFixedStepAccumulator();
+
+/**
+ * Create an accumulator for driving a simulation with consumeFixedSteps()
+ */
+export function createFixedStepAccumulator() {
+    return { time: 0 };
+}
+
+/**
+ * Bank a variable frame delta and run stepFn once per whole FIXED_TIME_STEP available
+ * @param {Object} accumulator - Accumulator from createFixedStepAccumulator()
+ * @param {number} deltaTime - Render frame delta in seconds
+ * @param {Function} stepFn - Called with FIXED_TIME_STEP for each step
+ * @returns {number} Number of fixed steps taken
+ */
+export function consumeFixedSteps(accumulator, deltaTime, stepFn) {
+    // Drop time we could never catch up on instead of spiralling
+    accumulator.time = Math.min(accumulator.time + deltaTime, FIXED_TIME_STEP * MAX_FIXED_STEPS_PER_FRAME);
+
+    let steps = 0;
+    while (accumulator.time >= FIXED_TIME_STEP) {
+        stepFn(FIXED_TIME_STEP);
+        accumulator.time -= FIXED_TIME_STEP;
+        steps++;
     }
+    return steps;
+}
+
+/**
+ * Convert a per-frame friction multiplier into the multiplier for a step of deltaTime.
+ * The original tuning applied friction once per 60 Hz frame and once per collision
+ * sub-step (one sub-step per MAX_STEP_DISTANCE travelled), so fast balls shed speed
+ * per distance rather than per time. Whichever of the two dominates is kept, which
+ * makes the result independent of how the time is sliced.
+ * @param {number} friction - Multiplier tuned per 60 Hz frame (e.g. 0.98)
+ * @param {number} deltaTime - Step length in seconds
+ * @param {number} speed - Current horizontal speed
+ */
+export function getStepFriction(friction, deltaTime, speed = 0) {
+    const frames = Math.max(deltaTime * FRICTION_REFERENCE_RATE, (speed * deltaTime) / MAX_STEP_DISTANCE);
+    return Math.pow(friction, frames);
+}
+
+/**
+ * Turn a flat shot velocity into a chip - trades horizontal speed for lift, so a full-power chip
+ * carries about as far as a full-power putt rolls
+ * @param {THREE.Vector3} velocity - Shot velocity (modified)
+ * @param {number} loft - 0 for a putt along the ground, 1 for the highest chip
+ * @returns {THREE.Vector3} The same velocity
+ */
+export function applyShotLoft(velocity, loft) {
+    const clampedLoft = Math.max(0, Math.min(loft || 0, 1));
+    if (clampedLoft > 0) {
+        const speedScale = 1 - (1 - CHIP_SPEED_FACTOR) * clampedLoft;
+        velocity.x *= speedScale;
+        velocity.z *= speedScale;
+        const horizontalSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        velocity.y = Math.min(horizontalSpeed * Math.tan(clampedLoft * MAX_LOFT_ANGLE), MAX_CHIP_LIFT_SPEED);
+    }
+    return velocity;
+}
+
+/**
+ * Forget any banked frame time (call when a hole is (re)loaded)
+ */
+export function resetPhysicsAccumulator() {
+    physicsAccumulator.time = 0;
+}
+
+// Main physics update function - runs the fixed-step simulation for this frame
+export function updatePhysics(deltaTime) {
+    consumeFixedSteps(physicsAccumulator, deltaTime, stepPhysics);
+}
+
+/**
+ * Advance the course's moving obstacles by one fixed step (also used by the headless simulation)
+ */
+export function updateCourseObjects(deltaTime) {
+    // Move fans, moving walls, bumpers and platforms first so balls are swept against (and ride) where they are this step,
+    // and run wind and magnetic field schedules alongside the fans'
+    updateFans(deltaTime);
+    stepWindZones(deltaTime);
+    stepMagneticFields(deltaTime);
+    updateMovingWalls(deltaTime);
+    updateBumpers(deltaTime);
+    updatePlatforms(deltaTime);
+    updateCollisionIndex(deltaTime);
+}
+
+/**
+ * Where the course's moving obstacles and schedules are now, to put them back with restoreCourseObjects()
+ * (the headless simulation starts every shot from the level's opening snapshot, and the ghost AI
+ * runs the course ahead while it predicts a shot, then rewinds it)
+ */
+export function saveCourseObjects() {
+    return {
+        fans: saveFans(),
+        windZones: saveWindZones(),
+        magneticFields: saveMagneticFields(),
+        movingWalls: saveMovingWalls(),
+        bumpers: saveBumpers(),
+        platforms: savePlatforms()
+    };
+}
+
+/**
+ * Put the course's moving obstacles back where saveCourseObjects() found them
+ */
+export function restoreCourseObjects(saved) {
+    restoreFans(saved.fans);
+    restoreWindZones(saved.windZones);
+    restoreMagneticFields(saved.magneticFields);
+    restoreMovingWalls(saved.movingWalls);
+    restoreBumpers(saved.bumpers);
+    restorePlatforms(saved.platforms);
+    updateCollisionIndex(FIXED_TIME_STEP);
+}
+
+// Advance the world and the player ball by one fixed step
+function stepPhysics(deltaTime) {
+    updateCourseObjects(deltaTime);
+    
+    // Ball forces and swept collisions are handled by the shared ball body
+    getPlayerBall().step(deltaTime);
 }
@@ -0,0 +1,332 @@
+// Moving platforms - floor sections the ball can ride: sliding bridges, turntables and lifts
+// A platform slides and turns along a `path` (see path-motion.js) and/or rises and falls with a `lift`:
+//   { width: 4, depth: 3, position: {x, z}, path: { type: 'linear', points: [...], speed: 2 } } - Sliding bridge
+//   { shape: 'disc', radius: 3, position: {x, z}, rotationSpeed: 0.8 }                          - Turntable
+//   { width: 3, depth: 3, position: {x, z}, lift: { height: 2, speed: 1, pause: 1.5 } }          - Lift
+// `height` is where the top sits at rest (0 = flush with the floor), lifts travel between it and lift.height.
+// A ball resting on a platform is carried with it (ball-body.js) and falls off once nothing is under it.
+import * as THREE from 'three';
+import { scene, isFullMode } from './scene-context.js';
+import { sweepSphere, boxDistance, SWEEP_SKIN } from './sweep.js';
+import { createPathMotion, updatePathMotion, savePathMotion, restorePathMotion, PathType, Easing } from './path-motion.js';
+
+let platforms = [];
+
+const DEFAULT_THICKNESS = 0.3;
+const DEFAULT_LIFT_SPEED = 1.0; // Units/sec up and down
+const DEFAULT_LIFT_PAUSE = 1.0; // Seconds waiting at the bottom and at the top
+const MIN_LIFT_DURATION = 0.001;
+const UP = new THREE.Vector3(0, 1, 0);
+
+export function createPlatform(config) {
+    const {
+        shape = 'box',        // 'box' or 'disc'
+        width = 4.0,          // Box size along local X
+        depth = 4.0,          // Box size along local Z
+        radius = 2.0,         // Disc radius
+        height = 0,           // Top of the platform at rest
+        thickness = DEFAULT_THICKNESS,
+        color = 0x7fa8c9,
+        position = null,      // {x, z} - where it sits (a path's center/points take over)
+        path = null,          // Slide/turn along a path (see path-motion.js)
+        rotation = 0,         // Starting angle when there's no path
+        rotationSpeed = 0,    // Shorthand for spinning in place (turntables)
+        lift = null           // { height, speed, pause, easing, phase } - rise to height and come back down
+    } = config;
+
+    if (shape !== 'box' && shape !== 'disc') {
+        console.warn(`Unknown platform shape "${shape}", skipping`);
+        return null;
+    }
+    if (!position && !path) {
+        console.warn('Platform needs a position or a path, skipping');
+        return null;
+    }
+
+    const center = position || { x: 0, z: 0 };
+    const pathConfig = path || { type: PathType.ORBIT, center, radius: 0, angularSpeed: 0, rotationSpeed, rotation };
+    const motion = createPathMotion(pathConfig, center);
+    if (!motion) {
+        console.warn('Platform path is invalid, skipping');
+        return null;
+    }
+
+    const platformGroup = new THREE.Group();
+    const material = isFullMode
+        ? new THREE.MeshStandardMaterial({ color, metalness: 0.3, roughness: 0.6 })
+        : new THREE.MeshBasicMaterial({ color });
+    const geometry = shape === 'disc'
+        ? new THREE.CylinderGeometry(radius, radius, thickness, 32)
+        : new THREE.BoxGeometry(width, thickness, depth);
+    const slab = new THREE.Mesh(geometry, material);
+    slab.position.y = -thickness / 2; // Group sits at the top surface
+    slab.castShadow = true;
+    slab.receiveShadow = true;
+    platformGroup.add(slab);
+
+    // Stripe across a disc so you can see it turning
+    if (shape === 'disc') {
+        const stripe = new THREE.Mesh(
+            new THREE.BoxGeometry(radius * 1.6, 0.02, Math.min(0.3, radius * 0.2)),
+            new THREE.MeshBasicMaterial({ color: 0xffffff })
+        );
+        stripe.position.y = 0.01;
+        platformGroup.add(stripe);
+    }
+
+    platformGroup.userData.isPlatform = true;
+    platformGroup.userData.shape = shape;
+    platformGroup.userData.width = width;
+    platformGroup.userData.depth = depth;
+    platformGroup.userData.radius = radius;
+    platformGroup.userData.thickness = thickness;
+    platformGroup.userData.motion = motion;
+    platformGroup.userData.baseHeight = height;
+    platformGroup.userData.lift = createLift(lift, height);
+    platformGroup.userData.pose = getPose(platformGroup);
+    platformGroup.userData.previousPose = { ...platformGroup.userData.pose };
+    platformGroup.userData.stepTime = 0;
+    platformGroup.userData.velocity = new THREE.Vector3();
+    platformGroup.userData.angularVelocity = 0;
+    syncPlatformMesh(platformGroup);
+
+    scene.add(platformGroup);
+    platforms.push(platformGroup);
+
+    return platformGroup;
+}
+
+/**
+ * Move every platform one step (call once per physics step, before the balls)
+ */
+export function updatePlatforms(deltaTime) {
+    if (deltaTime <= 0) return;
+
+    platforms.forEach(platform => {
+        const data = platform.userData;
+        updatePathMotion(data.motion, deltaTime);
+        if (data.lift) {
+            data.lift.time += deltaTime;
+        }
+
+        data.previousPose = data.pose;
+        data.pose = getPose(platform);
+        data.stepTime = deltaTime;
+        data.velocity.set(
+            (data.pose.x - data.previousPose.x) / deltaTime,
+            (data.pose.y - data.previousPose.y) / deltaTime,
+            (data.pose.z - data.previousPose.z) / deltaTime
+        );
+        data.angularVelocity = data.motion.angularVelocity;
+        syncPlatformMesh(platform);
+    });
+}
+
+/**
+ * Where every platform is along its path and lift cycle, for restorePlatforms()
+ */
+export function savePlatforms() {
+    return platforms.map(platform => {
+        const data = platform.userData;
+        return {
+            motion: savePathMotion(data.motion),
+            liftTime: data.lift ? data.lift.time : 0,
+            pose: { ...data.pose },
+            previousPose: { ...data.previousPose },
+            stepTime: data.stepTime,
+            velocity: data.velocity.clone(),
+            angularVelocity: data.angularVelocity
+        };
+    });
+}
+
+/**
+ * Put the platforms back where savePlatforms() found them
+ */
+export function restorePlatforms(saved) {
+    platforms.forEach((platform, index) => {
+        const data = platform.userData;
+        const state = saved[index];
+        restorePathMotion(data.motion, state.motion);
+        if (data.lift) {
+            data.lift.time = state.liftTime;
+        }
+        data.pose = { ...state.pose };
+        data.previousPose = { ...state.previousPose };
+        data.stepTime = state.stepTime;
+        data.velocity.copy(state.velocity);
+        data.angularVelocity = state.angularVelocity;
+        syncPlatformMesh(platform);
+    });
+}
+
+export function getPlatforms() {
+    return platforms;
+}
+
+export function isPlatformActive(platform) {
+    return platforms.includes(platform);
+}
+
+export function removeAllPlatforms() {
+    platforms.forEach(platform => {
+        scene.remove(platform);
+        platform.traverse(child => {
+            if (child instanceof THREE.Mesh) {
+                child.geometry?.dispose();
+                child.material?.dispose();
+            }
+        });
+    });
+    platforms = [];
+}
+
+/**
+ * Signed horizontal distance from a point to a platform's outline (negative inside)
+ * @param {Object} pose - Pose to measure against, defaults to where the platform is now
+ */
+export function platformDistance(point, platform, pose = platform.userData.pose) {
+    const data = platform.userData;
+    if (data.shape === 'disc') {
+        return Math.hypot(point.x - pose.x, point.z - pose.z) - data.radius;
+    }
+    return boxDistance(point, {
+        x: pose.x,
+        z: pose.z,
+        halfWidth: data.width / 2,
+        halfDepth: data.depth / 2,
+        rotation: pose.rotation
+    });
+}
+
+/**
+ * Highest platform whose top covers a point and is no higher than maxTop
+ * @param {Array} candidates - Platforms to test (e.g. from the collision index), defaults to all
+ * @returns {Object|null} The platform, or null if none is underneath
+ */
+export function findPlatformBelow(x, z, maxTop, candidates = platforms) {
+    const point = { x, z };
+    let best = null;
+    let bestTop = -Infinity;
+
+    for (const platform of candidates) {
+        const pose = platform.userData.pose;
+        if (pose.y <= maxTop && pose.y > bestTop && platformDistance(point, platform, pose) <= 0) {
+            best = platform;
+            bestTop = pose.y;
+        }
+    }
+    return best;
+}
+
+/**
+ * Move a point the way a platform moved between two poses (turning about the platform's center)
+ * @returns {THREE.Vector3} New position of the point
+ */
+export function carryWithPlatform(point, fromPose, toPose) {
+    const offset = new THREE.Vector3(point.x - fromPose.x, 0, point.z - fromPose.z)
+        .applyAxisAngle(UP, toPose.rotation - fromPose.rotation);
+    return new THREE.Vector3(
+        toPose.x + offset.x,
+        point.y + toPose.y - fromPose.y,
+        toPose.z + offset.z
+    );
+}
+
+/**
+ * Velocity of a point riding a platform over its last step (its slide, spin and lift)
+ */
+export function getPlatformPointVelocity(platform, point) {
+    const data = platform.userData;
+    if (data.stepTime <= 0) return new THREE.Vector3();
+    return carryWithPlatform(point, data.previousPose, data.pose).sub(point).divideScalar(data.stepTime);
+}
+
+/**
+ * Find the first platform side the ball runs into during a physics step (swept sphere vs moving slab)
+ * Balls level with or above the top roll onto it instead, and balls underneath a raised platform pass below
+ * @param {number} deltaTime - Length of the physics step
+ * @param {number} elapsed - Fraction of the step already used up (0-1) by earlier hits
+ * @param {Array} candidates - Platforms to test (e.g. from the collision index), defaults to all
+ * @returns {Object|null} { t, normal, penetration, platform, platformVelocity } or null if the path is clear
+ */
+export function sweepPlatforms(start, motion, ballRadius, deltaTime, elapsed = 0, candidates = platforms) {
+    let firstHit = null;
+    const remaining = 1 - elapsed;
+
+    for (const platform of candidates) {
+        const data = platform.userData;
+        const top = data.pose.y;
+        if (start.y - ballRadius >= top - SWEEP_SKIN || start.y + ballRadius <= top - data.thickness) continue;
+
+        // Platform has already been moved to the end of the step - sweep from where it was at `elapsed`
+        const stepTime = deltaTime * remaining;
+        const pose = {
+            x: data.pose.x - data.velocity.x * stepTime,
+            y: top,
+            z: data.pose.z - data.velocity.z * stepTime,
+            rotation: data.pose.rotation - data.angularVelocity * stepTime
+        };
+
+        // Sweep in the frame of the platform edge next to the ball (see sweepMovingWalls)
+        const edgeVelocity = getPlatformPointVelocity(platform, start).setY(0);
+        const relativeMotion = motion.clone().addScaledVector(edgeVelocity, -stepTime);
+
+        const hit = sweepSphere(start, relativeMotion, ballRadius, point => platformDistance(point, platform, pose));
+        if (hit && (!firstHit || hit.t < firstHit.t)) {
+            firstHit = { ...hit, platform, platformVelocity: edgeVelocity };
+        }
+    }
+
+    return firstHit;
+}
+
+function createLift(lift, baseHeight) {
+    if (!lift) {
+        return null;
+    }
+    if (!Number.isFinite(lift.height)) {
+        console.warn('Platform lift needs a height, platform won\'t rise');
+        return null;
+    }
+
+    let easing = Easing[lift.easing || 'sine'];
+    if (!easing) {
+        console.warn(`Unknown lift easing "${lift.easing}", using sine`);
+        easing = Easing.sine;
+    }
+    const speed = Math.abs(lift.speed || DEFAULT_LIFT_SPEED);
+    return {
+        low: baseHeight,
+        high: lift.height,
+        duration: Math.max(Math.abs(lift.height - baseHeight) / speed, MIN_LIFT_DURATION),
+        pause: Math.max(0, lift.pause ?? DEFAULT_LIFT_PAUSE),
+        easing,
+        time: lift.phase || 0
+    };
+}
+
+// Top height of a lift at a time - waits at the bottom, rises, waits at the top, comes back down
+function getLiftHeight(lift, time) {
+    const cycle = 2 * (lift.duration + lift.pause);
+    let t = ((time % cycle) + cycle) % cycle;
+    if (t < lift.pause) return lift.low;
+    t -= lift.pause;
+    if (t < lift.duration) return lift.low + (lift.high - lift.low) * lift.easing(t / lift.duration);
+    t -= lift.duration;
+    if (t < lift.pause) return lift.high;
+    t -= lift.pause;
+    return lift.high + (lift.low - lift.high) * lift.easing(t / lift.duration);
+}
+
+function getPose(platform) {
+    const data = platform.userData;
+    const top = data.lift ? getLiftHeight(data.lift, data.lift.time) : data.baseHeight;
+    return { x: data.motion.position.x, y: top, z: data.motion.position.z, rotation: data.motion.rotation };
+}
+
+function syncPlatformMesh(platform) {
+    const pose = platform.userData.pose;
+    platform.position.set(pose.x, pose.y, pose.z);
+    platform.rotation.y = pose.rotation;
+}
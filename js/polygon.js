@@ -0,0 +1,67 @@
+// Polygon helpers for level regions given as corner points {x, z} (surface zones, water hazards)
+
+/**
+ * Corner points of a region defined either as { polygon: [{x, z}, ...] } or as a rectangle { minX, maxX, minZ, maxZ }
+ * @returns {Array|null} Copied corner points, or null if the definition has neither
+ */
+export function getRegionPolygon(def) {
+    const polygon = def.polygon || [
+        { x: def.minX, z: def.minZ },
+        { x: def.maxX, z: def.minZ },
+        { x: def.maxX, z: def.maxZ },
+        { x: def.minX, z: def.maxZ }
+    ];
+    if (polygon.length < 3 || polygon.some(point => !Number.isFinite(point.x) || !Number.isFinite(point.z))) {
+        return null;
+    }
+    return polygon.map(point => ({ x: point.x, z: point.z }));
+}
+
+export function getPolygonBounds(polygon) {
+    return {
+        minX: Math.min(...polygon.map(point => point.x)),
+        maxX: Math.max(...polygon.map(point => point.x)),
+        minZ: Math.min(...polygon.map(point => point.z)),
+        maxZ: Math.max(...polygon.map(point => point.z))
+    };
+}
+
+// Even-odd ray casting test
+export function isPointInPolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.z > z) !== (b.z > z) &&
+            x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Where the segment from (x1, z1) to (x2, z2) first crosses the polygon's outline
+ * @returns {number|null} Fraction along the segment (0-1), or null if it doesn't cross
+ */
+export function getSegmentPolygonCrossing(x1, z1, x2, z2, polygon) {
+    let firstT = null;
+    const dx = x2 - x1;
+    const dz = z2 - z1;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[j];
+        const b = polygon[i];
+        const ex = b.x - a.x;
+        const ez = b.z - a.z;
+        const denominator = dx * ez - dz * ex;
+        if (Math.abs(denominator) < 1e-12) continue; // Parallel
+
+        const t = ((a.x - x1) * ez - (a.z - z1) * ex) / denominator;
+        const u = ((a.x - x1) * dz - (a.z - z1) * dx) / denominator;
+        if (t >= 0 && t <= 1 && u >= 0 && u <= 1 && (firstT === null || t < firstT)) {
+            firstT = t;
+        }
+    }
+    return firstT;
+}
@@ -1,6 +1,6 @@
 // Power-up system
 import * as THREE from 'three';
-import { scene, isFullMode } from './main.js';
+import { scene, isFullMode } from './scene-context.js';
 import { createPowerUpParticles, updatePowerUpParticles } from './particles.js';
 
 // Power-up types
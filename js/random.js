@@ -0,0 +1,65 @@
+// Seeded random numbers for anything that affects gameplay outcomes
+// (visual-only effects can keep using Math.random)
+
+// Game seed - picked once per page load, override with setGameSeed() to replay a session
+let gameSeed = generateSeed();
+
+function generateSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        const randomArray = new Uint32Array(1);
+        crypto.getRandomValues(randomArray);
+        return randomArray[0];
+    }
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Create a deterministic random generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Returns a float in [0, 1) on each call
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Combine a seed with extra keys (strings or numbers) into a new seed,
+ * so each system (power-ups, ghost AI, ...) gets its own independent stream
+ */
+export function deriveSeed(seed, ...keys) {
+    let hash = (seed >>> 0) ^ 0x811C9DC5;
+    for (const key of keys) {
+        const text = String(key);
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        // Separator so ('ab', 'c') and ('a', 'bc') differ
+        hash ^= 0xFF;
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Pick a random element from a list
+ */
+export function randomChoice(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+export function getGameSeed() {
+    return gameSeed;
+}
+
+export function setGameSeed(seed) {
+    gameSeed = seed >>> 0;
+    console.log('Game seed set to', gameSeed);
+}
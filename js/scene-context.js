@@ -0,0 +1,26 @@
+// Scene context - the scene and game mode shared by every gameplay module
+// main.js and courses.js fill this in for the browser; headless-sim.js fills it in for Node
+// (kept separate from main.js so course/obstacle modules load without a canvas)
+
+export let scene = null;
+export let isFullMode = true; // true = Full mode, false = Prototype mode
+export let isHeadless = false; // true when running without a renderer (no models, textures or DOM)
+export let courseIndex = -1; // Built-in course being played (-1 for any other level)
+
+/**
+ * Set the scene modules should add their objects to
+ * @param {THREE.Scene} newScene
+ * @param {Object} options - { headless }
+ */
+export function setScene(newScene, options = {}) {
+    scene = newScene;
+    isHeadless = !!options.headless;
+}
+
+export function setFullMode(fullMode) {
+    isFullMode = fullMode;
+}
+
+export function setCourseIndex(index) {
+    courseIndex = index;
+}
@@ -0,0 +1,123 @@
+// Schedules - timed on/off cycles and pulsing strength for fans, wind zones and magnetic fields
+// An obstacle takes one as its `schedule`, which scales its strength between 0 (off) and 1 (full):
+//   { on: 3, off: 2 }                            - Full strength for 3s, then off for 2s, repeating
+//   { on: 3, off: 2, rampUp: 1, rampDown: 0.5 }  - Spins up / dies down over this many seconds in between
+//   { pulse: 2, min: 0.3 }                       - Swings smoothly from full down to min and back every 2s
+// Cycles and pulses combine (pulsing while on), and phase (seconds into the schedule to start at)
+// staggers neighbouring obstacles so they take turns. Schedules advance with the fixed physics step,
+// so a timing puzzle plays out the same in the game and in the headless simulation.
+
+/**
+ * Create the timing state for a schedule
+ * @param {Object} config - Schedule definition (see top of file)
+ * @returns {Object|null} Schedule for advanceSchedule(), or null if there isn't one or it's invalid
+ */
+export function createSchedule(config) {
+    if (!config) return null;
+
+    const {
+        on = 0,
+        off = 0,
+        rampUp = 0,
+        rampDown = 0,
+        pulse = 0,
+        min = 0,
+        phase = 0
+    } = config;
+
+    const durations = [on, off, rampUp, rampDown, pulse];
+    if (![...durations, min, phase].every(Number.isFinite) || durations.some(duration => duration < 0)) {
+        console.warn('Schedule times must be zero or more seconds, ignoring it', config);
+        return null;
+    }
+
+    const cycleDuration = rampUp + on + rampDown + off;
+    if (cycleDuration === 0 && pulse === 0) {
+        console.warn('Schedule needs on/off times or a pulse period, ignoring it', config);
+        return null;
+    }
+
+    const schedule = {
+        on,
+        rampUp,
+        rampDown,
+        cycleDuration,
+        pulse,
+        min: Math.max(0, Math.min(1, min)),
+        time: phase,
+        level: 1
+    };
+    schedule.level = getScheduleLevelAt(schedule, schedule.time);
+    return schedule;
+}
+
+/**
+ * Move a schedule on by one step
+ */
+export function advanceSchedule(schedule, deltaTime) {
+    if (!schedule) return;
+    schedule.time += deltaTime;
+    schedule.level = getScheduleLevelAt(schedule, schedule.time);
+}
+
+/**
+ * Copy of where a schedule is in its cycle, for restoreSchedule() (null without one)
+ */
+export function saveSchedule(schedule) {
+    return schedule ? { time: schedule.time, level: schedule.level } : null;
+}
+
+/**
+ * Put a schedule back where saveSchedule() found it
+ */
+export function restoreSchedule(schedule, saved) {
+    if (!schedule) return;
+    schedule.time = saved.time;
+    schedule.level = saved.level;
+}
+
+/**
+ * Current strength (0-1) of an obstacle's schedule - always full without one
+ */
+export function getScheduleLevel(schedule) {
+    return schedule ? schedule.level : 1;
+}
+
+/**
+ * Strength (0-1) a schedule will have at a time since it started
+ */
+export function getScheduleLevelAt(schedule, time) {
+    let level = 1;
+
+    if (schedule.cycleDuration > 0) {
+        const t = mod(time, schedule.cycleDuration);
+        const fullStart = schedule.rampUp;
+        const fullEnd = fullStart + schedule.on;
+        const offStart = fullEnd + schedule.rampDown;
+        if (t < fullStart) {
+            level = smoothStep(t / schedule.rampUp);
+        } else if (t < fullEnd) {
+            level = 1;
+        } else if (t < offStart) {
+            level = 1 - smoothStep((t - fullEnd) / schedule.rampDown);
+        } else {
+            level = 0;
+        }
+    }
+
+    if (schedule.pulse > 0) {
+        const wave = 0.5 + 0.5 * Math.cos((mod(time, schedule.pulse) / schedule.pulse) * Math.PI * 2);
+        level *= schedule.min + (1 - schedule.min) * wave;
+    }
+
+    return level;
+}
+
+// Eased 0-1 so ramps start and finish gently
+function smoothStep(u) {
+    return u * u * (3 - 2 * u);
+}
+
+function mod(value, period) {
+    return ((value % period) + period) % period;
+}
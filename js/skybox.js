@@ -1,6 +1,6 @@
 // Animated night skybox with stars and shooting stars
 import * as THREE from 'three';
-import { scene } from './main.js';
+import { scene } from './scene-context.js';
 
 let skybox = null;
 let stars = null;
@@ -0,0 +1,76 @@
+// Ball spin - sidespin curves the roll, topspin keeps it rolling, backspin checks it up off walls and bumpers
+// Spin is { side, top }, each -1 to 1: side > 0 curves right of the direction of travel,
+// top > 0 is topspin and top < 0 is backspin. It wears off as the ball rolls and on every impact.
+import * as THREE from 'three';
+
+export const MAX_SPIN = 1.0;
+
+const SIDESPIN_TURN_RATE = 0.6; // How fast full sidespin turns the roll (radians/sec, speed is kept)
+const TOPSPIN_ROLL = 12.0; // Forward push at full topspin (units/sec²)
+const BACKSPIN_DRAG = 4.0; // Extra slowdown while rolling at full backspin (units/sec²)
+const BACKSPIN_CHECK = 0.6; // Fraction of the rebound speed full backspin takes off a wall or bumper hit
+const SPIN_DECAY = 0.5; // Spin lost per second on turf (scaled by the surface's friction)
+const IMPACT_SPIN_RETAINED = 0.5; // Fraction of the sidespin and backspin left after a hit (topspin is lost)
+const MIN_SPIN_SPEED = 0.5; // Slower balls have no spin left to act on
+const MIN_SPIN = 0.01;
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+export function createSpin(side = 0, top = 0) {
+    return { side: clampSpin(side), top: clampSpin(top) };
+}
+
+export function clampSpin(value) {
+    return Math.max(-MAX_SPIN, Math.min(MAX_SPIN, value || 0));
+}
+
+export function hasSpin(spin) {
+    return spin.side !== 0 || spin.top !== 0;
+}
+
+/**
+ * Spin acting on a rolling ball for one step - curves it and speeds it up or holds it back
+ * @param {THREE.Vector3} velocity - Ball velocity (modified)
+ * @param {Object} spin - { side, top } (modified as it wears off)
+ * @param {number} deltaTime - Step length in seconds
+ * @param {number} surfaceFriction - Friction multiplier of the surface (sand scrubs spin off faster)
+ */
+export function applySpinToRoll(velocity, spin, deltaTime, surfaceFriction = 1) {
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    if (speed < MIN_SPIN_SPEED) {
+        spin.side = 0;
+        spin.top = 0;
+        return;
+    }
+
+    // Turn the roll towards its right-hand side (as seen from behind the ball) without changing its speed
+    // - a turn rate rather than a sideways push, so slow balls curve gently instead of spiralling
+    if (spin.side !== 0) {
+        velocity.applyAxisAngle(UP, -spin.side * SIDESPIN_TURN_RATE * deltaTime);
+    }
+
+    const forward = new THREE.Vector3(velocity.x, 0, velocity.z).normalize();
+    const roll = spin.top > 0 ? TOPSPIN_ROLL : BACKSPIN_DRAG;
+    velocity.addScaledVector(forward, spin.top * roll * deltaTime);
+
+    decaySpin(spin, deltaTime, surfaceFriction);
+}
+
+/**
+ * Spin's effect on a bounce off a wall or bumper - backspin checks the ball up, and each hit scrubs spin off
+ * @param {THREE.Vector3} velocity - Rebound velocity (modified)
+ * @param {Object} spin - { side, top } (modified)
+ */
+export function applySpinOnImpact(velocity, spin) {
+    if (spin.top < 0) {
+        velocity.multiplyScalar(1 - BACKSPIN_CHECK * -spin.top);
+    }
+    spin.side *= IMPACT_SPIN_RETAINED;
+    spin.top = spin.top > 0 ? 0 : spin.top * IMPACT_SPIN_RETAINED; // Topspin would only drive it away from the wall
+}
+
+function decaySpin(spin, deltaTime, surfaceFriction) {
+    const retained = Math.exp(-SPIN_DECAY * surfaceFriction * deltaTime);
+    spin.side = Math.abs(spin.side * retained) < MIN_SPIN ? 0 : spin.side * retained;
+    spin.top = Math.abs(spin.top * retained) < MIN_SPIN ? 0 : spin.top * retained;
+}
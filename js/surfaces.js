@@ -0,0 +1,117 @@
+// Surface zones - floor regions with their own ball physics (sand traps, ice patches, boost pads, ...)
+// Level definitions list them in surfaceZones, either as a rectangle like floorZones
+// ({ type, minX, maxX, minZ, maxZ }) or as a polygon like floorPolygons ({ type, polygon: [{x, z}, ...] }).
+// Later zones sit on top of earlier ones where they overlap.
+import * as THREE from 'three';
+import { scene } from './scene-context.js';
+import { createSurfaceMesh, removeSurfaceMesh } from './floor.js';
+import { getRegionPolygon, getPolygonBounds, isPointInPolygon } from './polygon.js';
+
+/**
+ * Physics of each surface type
+ * friction - how fast the ball loses speed relative to normal turf (2 = twice as fast, 0.25 = a quarter)
+ * rollingResistance - constant slowdown in units/sec², stops slow balls dead on sand and sticky pads
+ * bounce - fraction of the downward speed kept when the ball lands on it
+ * boostStrength - push along the zone's direction in units/sec² (boost pads only)
+ */
+export const SURFACE_TYPES = {
+    turf: { friction: 1.0, rollingResistance: 0, bounce: 0.25, boostStrength: 0 },
+    sand: { friction: 3.0, rollingResistance: 6.0, bounce: 0.0, boostStrength: 0 },
+    ice: { friction: 0.2, rollingResistance: 0, bounce: 0.4, boostStrength: 0 },
+    rough: { friction: 1.8, rollingResistance: 2.0, bounce: 0.15, boostStrength: 0 },
+    sticky: { friction: 4.0, rollingResistance: 15.0, bounce: 0.0, boostStrength: 0 },
+    boost: { friction: 0.5, rollingResistance: 0, bounce: 0.25, boostStrength: 60.0 }
+};
+
+// Surface used wherever no zone covers the ball
+const DEFAULT_SURFACE = createSurface('turf');
+
+let surfaceZones = [];
+
+/**
+ * Create a surface zone
+ * @param {Object} config - Surface zone configuration
+ * @param {string} config.type - Surface type (sand, ice, rough, sticky, boost)
+ * @param {Array} config.polygon - Corner points {x, z} (or minX/maxX/minZ/maxZ for a rectangle)
+ * @param {Object} config.direction - Push direction {x, z} for boost pads
+ * @param {number} config.friction - Optional override of the type's friction (also rollingResistance, bounce, boostStrength)
+ */
+export function createSurfaceZone(config) {
+    if (!SURFACE_TYPES[config.type]) {
+        console.warn(`Unknown surface type "${config.type}", skipping surface zone`);
+        return null;
+    }
+
+    const polygon = getRegionPolygon(config);
+    if (!polygon) {
+        console.warn(`Surface zone "${config.type}" needs a polygon or minX/maxX/minZ/maxZ, skipping`);
+        return null;
+    }
+
+    const zone = {
+        type: config.type,
+        polygon,
+        ...getPolygonBounds(polygon),
+        surface: createSurface(config.type, config),
+        mesh: null
+    };
+
+    zone.mesh = createSurfaceMesh(zone);
+    if (scene && zone.mesh) {
+        scene.add(zone.mesh);
+    }
+
+    surfaceZones.push(zone);
+    console.log(`Surface zone created: ${zone.type} (${zone.minX}, ${zone.minZ}) to (${zone.maxX}, ${zone.maxZ})`);
+
+    return zone;
+}
+
+/**
+ * Surface physics at a point on the course (turf if no zone covers it)
+ * @returns {Object} { type, friction, rollingResistance, bounce, boost } (boost is a Vector3 push in units/sec²)
+ */
+export function getSurfaceAt(x, z) {
+    // Topmost zone wins
+    for (let i = surfaceZones.length - 1; i >= 0; i--) {
+        const zone = surfaceZones[i];
+        if (x < zone.minX || x > zone.maxX || z < zone.minZ || z > zone.maxZ) continue;
+        if (isPointInPolygon(x, z, zone.polygon)) {
+            return zone.surface;
+        }
+    }
+    return DEFAULT_SURFACE;
+}
+
+export function getSurfaceZones() {
+    return surfaceZones;
+}
+
+export function removeAllSurfaceZones() {
+    surfaceZones.forEach(zone => {
+        if (zone.mesh) {
+            if (scene) scene.remove(zone.mesh);
+            removeSurfaceMesh(zone.mesh);
+        }
+    });
+    surfaceZones = [];
+}
+
+function createSurface(type, overrides = {}) {
+    const base = SURFACE_TYPES[type];
+    const surface = {
+        type,
+        friction: overrides.friction ?? base.friction,
+        rollingResistance: overrides.rollingResistance ?? base.rollingResistance,
+        bounce: overrides.bounce ?? base.bounce,
+        boost: null
+    };
+
+    const boostStrength = overrides.boostStrength ?? base.boostStrength;
+    if (boostStrength > 0) {
+        const direction = new THREE.Vector3(overrides.direction?.x ?? 0, 0, overrides.direction?.z ?? 1);
+        if (direction.lengthSq() === 0) direction.set(0, 0, 1);
+        surface.boost = direction.normalize().multiplyScalar(boostStrength);
+    }
+    return surface;
+}
@@ -0,0 +1,136 @@
+// Swept-sphere (continuous) collision helpers
+// Shapes are described by signed distance functions; sweepSphere() finds the first time of impact
+// along a straight move, so a ball can't tunnel through a wall no matter how fast it goes
+import * as THREE from 'three';
+
+export const SWEEP_SKIN = 0.01; // Gap left between the ball and a surface after a hit
+
+const MAX_ADVANCE_ITERATIONS = 32;
+const CONTACT_TOLERANCE = 0.001;
+const GRADIENT_STEP = 0.001;
+
+/**
+ * Signed distance from a point to a vertical box of unlimited height (XZ only)
+ * @param {THREE.Vector3} point
+ * @param {Object} box - { x, z, halfWidth, halfDepth, rotation } (halfWidth along local X, rotation like mesh.rotation.y)
+ */
+export function boxDistance(point, box) {
+    const dx = point.x - box.x;
+    const dz = point.z - box.z;
+
+    // World to box-local space (inverse of a rotation about Y)
+    const cosRot = Math.cos(box.rotation || 0);
+    const sinRot = Math.sin(box.rotation || 0);
+    const localX = dx * cosRot - dz * sinRot;
+    const localZ = dx * sinRot + dz * cosRot;
+
+    const qx = Math.abs(localX) - box.halfWidth;
+    const qz = Math.abs(localZ) - box.halfDepth;
+    const outside = Math.sqrt(Math.pow(Math.max(qx, 0), 2) + Math.pow(Math.max(qz, 0), 2));
+    const inside = Math.min(Math.max(qx, qz), 0);
+    return outside + inside;
+}
+
+/**
+ * Signed distance from a point to a vertical half-space (XZ only), positive on the open side
+ * @param {Object} plane - { normal: {x, z} (unit, pointing into the open side), offset }
+ */
+export function planeDistance(point, plane) {
+    return point.x * plane.normal.x + point.z * plane.normal.z - plane.offset;
+}
+
+/**
+ * Signed distance from a point to a horizontal torus (donut lying flat)
+ * @param {Object} torus - { x, y, z, radius (ring), tubeRadius }
+ */
+export function torusDistance(point, torus) {
+    const horizontalDist = Math.sqrt(
+        Math.pow(point.x - torus.x, 2) +
+        Math.pow(point.z - torus.z, 2)
+    );
+    const ringDist = horizontalDist - torus.radius;
+    const verticalDist = point.y - torus.y;
+    return Math.sqrt(ringDist * ringDist + verticalDist * verticalDist) - torus.tubeRadius;
+}
+
+/**
+ * Signed distance from a point to an arbitrarily rotated box (fan blades)
+ * @param {Object} box - { center: THREE.Vector3, inverseQuaternion: THREE.Quaternion, halfSize: THREE.Vector3 }
+ */
+export function orientedBoxDistance(point, box) {
+    const local = point.clone().sub(box.center).applyQuaternion(box.inverseQuaternion);
+    const qx = Math.abs(local.x) - box.halfSize.x;
+    const qy = Math.abs(local.y) - box.halfSize.y;
+    const qz = Math.abs(local.z) - box.halfSize.z;
+    const outside = Math.sqrt(
+        Math.pow(Math.max(qx, 0), 2) +
+        Math.pow(Math.max(qy, 0), 2) +
+        Math.pow(Math.max(qz, 0), 2)
+    );
+    const inside = Math.min(Math.max(qx, qy, qz), 0);
+    return outside + inside;
+}
+
+/**
+ * Horizontal surface normal of a distance function at a point (central differences)
+ */
+export function surfaceNormal(distanceFn, point) {
+    const probe = point.clone();
+    probe.x = point.x + GRADIENT_STEP;
+    const right = distanceFn(probe);
+    probe.x = point.x - GRADIENT_STEP;
+    const left = distanceFn(probe);
+    probe.x = point.x;
+    probe.z = point.z + GRADIENT_STEP;
+    const back = distanceFn(probe);
+    probe.z = point.z - GRADIENT_STEP;
+    const front = distanceFn(probe);
+
+    const normal = new THREE.Vector3(right - left, 0, back - front);
+    if (normal.lengthSq() < 1e-12) {
+        return null;
+    }
+    return normal.normalize();
+}
+
+/**
+ * Sweep a sphere from start along motion and find when it first touches a shape
+ * Uses conservative advancement: the distance to the surface is never more than the
+ * distance the ball can travel, so stepping by it can't skip past the surface
+ * @param {THREE.Vector3} start - Ball center at t = 0
+ * @param {THREE.Vector3} motion - Ball displacement over the sweep (t = 0..1)
+ * @param {number} radius - Ball radius
+ * @param {Function} distanceFn - Signed distance from a point to the shape surface
+ * @returns {Object|null} { t, normal, penetration } or null if the path is clear
+ */
+export function sweepSphere(start, motion, radius, distanceFn) {
+    const motionLength = motion.length();
+    const point = start.clone();
+    let t = 0;
+
+    for (let i = 0; i < MAX_ADVANCE_ITERATIONS; i++) {
+        point.copy(start).addScaledVector(motion, t);
+        const gap = distanceFn(point) - radius;
+
+        if (gap <= CONTACT_TOLERANCE) {
+            const normal = surfaceNormal(distanceFn, point);
+            if (!normal) return null;
+
+            // Touching but moving away (e.g. resting against a wall) - not a hit
+            if (motion.dot(normal) >= 0) return null;
+
+            return { t, normal, penetration: Math.max(0, -gap) };
+        }
+
+        if (motionLength < 1e-9) return null;
+        t += gap / motionLength;
+        if (t > 1) return null;
+    }
+
+    // Ran out of iterations while grazing a surface - only a hit if the move ends inside it
+    point.copy(start).add(motion);
+    if (distanceFn(point) - radius > CONTACT_TOLERANCE) return null;
+    const normal = surfaceNormal(distanceFn, point);
+    if (!normal || motion.dot(normal) >= 0) return null;
+    return { t, normal, penetration: 0 };
+}
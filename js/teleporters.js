@@ -1,10 +1,26 @@
 // Teleporter system - colored squares that teleport the ball
+// Where a pad sends the ball (level `teleporters` entries):
+//   { position, pairId: 0 }                            - Two pads with the same pairId send to each other
+//   { position, network: 'ring', pick: 'roundRobin' }  - Sends to one of the other pads in its network, in turn ('roundRobin')
+//                                                        or seeded by the game seed ('random')
+//   { position, sendTo: 'b' }                          - One-way link to the pad(s) with id 'b' - chain them A -> B -> C
+//   { position, id: 'c', exitOnly: true }              - Only receives (the end of a chain)
+// and how it comes out of the pad it arrives at - the ball stops dead unless that pad sets:
+//   exitDirection: {x, z}  - Heading it leaves in, whichever way it came in
+//   speedScale: 1.5        - Multiplies the speed it came in with
+//   keepSpeed: true        - Carry on at the same speed and heading (implied by either of the above)
+// A ball can't go back through the pair or network pad it just arrived at; one-way links have no way back anyway.
 import * as THREE from 'three';
-import { scene, isFullMode } from './main.js';
+import { scene, isFullMode } from './scene-context.js';
+import { createRandom, deriveSeed, getGameSeed } from './random.js';
+
+export const TeleporterPick = {
+    ROUND_ROBIN: 'roundRobin',
+    RANDOM: 'random'
+};
 
 let teleporters = [];
-let lastTeleportedDestinationId = null; // Track which teleporter we teleported TO (to prevent going back)
-let teleportCooldown = 0; // Cooldown timer to prevent immediate re-teleportation
+const TELEPORT_COOLDOWN = 0.5; // Seconds before the same ball can teleport again
 
 // Color palette for teleporter pairs
 const TELEPORTER_COLORS = [
@@ -25,8 +41,17 @@ export function createTeleporter(config) {
         position,              // THREE.Vector3 position
         pairId = 0,           // ID to match with paired teleporter
         size = 4.0,          // Size of the teleporter square (increased from 2.0)
-        color = null          // Optional color override
+        color = null,         // Optional color override
+        id = null,            // Name triggers switch it on and off by - give both of a pair the same id (see triggers.js)
+        enabled = true,       // A switched-off teleporter shows only its outline and doesn't send or receive balls
+        network = null,       // Network name - sends to the other pads in it instead of a pair
+        pick = TeleporterPick.ROUND_ROBIN, // How a network or multi-pad link picks where to send the ball
+        sendTo = null,        // Id of the pad(s) it sends to, one way
+        exitOnly = false,     // Never sends, only receives
+        exitDirection = null, // {x, z} heading balls leave this pad in
+        speedScale = 1.0      // Speed balls leave this pad with, as a share of the speed they went in with
     } = config;
+    const keepSpeed = config.keepSpeed ?? (exitDirection !== null || speedScale !== 1.0);
 
     // Use provided color or assign from palette based on pairId
     const teleporterColor = color !== null ? color : TELEPORTER_COLORS[pairId % TELEPORTER_COLORS.length];
@@ -122,6 +147,28 @@ export function createTeleporter(config) {
     teleporterGroup.userData.square = square;
     teleporterGroup.userData.border = border;
     teleporterGroup.userData.startTime = Date.now() / 1000; // For animation
+    teleporterGroup.userData.id = id;
+    teleporterGroup.userData.network = network;
+    teleporterGroup.userData.sendTo = sendTo;
+    teleporterGroup.userData.exitOnly = exitOnly;
+    teleporterGroup.userData.pick = pick;
+    if (!Object.values(TeleporterPick).includes(pick)) {
+        console.warn(`Unknown teleporter pick "${pick}", using roundRobin`);
+        teleporterGroup.userData.pick = TeleporterPick.ROUND_ROBIN;
+    }
+    if (sendTo !== null && network !== null) {
+        console.warn(`Teleporter has both sendTo "${sendTo}" and network "${network}" - using sendTo`);
+    }
+    teleporterGroup.userData.exit = keepSpeed ? createExit(exitDirection, speedScale) : null;
+    teleporterGroup.userData.seed = deriveSeed(getGameSeed(), 'teleporter', teleporters.length);
+    resetDestinationPick(teleporterGroup);
+
+    // Arrow showing which way balls leave
+    if (teleporterGroup.userData.exit && teleporterGroup.userData.exit.direction) {
+        teleporterGroup.userData.exitArrow = createExitArrow(teleporterGroup.userData.exit.direction, size, teleporterColor);
+        teleporterGroup.add(teleporterGroup.userData.exitArrow);
+    }
+    setTeleporterEnabled(teleporterGroup, enabled);
 
     scene.add(teleporterGroup);
     teleporters.push(teleporterGroup);
@@ -129,10 +176,28 @@ export function createTeleporter(config) {
     return teleporterGroup;
 }
 
+/**
+ * Switch a teleporter on or off
+ */
+export function setTeleporterEnabled(teleporter, enabled) {
+    teleporter.userData.enabled = enabled;
+    teleporter.userData.square.visible = enabled;
+    if (teleporter.userData.exitArrow) {
+        teleporter.userData.exitArrow.visible = enabled;
+    }
+}
+
 export function getTeleporters() {
     return teleporters;
 }
 
+/**
+ * Restart every network's round-robin and random picks (call when a hole is (re)started)
+ */
+export function resetTeleporters() {
+    teleporters.forEach(resetDestinationPick);
+}
+
 export function removeAllTeleporters() {
     teleporters.forEach(teleporter => {
         scene.remove(teleporter);
@@ -145,6 +210,10 @@ export function removeAllTeleporters() {
             teleporter.userData.border.geometry.dispose();
             teleporter.userData.border.material.dispose();
         }
+        if (teleporter.userData.exitArrow) {
+            teleporter.userData.exitArrow.geometry.dispose();
+            teleporter.userData.exitArrow.material.dispose();
+        }
     });
     teleporters = [];
 }
@@ -162,6 +231,10 @@ export function removeTeleportersByPairId(pairId) {
             teleporter.userData.border.geometry.dispose();
             teleporter.userData.border.material.dispose();
         }
+        if (teleporter.userData.exitArrow) {
+            teleporter.userData.exitArrow.geometry.dispose();
+            teleporter.userData.exitArrow.material.dispose();
+        }
         // Remove from the array
         const index = teleporters.indexOf(teleporter);
         if (index > -1) {
@@ -270,6 +343,7 @@ export function createOneWayTeleporter(position, destination, color = 0x00ff00)
     teleporterGroup.userData.square = square;
     teleporterGroup.userData.border = border;
     teleporterGroup.userData.startTime = Date.now() / 1000; // For animation
+    teleporterGroup.userData.enabled = true;
 
     scene.add(teleporterGroup);
     teleporters.push(teleporterGroup);
@@ -277,16 +351,14 @@ export function createOneWayTeleporter(position, destination, color = 0x00ff00)
     return teleporterGroup;
 }
 
-export function updateTeleporterCooldown(deltaTime) {
-    if (teleportCooldown > 0) {
-        teleportCooldown -= deltaTime;
-        if (teleportCooldown <= 0) {
-            teleportCooldown = 0;
-            // Note: We don't reset lastTeleportedDestinationId here
-            // Teleporters are permanently one-way - once you teleport from A to B,
-            // you can never teleport from B back to A
-        }
-    }
+// Per-ball teleporter state - each ball (player, ghost, ...) keeps its own
+// Note: lastDestination is never cleared during a hole. Teleporters are permanently
+// one-way - once you teleport from A to B, you can never teleport from B back to A
+export function createTeleportState() {
+    return {
+        cooldown: 0, // Cooldown timer to prevent immediate re-teleportation
+        lastDestination: null // Which teleporter we teleported TO (to prevent going back)
+    };
 }
 
 // Update teleporter animations
@@ -299,14 +371,39 @@ export function updateTeleporterAnimations(deltaTime) {
     });
 }
 
-export function resetTeleporterState() {
-    // Reset teleporter state when starting a new hole/level
-    lastTeleportedDestinationId = null;
-    teleportCooldown = 0;
+/**
+ * Teleport a ball standing on a pad - starts its cooldown and moves the sending pad on to its next pick
+ * @param {THREE.Vector3} ballVelocity - The ball's velocity, for pads that keep or redirect it (optional)
+ * @returns {Object} { teleported, destination, exitVelocity, sourceTeleporter, destTeleporter, pairId, isYellowPortal }
+ *                   exitVelocity is null when the ball should stop dead on arrival
+ */
+export function checkTeleporterCollision(ballPosition, ballRadius = 0.5, teleportState = createTeleportState(), ballVelocity = null) {
+    const trip = findTeleportTrip(ballPosition, ballRadius, teleportState, ballVelocity);
+    if (!trip.teleported) return trip;
+
+    takeTeleportTrip(trip, teleportState);
+    advanceDestinationPick(trip.sourceTeleporter);
+    return trip;
+}
+
+/**
+ * Update a ball's teleport state for a trip it's just taken (cooldown and no way back)
+ */
+export function takeTeleportTrip(trip, teleportState) {
+    teleportState.cooldown = TELEPORT_COOLDOWN;
+    // Remember the pad we teleported TO, so a pair or network can't send us straight back
+    if (trip.destTeleporter && !trip.sourceTeleporter.userData.sendTo) {
+        teleportState.lastDestination = trip.destTeleporter;
+    }
 }
 
-export function checkTeleporterCollision(ballPosition, ballRadius = 0.5) {
+/**
+ * Where a ball at a position would be teleported, without changing anything (prediction balls use this)
+ * @returns {Object} Same as checkTeleporterCollision()
+ */
+export function findTeleportTrip(ballPosition, ballRadius = 0.5, teleportState = createTeleportState(), ballVelocity = null) {
     for (const teleporter of teleporters) {
+        if (!teleporter.userData.enabled) continue;
         const teleporterPos = teleporter.userData.position;
         const teleporterSize = teleporter.userData.size;
 
@@ -314,57 +411,133 @@ export function checkTeleporterCollision(ballPosition, ballRadius = 0.5) {
         const halfSize = teleporterSize / 2;
         const dx = Math.abs(ballPosition.x - teleporterPos.x);
         const dz = Math.abs(ballPosition.z - teleporterPos.z);
+        if (dx >= halfSize + ballRadius || dz >= halfSize + ballRadius) continue;
+
+        // Check if this is a one-way teleporter (spawned after cutscene)
+        if (teleporter.userData.isOneWay && teleporter.userData.destination) {
+            // One-way teleporter - send directly to destination
+            return {
+                teleported: true,
+                destination: teleporter.userData.destination.clone(),
+                exitVelocity: null,
+                sourceTeleporter: teleporter,
+                destTeleporter: null,
+                pairId: -1, // Special ID for one-way
+                isYellowPortal: false
+            };
+        }
+
+        // Prevent teleporting back - if we're on the teleporter we just teleported TO, don't allow teleporting back
+        if (teleportState.lastDestination === teleporter) {
+            continue;
+        }
 
-        if (dx < halfSize + ballRadius && dz < halfSize + ballRadius) {
-            // Check if this is a one-way teleporter (spawned after cutscene)
-            if (teleporter.userData.isOneWay && teleporter.userData.destination) {
-                // One-way teleporter - send directly to destination
-                teleportCooldown = 0.5;
-                return {
-                    teleported: true,
-                    destination: teleporter.userData.destination.clone(),
-                    sourceTeleporter: teleporter,
-                    destTeleporter: null,
-                    pairId: -1, // Special ID for one-way
-                    isYellowPortal: false
-                };
-            }
-            
-            // Ball is on teleporter, find paired teleporter
+        const destTeleporter = pickDestination(teleporter);
+        if (destTeleporter) {
             const pairId = teleporter.userData.pairId;
+            return {
+                teleported: true,
+                destination: destTeleporter.userData.position.clone(),
+                exitVelocity: getExitVelocity(destTeleporter, ballVelocity),
+                sourceTeleporter: teleporter,
+                destTeleporter,
+                pairId,
+                // Check if this is the yellow portal (pairId 3) - triggers special cutscene
+                isYellowPortal: pairId === 3 && isPaired(teleporter)
+            };
+        }
+    }
+
+    return { teleported: false };
+}
+
+// Pads a teleporter can send the ball to right now
+function getDestinations(teleporter) {
+    const data = teleporter.userData;
+    if (data.exitOnly) return [];
 
-            // Prevent teleporting back (one-way teleporters)
-            // If we're on the teleporter we just teleported TO, don't allow teleporting back
-            if (lastTeleportedDestinationId === teleporter) {
-                continue; // Skip this teleporter - can't go back
-            }
+    return teleporters.filter(other => {
+        if (other === teleporter || !other.userData.enabled || other.userData.isOneWay) return false;
+        if (data.sendTo) return other.userData.id === data.sendTo;
+        if (data.network) return other.userData.network === data.network;
+        return isPaired(other) && other.userData.pairId === data.pairId;
+    });
+}
 
-            const pairedTeleporter = teleporters.find(t =>
-                t.userData.pairId === pairId && t !== teleporter
-            );
+// A plain pair pad (not in a network or link, and not just an exit)
+function isPaired(teleporter) {
+    const data = teleporter.userData;
+    return !data.network && !data.sendTo && !data.exitOnly && !data.isOneWay;
+}
 
-            if (pairedTeleporter) {
-                // Set cooldown and track which teleporter we teleported TO
-                teleportCooldown = 0.5; // 0.5 second cooldown
-                lastTeleportedDestinationId = pairedTeleporter; // Remember the destination
+// Destination the teleporter's next trip goes to - picked ahead so it can be predicted
+function pickDestination(teleporter) {
+    const destinations = getDestinations(teleporter);
+    if (destinations.length === 0) return null;
 
-                // Check if this is the yellow portal (pairId 3) - triggers special cutscene
-                const isYellowPortal = pairId === 3;
-
-                // Return the destination position - will trigger ball respawn
-                return {
-                    teleported: true,
-                    destination: pairedTeleporter.userData.position.clone(),
-                    sourceTeleporter: teleporter,
-                    destTeleporter: pairedTeleporter,
-                    pairId: pairId,
-                    isYellowPortal: isYellowPortal
-                };
-            }
+    const data = teleporter.userData;
+    const index = data.pick === TeleporterPick.RANDOM
+        ? Math.floor(data.nextRoll * destinations.length)
+        : data.turn % destinations.length;
+    return destinations[index];
+}
+
+function advanceDestinationPick(teleporter) {
+    const data = teleporter.userData;
+    if (!data.random) return; // One-way teleporters only have the one destination
+    data.turn++;
+    data.nextRoll = data.random();
+}
+
+function resetDestinationPick(teleporter) {
+    const data = teleporter.userData;
+    if (data.seed === undefined) return;
+    data.random = createRandom(data.seed);
+    data.turn = 0;
+    data.nextRoll = data.random();
+}
+
+function createExit(direction, speedScale) {
+    let heading = null;
+    if (direction) {
+        const length = Math.hypot(direction.x, direction.z);
+        if (length > 0) {
+            heading = new THREE.Vector3(direction.x / length, 0, direction.z / length);
+        } else {
+            console.warn('Teleporter exitDirection needs a nonzero x or z, keeping the incoming heading');
         }
     }
+    return { direction: heading, speedScale: Math.max(0, speedScale) };
+}
 
-    return { teleported: false };
+// Velocity a ball leaves a pad with - null for the classic dead stop
+function getExitVelocity(teleporter, ballVelocity) {
+    const exit = teleporter.userData.exit;
+    if (!exit || !ballVelocity) return null;
+
+    const speed = Math.hypot(ballVelocity.x, ballVelocity.z) * exit.speedScale;
+    if (speed === 0) return new THREE.Vector3();
+    const heading = exit.direction || new THREE.Vector3(ballVelocity.x, 0, ballVelocity.z).normalize();
+    return heading.clone().multiplyScalar(speed);
+}
+
+// Flat arrow on a pad pointing the way balls leave it
+function createExitArrow(direction, size, color) {
+    const shape = new THREE.Shape();
+    shape.moveTo(0, size * 0.35);
+    shape.lineTo(size * 0.15, size * 0.1);
+    shape.lineTo(-size * 0.15, size * 0.1);
+    shape.closePath();
+    const arrow = new THREE.Mesh(
+        new THREE.ShapeGeometry(shape),
+        new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+    );
+    // Shape points along +Y, laid flat so it points along -Z, then turned to the exit heading
+    arrow.rotation.order = 'YXZ';
+    arrow.rotation.x = -Math.PI / 2;
+    arrow.rotation.y = Math.atan2(-direction.x, -direction.z);
+    arrow.position.y = 0.002; // Above the square and border
+    return arrow;
 }
 
 // Function to handle ball teleportation by respawning at destination
@@ -0,0 +1,237 @@
+// Multi-level course geometry - raised tiers, ramps between them and bridges
+// Declared in a level's `tiers` array; every piece is a box footprint { x, z, width, depth, rotation }:
+//   { type: 'tier', x, z, width, depth, height: 1 }                  - Solid raised block, its edges are ledges to drop off
+//   { type: 'ramp', x, z, width, depth, from: 0, to: 1, rotation: 0 } - Slope rising from `from` at its -Z end to `to` at +Z
+//   { type: 'bridge', x, z, width, depth, height: 1.5, thickness: 0.3 } - Deck the ball rolls over, or under if there's room
+// getTerrainHeight() (course.js) picks the layer under the ball, so a ball under a bridge stays on the ground below it.
+import * as THREE from 'three';
+import { scene, isFullMode } from './scene-context.js';
+import { sweepSphere, boxDistance, SWEEP_SKIN } from './sweep.js';
+
+export const TierType = {
+    TIER: 'tier',
+    RAMP: 'ramp',
+    BRIDGE: 'bridge'
+};
+
+const TIER_COLORS = {
+    tier: 0x3f9a4d,
+    ramp: 0x58b565,
+    bridge: 0xa0785a
+};
+const DEFAULT_BRIDGE_THICKNESS = 0.3;
+const STEP_HEIGHT = 0.05; // A ball rolls up lips this small instead of bouncing off them
+
+let tiers = [];
+
+export function createTier(def) {
+    const {
+        type = TierType.TIER,
+        x,
+        z,
+        width,
+        depth,
+        rotation = 0,
+        height = 1,
+        from = 0,
+        to = 1,
+        thickness = DEFAULT_BRIDGE_THICKNESS,
+        color = TIER_COLORS[type]
+    } = def;
+
+    if (!Object.values(TierType).includes(type)) {
+        console.warn(`Unknown tier type "${type}", skipping`);
+        return null;
+    }
+    if (![x, z, width, depth].every(Number.isFinite) || width <= 0 || depth <= 0) {
+        console.warn(`${type} needs x, z, width and depth, skipping`, def);
+        return null;
+    }
+
+    const material = isFullMode
+        ? new THREE.MeshStandardMaterial({ color, roughness: 0.8 })
+        : new THREE.MeshBasicMaterial({ color });
+
+    let geometry;
+    let meshY;
+    if (type === TierType.RAMP) {
+        geometry = createRampGeometry(width, depth, from, to);
+        meshY = 0;
+    } else if (type === TierType.BRIDGE) {
+        geometry = new THREE.BoxGeometry(width, thickness, depth);
+        meshY = height - thickness / 2;
+    } else {
+        geometry = new THREE.BoxGeometry(width, height, depth);
+        meshY = height / 2;
+    }
+
+    const tierMesh = new THREE.Mesh(geometry, material);
+    tierMesh.position.set(x, meshY, z);
+    tierMesh.rotation.y = rotation;
+    tierMesh.castShadow = true;
+    tierMesh.receiveShadow = true;
+
+    tierMesh.userData.isTier = true;
+    tierMesh.userData.tierType = type;
+    tierMesh.userData.box = { x, z, halfWidth: width / 2, halfDepth: depth / 2, rotation };
+    tierMesh.userData.height = height;
+    tierMesh.userData.from = from;
+    tierMesh.userData.to = to;
+    tierMesh.userData.thickness = thickness;
+    tierMesh.userData.bounds = getFootprintBounds(tierMesh.userData.box);
+
+    scene.add(tierMesh);
+    tiers.push(tierMesh);
+
+    return tierMesh;
+}
+
+export function getTiers() {
+    return tiers;
+}
+
+export function removeAllTiers() {
+    tiers.forEach(tier => {
+        scene.remove(tier);
+        tier.geometry.dispose();
+        tier.material.dispose();
+    });
+    tiers = [];
+}
+
+/**
+ * Height of a tier's top surface at a point, or null if the point is outside its footprint
+ */
+export function getTierSurfaceHeight(tier, x, z) {
+    const data = tier.userData;
+    if (boxDistance({ x, z }, data.box) > 0) return null;
+    return getSurfaceHeightAt(tier, x, z);
+}
+
+/**
+ * Highest tier surface under a point that's no higher than maxTop (the layer a ball there rests on)
+ * @param {Array} candidates - Tiers to test (e.g. from the collision index), defaults to all
+ * @param {Object} from - {x, z} the ball moved from this step - ramps are checked against maxTop there,
+ *                        so a ball already on a ramp stays on it however steeply it climbs in one step
+ * @returns {Object|null} { tier, height, slopeX, slopeZ } (slope is rise over run), or null if no tier is underneath
+ */
+export function findTierBelow(x, z, maxTop = Infinity, candidates = tiers, from = null) {
+    let best = null;
+    for (const tier of candidates) {
+        const height = getTierSurfaceHeight(tier, x, z);
+        if (height === null || (best && height <= best.height)) continue;
+
+        const isRamp = tier.userData.tierType === TierType.RAMP;
+        const reference = isRamp && from ? getClosestFootprintPoint(tier.userData.box, from) : null;
+        const reachHeight = reference ? getSurfaceHeightAt(tier, reference.x, reference.z) : height;
+        if (reachHeight <= maxTop) {
+            best = { tier, height };
+        }
+    }
+    if (best) {
+        const slope = getTierSlope(best.tier);
+        best.slopeX = slope.x;
+        best.slopeZ = slope.z;
+    }
+    return best;
+}
+
+/**
+ * Find the first tier side or bridge edge the ball runs into while moving from start by motion
+ * A ball level with (or just below) a surface rolls onto it; one lower down hits the side like a wall
+ * @param {Array} candidates - Tiers to test (e.g. from the collision index), defaults to all
+ * @returns {Object|null} { t, normal, penetration, tier } or null if the path is clear
+ */
+export function sweepTiers(start, motion, ballRadius, candidates = tiers) {
+    let firstHit = null;
+    const bottom = start.y - ballRadius;
+    // Ramp the ball is rolling up, if any - it carries the ball up to edges level with its top
+    const support = findTierBelow(start.x, start.z, bottom + STEP_HEIGHT, candidates);
+
+    for (const tier of candidates) {
+        const data = tier.userData;
+        if (support && tier === support.tier) continue;
+
+        // Solid band of the piece - a bridge is only its deck (roll over it or pass underneath),
+        // tiers and ramps are side walls unless the ball is already up at the surface next to them
+        const edge = getClosestFootprintPoint(data.box, start);
+        const isBridge = data.tierType === TierType.BRIDGE;
+        const solidTop = isBridge ? data.height : getSurfaceHeightAt(tier, edge.x, edge.z);
+        const solidBottom = isBridge ? data.height - data.thickness : 0;
+        const climb = support ? Math.max(support.slopeX * (edge.x - start.x) + support.slopeZ * (edge.z - start.z), 0) : 0;
+        if (bottom + climb >= solidTop - STEP_HEIGHT - SWEEP_SKIN || start.y + ballRadius <= solidBottom) continue;
+
+        // An edge above or below the ball's center only catches the narrower slice of the ball at that height
+        const offset = Math.max(start.y - solidTop, solidBottom - start.y, 0);
+        const reach = Math.sqrt(Math.max(ballRadius * ballRadius - offset * offset, 0));
+
+        const hit = sweepSphere(start, motion, reach, point => boxDistance(point, data.box));
+        if (hit && (!firstHit || hit.t < firstHit.t)) {
+            firstHit = { ...hit, tier };
+        }
+    }
+
+    return firstHit;
+}
+
+// Top of a tier at a point inside its footprint
+function getSurfaceHeightAt(tier, x, z) {
+    const data = tier.userData;
+    if (data.tierType !== TierType.RAMP) return data.height;
+
+    const local = toLocal(data.box, x, z);
+    const along = Math.max(0, Math.min(1, (local.z + data.box.halfDepth) / (data.box.halfDepth * 2)));
+    return data.from + (data.to - data.from) * along;
+}
+
+// World-space rise over run of a tier's top (only ramps slope)
+function getTierSlope(tier) {
+    const data = tier.userData;
+    if (data.tierType !== TierType.RAMP) return { x: 0, z: 0 };
+
+    const rise = (data.to - data.from) / (data.box.halfDepth * 2);
+    const rotation = data.box.rotation;
+    return { x: rise * Math.sin(rotation), z: rise * Math.cos(rotation) };
+}
+
+// Same transform as boxDistance (sweep.js)
+function toLocal(box, x, z) {
+    const dx = x - box.x;
+    const dz = z - box.z;
+    const cos = Math.cos(box.rotation);
+    const sin = Math.sin(box.rotation);
+    return { x: dx * cos - dz * sin, z: dx * sin + dz * cos };
+}
+
+function getClosestFootprintPoint(box, point) {
+    const local = toLocal(box, point.x, point.z);
+    const lx = Math.max(-box.halfWidth, Math.min(box.halfWidth, local.x));
+    const lz = Math.max(-box.halfDepth, Math.min(box.halfDepth, local.z));
+    const cos = Math.cos(box.rotation);
+    const sin = Math.sin(box.rotation);
+    return { x: box.x + lx * cos + lz * sin, z: box.z - lx * sin + lz * cos };
+}
+
+function getFootprintBounds(box) {
+    const cos = Math.abs(Math.cos(box.rotation));
+    const sin = Math.abs(Math.sin(box.rotation));
+    const extentX = box.halfWidth * cos + box.halfDepth * sin;
+    const extentZ = box.halfWidth * sin + box.halfDepth * cos;
+    return { minX: box.x - extentX, maxX: box.x + extentX, minZ: box.z - extentZ, maxZ: box.z + extentZ };
+}
+
+// Box whose top slopes from `from` at local -Z to `to` at local +Z, standing on the ground
+function createRampGeometry(width, depth, from, to) {
+    const geometry = new THREE.BoxGeometry(width, 1, depth);
+    const positions = geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        if (positions.getY(i) > 0) {
+            const along = (positions.getZ(i) + depth / 2) / depth;
+            positions.setY(i, Math.max(from + (to - from) * along, 0.01));
+        } else {
+            positions.setY(i, 0);
+        }
+    }
+    geometry.computeVertexNormals();
+    return geometry;
+}
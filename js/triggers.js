@@ -0,0 +1,297 @@
+// Triggers - level logic that switches obstacles when a ball does something
+// Declared in a level's `triggers` array; each fires a list of actions:
+//   { type: 'plate', x, z, width: 2, depth: 2, actions: [...], releaseActions: [...] } - Pressure plate, pressed by a ball rolling or resting on it
+//   { type: 'zone', x, z, width, depth, actions: [...] }                                 - Invisible area, fires when a ball enters it
+//   { type: 'bumperHits', bumper: 'pinger', count: 3, actions: [...] }                   - Fires on the count'th hit of the named bumper
+// A trigger fires once per attempt unless repeat: true (a plate with releaseActions is a hold switch and always repeats).
+// Actions name an obstacle by the `id` in its own definition and say what to do with it:
+//   { target: 'gate', do: 'open' }   - customWalls: open, close, toggle (walls can start `open: true`)
+//   { target: 'fan1', do: 'on' }     - fans: on, off, toggle
+//   { target: 'portals', do: 'on' }  - teleporters: on, off, toggle (give both of a pair the same id)
+//   { target: 'gust', do: 'reverse' } - windZones: on, off, toggle, reverse
+// Fans, teleporters and wind zones can start `enabled: false`. Every id matching a target is switched,
+// and resetTriggers() puts them all back the way the level defined them (restartFromTee() runs it
+// for a new hole and for the R key restart).
+import * as THREE from 'three';
+import { scene, isFullMode } from './scene-context.js';
+import { getCustomWalls, setWallOpen, getTerrainHeight } from './course.js';
+import { getFans, setFanEnabled } from './fans.js';
+import { getTeleporters, setTeleporterEnabled } from './teleporters.js';
+import { getWindZones, setWindZoneEnabled, reverseWindZone } from './wind-zones.js';
+
+export const TriggerType = {
+    PLATE: 'plate',
+    ZONE: 'zone',
+    BUMPER_HITS: 'bumperHits'
+};
+
+const PLATE_COLOR = 0xd9a441;
+const PLATE_PRESSED_COLOR = 0x8a6a2a;
+const PLATE_HEIGHT = 0.06; // Raised this much until a ball presses it flush
+const PLATE_CONTACT_HEIGHT = 0.1; // Ball's underside within this of the plate top counts as on the plate
+
+// What each kind of obstacle can be told to do, and how to put it back afterwards
+const TARGETS = {
+    wall: {
+        getAll: getCustomWalls,
+        getId: wall => wall.userData.id,
+        save: wall => wall.userData.isOpen || false,
+        restore: (wall, open) => setWallOpen(wall, open),
+        actions: {
+            open: wall => setWallOpen(wall, true),
+            close: wall => setWallOpen(wall, false),
+            toggle: wall => setWallOpen(wall, !wall.userData.isOpen)
+        }
+    },
+    fan: {
+        getAll: getFans,
+        getId: fan => fan.userData.id,
+        save: fan => fan.userData.enabled,
+        restore: setFanEnabled,
+        actions: {
+            on: fan => setFanEnabled(fan, true),
+            off: fan => setFanEnabled(fan, false),
+            toggle: fan => setFanEnabled(fan, !fan.userData.enabled)
+        }
+    },
+    teleporter: {
+        getAll: getTeleporters,
+        getId: teleporter => teleporter.userData.id,
+        save: teleporter => teleporter.userData.enabled,
+        restore: setTeleporterEnabled,
+        actions: {
+            on: teleporter => setTeleporterEnabled(teleporter, true),
+            off: teleporter => setTeleporterEnabled(teleporter, false),
+            toggle: teleporter => setTeleporterEnabled(teleporter, !teleporter.userData.enabled)
+        }
+    },
+    windZone: {
+        getAll: getWindZones,
+        getId: zone => zone.id,
+        save: zone => ({ enabled: zone.enabled, direction: zone.direction.clone() }),
+        restore: (zone, saved) => {
+            setWindZoneEnabled(zone, saved.enabled);
+            zone.direction.copy(saved.direction);
+        },
+        actions: {
+            on: zone => setWindZoneEnabled(zone, true),
+            off: zone => setWindZoneEnabled(zone, false),
+            toggle: zone => setWindZoneEnabled(zone, !zone.enabled),
+            reverse: reverseWindZone
+        }
+    }
+};
+export const ACTION_NAMES = new Set(Object.values(TARGETS).flatMap(kind => Object.keys(kind.actions)));
+
+let triggers = [];
+let savedStates = new Map(); // Obstacle -> { kind, state } from before a trigger first changed it
+
+export function createTrigger(def) {
+    const { type, repeat = false } = def;
+    if (!Object.values(TriggerType).includes(type)) {
+        console.warn(`Unknown trigger type "${type}", skipping`);
+        return null;
+    }
+
+    const actions = parseActions(def.actions);
+    const releaseActions = parseActions(def.releaseActions);
+    if (!actions || !releaseActions || actions.length + releaseActions.length === 0) {
+        console.warn(`${type} trigger needs actions [{ target, do }], skipping`, def);
+        return null;
+    }
+
+    const trigger = {
+        type,
+        actions,
+        releaseActions,
+        repeat: repeat || releaseActions.length > 0,
+        hasFired: false,
+        ballsInside: new Set(), // Plates and zones - balls on it right now
+        hits: 0, // Bumper hits since it last fired
+        mesh: null
+    };
+
+    if (type === TriggerType.BUMPER_HITS) {
+        if (!def.bumper) {
+            console.warn('bumperHits trigger needs the bumper id to count, skipping', def);
+            return null;
+        }
+        trigger.bumper = def.bumper;
+        trigger.count = Math.max(1, def.count || 1);
+    } else {
+        const { x, z, width = 2, depth = 2 } = def;
+        if (![x, z, width, depth].every(Number.isFinite) || width <= 0 || depth <= 0) {
+            console.warn(`${type} trigger needs x, z, width and depth, skipping`, def);
+            return null;
+        }
+        trigger.area = { minX: x - width / 2, maxX: x + width / 2, minZ: z - depth / 2, maxZ: z + depth / 2 };
+        if (type === TriggerType.PLATE) {
+            trigger.groundHeight = getTerrainHeight(x, z); // Tier, ramp or hill it sits on
+            trigger.mesh = createPlateMesh(x, z, width, depth, trigger.groundHeight);
+        }
+    }
+
+    triggers.push(trigger);
+    return trigger;
+}
+
+export function getTriggers() {
+    return triggers;
+}
+
+export function removeAllTriggers() {
+    triggers.forEach(trigger => {
+        if (trigger.mesh) {
+            scene.remove(trigger.mesh);
+            trigger.mesh.geometry.dispose();
+            trigger.mesh.material.dispose();
+        }
+    });
+    triggers = [];
+    savedStates = new Map();
+}
+
+/**
+ * Re-arm every trigger and put every obstacle they switched back the way the level defined it
+ */
+export function resetTriggers() {
+    savedStates.forEach(({ kind, state }, object) => {
+        TARGETS[kind].restore(object, state);
+    });
+    savedStates = new Map();
+
+    triggers.forEach(trigger => {
+        trigger.hasFired = false;
+        trigger.ballsInside.clear();
+        trigger.hits = 0;
+        setPlatePressed(trigger, false);
+    });
+}
+
+/**
+ * Press plates and enter zones for a ball that has just moved (call once per physics step)
+ * @param {BallBody} body - The ball
+ */
+export function updateTriggersForBall(body) {
+    const inPlay = !body.isInWater && !body.isOutOfBounds;
+    for (const trigger of triggers) {
+        if (!trigger.area) continue;
+
+        const onGround = trigger.type !== TriggerType.PLATE || isOnPlateGround(body);
+        const isInside = inPlay && onGround && isInArea(trigger.area, body.position);
+        const wasInside = trigger.ballsInside.has(body);
+        if (isInside === wasInside) continue;
+
+        if (isInside) {
+            trigger.ballsInside.add(body);
+            // First ball onto a plate presses it, any ball entering a zone sets it off
+            if (trigger.type === TriggerType.ZONE || trigger.ballsInside.size === 1) {
+                setPlatePressed(trigger, true);
+                fireTrigger(trigger, trigger.actions);
+            }
+        } else {
+            trigger.ballsInside.delete(body);
+            // Last ball off a plate lets it back up
+            if (trigger.type === TriggerType.PLATE && trigger.ballsInside.size === 0) {
+                setPlatePressed(trigger, false);
+                if (trigger.hasFired) {
+                    runActions(trigger.releaseActions);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Count a ball bouncing off a bumper towards any bumperHits triggers watching it
+ */
+export function recordBumperHit(bumper) {
+    const id = bumper.userData.id;
+    if (!id) return;
+
+    for (const trigger of triggers) {
+        if (trigger.type !== TriggerType.BUMPER_HITS || trigger.bumper !== id) continue;
+        trigger.hits++;
+        if (trigger.hits >= trigger.count) {
+            trigger.hits = 0;
+            fireTrigger(trigger, trigger.actions);
+        }
+    }
+}
+
+function fireTrigger(trigger, actions) {
+    if (trigger.hasFired && !trigger.repeat) return;
+    trigger.hasFired = true;
+    runActions(actions);
+}
+
+function runActions(actions) {
+    actions.forEach(({ target, action }) => {
+        let found = false;
+        Object.entries(TARGETS).forEach(([kind, handler]) => {
+            const apply = handler.actions[action];
+            handler.getAll().forEach(object => {
+                if (handler.getId(object) !== target) return;
+                found = true;
+                if (!apply) {
+                    console.warn(`Trigger can't "${action}" ${kind} "${target}"`);
+                    return;
+                }
+                if (!savedStates.has(object)) {
+                    savedStates.set(object, { kind, state: handler.save(object) });
+                }
+                apply(object);
+            });
+        });
+        if (!found) {
+            console.warn(`Trigger target "${target}" isn't on the course`);
+        }
+    });
+}
+
+// [{ target, do }] -> [{ target, action }], or null if any entry is malformed (a missing list is empty)
+function parseActions(list) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) return null;
+
+    const actions = [];
+    for (const entry of list) {
+        if (!entry || typeof entry.target !== 'string' || !ACTION_NAMES.has(entry.do)) {
+            console.warn('Trigger action needs a target id and one of: ' + [...ACTION_NAMES].join(', '), entry);
+            return null;
+        }
+        actions.push({ target: entry.target, action: entry.do });
+    }
+    return actions;
+}
+
+// Ball rolling or resting on the ground under it (a plate is pressed from the tier or hill it sits on, not world height 0)
+function isOnPlateGround(body) {
+    const bottom = body.position.y - body.radius;
+    const ground = getTerrainHeight(body.position.x, body.position.z, bottom + PLATE_CONTACT_HEIGHT);
+    return bottom - ground < PLATE_HEIGHT + PLATE_CONTACT_HEIGHT;
+}
+
+function isInArea(area, position) {
+    return position.x >= area.minX && position.x <= area.maxX &&
+        position.z >= area.minZ && position.z <= area.maxZ;
+}
+
+function createPlateMesh(x, z, width, depth, groundHeight) {
+    const material = isFullMode
+        ? new THREE.MeshStandardMaterial({ color: PLATE_COLOR, metalness: 0.4, roughness: 0.5 })
+        : new THREE.MeshBasicMaterial({ color: PLATE_COLOR });
+    const plate = new THREE.Mesh(new THREE.BoxGeometry(width, PLATE_HEIGHT, depth), material);
+    plate.position.set(x, groundHeight + PLATE_HEIGHT / 2, z);
+    plate.receiveShadow = true;
+    plate.userData.isPressurePlate = true;
+    scene.add(plate);
+    return plate;
+}
+
+// Sink a plate flush with the floor while it's held down
+function setPlatePressed(trigger, pressed) {
+    if (!trigger.mesh) return;
+    trigger.mesh.position.y = trigger.groundHeight + (pressed ? -PLATE_HEIGHT / 2 + 0.005 : PLATE_HEIGHT / 2);
+    trigger.mesh.material.color.setHex(pressed ? PLATE_PRESSED_COLOR : PLATE_COLOR);
+}
@@ -1,6 +1,7 @@
 // Visual feedback UI (arrow, power meter)
 import * as THREE from 'three';
 import { getAimingState } from './controls.js';
+import { PHYSICS_CONSTANTS } from './physics.js';
 
 // These will be set by initUI
 let scene = null;
@@ -10,6 +11,12 @@ let arrowTriangles = []; // Array of triangle meshes for the path
 let powerMeterBar = null;
 let powerMeterContainer = null;
 
+// Spin preview on the aiming arrow
+const SPIN_PREVIEW_CURVE = 0.35; // Sideways bend at the arrow tip per unit of arrow length at full sidespin
+const TOPSPIN_COLOR = new THREE.Color(0x66ddff);
+const BACKSPIN_COLOR = new THREE.Color(0xff8866);
+const LOFT_PREVIEW_HEIGHT = 1.5; // Peak of the arrow's arc at full loft
+
 export function initUI(sceneRef, cameraRef) {
     scene = sceneRef;
     camera = cameraRef;
@@ -39,6 +46,8 @@ function drawAimingArrow(aimingState) {
     const ballPos = aimingState.ballPosition;
     const direction = aimingState.direction;
     const pullDistance = aimingState.pullDistance;
+    const spin = aimingState.spin || { side: 0, top: 0 };
+    const loft = aimingState.loft || 0;
     
     // Clear old triangles
     hideAimingArrow();
@@ -53,8 +62,14 @@ function drawAimingArrow(aimingState) {
     const MAX_TRIANGLE_SIZE = BALL_RADIUS * 1.5; // Furthest arrow (1.5x ball size)
     const MIN_TRIANGLE_SIZE = MAX_TRIANGLE_SIZE * 0.3; // Closest arrow (smaller)
     
-    // White color for all arrows
-    const arrowColor = 0xFFFFFF; // White
+    // White arrow, tinted blue for topspin and orange for backspin
+    const arrowColor = new THREE.Color(0xFFFFFF).lerp(spin.top >= 0 ? TOPSPIN_COLOR : BACKSPIN_COLOR, Math.abs(spin.top));
+    
+    // Sidespin bends the arrow towards the side the roll will curve
+    const forward = direction.clone().normalize();
+    const right = new THREE.Vector3(-forward.z, 0, forward.x);
+    const bend = spin.side * SPIN_PREVIEW_CURVE;
+    
     const triangleMaterial = new THREE.MeshBasicMaterial({ 
         color: arrowColor,
         side: THREE.DoubleSide,
@@ -70,11 +85,13 @@ function drawAimingArrow(aimingState) {
         // Calculate triangle size - furthest (t=1) is largest, closest (t=0) is smallest
         const triangleSize = MIN_TRIANGLE_SIZE + (MAX_TRIANGLE_SIZE - MIN_TRIANGLE_SIZE) * t;
         
-        // Position along the path
+        // Position along the path (bending away quadratically with sidespin, arcing up for a chip)
+        const sideOffset = bend * t * t * arrowLength;
+        const arcHeight = loft * LOFT_PREVIEW_HEIGHT * 4 * t * (1 - t);
         const trianglePos = new THREE.Vector3(
-            ballPos.x + direction.x * distanceAlongPath,
-            ballPos.y + 0.1, // Slightly above ground
-            ballPos.z + direction.z * distanceAlongPath
+            ballPos.x + forward.x * distanceAlongPath + right.x * sideOffset,
+            ballPos.y + 0.1 + arcHeight, // Slightly above ground
+            ballPos.z + forward.z * distanceAlongPath + right.z * sideOffset
         );
         
         // Create flat triangle (pointing in direction)
@@ -97,8 +114,8 @@ function drawAimingArrow(aimingState) {
         // Position triangle
         triangle.position.copy(trianglePos);
         
-        // Rotate to point in direction (flip 180 degrees so triangle points forward, not backward)
-        const dir = direction.clone().normalize();
+        // Rotate to point along the path (flip 180 degrees so triangle points forward, not backward)
+        const dir = forward.clone().addScaledVector(right, 2 * bend * t).normalize();
         // Calculate angle in XZ plane and add 180 degrees to flip direction
         const angle = Math.atan2(dir.x, dir.z) + Math.PI;
         triangle.rotation.y = angle;
@@ -123,7 +140,7 @@ function hideAimingArrow() {
 }
 
 function getPowerColor(pullDistance) {
-    const maxPull = 1.67; // MAX_PULL_DISTANCE (updated to match controls.js)
+    const maxPull = PHYSICS_CONSTANTS.MAX_PULL_DISTANCE;
     const ratio = pullDistance / maxPull;
     
     if (ratio < 0.33) {
@@ -155,7 +172,7 @@ function updatePowerMeter(pullDistance) {
     const powerMeterFill = document.getElementById('power-meter-fill');
     
     if (powerMeter && powerMeterFill) {
-        const maxPull = 1.67; // MAX_PULL_DISTANCE (updated to match controls.js)
+        const maxPull = PHYSICS_CONSTANTS.MAX_PULL_DISTANCE;
         const percentage = Math.min((pullDistance / maxPull) * 100, 100);
         powerMeterFill.style.width = percentage + '%';
         powerMeter.style.display = 'block';
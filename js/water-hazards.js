@@ -0,0 +1,206 @@
+// Water hazards - ponds of any polygon shape; a ball that rolls in splashes down for a one-stroke penalty
+// Level definitions list them in waterHazards, as a polygon ({ polygon: [{x, z}, ...] }) or a rectangle
+// ({ minX, maxX, minZ, maxZ }), optionally with a dropZone {x, z} the player can choose to play from
+import * as THREE from 'three';
+import { scene, isFullMode } from './scene-context.js';
+import { getRegionPolygon, getPolygonBounds, isPointInPolygon, getSegmentPolygonCrossing } from './polygon.js';
+
+export const WATER_PENALTY_STROKES = 1;
+
+// Where the ball is played from after going in the water
+export const WaterDrop = {
+    PREVIOUS_SPOT: 'previousSpot',   // Replay from where the last shot was taken
+    POINT_OF_ENTRY: 'pointOfEntry',  // Drop on the bank where the ball went in
+    DROP_ZONE: 'dropZone'            // The hazard's designated drop zone
+};
+
+const WATER_HEIGHT = 0.015; // Just above the floor so the surface doesn't z-fight with it
+const DROP_CLEARANCE = 1.0; // How far back from the water's edge a point-of-entry drop is placed
+
+let waterHazards = [];
+
+// Shared by every water surface so they ripple in sync
+const waterUniforms = {
+    uTime: { value: 0 },
+    uDeepColor: { value: new THREE.Color(0x1b5fa8) },
+    uShallowColor: { value: new THREE.Color(0x4fb3e8) },
+    uFoamColor: { value: new THREE.Color(0xe8f7ff) }
+};
+
+const waterVertexShader = `
+    varying vec3 vWorldPosition;
+
+    void main() {
+        vec4 worldPos = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPos.xyz;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Interfering ripples with sparkles on the crests
+const waterFragmentShader = `
+    uniform float uTime;
+    uniform vec3 uDeepColor;
+    uniform vec3 uShallowColor;
+    uniform vec3 uFoamColor;
+
+    varying vec3 vWorldPosition;
+
+    void main() {
+        vec2 p = vWorldPosition.xz;
+        float wave = sin(p.x * 0.9 + uTime * 1.3) * 0.5
+                   + sin(p.y * 1.1 - uTime * 1.1) * 0.35
+                   + sin((p.x + p.y) * 0.6 + uTime * 0.7) * 0.3;
+        float shade = wave * 0.25 + 0.5;
+        vec3 color = mix(uDeepColor, uShallowColor, shade);
+
+        float sparkle = pow(max(0.0, sin(p.x * 3.1 + uTime * 2.0) * sin(p.y * 2.7 - uTime * 1.7)), 16.0);
+        color = mix(color, uFoamColor, sparkle * 0.6);
+
+        gl_FragColor = vec4(color, 0.9);
+    }
+`;
+
+/**
+ * Create a water hazard
+ * @param {Object} config - Water hazard configuration
+ * @param {Array} config.polygon - Corner points {x, z} (or minX/maxX/minZ/maxZ for a rectangle)
+ * @param {Object} config.dropZone - Optional {x, z} where the player may drop instead
+ */
+export function createWaterHazard(config) {
+    const polygon = getRegionPolygon(config);
+    if (!polygon) {
+        console.warn('Water hazard needs a polygon or minX/maxX/minZ/maxZ, skipping');
+        return null;
+    }
+
+    const hazard = {
+        polygon,
+        ...getPolygonBounds(polygon),
+        dropZone: config.dropZone ? new THREE.Vector3(config.dropZone.x, 0, config.dropZone.z) : null,
+        mesh: createWaterMesh(polygon)
+    };
+
+    if (scene) {
+        scene.add(hazard.mesh);
+    }
+
+    waterHazards.push(hazard);
+    console.log(`Water hazard created: (${hazard.minX}, ${hazard.minZ}) to (${hazard.maxX}, ${hazard.maxZ})`);
+
+    return hazard;
+}
+
+function createWaterMesh(polygon) {
+    // Shape space Y becomes world -Z once the mesh is laid flat, so flip Z going in
+    const shape = new THREE.Shape();
+    shape.moveTo(polygon[0].x, -polygon[0].z);
+    for (let i = 1; i < polygon.length; i++) {
+        shape.lineTo(polygon[i].x, -polygon[i].z);
+    }
+    shape.closePath();
+
+    const material = isFullMode
+        ? new THREE.ShaderMaterial({
+            uniforms: waterUniforms,
+            vertexShader: waterVertexShader,
+            fragmentShader: waterFragmentShader,
+            transparent: true,
+            side: THREE.DoubleSide
+        })
+        : new THREE.MeshBasicMaterial({
+            color: waterUniforms.uShallowColor.value,
+            side: THREE.DoubleSide
+        });
+
+    const mesh = new THREE.Mesh(new THREE.ShapeGeometry(shape), material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.y = WATER_HEIGHT;
+    mesh.userData.isWaterHazard = true;
+    return mesh;
+}
+
+/**
+ * Find the water hazard a ball rolled into during a move
+ * @param {THREE.Vector3} from - Ball position at the start of the move
+ * @param {THREE.Vector3} to - Ball position at the end of the move
+ * @returns {Object|null} { hazard, entryPoint (on the water's edge), dropPoint (back on the bank) }
+ */
+export function findWaterEntry(from, to) {
+    const hazard = getWaterHazardAt(to.x, to.z);
+    if (!hazard) return null;
+
+    const t = getSegmentPolygonCrossing(from.x, from.z, to.x, to.z, hazard.polygon);
+    const entryPoint = t === null ? from.clone() : from.clone().lerp(to, t);
+    entryPoint.y = 0;
+
+    // Back up along the way the ball came in; fall back to where it came from if that's still wet
+    const direction = new THREE.Vector3(to.x - from.x, 0, to.z - from.z);
+    let dropPoint = entryPoint.clone();
+    if (direction.lengthSq() > 0) {
+        dropPoint.addScaledVector(direction.normalize(), -DROP_CLEARANCE);
+    }
+    if (getWaterHazardAt(dropPoint.x, dropPoint.z)) {
+        dropPoint = new THREE.Vector3(from.x, 0, from.z);
+    }
+
+    return { hazard, entryPoint, dropPoint };
+}
+
+/**
+ * Water hazard covering a point, if any
+ */
+export function getWaterHazardAt(x, z) {
+    for (const hazard of waterHazards) {
+        if (x < hazard.minX || x > hazard.maxX || z < hazard.minZ || z > hazard.maxZ) continue;
+        if (isPointInPolygon(x, z, hazard.polygon)) {
+            return hazard;
+        }
+    }
+    return null;
+}
+
+/**
+ * Drop options the player can pick from for a hazard (drop zone only if the level set one)
+ */
+export function getWaterDropOptions(hazard) {
+    const options = [WaterDrop.PREVIOUS_SPOT, WaterDrop.POINT_OF_ENTRY];
+    if (hazard.dropZone) {
+        options.push(WaterDrop.DROP_ZONE);
+    }
+    return options;
+}
+
+/**
+ * Where to put the ball for a drop option
+ * @param {string} option - One of WaterDrop
+ * @param {Object} entry - Result of findWaterEntry()
+ * @param {THREE.Vector3} previousSpot - Where the last shot was taken from
+ * @returns {THREE.Vector3} Drop position (y is left for the ball to settle on the terrain)
+ */
+export function getWaterDropPosition(option, entry, previousSpot) {
+    if (option === WaterDrop.POINT_OF_ENTRY) {
+        return entry.dropPoint.clone();
+    }
+    if (option === WaterDrop.DROP_ZONE && entry.hazard.dropZone) {
+        return entry.hazard.dropZone.clone();
+    }
+    return previousSpot.clone();
+}
+
+export function getWaterHazards() {
+    return waterHazards;
+}
+
+export function updateWaterHazards(deltaTime) {
+    waterUniforms.uTime.value += deltaTime;
+}
+
+export function removeAllWaterHazards() {
+    waterHazards.forEach(hazard => {
+        if (scene) scene.remove(hazard.mesh);
+        hazard.mesh.geometry.dispose();
+        hazard.mesh.material.dispose();
+    });
+    waterHazards = [];
+}
@@ -1,6 +1,7 @@
 // Wind zones - invisible areas that push the ball in a direction
 import * as THREE from 'three';
-import { scene } from './main.js';
+import { scene } from './scene-context.js';
+import { createSchedule, advanceSchedule, saveSchedule, restoreSchedule, getScheduleLevel } from './schedules.js';
 
 let windZones = [];
 let windParticles = []; // Animated particles to show wind direction
@@ -13,6 +14,7 @@ let windParticles = []; // Animated particles to show wind direction
  * @param {THREE.Vector3} config.direction - Direction of wind push (normalized)
  * @param {number} config.strength - Strength of wind push force
  * @param {number} config.color - Color of wind particles (hex)
+ * @param {Object} config.schedule - Timed on/off cycle or gusting strength (see schedules.js)
  */
 export function createWindZone(config) {
     const {
@@ -20,7 +22,10 @@ export function createWindZone(config) {
         size = new THREE.Vector3(10, 10, 10),
         direction = new THREE.Vector3(1, 0, 0), // Default: push in +X direction
         strength = 5.0,
-        color = 0x88ccff // Light blue for wind
+        color = 0x88ccff, // Light blue for wind
+        id = null, // Name triggers switch or reverse it by (see triggers.js)
+        enabled = true,
+        schedule = null
     } = config;
     
     // Normalize direction
@@ -28,11 +33,14 @@ export function createWindZone(config) {
     
     // Create zone bounds
     const zone = {
+        id,
+        enabled,
         position: position.clone(),
         size: size.clone(),
         direction: normalizedDir,
         strength: strength,
         color: color,
+        schedule: createSchedule(schedule),
         minX: position.x - size.x / 2,
         maxX: position.x + size.x / 2,
         minY: position.y - size.y / 2,
@@ -45,6 +53,7 @@ export function createWindZone(config) {
     
     // Create visual indicator (animated particles)
     createWindParticles(zone);
+    zone.particleGroup.visible = enabled;
     
     windZones.push(zone);
     
@@ -166,6 +175,34 @@ function createWindParticles(zone) {
     scene.add(particleGroup);
 }
 
+/**
+ * Advance wind zone schedules by one fixed physics step
+ */
+export function stepWindZones(deltaTime) {
+    windZones.forEach(zone => advanceSchedule(zone.schedule, deltaTime));
+}
+
+/**
+ * Where every wind zone's schedule is, for restoreWindZones()
+ */
+export function saveWindZones() {
+    return windZones.map(zone => saveSchedule(zone.schedule));
+}
+
+/**
+ * Put the wind zone schedules back where saveWindZones() found them
+ */
+export function restoreWindZones(saved) {
+    windZones.forEach((zone, index) => restoreSchedule(zone.schedule, saved[index]));
+}
+
+/**
+ * How hard a wind zone is blowing right now, 0 (off or between gusts) to 1
+ */
+export function getWindZonePower(zone) {
+    return zone.enabled ? getScheduleLevel(zone.schedule) : 0;
+}
+
 /**
  * Update wind zones (animate particles)
  * @param {number} deltaTime - Time since last frame
@@ -174,6 +211,11 @@ export function updateWindZones(deltaTime) {
     const time = Date.now() / 1000;
     
     windZones.forEach(zone => {
+        // Particles fade out as the wind drops
+        const power = getWindZonePower(zone);
+        zone.particleGroup.visible = power > 0;
+        if (power === 0) return;
+
         zone.particles.forEach(particle => {
             const data = particle.userData;
             
@@ -223,7 +265,7 @@ export function updateWindZones(deltaTime) {
             }
             
             // Pulse opacity for more dynamic effect
-            const pulse = 0.5 + 0.4 * Math.sin(time * 4 + data.offset);
+            const pulse = (0.5 + 0.4 * Math.sin(time * 4 + data.offset)) * power;
             particle.material.opacity = pulse;
             if (data.thicknessLines) {
                 data.thicknessLines.forEach(thickLine => {
@@ -246,14 +288,17 @@ export function applyWindForce(ballPosition, ballVelocity, deltaTime) {
     
     windZones.forEach(zone => {
         // Check if ball is inside this zone
-        if (ballPosition.x >= zone.minX && ballPosition.x <= zone.maxX &&
+        const power = getWindZonePower(zone);
+        if (power > 0 &&
+            ballPosition.x >= zone.minX && ballPosition.x <= zone.maxX &&
             ballPosition.y >= zone.minY && ballPosition.y <= zone.maxY &&
             ballPosition.z >= zone.minZ && ballPosition.z <= zone.maxZ) {
             
             // Apply wind force to velocity
-            ballVelocity.x += zone.direction.x * zone.strength * deltaTime;
-            ballVelocity.y += zone.direction.y * zone.strength * deltaTime;
-            ballVelocity.z += zone.direction.z * zone.strength * deltaTime;
+            const strength = zone.strength * power;
+            ballVelocity.x += zone.direction.x * strength * deltaTime;
+            ballVelocity.y += zone.direction.y * strength * deltaTime;
+            ballVelocity.z += zone.direction.z * strength * deltaTime;
             
             inWindZone = true;
         }
@@ -262,6 +307,23 @@ export function applyWindForce(ballPosition, ballVelocity, deltaTime) {
     return inWindZone;
 }
 
+/**
+ * Switch a wind zone on or off (its particles hide while it's off)
+ */
+export function setWindZoneEnabled(zone, enabled) {
+    zone.enabled = enabled;
+    if (zone.particleGroup) {
+        zone.particleGroup.visible = enabled;
+    }
+}
+
+/**
+ * Turn a wind zone around - its particles follow the new direction
+ */
+export function reverseWindZone(zone) {
+    zone.direction.negate();
+}
+
 /**
  * Remove all wind zones
  */
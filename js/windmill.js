@@ -1,6 +1,6 @@
 // Windmill obstacle system
 import * as THREE from 'three';
-import { scene } from './main.js';
+import { scene } from './scene-context.js';
 
 let windmills = [];
 